@@ -6,18 +6,30 @@ import LocationsPage from './pages/LocationsPage.jsx';
 import ZipCodesPage from './pages/ZipCodesPage.jsx';
 import PanelStockAnalysisPage from './pages/PanelStockAnalysisPage.jsx';
 import DoctorLocationsPage from './pages/DoctorLocationsPage.jsx';
+import AccountPage from './pages/AccountPage.jsx';
+import AuditLogPage from './pages/AuditLogPage.jsx';
+import TrashPage from './pages/TrashPage.jsx';
+import SharedMapPage from './pages/SharedMapPage.jsx';
+import EmbedMapPage from './pages/EmbedMapPage.jsx';
 import NotFoundPage from './pages/NotFoundPage.jsx';
 
 export default function App() {
   return (
     <Routes>
       <Route path="/login" element={<LoginPage />} />
+      {/* Public share links: no login, read-only */}
+      <Route path="/share/:token" element={<SharedMapPage />} />
+      {/* Framed intranet embeds: no login, origins checked by the server */}
+      <Route path="/embed/:embedId" element={<EmbedMapPage />} />
       <Route element={<RequireAuth><AppShell /></RequireAuth>}>
         <Route path="/" element={<LocationsPage />} />
         <Route path="/zipcodes" element={<ZipCodesPage />} />
         <Route path="/panel-stock-analysis" element={<PanelStockAnalysisPage />} />
         {/* Any authenticated role can view; mutations are gated in-page via RequireRole */}
         <Route path="/doctor-locations" element={<DoctorLocationsPage />} />
+        <Route path="/account" element={<AccountPage />} />
+        <Route path="/trash" element={<TrashPage />} />
+        <Route path="/audit" element={<AuditLogPage />} />
       </Route>
       <Route path="*" element={<NotFoundPage />} />
     </Routes>
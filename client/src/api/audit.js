@@ -0,0 +1,19 @@
+import { apiFetch } from './client.js';
+
+// Admin-only audit log (server/audit/routes.js).
+const base = '/api/audit';
+
+// filters: {actorId, action, entityType, entityId, from, to, limit, offset};
+// blank values are dropped. Returns { entries, total }.
+export function fetchAuditLog(filters = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  }
+  const qs = params.toString();
+  return apiFetch(`${base}${qs ? `?${qs}` : ''}`);
+}
+
+export function fetchAuditActions() {
+  return apiFetch(`${base}/actions`);
+}
@@ -19,3 +19,37 @@ export function me() {
 export function hasUsers() {
   return apiFetch('/api/auth/has-users');
 }
+
+// Signs out the user's other sessions; the current one stays valid.
+export function changePassword(currentPassword, newPassword) {
+  return apiFetch('/api/auth/password', { method: 'POST', body: { currentPassword, newPassword } });
+}
+
+// Active sessions for the signed-in user; the caller's own is flagged current.
+export function fetchMySessions() {
+  return apiFetch('/api/auth/sessions');
+}
+
+export function revokeMySession(sessionId) {
+  return apiFetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+}
+
+// Signs out every other device; returns { revoked }.
+export function revokeOtherSessions() {
+  return apiFetch('/api/auth/sessions', { method: 'DELETE' });
+}
+
+// Personal API tokens for scripts. The plaintext `token` is only present in
+// the create response.
+export function fetchApiTokens() {
+  return apiFetch('/api/auth/tokens');
+}
+
+// payload: {name, scope: 'read'|'write', expiresInDays|null}
+export function createApiToken(payload) {
+  return apiFetch('/api/auth/tokens', { method: 'POST', body: payload });
+}
+
+export function revokeApiToken(tokenId) {
+  return apiFetch(`/api/auth/tokens/${tokenId}`, { method: 'DELETE' });
+}
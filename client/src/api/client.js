@@ -13,11 +13,23 @@ export async function apiFetch(path, { method = 'GET', body, ...opts } = {}) {
   if (res.status === 204) return null;
 
   const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw responseError(res, data);
+  return data;
+}
+
+// For the few non-JSON responses (CSV downloads). Errors still arrive as
+// JSON and are thrown the same way apiFetch throws them.
+export async function apiFetchText(path) {
+  const res = await fetch(path, { credentials: 'include' });
   if (!res.ok) {
-    const error = new Error(data.error || res.statusText || 'Request failed');
-    error.status = res.status;
-    error.details = data.details;
-    throw error;
+    throw responseError(res, await res.json().catch(() => ({})));
   }
-  return data;
+  return res.text();
+}
+
+function responseError(res, data) {
+  const error = new Error(data.error || res.statusText || 'Request failed');
+  error.status = res.status;
+  error.details = data.details;
+  return error;
 }
@@ -0,0 +1,41 @@
+import { apiFetch } from './client.js';
+
+// Embeddable group maps (server/embed/routes.js).
+const base = '/api/embeds';
+
+export function fetchEmbeds() {
+  return apiFetch(base);
+}
+
+// settings: { allowedOrigins: string[], options: { showList, zoom } }
+export function createEmbed(groupType, groupId, settings) {
+  return apiFetch(base, { method: 'POST', body: { groupType, groupId, ...settings } });
+}
+
+export function updateEmbed(id, settings) {
+  return apiFetch(`${base}/${id}`, { method: 'PUT', body: settings });
+}
+
+export function deleteEmbed(id) {
+  return apiFetch(`${base}/${id}`, { method: 'DELETE' });
+}
+
+// No auth, but needs the token the embed page was served with (or the one
+// the last response returned): { title, options, googleMapsApiKey, items, token }.
+export function fetchPublicEmbed(id, token) {
+  return apiFetch(`/api/public/embeds/${encodeURIComponent(id)}`, {
+    headers: { 'X-Embed-Token': token || '' }
+  });
+}
+
+export function embedUrl(embed) {
+  return `${window.location.origin}/embed/${embed.id}`;
+}
+
+export function embedIframeSnippet(embed) {
+  return `<iframe src="${embedUrl(embed)}" title="${embed.groupName}" width="100%" height="480" style="border:0" loading="lazy"></iframe>`;
+}
+
+export function embedScriptSnippet(embed) {
+  return `<script src="${window.location.origin}/embed.js" data-embed-id="${embed.id}" data-height="480" async></script>`;
+}
@@ -1,4 +1,4 @@
-import { apiFetch } from './client.js';
+import { apiFetch, apiFetchText } from './client.js';
 
 // groupType is 'locations' or 'zipcodes' — the server keys all group routes
 // under /api/:groupType/groups with the type as a discriminator.
@@ -16,6 +16,12 @@ export function createGroup(groupType, name, locations = []) {
   return apiFetch(base(groupType), { method: 'POST', body: { name, locations } });
 }
 
+// Full CSV (id, order, coordinates, color, notes, created_at; ZIP groups add
+// zip_code and centroid) that the CSV/XLSX import reads back as-is.
+export function fetchGroupCsv(groupType, groupId) {
+  return apiFetchText(`${base(groupType)}/${groupId}/export.csv`);
+}
+
 export function updateGroup(groupType, groupId, payload) {
   return apiFetch(`${base(groupType)}/${groupId}`, { method: 'PUT', body: payload });
 }
@@ -39,3 +45,71 @@ export function reorderLocations(groupType, groupId, locationIds) {
 export function deleteLocation(groupType, groupId, locationId) {
   return apiFetch(`${base(groupType)}/${groupId}/locations/${locationId}`, { method: 'DELETE' });
 }
+
+// Other users' groups shared with the caller, each with ownerUsername and
+// the caller's permission ('view' | 'edit').
+export function fetchSharedGroups(groupType) {
+  return apiFetch(`${base(groupType)}/shared`);
+}
+
+// Share management is owner-only. grantee is a user id or '*' for everyone.
+export function fetchGroupShares(groupType, groupId) {
+  return apiFetch(`${base(groupType)}/${groupId}/shares`);
+}
+
+export function setGroupShare(groupType, groupId, grantee, permission) {
+  return apiFetch(`${base(groupType)}/${groupId}/shares/${encodeURIComponent(grantee)}`, { method: 'PUT', body: { permission } });
+}
+
+export function deleteGroupShare(groupType, groupId, grantee) {
+  return apiFetch(`${base(groupType)}/${groupId}/shares/${encodeURIComponent(grantee)}`, { method: 'DELETE' });
+}
+
+// Version history, newest first; `before` pages back past that version.
+export function fetchGroupVersions(groupType, groupId, before = null) {
+  return apiFetch(`${base(groupType)}/${groupId}/versions${before ? `?before=${before}` : ''}`);
+}
+
+// One version with its snapshot: { name, customFields, locations }.
+export function fetchGroupVersion(groupType, groupId, version) {
+  return apiFetch(`${base(groupType)}/${groupId}/versions/${version}`);
+}
+
+export function restoreGroupVersion(groupType, groupId, version) {
+  return apiFetch(`${base(groupType)}/${groupId}/versions/${version}/restore`, { method: 'POST' });
+}
+
+// Duplicate, merge and split each create a new group owned by the caller.
+// name is optional for duplicate (defaults to "<name> (copy)").
+export function duplicateGroup(groupType, groupId, name) {
+  return apiFetch(`${base(groupType)}/${groupId}/duplicate`, { method: 'POST', body: name ? { name } : {} });
+}
+
+// dedupeBy: 'none' | 'zip' | 'coordinates'. The response adds `duplicates`,
+// the number of locations dropped.
+export function mergeGroups(groupType, name, groupIds, dedupeBy) {
+  return apiFetch(`${base(groupType)}/merge`, { method: 'POST', body: { name, groupIds, dedupeBy } });
+}
+
+// New ZIP group with the boundaries of the given ZIP codes, in order. The
+// response adds `notFound`, the ZIPs that have no boundary data.
+export function createGroupFromZipCodes(name, zipCodes, color) {
+  return apiFetch(`${base('zipcodes')}/from-zip-codes`, { method: 'POST', body: { name, zipCodes, color } });
+}
+
+// Adds the ZIP codes' boundaries to an existing ZIP group in one call.
+// Resolves to { added, alreadyInGroup, notFound }.
+export function addZipCodesToGroup(groupId, zipCodes, color) {
+  return apiFetch(`${base('zipcodes')}/${groupId}/zip-codes`, { method: 'POST', body: { zipCodes, color } });
+}
+
+// Moves the locations into a new group; resolves to { source, group }.
+export function splitGroup(groupType, groupId, name, locationIds) {
+  return apiFetch(`${base(groupType)}/${groupId}/split`, { method: 'POST', body: { name, locationIds } });
+}
+
+// Suggested visiting order; nothing is saved until reorderLocations.
+// start: { locationId } or { lat, lng }.
+export function planRoute(groupType, groupId, { start, distance, returnToStart }) {
+  return apiFetch(`${base(groupType)}/${groupId}/route-plan`, { method: 'POST', body: { start, distance, returnToStart } });
+}
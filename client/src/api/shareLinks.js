@@ -0,0 +1,28 @@
+import { apiFetch } from './client.js';
+
+// Public read-only share links (server/share/routes.js). Each link carries
+// a `path` (/share/<token>) that opens without signing in.
+const base = '/api/share-links';
+
+export function fetchShareLinks() {
+  return apiFetch(base);
+}
+
+// target: {targetType:'group', groupType, groupId} or
+//         {targetType:'panel_stock', uploadId, specialty}
+export function createShareLink(target, expiresInDays = null) {
+  return apiFetch(base, { method: 'POST', body: { ...target, expiresInDays } });
+}
+
+export function revokeShareLink(id) {
+  return apiFetch(`${base}/${id}`, { method: 'DELETE' });
+}
+
+// No auth: returns { kind, title, subtitle, expiresAt, googleMapsApiKey, items }.
+export function fetchPublicShare(token) {
+  return apiFetch(`/api/public/share/${encodeURIComponent(token)}`);
+}
+
+export function shareLinkUrl(link) {
+  return `${window.location.origin}${link.path}`;
+}
@@ -0,0 +1,19 @@
+import { apiFetch } from './client.js';
+
+// Trash bin (server/trash/routes.js). kind is 'groups', 'locations' or
+// 'uploads'.
+const base = '/api/trash';
+
+// { retentionDays, groups, locations, uploads }, each item with deletedAt
+// and purgeAt.
+export function fetchTrash() {
+  return apiFetch(base);
+}
+
+export function restoreItem(kind, id) {
+  return apiFetch(`${base}/${kind}/${id}/restore`, { method: 'POST' });
+}
+
+export function purgeItem(kind, id) {
+  return apiFetch(`${base}/${kind}/${id}`, { method: 'DELETE' });
+}
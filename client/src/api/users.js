@@ -3,6 +3,12 @@ import { apiFetch } from './client.js';
 // Admin-only user management (server/dwc/routes.js).
 const base = '/api/dwc/users';
 
+// Active users' ids and usernames, readable by any signed-in user (pickers
+// such as group sharing).
+export function fetchUserDirectory() {
+  return apiFetch('/api/users');
+}
+
 export function fetchUsers() {
   return apiFetch(base);
 }
@@ -15,3 +21,31 @@ export function createUser(payload) {
 export function updateUserRole(id, role) {
   return apiFetch(`${base}/${id}/role`, { method: 'PUT', body: { role } });
 }
+
+export function setUserActive(id, isActive) {
+  return apiFetch(`${base}/${id}/active`, { method: 'PATCH', body: { isActive } });
+}
+
+// options: {groupsAction: 'reassign'|'delete', reassignTo}
+export function deleteUser(id, options) {
+  return apiFetch(`${base}/${id}`, { method: 'DELETE', body: options });
+}
+
+// Forces a change at next login and revokes the user's sessions and API tokens;
+// returns { success, revokedSessions, revokedTokens }.
+export function resetUserPassword(id, password) {
+  return apiFetch(`${base}/${id}/password`, { method: 'PUT', body: { password } });
+}
+
+export function fetchUserSessions(id) {
+  return apiFetch(`${base}/${id}/sessions`);
+}
+
+export function revokeUserSession(id, sessionId) {
+  return apiFetch(`${base}/${id}/sessions/${sessionId}`, { method: 'DELETE' });
+}
+
+// Signs the user out everywhere; returns { revoked }.
+export function revokeUserSessions(id) {
+  return apiFetch(`${base}/${id}/sessions`, { method: 'DELETE' });
+}
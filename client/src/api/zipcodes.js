@@ -17,3 +17,19 @@ export function lookupZipsBatch(zipCodes) {
 export function fetchZipColors() {
   return apiFetch('/api/zipcodes/colors');
 }
+
+// Seeded ZIPs whose center is within `miles` of a point ({ point: {lat,lng} })
+// or of any location in a group ({ groupId, groupType }). distance is
+// 'straight' or 'road'. Returns { miles, distance, zipCodes: [{ zipCode,
+// miles, nearestId }] }, nearest first.
+export function findZipsWithinRadius({ miles, distance, point, groupId, groupType }) {
+  return apiFetch('/api/zipcodes/within-radius', { method: 'POST', body: { miles, distance, point, groupId, groupType } });
+}
+
+// Seeded ZIP codes inside a drawn area (GeoJSON Polygon string). match
+// 'centroid' takes ZIPs whose center is inside, 'area' those with at least
+// minAreaPercent of their area inside. Returns { match, minAreaPercent,
+// zipCodes: [{ zipCode, share? }] }.
+export function findZipsInArea({ area, match, minAreaPercent }) {
+  return apiFetch('/api/zipcodes/in-area', { method: 'POST', body: { area, match, minAreaPercent } });
+}
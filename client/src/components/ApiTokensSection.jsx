@@ -0,0 +1,179 @@
+import { useEffect, useState } from 'react';
+import { Copy, X } from 'react-feather';
+import { usePopups } from '../context/PopupContext.jsx';
+import * as authApi from '../api/auth.js';
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+const inputClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : '—';
+}
+
+// Personal API tokens on the Account page: create (the secret is shown once,
+// right after creation), list, and revoke. Scripts send the token as
+// `Authorization: Bearer <token>`.
+export default function ApiTokensSection() {
+  const { showPopup } = usePopups();
+  const [tokens, setTokens] = useState(null);
+  const [form, setForm] = useState({ name: '', scope: 'read', expiresInDays: '90' });
+  const [submitting, setSubmitting] = useState(false);
+  const [createdToken, setCreatedToken] = useState(null);
+
+  useEffect(() => {
+    authApi.fetchApiTokens()
+      .then(setTokens)
+      .catch((error) => {
+        console.error('Error fetching API tokens:', error);
+        showPopup('error', 'Failed to load your API tokens.', 'Load Failed');
+        setTokens([]);
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (!form.name.trim() || submitting) return;
+    setSubmitting(true);
+    try {
+      const { token, ...created } = await authApi.createApiToken({
+        name: form.name.trim(),
+        scope: form.scope,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null
+      });
+      setTokens((list) => [created, ...(list || [])]);
+      setCreatedToken(token);
+      setForm({ name: '', scope: 'read', expiresInDays: '90' });
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      showPopup('error', `Failed to create token: ${error.message}`, 'Create Failed');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function handleRevoke(token) {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await authApi.revokeApiToken(token.id);
+      setTokens((list) => list.filter((t) => t.id !== token.id));
+      showPopup('success', 'API token revoked.', 'Token Revoked');
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      showPopup('error', `Failed to revoke token: ${error.message}`, 'Revoke Failed');
+    }
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      showPopup('success', 'Token copied to clipboard.', 'Copied');
+    } catch {
+      showPopup('error', 'Could not copy; select the token and copy it manually.', 'Copy Failed');
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      {createdToken && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-md space-y-2">
+          <p className="text-sm text-green-800">
+            Copy your new token now. It won&apos;t be shown again.
+          </p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 px-2 py-1 bg-white border border-green-200 rounded text-xs break-all select-all">
+              {createdToken}
+            </code>
+            <button onClick={handleCopy} className="text-green-700 hover:text-green-900 p-1" title="Copy token">
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+          <button onClick={() => setCreatedToken(null)} className="text-xs text-green-700 hover:text-green-900">
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          required
+          placeholder="Token name (e.g. ZIP import script)"
+          value={form.name}
+          onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <select
+          value={form.scope}
+          onChange={(e) => setForm((f) => ({ ...f, scope: e.target.value }))}
+          className={inputClass}
+        >
+          <option value="read">Read-only</option>
+          <option value="write">Read-write</option>
+        </select>
+        <select
+          value={form.expiresInDays}
+          onChange={(e) => setForm((f) => ({ ...f, expiresInDays: e.target.value }))}
+          className={inputClass}
+          title="Expires after"
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.label} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="py-1.5 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md focus:outline-none transition-colors disabled:opacity-50"
+        >
+          Create token
+        </button>
+      </form>
+
+      {!tokens ? (
+        <p className="text-xs text-gray-500">Loading tokens...</p>
+      ) : tokens.length === 0 ? (
+        <p className="text-xs text-gray-500">No API tokens.</p>
+      ) : (
+        <div className="space-y-2">
+          {tokens.map((token) => {
+            const expired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+            return (
+              <div key={token.id} className="flex items-start justify-between p-2 border border-gray-200 rounded">
+                <div className="flex-1 min-w-0 text-xs text-gray-600">
+                  <div className="text-sm text-gray-800">
+                    {token.name}
+                    <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 text-xs">
+                      {token.scope === 'write' ? 'read-write' : 'read-only'}
+                    </span>
+                    {expired && (
+                      <span className="ml-1 px-1.5 py-0.5 rounded bg-red-100 text-red-700 text-xs">Expired</span>
+                    )}
+                  </div>
+                  <div className="font-mono">{token.tokenPrefix}…</div>
+                  <div>
+                    Created {formatDate(token.createdAt)} · Expires {token.expiresAt ? formatDate(token.expiresAt) : 'never'} ·
+                    Last used {formatDate(token.lastUsedAt)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(token)}
+                  className="ml-2 text-gray-400 hover:text-red-600 p-1"
+                  title="Revoke token"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,7 +3,10 @@ import { ChevronDown, ChevronUp, RefreshCw } from 'react-feather';
 import DoctorPanel from './DoctorPanel.jsx';
 import RequireRole from './RequireRole.jsx';
 import Button from './Button.jsx';
+import SessionList from './SessionList.jsx';
+import DeleteUserModal from './modals/DeleteUserModal.jsx';
 import { usePopups } from '../context/PopupContext.jsx';
+import { useAuth } from '../context/AuthContext.jsx';
 import * as dwcSyncApi from '../api/dwcSync.js';
 import * as usersApi from '../api/users.js';
 import {
@@ -201,13 +204,117 @@ function LocationListPanel({ engine }) {
 // Manage Users (Admin only): create-account form + role assignment
 // ================================
 
+// Per-user active sessions, loaded when the admin expands a user row.
+function UserSessionsPanel({ user }) {
+  const { showPopup } = usePopups();
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    usersApi.fetchUserSessions(user.id)
+      .then((fetched) => { if (!cancelled) setSessions(fetched); })
+      .catch((error) => {
+        console.error('Error fetching user sessions:', error);
+        showPopup('error', 'Failed to load sessions.', 'Load Failed');
+      });
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user.id]);
+
+  async function handleRevoke(session) {
+    try {
+      await usersApi.revokeUserSession(user.id, session.id);
+      setSessions((list) => list.filter((s) => s.id !== session.id));
+      showPopup('success', `Revoked a session for ${user.username}.`, 'Session Revoked');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      showPopup('error', `Failed to revoke session: ${error.message}`, 'Revoke Failed');
+    }
+  }
+
+  async function handleRevokeAll() {
+    if (!window.confirm(`Sign ${user.username} out of every device?`)) return;
+    try {
+      const { revoked } = await usersApi.revokeUserSessions(user.id);
+      setSessions([]);
+      showPopup('success', `Signed ${user.username} out of ${revoked} session${revoked === 1 ? '' : 's'}.`, 'Sessions Revoked');
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      showPopup('error', `Failed to revoke sessions: ${error.message}`, 'Revoke Failed');
+    }
+  }
+
+  if (!sessions) {
+    return <p className="text-xs text-gray-500 mt-2">Loading sessions...</p>;
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      <SessionList sessions={sessions} onRevoke={handleRevoke} />
+      {sessions.length > 0 && (
+        <button
+          onClick={handleRevokeAll}
+          className="text-xs px-2 py-1 border border-red-200 rounded text-red-700 hover:bg-red-50 focus:outline-none"
+        >
+          Sign out everywhere
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Inline temporary-password form for a user row. The server forces a change
+// at next login and signs the user out everywhere.
+function ResetPasswordForm({ user, onDone }) {
+  const { showPopup } = usePopups();
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!password || submitting) return;
+    setSubmitting(true);
+    try {
+      await usersApi.resetUserPassword(user.id, password);
+      showPopup('success', `${user.username} must choose a new password at next login.`, 'Password Reset');
+      onDone();
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      showPopup('error', `Failed to reset password: ${error.message}`, 'Reset Failed');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 flex items-center space-x-2">
+      <input
+        type="password"
+        required
+        placeholder="Temporary password"
+        autoComplete="new-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className="flex-1 px-2 py-1 text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+      />
+      <Button type="submit" variant="primary" className="text-xs px-2 py-1" disabled={submitting}>
+        Reset
+      </Button>
+    </form>
+  );
+}
+
 function ManageUsersSection() {
   const { showPopup } = usePopups();
+  const { username: currentUsername } = useAuth();
   const [open, setOpen] = useState(false);
   const [users, setUsers] = useState([]);
   const [loaded, setLoaded] = useState(false);
   const [form, setForm] = useState({ username: '', password: '', role: 'staff' });
   const [submitting, setSubmitting] = useState(false);
+  const [sessionsUserId, setSessionsUserId] = useState(null);
+  const [resetUserId, setResetUserId] = useState(null);
+  const [deletingUser, setDeletingUser] = useState(null);
 
   const inputClass = 'block w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
 
@@ -259,6 +366,25 @@ function ManageUsersSection() {
     }
   }
 
+  async function handleActiveToggle(user) {
+    const isActive = user.isActive === false;
+    if (!isActive && !window.confirm(`Deactivate ${user.username}? They will be signed out everywhere.`)) return;
+    try {
+      await usersApi.setUserActive(user.id, isActive);
+      setUsers((list) => list.map((u) => (u.id === user.id ? { ...u, isActive } : u)));
+      showPopup('success', `${user.username} is now ${isActive ? 'active' : 'deactivated'}.`, 'User Updated');
+    } catch (error) {
+      console.error('Error updating user status:', error);
+      showPopup('error', `Failed to update user: ${error.message}`, 'Update Failed');
+    }
+  }
+
+  function handleDeleted() {
+    setDeletingUser(null);
+    // Reassignment changes other users' group counts, so refetch.
+    loadUsers();
+  }
+
   return (
     <div className="border-t border-gray-200 pt-4 mt-6">
       <button
@@ -307,22 +433,70 @@ function ManageUsersSection() {
 
           <div className="space-y-2">
             {users.map((user) => (
-              <div key={user.id} className="flex items-center justify-between p-2 border border-gray-200 rounded">
-                <span className="text-sm text-gray-800 flex-1 break-all">{user.username}</span>
-                <select
-                  value={user.role || 'staff'}
-                  onChange={(e) => handleRoleChange(user, e.target.value)}
-                  className="ml-2 text-xs border border-gray-300 rounded px-1 py-0.5 bg-white text-gray-700 focus:outline-none focus:ring-1 focus:ring-blue-500"
-                >
-                  {ROLES.map((role) => (
-                    <option key={role} value={role}>{role}</option>
-                  ))}
-                </select>
+              <div key={user.id} className="p-2 border border-gray-200 rounded">
+                <div className="flex items-center justify-between">
+                  <span className={`text-sm flex-1 break-all ${user.isActive === false ? 'text-gray-400' : 'text-gray-800'}`}>
+                    {user.username}
+                    {user.isActive === false && (
+                      <span className="ml-1 px-1.5 py-0.5 rounded text-xs bg-gray-200 text-gray-600">Inactive</span>
+                    )}
+                  </span>
+                  <select
+                    value={user.role || 'staff'}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    className="ml-2 text-xs border border-gray-300 rounded px-1 py-0.5 bg-white text-gray-700 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  >
+                    {ROLES.map((role) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="mt-1 flex items-center space-x-3">
+                  <button
+                    onClick={() => setSessionsUserId((id) => (id === user.id ? null : user.id))}
+                    className="text-xs text-blue-600 hover:text-blue-800 focus:outline-none"
+                  >
+                    {sessionsUserId === user.id ? 'Hide sessions' : 'Sessions'}
+                  </button>
+                  <button
+                    onClick={() => setResetUserId((id) => (id === user.id ? null : user.id))}
+                    className="text-xs text-blue-600 hover:text-blue-800 focus:outline-none"
+                  >
+                    {resetUserId === user.id ? 'Cancel reset' : 'Reset password'}
+                  </button>
+                  {user.username !== currentUsername && (
+                    <>
+                      <button
+                        onClick={() => handleActiveToggle(user)}
+                        className="text-xs text-gray-600 hover:text-gray-800 focus:outline-none"
+                      >
+                        {user.isActive === false ? 'Reactivate' : 'Deactivate'}
+                      </button>
+                      <button
+                        onClick={() => setDeletingUser(user)}
+                        className="text-xs text-red-600 hover:text-red-800 focus:outline-none"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+                {resetUserId === user.id && (
+                  <ResetPasswordForm user={user} onDone={() => setResetUserId(null)} />
+                )}
+                {sessionsUserId === user.id && <UserSessionsPanel user={user} />}
               </div>
             ))}
           </div>
         </div>
       )}
+
+      <DeleteUserModal
+        user={deletingUser}
+        users={users}
+        onClose={() => setDeletingUser(null)}
+        onDeleted={handleDeleted}
+      />
     </div>
   );
 }
@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react';
+import { Code, Edit2, X } from 'react-feather';
+import { usePopups } from '../context/PopupContext.jsx';
+import * as embedsApi from '../api/embeds.js';
+
+const ZOOM_OPTIONS = [8, 10, 12, 14, 16];
+
+const EMPTY_FORM = { origins: '', showList: false, zoom: '' };
+
+const inputClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+function toSettings(form) {
+  return {
+    allowedOrigins: form.origins.split(/[\s,]+/).filter(Boolean),
+    options: { showList: form.showList, zoom: form.zoom ? Number(form.zoom) : null }
+  };
+}
+
+function toForm(embed) {
+  return {
+    origins: embed.allowedOrigins.join('\n'),
+    showList: embed.options.showList,
+    zoom: embed.options.zoom ? String(embed.options.zoom) : ''
+  };
+}
+
+// Owner-only embeds of one group for intranet pages: which sites may frame
+// it, whether the item list shows, and an optional fixed zoom. Each embed
+// offers an <iframe> and a <script> snippet; both stay current as the group
+// is edited.
+export default function EmbedsSection({ group, groupType }) {
+  const { showPopup } = usePopups();
+  const [embeds, setEmbeds] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    embedsApi.fetchEmbeds()
+      .then((list) => setEmbeds(list.filter((e) => e.groupId === group.id)))
+      .catch((error) => {
+        console.error('Error fetching embeds:', error);
+        showPopup('error', 'Failed to load embeds.', 'Load Failed');
+        setEmbeds([]);
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [group.id]);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (submitting || !form.origins.trim()) return;
+    setSubmitting(true);
+    try {
+      const settings = toSettings(form);
+      if (editingId) {
+        const embed = await embedsApi.updateEmbed(editingId, settings);
+        setEmbeds((list) => list.map((e) => (e.id === embed.id ? embed : e)));
+      } else {
+        const embed = await embedsApi.createEmbed(groupType, group.id, settings);
+        setEmbeds((list) => [embed, ...(list || [])]);
+      }
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+    } catch (error) {
+      console.error('Error saving embed:', error);
+      const detail = error.details?.[0]?.msg || error.message;
+      showPopup('error', `Failed to save embed: ${detail}`, 'Save Failed');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function copySnippet(snippet) {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      showPopup('success', 'Embed code copied to clipboard.', 'Copied');
+    } catch {
+      showPopup('info', snippet, 'Copy this code');
+    }
+  }
+
+  async function handleDelete(embed) {
+    if (!window.confirm('Delete this embed? Pages using it will stop showing the map.')) return;
+    try {
+      await embedsApi.deleteEmbed(embed.id);
+      setEmbeds((list) => list.filter((e) => e.id !== embed.id));
+      if (editingId === embed.id) {
+        setEditingId(null);
+        setForm(EMPTY_FORM);
+      }
+    } catch (error) {
+      console.error('Error deleting embed:', error);
+      showPopup('error', `Failed to delete embed: ${error.message}`, 'Delete Failed');
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <textarea
+          value={form.origins}
+          onChange={(e) => setForm((f) => ({ ...f, origins: e.target.value }))}
+          placeholder={'Allowed sites, one per line\nhttps://wiki.example.com'}
+          rows={2}
+          className={`${inputClass} w-full`}
+        />
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.showList}
+              onChange={(e) => setForm((f) => ({ ...f, showList: e.target.checked }))}
+              className="mr-1.5 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            Show list
+          </label>
+          <select
+            value={form.zoom}
+            onChange={(e) => setForm((f) => ({ ...f, zoom: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">Fit to items</option>
+            {ZOOM_OPTIONS.map((zoom) => (
+              <option key={zoom} value={zoom}>Fixed zoom {zoom}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!form.origins.trim() || submitting}
+            className="py-1.5 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md focus:outline-none transition-colors disabled:opacity-50"
+          >
+            {editingId ? 'Save' : 'Create embed'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={() => { setEditingId(null); setForm(EMPTY_FORM); }}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {!embeds ? (
+        <p className="text-xs text-gray-500">Loading embeds...</p>
+      ) : embeds.length === 0 ? (
+        <p className="text-xs text-gray-500">No embeds.</p>
+      ) : (
+        <div className="space-y-2">
+          {embeds.map((embed) => (
+            <div key={embed.id} className="p-2 border border-gray-200 rounded">
+              <div className="flex items-start justify-between">
+                <div className="flex-1 min-w-0 text-xs text-gray-600">
+                  <div className="text-gray-800 break-all">{embed.allowedOrigins.join(', ')}</div>
+                  <div>
+                    {embed.options.showList ? 'With list' : 'Map only'} ·{' '}
+                    {embed.options.zoom ? `Zoom ${embed.options.zoom}` : 'Fit to items'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => { setEditingId(embed.id); setForm(toForm(embed)); }}
+                  className="ml-2 text-gray-400 hover:text-blue-600 p-1"
+                  title="Edit embed"
+                >
+                  <Edit2 className="h-4 w-4" />
+                </button>
+                <button onClick={() => handleDelete(embed)} className="text-gray-400 hover:text-red-600 p-1" title="Delete embed">
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+              <div className="mt-1 flex gap-3 text-xs">
+                <button onClick={() => copySnippet(embedsApi.embedIframeSnippet(embed))} className="inline-flex items-center text-blue-600 hover:text-blue-800">
+                  <Code className="h-3 w-3 mr-1" /> Copy iframe
+                </button>
+                <button onClick={() => copySnippet(embedsApi.embedScriptSnippet(embed))} className="inline-flex items-center text-blue-600 hover:text-blue-800">
+                  <Code className="h-3 w-3 mr-1" /> Copy script tag
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
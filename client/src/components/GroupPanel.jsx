@@ -1,19 +1,33 @@
 import { useEffect, useRef, useState } from 'react';
-import { ChevronDown, Plus, X } from 'react-feather';
+import { ChevronDown, Plus, Share2, X } from 'react-feather';
 import { usePopups } from '../context/PopupContext.jsx';
+import ShareGroupModal from './modals/ShareGroupModal.jsx';
+import MergeGroupsModal from './modals/MergeGroupsModal.jsx';
+import SplitGroupModal from './modals/SplitGroupModal.jsx';
+import { unescapeHtml } from '../lib/escapedText.js';
 
 // Port of the custom group dropdown + new-group input (index.html + script.js).
+// Groups other users shared with this one are listed under "Shared with me"
+// with their owner and permission; only owned groups can be shared or deleted.
+// Below it, the selected group can be duplicated, merged with others or split
+// (split needs edit access; the other two only create new groups).
 export default function GroupPanel({ engine, groupType }) {
   const { showPopup } = usePopups();
   const [dropdownOpen, setDropdownOpen] = useState(false);
+  const [sharingGroup, setSharingGroup] = useState(null);
   const [newGroupVisible, setNewGroupVisible] = useState(false);
   const [newGroupName, setNewGroupName] = useState('');
+  const [mergeOpen, setMergeOpen] = useState(false);
+  const [splitOpen, setSplitOpen] = useState(false);
   const containerRef = useRef(null);
   const newGroupInputRef = useRef(null);
 
-  const { visibleGroups, groups, currentGroupId, selectGroup, createGroup, deleteGroup } = engine;
+  const {
+    visibleGroups, sharedGroups, currentGroup: selectedGroup, readOnly, items, versionPreview,
+    selectGroup, createGroup, deleteGroup, duplicateGroup
+  } = engine;
+  const isSavedGroup = Boolean(selectedGroup) && !selectedGroup.name.startsWith('__temp_');
 
-  const selectedGroup = groups.find((g) => g.id === currentGroupId);
   const selectedText = selectedGroup
     ? (selectedGroup.name.startsWith('__temp_') ? 'Temporary Locations' : selectedGroup.name)
     : 'Select a group';
@@ -50,9 +64,26 @@ export default function GroupPanel({ engine, groupType }) {
     }
   }
 
+  function handleShareGroup(e, group) {
+    e.stopPropagation();
+    setDropdownOpen(false);
+    setSharingGroup(group);
+  }
+
+  async function handleDuplicateGroup() {
+    const name = window.prompt('Name for the copy:', `${unescapeHtml(selectedGroup.name)} (copy)`.slice(0, 100));
+    if (name === null) return;
+    try {
+      await duplicateGroup(selectedGroup.id, name.trim());
+    } catch (error) {
+      console.error('Failed to duplicate group:', error);
+      showPopup('error', `Failed to duplicate group: ${error.message}`, 'Duplicate Failed');
+    }
+  }
+
   function handleDeleteGroup(e, group) {
     e.stopPropagation();
-    if (window.confirm(`Are you sure you want to delete the group "${group.name}"? This will also delete all markers in this group.`)) {
+    if (window.confirm(`Are you sure you want to delete the group "${group.name}"? It moves to the Trash with its markers and can be restored from there.`)) {
       deleteGroup(group.id);
     }
   }
@@ -89,7 +120,14 @@ export default function GroupPanel({ engine, groupType }) {
                 >
                   <span className="flex-1 text-sm text-gray-900">{group.name}</span>
                   <button
-                    className="ml-2 text-gray-400 hover:text-red-600 p-1"
+                    className="ml-2 text-gray-400 hover:text-blue-600 p-1"
+                    title="Share group"
+                    onClick={(e) => handleShareGroup(e, group)}
+                  >
+                    <Share2 className="h-4 w-4" />
+                  </button>
+                  <button
+                    className="text-gray-400 hover:text-red-600 p-1"
                     title="Delete group"
                     onClick={(e) => handleDeleteGroup(e, group)}
                   >
@@ -97,6 +135,31 @@ export default function GroupPanel({ engine, groupType }) {
                   </button>
                 </div>
               ))}
+              {sharedGroups.length > 0 && (
+                <>
+                  <div className="px-3 pt-2 pb-1 text-xs font-medium text-gray-500 uppercase border-t border-gray-200">
+                    Shared with me
+                  </div>
+                  {sharedGroups.map((group) => (
+                    <div
+                      key={group.id}
+                      className="flex items-center justify-between px-3 py-2 hover:bg-gray-50 cursor-pointer"
+                      onClick={() => {
+                        setDropdownOpen(false);
+                        selectGroup(group.id);
+                      }}
+                    >
+                      <span className="flex-1 text-sm text-gray-900">
+                        {group.name}
+                        <span className="block text-xs text-gray-500">{group.ownerUsername || 'deleted user'}</span>
+                      </span>
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 text-xs">
+                        {group.permission === 'edit' ? 'can edit' : 'view only'}
+                      </span>
+                    </div>
+                  ))}
+                </>
+              )}
             </div>
           )}
         </div>
@@ -108,6 +171,34 @@ export default function GroupPanel({ engine, groupType }) {
           <Plus className="h-4 w-4" />
         </button>
       </div>
+      {isSavedGroup && !versionPreview && (
+        <div className="flex space-x-2 mt-2">
+          <button
+            onClick={handleDuplicateGroup}
+            className="flex-1 text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+            title="Copy this group with its locations and fields"
+          >
+            Duplicate
+          </button>
+          <button
+            onClick={() => setMergeOpen(true)}
+            className="flex-1 text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+            title="Combine groups into a new one"
+          >
+            Merge
+          </button>
+          {!readOnly && (
+            <button
+              onClick={() => setSplitOpen(true)}
+              disabled={items.length === 0}
+              className="flex-1 text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Move some locations into a new group"
+            >
+              Split
+            </button>
+          )}
+        </div>
+      )}
       {newGroupVisible && (
         <input
           ref={newGroupInputRef}
@@ -119,11 +210,19 @@ export default function GroupPanel({ engine, groupType }) {
           placeholder="Enter group name and press Enter"
         />
       )}
+      {readOnly && (
+        <p className="text-xs text-amber-700 mt-1">
+          Shared with you view-only by {selectedGroup?.ownerUsername || 'another user'}.
+        </p>
+      )}
       <p className="text-xs text-gray-500 mt-1">
         {groupType === 'zipcodes'
           ? 'Create a group first, then add ZIP codes to it.'
           : 'Create a group first, then search for locations to add.'}
       </p>
+      <ShareGroupModal group={sharingGroup} groupType={groupType} onClose={() => setSharingGroup(null)} />
+      <MergeGroupsModal engine={engine} groupType={groupType} open={mergeOpen} onClose={() => setMergeOpen(false)} />
+      <SplitGroupModal engine={engine} open={splitOpen} onClose={() => setSplitOpen(false)} />
     </div>
   );
 }
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronUp, Layers } from 'react-feather';
+import { unescapeHtml } from '../lib/escapedText.js';
+
+// Shows other groups on the map next to the current one. Each row toggles
+// a group's layer, sets its opacity and moves it up or down the draw order
+// (top of the list draws on top). The current group is always shown and
+// stays editable; the others are read-only.
+export default function LayerPanel({ engine }) {
+  const { layerRows, setLayerVisible, setLayerOpacity, moveLayer } = engine;
+  const [expanded, setExpanded] = useState(false);
+
+  const rows = layerRows.filter((row) => row.group);
+  if (rows.length < 2) return null;
+
+  const shownCount = rows.filter((row) => row.visible || row.isCurrent).length;
+
+  return (
+    <div className="border-t border-gray-200 pt-4 mt-6">
+      <button
+        onClick={() => setExpanded((value) => !value)}
+        className="w-full flex items-center justify-between text-sm font-medium text-gray-900 focus:outline-none"
+      >
+        <span className="flex items-center">
+          <Layers className="h-4 w-4 mr-2 text-gray-500" />
+          Layers
+          <span className="ml-2 text-xs font-normal text-gray-500">{shownCount} shown</span>
+        </span>
+        {expanded ? <ChevronUp className="h-4 w-4 text-gray-400" /> : <ChevronDown className="h-4 w-4 text-gray-400" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-3 space-y-2">
+          {rows.map((row, index) => {
+            const shown = row.visible || row.isCurrent;
+            return (
+              <div key={row.groupId} className={`p-2 rounded border ${row.isCurrent ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}`}>
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={shown}
+                    disabled={row.isCurrent}
+                    title={row.isCurrent ? 'The group you are editing is always shown' : 'Show on the map'}
+                    onChange={(e) => setLayerVisible(row.groupId, e.target.checked)}
+                  />
+                  <span className="flex-1 min-w-0 text-sm text-gray-700 truncate" title={unescapeHtml(row.group.name)}>
+                    {unescapeHtml(row.group.name)}
+                    {row.isCurrent && <span className="ml-1 text-xs text-blue-700">(editing)</span>}
+                  </span>
+                  <button
+                    onClick={() => moveLayer(row.groupId, -1)}
+                    disabled={index === 0}
+                    className="p-0.5 text-gray-400 hover:text-gray-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title="Draw above the layer before it"
+                  >
+                    <ChevronUp className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => moveLayer(row.groupId, 1)}
+                    disabled={index === rows.length - 1}
+                    className="p-0.5 text-gray-400 hover:text-gray-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title="Draw below the layer after it"
+                  >
+                    <ChevronDown className="h-4 w-4" />
+                  </button>
+                </div>
+                {shown && (
+                  <div className="flex items-center mt-1 pl-5">
+                    <span className="text-xs text-gray-500 mr-2">Opacity</span>
+                    <input
+                      type="range"
+                      min="10"
+                      max="100"
+                      step="10"
+                      value={Math.round(row.opacity * 100)}
+                      onChange={(e) => setLayerOpacity(row.groupId, Number(e.target.value) / 100)}
+                      className="flex-1"
+                    />
+                    <span className="text-xs text-gray-500 w-9 text-right">{Math.round(row.opacity * 100)}%</span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
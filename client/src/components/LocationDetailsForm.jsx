@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { unescapeHtml } from '../lib/escapedText.js';
+
+const inputClass = 'w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+function toDraft(customFields, customValues) {
+  const draft = {};
+  customFields.forEach((field) => {
+    const value = (customValues || {})[field.id];
+    draft[field.id] = value === undefined || value === null ? '' : String(value);
+  });
+  return draft;
+}
+
+// Title, notes and custom field values for one location, inline under its
+// marker list entry. The info window has a plain-DOM twin
+// (lib/infoWindowContent). onRegeocode (markers only) looks up the title as
+// typed and moves the marker there.
+export default function LocationDetailsForm({ title, customFields, notes, customValues, onSave, onRegeocode, onCancel }) {
+  const [titleDraft, setTitleDraft] = useState(() => unescapeHtml(title));
+  const [notesDraft, setNotesDraft] = useState(notes || '');
+  const [values, setValues] = useState(() => toDraft(customFields, customValues));
+  const [saving, setSaving] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    const saved = await onSave({ title: titleDraft.trim(), notes: notesDraft.trim(), customValues: values });
+    setSaving(false);
+    if (saved) onCancel();
+  }
+
+  async function handleRegeocode() {
+    setSaving(true);
+    await onRegeocode(titleDraft.trim());
+    setSaving(false);
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-1 mb-2 p-2 bg-gray-50 border border-gray-200 rounded space-y-2">
+      <label className="block text-xs text-gray-600">
+        Title
+        <input
+          type="text"
+          required
+          maxLength={200}
+          value={titleDraft}
+          onChange={(e) => setTitleDraft(e.target.value)}
+          className={inputClass}
+        />
+      </label>
+      <label className="block text-xs text-gray-600">
+        Notes
+        <textarea
+          rows={2}
+          maxLength={1000}
+          value={notesDraft}
+          onChange={(e) => setNotesDraft(e.target.value)}
+          className={inputClass}
+        />
+      </label>
+      {customFields.map((field) => (
+        <label key={field.id} className="block text-xs text-gray-600">
+          {field.name}
+          {field.type === 'select' ? (
+            <select
+              value={values[field.id]}
+              onChange={(e) => setValues((v) => ({ ...v, [field.id]: e.target.value }))}
+              className={`${inputClass} bg-white`}
+            >
+              <option value="">(none)</option>
+              {field.options.map((option) => <option key={option} value={option}>{option}</option>)}
+            </select>
+          ) : (
+            <input
+              type={field.type}
+              step={field.type === 'number' ? 'any' : undefined}
+              maxLength={field.type === 'text' ? 500 : undefined}
+              value={values[field.id]}
+              onChange={(e) => setValues((v) => ({ ...v, [field.id]: e.target.value }))}
+              className={inputClass}
+            />
+          )}
+        </label>
+      ))}
+      <div className="flex justify-end space-x-2">
+        {onRegeocode && (
+          <button
+            type="button"
+            onClick={handleRegeocode}
+            disabled={saving || !titleDraft.trim()}
+            className="mr-auto text-xs px-2 py-1 border border-gray-300 rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            title="Look up the title as an address and move the marker there"
+          >
+            Re-geocode
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="text-xs px-2 py-1 rounded text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
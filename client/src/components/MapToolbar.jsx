@@ -1,9 +1,12 @@
 import { useState } from 'react';
-import { ChevronDown, Loader, Plus, Save, Search, Upload } from 'react-feather';
+import { ChevronDown, FileText, Loader, Plus, Save, Search, Upload } from 'react-feather';
 import { usePopups } from '../context/PopupContext.jsx';
+import LassoModal from './modals/LassoModal.jsx';
 
 // The collapsible "Map Options" section: search input, color swatches,
-// and the Add Marker / Bulk Add / Save temp action buttons.
+// the shape drawing tools (plus the lasso for picking ZIP codes on the ZIP
+// page), the clustering switch and the Add Marker / Bulk Add / Save temp
+// action buttons.
 
 // Tailwind-500 palette hexes matching the legacy swatch classes; the legacy
 // code sent the swatch's computed background color to the API.
@@ -20,13 +23,53 @@ const SWATCHES = [
   { class: 'bg-gray-500', hex: '#6b7280' }
 ];
 
+const DRAW_MODES = [
+  { mode: 'polygon', label: 'Polygon', hint: 'Click each corner; double-click or Finish to close the polygon.' },
+  { mode: 'rectangle', label: 'Rectangle', hint: 'Click one corner, then the opposite corner.' },
+  { mode: 'line', label: 'Line', hint: 'Click each point; double-click or Finish to end the line.' },
+  { mode: 'circle', label: 'Circle', hint: 'Click the center, then a point on the edge.' }
+];
+
+const LASSO_HINT = 'Click around the area; double-click or Finish to close it.';
+
+// Hint plus Cancel (and Finish, for shapes closed by hand) while drawing
+function DrawingControls({ hint, drawing, finishDrawing, cancelDrawing }) {
+  const finishable = drawing.mode === 'polygon' || drawing.mode === 'line' || drawing.mode === 'lasso';
+  const canFinish = drawing.points >= (drawing.mode === 'line' ? 2 : 3);
+  return (
+    <>
+      <p className="text-xs text-gray-500 mt-2">{hint} Esc cancels.</p>
+      <div className="flex justify-end space-x-2 mt-2">
+        <button
+          onClick={cancelDrawing}
+          className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+        >
+          Cancel
+        </button>
+        {finishable && (
+          <button
+            onClick={finishDrawing}
+            disabled={!canFinish}
+            className="text-xs px-2 py-1 border border-blue-500 rounded text-white bg-blue-600 hover:bg-blue-700 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Finish
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
+
 export default function MapToolbar({ engine, groupType }) {
   const { showPopup } = usePopups();
   const [open, setOpen] = useState(false);
   const [zipBusy, setZipBusy] = useState(false);
   const isZipPage = groupType === 'zipcodes';
 
-  const { searchInputRef, selectedColor, pickColor, addFromSearch, addZipCode, searchBusy, openBulkModal, hasTemp, tempCount, openSaveTempModal } = engine;
+  const { searchInputRef, selectedColor, pickColor, addFromSearch, addZipCode, searchBusy, openBulkModal, openImportModal, hasTemp, tempCount, openSaveTempModal, clustering, setMarkerClustering,
+    readOnly, drawing, startDrawing, finishDrawing, cancelDrawing } = engine;
+  const activeDrawMode = drawing && DRAW_MODES.find((entry) => entry.mode === drawing.mode);
+  const lassoActive = drawing?.mode === 'lasso';
 
   async function handleSearchKeyDown(e) {
     if (e.key !== 'Enter') return;
@@ -105,6 +148,67 @@ export default function MapToolbar({ engine, groupType }) {
             <p className="text-xs text-gray-500 mt-2">Select a marker first, then choose a color to update it.</p>
           </div>
 
+          {/* Drawing shapes */}
+          {!readOnly && (
+            <div className="bg-white border border-gray-200 rounded-md p-3">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Draw Shape</label>
+              <div className="grid grid-cols-4 gap-1">
+                {DRAW_MODES.map((entry) => (
+                  <button
+                    key={entry.mode}
+                    onClick={() => (drawing?.mode === entry.mode ? cancelDrawing() : startDrawing(entry.mode))}
+                    className={`text-xs px-1 py-1 border rounded focus:outline-none ${
+                      drawing?.mode === entry.mode ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-600 hover:text-gray-800 hover:bg-gray-50'
+                    }`}
+                  >
+                    {entry.label}
+                  </button>
+                ))}
+              </div>
+              {activeDrawMode ? (
+                <DrawingControls hint={activeDrawMode.hint} drawing={drawing} finishDrawing={finishDrawing} cancelDrawing={cancelDrawing} />
+              ) : (
+                <p className="text-xs text-gray-500 mt-2">Shapes use the color above and are saved to the current group. Use Move to edit their vertices.</p>
+              )}
+            </div>
+          )}
+
+          {/* ZIP lasso */}
+          {isZipPage && (
+            <div className="bg-white border border-gray-200 rounded-md p-3">
+              <div className="flex items-center justify-between">
+                <label className="text-sm font-medium text-gray-700">Select ZIPs by Area</label>
+                <button
+                  onClick={() => (lassoActive ? cancelDrawing() : startDrawing('lasso'))}
+                  className={`text-xs px-2 py-1 border rounded focus:outline-none ${
+                    lassoActive ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-600 hover:text-gray-800 hover:bg-gray-50'
+                  }`}
+                >
+                  Lasso
+                </button>
+              </div>
+              {lassoActive ? (
+                <DrawingControls hint={LASSO_HINT} drawing={drawing} finishDrawing={finishDrawing} cancelDrawing={cancelDrawing} />
+              ) : (
+                <p className="text-xs text-gray-500 mt-2">Draw around an area to list the ZIP codes inside it and add them all to the group at once.</p>
+              )}
+            </div>
+          )}
+
+          {/* Clustering */}
+          <div className="bg-white border border-gray-200 rounded-md p-3">
+            <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={clustering}
+                onChange={(e) => setMarkerClustering(e.target.checked)}
+              />
+              Cluster nearby markers
+            </label>
+            <p className="text-xs text-gray-500 mt-1">Groups close markers into count bubbles until you zoom in. Click a bubble to expand it.</p>
+          </div>
+
           {/* Action buttons */}
           <div className="space-y-2">
             {!isZipPage && (
@@ -124,6 +228,12 @@ export default function MapToolbar({ engine, groupType }) {
             >
               <Upload className="mr-2 h-4 w-4" /> Bulk Add
             </button>
+            <button
+              onClick={openImportModal}
+              className="w-full inline-flex justify-center items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+            >
+              <FileText className="mr-2 h-4 w-4" /> Import CSV/XLSX
+            </button>
             {hasTemp && (
               <button
                 onClick={openSaveTempModal}
@@ -137,6 +247,7 @@ export default function MapToolbar({ engine, groupType }) {
           </div>
         </div>
       )}
+      {isZipPage && <LassoModal engine={engine} />}
     </div>
   );
 }
@@ -1,20 +1,40 @@
-import { useState } from 'react';
-import { X } from 'react-feather';
+import { Fragment, useState } from 'react';
+import { Edit2, X } from 'react-feather';
+import LocationDetailsForm from './LocationDetailsForm.jsx';
+import CustomFieldsModal from './modals/CustomFieldsModal.jsx';
+import GroupHistoryModal from './modals/GroupHistoryModal.jsx';
+import RoutePlanModal from './modals/RoutePlanModal.jsx';
+import RadiusModal from './modals/RadiusModal.jsx';
+import { filledCustomValues, formatCustomValue } from '../lib/customFields.js';
 
 // "Your Markers" section: See All, fine zoom, and the draggable marker list.
 // Drag-reorder is native HTML5 DnD ported from script.js:1818-1896
 // (markers reorder; ZIP polygons are listed but not draggable, as before).
-export default function MarkerListPanel({ engine }) {
+// Each entry shows its custom field values and expands into a title/notes/
+// fields editor; "Move" lets markers be dragged and shapes reshaped by
+// their vertices on the map, "Route" plans
+// a visiting order and "Radius" draws rings and finds nearby ZIP codes. View-only shared groups get no dragging, editing or
+// delete buttons, but can still browse the group's history and plan routes.
+export default function MarkerListPanel({ engine, groupType }) {
   const {
     items, selectedLocationId, selectItemFromList, deleteItem, reorderMarkers,
-    currentGroupId, fitMapToMarkers, fineZoomIn, fineZoomOut, zoomDisplay
+    currentGroupId, tempGroupId, readOnly, fitMapToMarkers, fineZoomIn, fineZoomOut, zoomDisplay,
+    customFields, saveLocationDetails, moveMode, toggleMoveMode, regeocodeLocation, hasVisibleLocations, versionPreview
   } = engine;
 
   const [dragIndex, setDragIndex] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [fieldsOpen, setFieldsOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [routeOpen, setRouteOpen] = useState(false);
+  const [radiusOpen, setRadiusOpen] = useState(false);
 
   const markerItems = items.filter((item) => item.kind === 'marker');
-  const seeAllDisabled = !currentGroupId || items.length === 0;
+  const seeAllDisabled = !hasVisibleLocations;
+  const hasHistory = Boolean(currentGroupId) && currentGroupId !== tempGroupId;
+  const canPlanRoute = Boolean(currentGroupId) && !versionPreview && markerItems.length >= 2;
+  const hasRadius = Boolean(currentGroupId) && !versionPreview && items.length > 0;
 
   function handleDrop(e, targetIndex) {
     e.stopPropagation();
@@ -27,31 +47,64 @@ export default function MarkerListPanel({ engine }) {
 
   function renderItem(item, index, draggable) {
     const isSelected = item.locationId === selectedLocationId;
+    const summary = filledCustomValues(customFields, item.customValues)
+      .map(({ field, value }) => formatCustomValue(field, value))
+      .join(' · ');
     return (
-      <div
-        key={item.locationId}
-        className={`marker-list-item${isSelected ? ' selected active' : ''}${dragIndex === index && draggable ? ' dragging' : ''}${dragOverIndex === index && draggable && dragIndex !== index ? ' drag-over' : ''}`}
-        draggable={draggable}
-        onDragStart={draggable ? () => setDragIndex(index) : undefined}
-        onDragOver={draggable ? (e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; } : undefined}
-        onDragEnter={draggable ? () => setDragOverIndex(index) : undefined}
-        onDragLeave={draggable ? () => setDragOverIndex((i) => (i === index ? null : i)) : undefined}
-        onDrop={draggable ? (e) => handleDrop(e, index) : undefined}
-        onDragEnd={draggable ? () => { setDragIndex(null); setDragOverIndex(null); } : undefined}
-        onClick={(e) => {
-          if (!e.target.closest('button')) {
-            selectItemFromList(item.locationId);
-          }
-        }}
-      >
-        <div className="marker-numbered-color-indicator" style={{ backgroundColor: item.color }}>
-          {item.number}
+      <Fragment key={item.locationId}>
+        <div
+          className={`marker-list-item${isSelected ? ' selected active' : ''}${dragIndex === index && draggable ? ' dragging' : ''}${dragOverIndex === index && draggable && dragIndex !== index ? ' drag-over' : ''}`}
+          draggable={draggable}
+          onDragStart={draggable ? () => setDragIndex(index) : undefined}
+          onDragOver={draggable ? (e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; } : undefined}
+          onDragEnter={draggable ? () => setDragOverIndex(index) : undefined}
+          onDragLeave={draggable ? () => setDragOverIndex((i) => (i === index ? null : i)) : undefined}
+          onDrop={draggable ? (e) => handleDrop(e, index) : undefined}
+          onDragEnd={draggable ? () => { setDragIndex(null); setDragOverIndex(null); } : undefined}
+          onClick={(e) => {
+            if (!e.target.closest('button')) {
+              selectItemFromList(item.locationId);
+            }
+          }}
+        >
+          <div className="marker-numbered-color-indicator" style={{ backgroundColor: item.color }}>
+            {item.number}
+          </div>
+          <span className="text-sm text-gray-700 flex-1 min-w-0">
+            {item.title}
+            {(summary || item.notes) && (
+              <span className="block text-xs text-gray-500 truncate" title={item.notes || undefined}>
+                {summary || item.notes}
+              </span>
+            )}
+          </span>
+          {!readOnly && (
+            <button
+              className="text-gray-400 hover:text-gray-600 mr-1"
+              title="Edit notes and fields"
+              onClick={() => setEditingId((id) => (id === item.locationId ? null : item.locationId))}
+            >
+              <Edit2 className="h-4 w-4" />
+            </button>
+          )}
+          {!readOnly && (
+            <button className="text-gray-400 hover:text-gray-600" onClick={() => deleteItem(item.locationId)}>
+              <X className="h-4 w-4" />
+            </button>
+          )}
         </div>
-        <span className="text-sm text-gray-700 flex-1">{item.title}</span>
-        <button className="text-gray-400 hover:text-gray-600" onClick={() => deleteItem(item.locationId)}>
-          <X className="h-4 w-4" />
-        </button>
-      </div>
+        {editingId === item.locationId && (
+          <LocationDetailsForm
+            title={item.title}
+            customFields={customFields}
+            notes={item.notes}
+            customValues={item.customValues}
+            onSave={(details) => saveLocationDetails(item.locationId, details)}
+            onRegeocode={item.kind === 'marker' ? (address) => regeocodeLocation(item.locationId, address) : undefined}
+            onCancel={() => setEditingId(null)}
+          />
+        )}
+      </Fragment>
     );
   }
 
@@ -60,11 +113,58 @@ export default function MarkerListPanel({ engine }) {
       <div className="flex items-center justify-between mb-3">
         <h3 className="text-sm font-medium text-gray-900">Your Markers</h3>
         <div className="flex items-center space-x-2">
+          {currentGroupId && !readOnly && (
+            <button
+              onClick={toggleMoveMode}
+              className={`text-xs px-2 py-1 border rounded focus:outline-none ${
+                moveMode ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-600 hover:text-gray-800 hover:bg-gray-50'
+              }`}
+              title={moveMode ? 'Stop moving markers and editing shapes' : 'Drag markers, or the vertices of shapes, on the map to move them'}
+            >
+              {moveMode ? 'Done moving' : 'Move'}
+            </button>
+          )}
+          {currentGroupId && !readOnly && (
+            <button
+              onClick={() => setFieldsOpen(true)}
+              className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+              title="Define custom fields for this group"
+            >
+              Fields
+            </button>
+          )}
+          {canPlanRoute && (
+            <button
+              onClick={() => setRouteOpen(true)}
+              className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+              title="Plan a visiting order for these markers"
+            >
+              Route
+            </button>
+          )}
+          {hasRadius && (
+            <button
+              onClick={() => setRadiusOpen(true)}
+              className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+              title="Draw radius rings and find ZIP codes nearby"
+            >
+              Radius
+            </button>
+          )}
+          {hasHistory && (
+            <button
+              onClick={() => setHistoryOpen(true)}
+              className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+              title="View and restore past versions of this group"
+            >
+              History
+            </button>
+          )}
           <button
             onClick={fitMapToMarkers}
             disabled={seeAllDisabled}
             className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
-            title="Zoom to show all markers"
+            title="Zoom to show all markers, including other visible layers"
           >
             See All
           </button>
@@ -96,9 +196,13 @@ export default function MarkerListPanel({ engine }) {
       </div>
 
       <div className="space-y-2">
-        {markerItems.map((item) => renderItem(item, markerItems.indexOf(item), true))}
+        {markerItems.map((item) => renderItem(item, markerItems.indexOf(item), !readOnly))}
         {items.filter((i) => i.kind === 'polygon').map((item) => renderItem(item, -1, false))}
       </div>
+      <CustomFieldsModal engine={engine} open={fieldsOpen} onClose={() => setFieldsOpen(false)} />
+      <GroupHistoryModal engine={engine} groupType={groupType} open={historyOpen} onClose={() => setHistoryOpen(false)} />
+      <RoutePlanModal engine={engine} open={routeOpen} onClose={() => setRouteOpen(false)} />
+      <RadiusModal engine={engine} open={radiusOpen} onClose={() => setRadiusOpen(false)} />
     </div>
   );
 }
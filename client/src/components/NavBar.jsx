@@ -1,14 +1,14 @@
-import { useLocation, useNavigate } from 'react-router-dom';
-import { LogOut, Map as MapIcon, Sidebar as SidebarIcon } from 'react-feather';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { LogOut, Map as MapIcon, Sidebar as SidebarIcon, User } from 'react-feather';
 import { useAuth } from '../context/AuthContext.jsx';
 import { useShell } from '../context/ShellContext.jsx';
 import NavMenu from './NavMenu.jsx';
 
 export default function NavBar() {
-  const { logout } = useAuth();
+  const { username, logout } = useAuth();
   const navigate = useNavigate();
   const { pathname } = useLocation();
-  const { toggleSidebar } = useShell();
+  const { toggleSidebar, navHandlers } = useShell();
 
   const onMapPage =
     pathname === '/' ||
@@ -16,6 +16,13 @@ export default function NavBar() {
     pathname.startsWith('/panel-stock-analysis') ||
     pathname.startsWith('/doctor-locations');
 
+  // Same unsaved-temp-addresses guard NavMenu applies to its route links
+  function guardNavigation(e) {
+    if (navHandlers.confirmLeave && !navHandlers.confirmLeave()) {
+      e.preventDefault();
+    }
+  }
+
   async function handleLogout() {
     await logout();
     navigate('/login');
@@ -31,6 +38,14 @@ export default function NavBar() {
         </div>
         <div className="nav-spacer"></div>
         <div className="nav-controls-area">
+          <Link
+            to="/account"
+            onClick={guardNavigation}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-gray-700 hover:bg-gray-50 focus:outline-none transition-all"
+            title="Account settings"
+          >
+            <User className="mr-1 h-4 w-4" /> <span>{username}</span>
+          </Link>
           <button
             onClick={handleLogout}
             className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none transition-all"
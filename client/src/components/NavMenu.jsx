@@ -1,19 +1,27 @@
 import { useEffect, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { Camera, Download, Grid, Map as MapIcon, MapPin, Menu, RefreshCw, Users } from 'react-feather';
+import { Camera, Download, FileText, Grid, Map as MapIcon, MapPin, Menu, RefreshCw, Trash2, Upload, Users } from 'react-feather';
 import { useShell } from '../context/ShellContext.jsx';
+import { useAuth } from '../context/AuthContext.jsx';
 
 const ROUTES = [
   { to: '/zipcodes', label: 'Zip Code Outline', Icon: MapIcon },
   { to: '/', label: 'Multiple Location Mapping', Icon: MapPin },
   { to: '/panel-stock-analysis', label: 'Panel Stock Analysis', Icon: Grid },
-  { to: '/doctor-locations', label: 'Doctor DWC Locations', Icon: Users }
+  { to: '/doctor-locations', label: 'Doctor DWC Locations', Icon: Users },
+  { to: '/trash', label: 'Trash', Icon: Trash2 }
+];
+
+// Extra entries shown only to Admins (the server enforces the same rule).
+const ADMIN_ROUTES = [
+  { to: '/audit', label: 'Audit Log', Icon: FileText }
 ];
 
 // Left hamburger popover: route entries plus the active page's Screenshot /
 // Export actions (present only when the page registered handlers).
 export default function NavMenu() {
   const { navHandlers } = useShell();
+  const { role } = useAuth();
   const [open, setOpen] = useState(false);
   const containerRef = useRef(null);
 
@@ -48,7 +56,7 @@ export default function NavMenu() {
     action();
   }
 
-  const hasActions = navHandlers.onScreenshot || navHandlers.onExport || navHandlers.onOpenSync;
+  const hasActions = navHandlers.onScreenshot || navHandlers.onExport || navHandlers.onImport || navHandlers.onOpenSync;
 
   return (
     <div ref={containerRef} className="relative">
@@ -63,7 +71,7 @@ export default function NavMenu() {
 
       {open && (
         <div className="absolute left-0 top-full mt-2 w-64 bg-white border border-gray-200 rounded-md shadow-lg z-50 py-1">
-          {ROUTES.map(({ to, label, Icon }) => (
+          {[...ROUTES, ...(role === 'admin' ? ADMIN_ROUTES : [])].map(({ to, label, Icon }) => (
             <Link
               key={to}
               to={to}
@@ -96,6 +104,15 @@ export default function NavMenu() {
                   <span>Export</span>
                 </button>
               )}
+              {navHandlers.onImport && (
+                <button
+                  onClick={() => runAction(navHandlers.onImport)}
+                  className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  <Upload className="mr-3 h-4 w-4 text-green-600" />
+                  <span>Import GeoJSON / KML</span>
+                </button>
+              )}
               {navHandlers.onOpenSync && (
                 <button
                   onClick={() => runAction(navHandlers.onOpenSync)}
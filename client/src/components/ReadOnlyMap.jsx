@@ -0,0 +1,58 @@
+import { useReadOnlyMap } from '../hooks/useReadOnlyMap.js';
+
+// Read-only map of a public view payload ({ items, googleMapsApiKey }) with
+// an optional item list beside it. Used by share links and embeds; nothing
+// here talks to the authenticated API.
+export default function ReadOnlyMap({ view, showList = true, zoom = null }) {
+  const map = useReadOnlyMap({ items: view.items, apiKey: view.googleMapsApiKey, zoom });
+
+  return (
+    <div className="flex flex-1 min-h-0">
+      <div className="flex-1 relative">
+        {map.mapError ? (
+          <div className="w-full h-full flex items-center justify-center bg-gray-100 text-gray-500">
+            <div className="text-center">
+              <h3 className="font-medium mb-2">Map Unavailable</h3>
+              <p className="text-sm">Unable to load Google Maps.</p>
+            </div>
+          </div>
+        ) : (
+          <div ref={map.mapDivRef} className="w-full h-full" />
+        )}
+      </div>
+
+      {showList && (
+        <div className="w-64 bg-white border-l border-gray-200 flex flex-col">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-medium text-gray-900">
+              {view.items.length} {view.items.length === 1 ? 'item' : 'items'}
+            </h3>
+            <button
+              onClick={map.fitToItems}
+              disabled={view.items.length === 0}
+              className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              See All
+            </button>
+          </div>
+          <div className="flex-1 overflow-y-auto p-2 space-y-1">
+            {view.items.map((item, index) => (
+              <button
+                key={index}
+                onClick={() => map.focusItem(index)}
+                className={`w-full flex items-center text-left px-2 py-1.5 rounded hover:bg-gray-50 ${
+                  map.selectedIndex === index ? 'bg-blue-50' : ''
+                }`}
+              >
+                <span className="marker-numbered-color-indicator" style={{ backgroundColor: item.color }}>
+                  {item.number ?? ''}
+                </span>
+                <span className="text-sm text-gray-700 truncate">{item.title}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,13 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx';
 
 // Gates protected content: nothing renders (so the map never initializes)
-// until /api/auth/me has confirmed the session.
+// until /api/auth/me has confirmed the session. After an Admin password
+// reset the user is held on /account until they choose a new password (the
+// server rejects every other API with 403 meanwhile).
 export default function RequireAuth({ children }) {
-  const { status } = useAuth();
+  const { status, mustChangePassword } = useAuth();
+  const location = useLocation();
 
   if (status === 'loading') {
     return (
@@ -18,5 +21,9 @@ export default function RequireAuth({ children }) {
     return <Navigate to="/login" replace />;
   }
 
+  if (mustChangePassword && location.pathname !== '/account') {
+    return <Navigate to="/account" replace />;
+  }
+
   return children;
 }
@@ -0,0 +1,35 @@
+// Overlay shown at the bottom of the map while a planned route is drawn
+// (engine.planRoute): total distance, and applying the order to the markers.
+export default function RouteBanner({ engine }) {
+  const { route, applyRoute, clearRoute, readOnly } = engine;
+  if (!route) return null;
+
+  const stops = route.order.length;
+  const distanceLabel = route.distance === 'road' ? 'road estimate' : 'straight line';
+
+  return (
+    <div className="absolute bottom-6 left-1/2 -translate-x-1/2 z-10 flex items-center space-x-3 px-4 py-2 bg-white border border-blue-300 rounded-md shadow-lg">
+      <span className="text-sm text-gray-700">
+        Route: <span className="font-medium">{route.totalMiles.toFixed(1)} mi</span>
+        <span className="text-gray-500">
+          {' '}· {stops} {stops === 1 ? 'stop' : 'stops'}{route.returnToStart ? ', round trip' : ''} · {distanceLabel}
+        </span>
+      </span>
+      {!readOnly && (
+        <button
+          onClick={applyRoute}
+          disabled={route.applied}
+          className="text-xs px-2 py-1 border border-blue-500 rounded text-blue-700 bg-blue-50 hover:bg-blue-100 focus:outline-none disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {route.applied ? 'Order applied' : 'Apply as marker order'}
+        </button>
+      )}
+      <button
+        onClick={clearRoute}
+        className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+      >
+        Clear route
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import { X } from 'react-feather';
+
+// Compact browser label from a user-agent string — enough to tell "Chrome on
+// Windows" from "Safari on iPhone" without pulling in a UA parser.
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return [browser || 'Browser', os].filter(Boolean).join(' on ');
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+// Shared by the Account page (own sessions) and the admin Manage Users
+// section (any user's sessions). Revocation is the caller's concern.
+export default function SessionList({ sessions, onRevoke, emptyText = 'No active sessions.' }) {
+  if (sessions.length === 0) {
+    return <p className="text-xs text-gray-500">{emptyText}</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {sessions.map((session) => (
+        <div key={session.id} className="flex items-start justify-between p-2 border border-gray-200 rounded">
+          <div className="flex-1 min-w-0 text-xs text-gray-600">
+            <div className="text-sm text-gray-800" title={session.userAgent || ''}>
+              {describeUserAgent(session.userAgent)}
+              {session.current && (
+                <span className="ml-2 px-1.5 py-0.5 rounded bg-green-100 text-green-700 text-xs">This device</span>
+              )}
+            </div>
+            <div>IP: {session.ipAddress || 'unknown'}</div>
+            <div>Signed in: {formatDateTime(session.createdAt)}</div>
+            <div>Last seen: {formatDateTime(session.lastSeenAt)}</div>
+          </div>
+          <button
+            onClick={() => onRevoke(session)}
+            className="ml-2 text-gray-400 hover:text-red-600 p-1"
+            title={session.current ? 'Sign out this device' : 'Revoke session'}
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useEffect, useState } from 'react';
+import { Copy, X } from 'react-feather';
+import { usePopups } from '../context/PopupContext.jsx';
+import * as shareLinksApi from '../api/shareLinks.js';
+
+const EXPIRY_OPTIONS = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '', label: 'Never' }
+];
+
+const inputClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+function matchesTarget(link, target) {
+  if (link.targetType !== target.targetType) return false;
+  return target.targetType === 'group'
+    ? link.groupId === target.groupId
+    : link.uploadId === target.uploadId && link.specialty === target.specialty;
+}
+
+function describeLink(link) {
+  if (link.targetType === 'group') {
+    return `${link.targetName} (${link.groupType === 'zipcodes' ? 'ZIP group' : 'location group'})`;
+  }
+  return `${link.targetName} - ${link.specialty} (panel stock)`;
+}
+
+// Public read-only links. With a `target` ({targetType:'group', groupType,
+// groupId} or {targetType:'panel_stock', uploadId, specialty}) it creates
+// and lists links for that one view; without one (Account page) it lists
+// every link the user has made. Anyone with a link can open it without an
+// account until it expires or is revoked.
+export default function ShareLinksSection({ target = null }) {
+  const { showPopup } = usePopups();
+  const [links, setLinks] = useState(null);
+  const [expiresInDays, setExpiresInDays] = useState('30');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    shareLinksApi.fetchShareLinks()
+      .then(setLinks)
+      .catch((error) => {
+        console.error('Error fetching share links:', error);
+        showPopup('error', 'Failed to load share links.', 'Load Failed');
+        setLinks([]);
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const visible = (links || []).filter((link) => !target || matchesTarget(link, target));
+
+  async function handleCreate() {
+    if (submitting) return;
+    setSubmitting(true);
+    try {
+      const link = await shareLinksApi.createShareLink(target, expiresInDays ? Number(expiresInDays) : null);
+      setLinks((list) => [link, ...(list || [])]);
+      await copyLink(link);
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      showPopup('error', `Failed to create link: ${error.message}`, 'Create Failed');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function copyLink(link) {
+    try {
+      await navigator.clipboard.writeText(shareLinksApi.shareLinkUrl(link));
+      showPopup('success', 'Link copied to clipboard.', 'Copied');
+    } catch {
+      showPopup('info', shareLinksApi.shareLinkUrl(link), 'Copy this link');
+    }
+  }
+
+  async function handleRevoke(link) {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+    try {
+      await shareLinksApi.revokeShareLink(link.id);
+      setLinks((list) => list.filter((l) => l.id !== link.id));
+      showPopup('success', 'Share link revoked.', 'Link Revoked');
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      showPopup('error', `Failed to revoke link: ${error.message}`, 'Revoke Failed');
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      {target && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+            className={inputClass}
+            title="Expires after"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.value ? `Expires in ${option.label}` : 'Never expires'}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleCreate}
+            disabled={submitting}
+            className="py-1.5 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md focus:outline-none transition-colors disabled:opacity-50"
+          >
+            Create link
+          </button>
+        </div>
+      )}
+
+      {!links ? (
+        <p className="text-xs text-gray-500">Loading links...</p>
+      ) : visible.length === 0 ? (
+        <p className="text-xs text-gray-500">No public links.</p>
+      ) : (
+        <div className="space-y-2">
+          {visible.map((link) => {
+            const expired = link.expiresAt && new Date(link.expiresAt) <= new Date();
+            return (
+              <div key={link.id} className="flex items-start justify-between p-2 border border-gray-200 rounded">
+                <div className="flex-1 min-w-0 text-xs text-gray-600">
+                  {!target && <div className="text-sm text-gray-800 truncate">{describeLink(link)}</div>}
+                  <div>
+                    Created {new Date(link.createdAt).toLocaleDateString()} ·{' '}
+                    {link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}` : 'Never expires'}
+                    {expired && <span className="ml-1 px-1.5 py-0.5 rounded bg-red-100 text-red-700">Expired</span>}
+                  </div>
+                  <div>
+                    Last opened {link.lastAccessedAt ? new Date(link.lastAccessedAt).toLocaleDateString() : 'never'}
+                  </div>
+                </div>
+                <button onClick={() => copyLink(link)} className="ml-2 text-gray-400 hover:text-blue-600 p-1" title="Copy link">
+                  <Copy className="h-4 w-4" />
+                </button>
+                <button onClick={() => handleRevoke(link)} className="text-gray-400 hover:text-red-600 p-1" title="Revoke link">
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import GroupPanel from './GroupPanel.jsx';
 import MapToolbar from './MapToolbar.jsx';
 import MarkerListPanel from './MarkerListPanel.jsx';
+import LayerPanel from './LayerPanel.jsx';
 
 export default function Sidebar({ engine, groupType, open }) {
   return (
@@ -16,7 +17,8 @@ export default function Sidebar({ engine, groupType, open }) {
         <div className="p-4 pb-8 space-y-4">
           <GroupPanel engine={engine} groupType={groupType} />
           <MapToolbar engine={engine} groupType={groupType} />
-          <MarkerListPanel engine={engine} />
+          <LayerPanel engine={engine} />
+          <MarkerListPanel engine={engine} groupType={groupType} />
         </div>
       </div>
     </div>
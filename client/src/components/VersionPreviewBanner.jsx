@@ -0,0 +1,38 @@
+import { unescapeHtml } from '../lib/escapedText.js';
+
+// Overlay shown on the map while a past version of the group is previewed
+// (engine.previewVersion). Editing stays blocked until "Back to current".
+export default function VersionPreviewBanner({ engine }) {
+  const { versionPreview, exitVersionPreview, restoreVersion } = engine;
+  if (!versionPreview) return null;
+
+  const { version, name, createdAt, canRestore } = versionPreview;
+
+  function handleRestore() {
+    if (!window.confirm(`Restore version ${version}? The group's name, fields and locations will be replaced with that version. The current state stays in the history.`)) return;
+    restoreVersion(version);
+  }
+
+  return (
+    <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10 flex items-center space-x-3 px-4 py-2 bg-white border border-blue-300 rounded-md shadow-lg">
+      <span className="text-sm text-gray-700">
+        Viewing <span className="font-medium">version {version}</span> of {unescapeHtml(name)}
+        <span className="text-gray-500"> · {new Date(createdAt).toLocaleString()}</span>
+      </span>
+      {canRestore && (
+        <button
+          onClick={handleRestore}
+          className="text-xs px-2 py-1 border border-blue-500 rounded text-blue-700 bg-blue-50 hover:bg-blue-100 focus:outline-none"
+        >
+          Restore this version
+        </button>
+      )}
+      <button
+        onClick={exitVersionPreview}
+        className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+      >
+        Back to current
+      </button>
+    </div>
+  );
+}
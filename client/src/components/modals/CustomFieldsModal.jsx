@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import { Plus, X } from 'react-feather';
+import Modal from '../Modal.jsx';
+import { FIELD_TYPES } from '../../lib/customFields.js';
+
+const inputClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+// Defines the current group's custom fields (text, number, date or a select
+// list). Field ids are kept across edits so renaming a field keeps its
+// values; removing one hides its values everywhere.
+export default function CustomFieldsModal({ engine, open, onClose }) {
+  const { customFields, saveCustomFields } = engine;
+  const [draft, setDraft] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(customFields.map((field) => ({
+      id: field.id,
+      name: field.name,
+      type: field.type,
+      optionsText: (field.options || []).join(', ')
+    })));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  function updateField(index, changes) {
+    setDraft((fields) => fields.map((field, i) => (i === index ? { ...field, ...changes } : field)));
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    const saved = await saveCustomFields(draft.map(({ id, name, type, optionsText }) => ({
+      ...(id ? { id } : {}),
+      name: name.trim(),
+      type,
+      ...(type === 'select' ? { options: optionsText.split(',').map((o) => o.trim()).filter(Boolean) } : {})
+    })));
+    setSaving(false);
+    if (saved) onClose();
+  }
+
+  const incomplete = draft.some((field) => !field.name.trim() || (field.type === 'select' && !field.optionsText.trim()));
+
+  return (
+    <Modal open={open} onClose={onClose} title="Custom Fields" maxWidth="max-w-lg">
+      <p className="text-sm text-gray-600 mb-3">
+        Fields every location in this group can fill in. They appear in the info window and marker list and are
+        included in exports.
+      </p>
+
+      <div className="space-y-2 mb-3">
+        {draft.length === 0 && <p className="text-xs text-gray-500">No custom fields yet.</p>}
+        {draft.map((field, index) => (
+          <div key={field.id || `new-${index}`} className="p-2 border border-gray-200 rounded space-y-2">
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={field.name}
+                maxLength={50}
+                placeholder="Field name"
+                onChange={(e) => updateField(index, { name: e.target.value })}
+                className={`${inputClass} flex-1`}
+              />
+              <select
+                value={field.type}
+                onChange={(e) => updateField(index, { type: e.target.value })}
+                className={`${inputClass} bg-white`}
+              >
+                {FIELD_TYPES.map((type) => <option key={type.value} value={type.value}>{type.label}</option>)}
+              </select>
+              <button
+                onClick={() => setDraft((fields) => fields.filter((_, i) => i !== index))}
+                className="text-gray-400 hover:text-red-600 p-1"
+                title="Remove field"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            {field.type === 'select' && (
+              <input
+                type="text"
+                value={field.optionsText}
+                placeholder="Options, comma separated"
+                onChange={(e) => updateField(index, { optionsText: e.target.value })}
+                className={`${inputClass} w-full`}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => setDraft((fields) => [...fields, { id: null, name: '', type: 'text', optionsText: '' }])}
+        disabled={draft.length >= 20}
+        className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 mb-4"
+      >
+        <Plus className="h-4 w-4 mr-1" /> Add field
+      </button>
+
+      <div className="flex justify-end space-x-3">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving || incomplete}
+          className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none disabled:opacity-50"
+        >
+          Save Fields
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+import { usePopups } from '../../context/PopupContext.jsx';
+import * as usersApi from '../../api/users.js';
+
+// Permanent account delete from Manage Users. The Admin decides whether the
+// user's location groups and panel stock uploads move to another account or
+// are deleted with it.
+export default function DeleteUserModal({ user, users, onClose, onDeleted }) {
+  const { showPopup } = usePopups();
+  const [groupsAction, setGroupsAction] = useState('reassign');
+  const [reassignTo, setReassignTo] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const candidates = users.filter((u) => user && u.id !== user.id && u.isActive !== false);
+  const ownsData = user && (user.groupCount > 0 || user.uploadCount > 0);
+
+  useEffect(() => {
+    setGroupsAction('reassign');
+    setReassignTo('');
+  }, [user?.id]);
+
+  const canDelete = !submitting && (!ownsData || groupsAction === 'delete' || reassignTo);
+
+  async function handleDelete() {
+    if (!canDelete) return;
+    setSubmitting(true);
+    try {
+      // With nothing to hand over, 'delete' is a no-op for the data.
+      const action = ownsData ? groupsAction : 'delete';
+      await usersApi.deleteUser(user.id, {
+        groupsAction: action,
+        reassignTo: action === 'reassign' ? reassignTo : undefined
+      });
+      showPopup('success', `Deleted ${user.username}.`, 'User Deleted');
+      onDeleted(user);
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      showPopup('error', `Failed to delete user: ${error.message}`, 'Delete Failed');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <Modal open={!!user} onClose={onClose} title="Delete User" maxWidth="max-w-md">
+      {user && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Permanently delete <span className="font-medium">{user.username}</span>? This cannot be undone.
+            Deactivating the account instead keeps everything and only blocks sign-in.
+          </p>
+
+          {ownsData ? (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-700">
+                {user.username} owns {user.groupCount} group{user.groupCount === 1 ? '' : 's'} and{' '}
+                {user.uploadCount} panel stock upload{user.uploadCount === 1 ? '' : 's'}.
+              </p>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  checked={groupsAction === 'reassign'}
+                  onChange={() => setGroupsAction('reassign')}
+                />
+                <span>Reassign them to</span>
+              </label>
+              <select
+                value={reassignTo}
+                disabled={groupsAction !== 'reassign'}
+                onChange={(e) => setReassignTo(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              >
+                <option value="">Choose a user...</option>
+                {candidates.map((u) => (
+                  <option key={u.id} value={u.id}>{u.username}</option>
+                ))}
+              </select>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  checked={groupsAction === 'delete'}
+                  onChange={() => setGroupsAction('delete')}
+                />
+                <span>Delete them too</span>
+              </label>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">{user.username} owns no groups or uploads.</p>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <Button variant="secondary" onClick={onClose}>Cancel</Button>
+            <button
+              onClick={handleDelete}
+              disabled={!canDelete}
+              className="inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md focus:outline-none border border-transparent text-white bg-red-600 hover:bg-red-700 shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Delete User
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -1,11 +1,12 @@
 import { useEffect, useRef, useState } from 'react';
 import { Download, Loader } from 'react-feather';
 import Modal from '../Modal.jsx';
-import { exportGroupsAsZip } from '../../lib/csvExport.js';
+import { EXPORT_FORMATS, exportGroupsAsZip } from '../../lib/csvExport.js';
 import { usePopups } from '../../context/PopupContext.jsx';
 
-// Port of the export modal: pick groups, download each as a CSV inside a ZIP.
-export default function ExportModal({ engine, open, onClose }) {
+// Port of the export modal: pick groups and a format (CSV, GeoJSON or KML),
+// download one file per group inside a ZIP.
+export default function ExportModal({ engine, groupType, open, onClose }) {
   const { showPopup } = usePopups();
   const { fetchGroupsList } = engine;
 
@@ -13,6 +14,7 @@ export default function ExportModal({ engine, open, onClose }) {
   const [exporting, setExporting] = useState(false);
   const [exportableGroups, setExportableGroups] = useState([]);
   const [checked, setChecked] = useState({});
+  const [format, setFormat] = useState('csv');
   const selectAllRef = useRef(null);
 
   // Fetch fresh group data on open so location counts are accurate
@@ -56,7 +58,7 @@ export default function ExportModal({ engine, open, onClose }) {
 
     setExporting(true);
     try {
-      const count = await exportGroupsAsZip(groupsToExport);
+      const count = await exportGroupsAsZip(groupsToExport, format, groupType);
       showPopup('success', `Successfully exported ${count} groups as ZIP file!`, 'Export Complete');
       onClose();
     } catch (error) {
@@ -70,7 +72,21 @@ export default function ExportModal({ engine, open, onClose }) {
   return (
     <Modal open={open} onClose={onClose} title="Export Location Groups" maxWidth="max-w-md">
       <div className="mb-4">
-        <p className="text-sm text-gray-600 mb-3">Select the groups you want to export as CSV files:</p>
+        <div className="flex items-center space-x-4 mb-3">
+          {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+            <label key={key} className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                name="export-format"
+                className="mr-1.5"
+                checked={format === key}
+                onChange={() => setFormat(key)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <p className="text-sm text-gray-600 mb-3">Select the groups you want to export:</p>
 
         <div className="space-y-2 max-h-48 overflow-y-auto border rounded-md p-3 bg-gray-50">
           {loading ? (
@@ -97,7 +113,10 @@ export default function ExportModal({ engine, open, onClose }) {
         </div>
 
         <div className="mt-3 text-xs text-gray-500">
-          Each group will be exported as a separate CSV file in a ZIP archive.
+          Each group will be exported as a separate {EXPORT_FORMATS[format].label} file in a ZIP archive.
+          {format === 'csv'
+            ? ' Includes id, order, coordinates, color, notes and created date (plus ZIP code and centroid for ZIP groups), and can be imported back as-is.'
+            : ' Markers become points and ZIP codes keep their boundaries; color and order are included.'}
         </div>
       </div>
 
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { Loader } from 'react-feather';
+import Modal from '../Modal.jsx';
+import { usePopups } from '../../context/PopupContext.jsx';
+import { readGeoFile } from '../../lib/geoImport.js';
+import * as groupsApi from '../../api/groups.js';
+
+const MAX_LISTED_SKIPS = 100;
+
+function toLocation({ title, lat, lng, color, notes, geometry }) {
+  const location = { title, lat, lng, color };
+  if (notes) location.notes = notes;
+  if (geometry) location.geometry = geometry;
+  return location;
+}
+
+// GeoJSON/KML/KMZ import: points become a location group, polygons a ZIP
+// code group (both named after the file by default), and features that
+// can't be stored are listed before anything is created.
+export default function GeoImportModal({ engine, groupType, open, onClose }) {
+  const { showPopup } = usePopups();
+  const [parsed, setParsed] = useState(null); // { fileName, points, areas, skipped }
+  const [groupName, setGroupName] = useState('');
+  const [fileError, setFileError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  function handleClose() {
+    setParsed(null);
+    setGroupName('');
+    setFileError('');
+    onClose();
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setFileError('');
+    try {
+      const result = await readGeoFile(file);
+      setParsed({ fileName: file.name, ...result });
+      setGroupName(file.name.replace(/\.[^.]+$/, '').slice(0, 100));
+    } catch (error) {
+      console.error('Error reading geo file:', error);
+      setFileError(error.message || 'Could not read the file.');
+      setParsed(null);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleImport() {
+    const name = groupName.trim();
+    if (!parsed || !name || busy) return;
+    setBusy(true);
+    try {
+      const created = {};
+      if (parsed.points.length > 0) {
+        created.locations = await groupsApi.createGroup('locations', name, parsed.points.map(toLocation));
+      }
+      if (parsed.areas.length > 0) {
+        created.zipcodes = await groupsApi.createGroup('zipcodes', name, parsed.areas.map(toLocation));
+      }
+
+      await engine.fetchGroupsList();
+      if (created[groupType]) engine.selectGroup(created[groupType].id, { bypassTempGuard: true });
+
+      const parts = [];
+      if (created.locations) parts.push(`${parsed.points.length} points to Locations`);
+      if (created.zipcodes) parts.push(`${parsed.areas.length} polygons to ZIP Codes`);
+      showPopup('success', `Imported ${parts.join(' and ')} as "${name}".`, 'Import Complete');
+      handleClose();
+    } catch (error) {
+      console.error('Geo import error:', error);
+      showPopup('error', `Failed to import: ${error.message}`, 'Import Failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const importable = parsed ? parsed.points.length + parsed.areas.length : 0;
+
+  return (
+    <Modal open={open} onClose={handleClose} title="Import GeoJSON / KML" maxWidth="max-w-lg">
+      <div className="space-y-4">
+        <div>
+          <input
+            type="file"
+            accept=".geojson,.json,.kml,.kmz"
+            onChange={handleFile}
+            disabled={busy}
+            className="block w-full text-sm text-gray-700"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Points become a location group; polygons become a group on the ZIP Codes page. Names, descriptions and
+            colors are kept.
+          </p>
+          {fileError && <p className="text-sm text-red-600 mt-1">{fileError}</p>}
+        </div>
+
+        {parsed && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Group Name</label>
+              <input
+                type="text"
+                value={groupName}
+                maxLength={100}
+                onChange={(e) => setGroupName(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <ul className="text-sm text-gray-700 list-disc pl-5">
+              <li>{parsed.points.length} {parsed.points.length === 1 ? 'point' : 'points'} → location group</li>
+              <li>{parsed.areas.length} {parsed.areas.length === 1 ? 'polygon' : 'polygons'} → ZIP code group</li>
+              {parsed.skipped.length > 0 && (
+                <li className="text-red-600">{parsed.skipped.length} unsupported {parsed.skipped.length === 1 ? 'feature' : 'features'} will be skipped</li>
+              )}
+            </ul>
+
+            {parsed.skipped.length > 0 && (
+              <div className="bg-red-50 border border-red-200 rounded-md p-2 max-h-40 overflow-y-auto text-xs text-red-700 space-y-0.5">
+                {parsed.skipped.slice(0, MAX_LISTED_SKIPS).map((item, index) => (
+                  <div key={index}>{item.name}: {item.reason}</div>
+                ))}
+                {parsed.skipped.length > MAX_LISTED_SKIPS && (
+                  <div>...and {parsed.skipped.length - MAX_LISTED_SKIPS} more</div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={importable === 0 || !groupName.trim() || busy}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none disabled:opacity-50"
+          >
+            {busy && parsed ? <><Loader className="mr-2 h-4 w-4 animate-spin" /> Importing...</> : 'Import'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
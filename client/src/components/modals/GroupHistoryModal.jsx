@@ -0,0 +1,99 @@
+import { useEffect, useState } from 'react';
+import Modal from '../Modal.jsx';
+import * as groupsApi from '../../api/groups.js';
+import { describeChanges, versionTitle } from '../../lib/groupHistory.js';
+import { unescapeHtml } from '../../lib/escapedText.js';
+
+const buttonClass = 'text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none';
+
+// Version history of the current group, newest first. "View" puts that
+// version on the map read-only (see engine.previewVersion); "Restore"
+// rewrites the group to it, which is itself recorded as a new version.
+export default function GroupHistoryModal({ engine, groupType, open, onClose }) {
+  const { currentGroupId, readOnly, versionPreview, previewVersion, restoreVersion } = engine;
+  const [versions, setVersions] = useState(null);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [error, setError] = useState('');
+
+  const canRestore = versionPreview ? versionPreview.canRestore : !readOnly;
+
+  async function loadPage(before = null) {
+    try {
+      const page = await groupsApi.fetchGroupVersions(groupType, currentGroupId, before);
+      setVersions((list) => (before ? [...(list || []), ...page] : page));
+      setHasOlder(page.length > 0 && page[page.length - 1].version > 1);
+    } catch (loadError) {
+      console.error('Error fetching group history:', loadError);
+      setError(loadError.message || 'Failed to load the history.');
+    }
+  }
+
+  useEffect(() => {
+    if (!open || !currentGroupId) return;
+    setVersions(null);
+    setError('');
+    loadPage();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, currentGroupId]);
+
+  function handleView(version) {
+    onClose();
+    previewVersion(version.version);
+  }
+
+  function handleRestore(version) {
+    if (!window.confirm(`Restore version ${version.version}? The group's name, fields and locations will be replaced with that version. The current state stays in the history.`)) return;
+    onClose();
+    restoreVersion(version.version);
+  }
+
+  return (
+    <Modal open={open} onClose={onClose} title="Version History" maxWidth="max-w-lg">
+      <div className="space-y-3">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!versions && !error && <p className="text-sm text-gray-500">Loading history...</p>}
+        {versions && versions.length === 0 && (
+          <p className="text-sm text-gray-500">No versions recorded yet. One is saved each time this group changes.</p>
+        )}
+        {versions && versions.length > 0 && (
+          <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+            {versions.map((version, index) => {
+              const changes = describeChanges(version.changes);
+              const isCurrent = index === 0 && !versionPreview;
+              const isViewing = versionPreview && versionPreview.version === version.version;
+              return (
+                <li key={version.version} className={`py-2 flex items-start justify-between gap-3 ${isViewing ? 'bg-blue-50' : ''}`}>
+                  <div className="min-w-0">
+                    <div className="text-sm text-gray-800">
+                      <span className="font-medium">v{version.version}</span> · {versionTitle(version)}
+                      {isCurrent && <span className="ml-1 text-xs text-green-700">(current)</span>}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(version.createdAt).toLocaleString()}
+                      {version.actorUsername ? ` · ${version.actorUsername}` : ''}
+                      {` · ${version.locationCount} ${version.locationCount === 1 ? 'location' : 'locations'}`}
+                    </div>
+                    <div className="text-xs text-gray-400 truncate">
+                      {unescapeHtml(version.name)}{changes ? ` · ${changes}` : ''}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <button onClick={() => handleView(version)} className={buttonClass}>View</button>
+                    {canRestore && !isCurrent && (
+                      <button onClick={() => handleRestore(version)} className={buttonClass}>Restore</button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {hasOlder && (
+          <button onClick={() => loadPage(versions[versions.length - 1].version)} className={buttonClass}>
+            Load older versions
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+}
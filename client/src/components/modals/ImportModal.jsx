@@ -0,0 +1,212 @@
+import { useMemo, useState } from 'react';
+import Modal from '../Modal.jsx';
+import {
+  importFields,
+  readSpreadsheet,
+  guessColumnMapping,
+  validateColumnMapping,
+  buildImportRows
+} from '../../lib/importRows.js';
+
+const PREVIEW_ROWS = 5;
+const MAX_LISTED_ERRORS = 100;
+
+const selectClass = 'w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+// CSV/XLSX import into a new location or ZIP group: pick a file, map its
+// columns, review the per-row errors, then hand the valid rows to
+// engine.startImport.
+export default function ImportModal({ engine, groupType }) {
+  const { importOpen, closeImportModal, startImport } = engine;
+  const [sheet, setSheet] = useState(null); // { fileName, headers, rows }
+  const [mapping, setMapping] = useState(null);
+  const [groupName, setGroupName] = useState('');
+  const [fileError, setFileError] = useState('');
+  const [reading, setReading] = useState(false);
+
+  const isZipPage = groupType === 'zipcodes';
+  const mappingError = mapping ? validateColumnMapping(mapping, groupType) : null;
+  const importRows = useMemo(
+    () => (sheet && mapping && !mappingError ? buildImportRows(sheet.rows, mapping, groupType) : []),
+    [sheet, mapping, mappingError, groupType]
+  );
+  const validRows = importRows.filter((row) => row.errors.length === 0);
+  const errorRows = importRows.filter((row) => row.errors.length > 0);
+  const geocodeCount = validRows.filter((row) => row.needsGeocoding).length;
+
+  function reset() {
+    setSheet(null);
+    setMapping(null);
+    setGroupName('');
+    setFileError('');
+  }
+
+  function handleClose() {
+    reset();
+    closeImportModal();
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setReading(true);
+    setFileError('');
+    try {
+      const { headers, rows } = await readSpreadsheet(file);
+      setSheet({ fileName: file.name, headers, rows });
+      setMapping(guessColumnMapping(headers, groupType));
+      setGroupName(file.name.replace(/\.[^.]+$/, '').slice(0, 100));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setFileError(error.message || 'Could not read the file.');
+      setSheet(null);
+      setMapping(null);
+    } finally {
+      setReading(false);
+    }
+  }
+
+  async function handleImport() {
+    const name = groupName.trim();
+    const rows = validRows;
+    if (!name || rows.length === 0) return;
+    if (geocodeCount > 10 && !window.confirm(`${geocodeCount} rows need geocoding. This may take a few minutes. Continue?`)) {
+      return;
+    }
+    reset();
+    await startImport({ groupName: name, rows });
+  }
+
+  return (
+    <Modal open={importOpen} onClose={handleClose} title="Import from CSV/XLSX" maxWidth="max-w-2xl">
+      <div className="space-y-4">
+        <div>
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            onChange={handleFile}
+            disabled={reading}
+            className="block w-full text-sm text-gray-700"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {isZipPage
+              ? 'The first row must be a header. Each row needs a ZIP code; its boundary is looked up, and latitude/longitude columns (if mapped) keep their values.'
+              : 'The first row must be a header. Rows with latitude/longitude are placed directly; the rest are geocoded from their address.'}
+          </p>
+          {reading && <p className="text-sm text-gray-500 mt-1">Reading file...</p>}
+          {fileError && <p className="text-sm text-red-600 mt-1">{fileError}</p>}
+        </div>
+
+        {sheet && mapping && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Group Name</label>
+              <input
+                type="text"
+                value={groupName}
+                maxLength={100}
+                onChange={(e) => setGroupName(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Columns in {sheet.fileName}</h4>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                {importFields(groupType).map((field) => (
+                  <label key={field.key} className="text-xs text-gray-600">
+                    <span className="block mb-1">{field.label}</span>
+                    <select
+                      value={mapping[field.key]}
+                      onChange={(e) => setMapping((m) => ({ ...m, [field.key]: e.target.value === '' ? '' : Number(e.target.value) }))}
+                      className={selectClass}
+                    >
+                      <option value="">(none)</option>
+                      {sheet.headers.map((header, index) => (
+                        <option key={index} value={index}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              {mappingError && <p className="text-sm text-red-600 mt-2">{mappingError}</p>}
+            </div>
+
+            {!mappingError && (
+              <>
+                <div className="text-sm text-gray-700">
+                  <span className="font-medium">{validRows.length}</span> of {importRows.length} rows ready
+                  {geocodeCount > 0 && <> ({geocodeCount} to geocode)</>}.
+                  {errorRows.length > 0 && (
+                    <span className="text-red-600"> {errorRows.length} with errors will be skipped.</span>
+                  )}
+                </div>
+
+                {validRows.length > 0 && (
+                  <div className="border border-gray-200 rounded-md overflow-x-auto">
+                    <table className="min-w-full text-xs">
+                      <thead className="bg-gray-50 text-gray-500">
+                        <tr>
+                          <th className="px-2 py-1 text-left">Row</th>
+                          <th className="px-2 py-1 text-left">Title</th>
+                          <th className="px-2 py-1 text-left">Position</th>
+                          <th className="px-2 py-1 text-left">Color</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {validRows.slice(0, PREVIEW_ROWS).map((row) => (
+                          <tr key={row.rowNumber}>
+                            <td className="px-2 py-1 text-gray-500">{row.rowNumber}</td>
+                            <td className="px-2 py-1 text-gray-800 truncate max-w-[12rem]">
+                              {row.title || <span className="text-gray-400">{isZipPage ? `ZIP ${row.zipCode}` : 'from address'}</span>}
+                            </td>
+                            <td className="px-2 py-1 text-gray-600 truncate max-w-[16rem]">
+                              {row.needsGeocoding ? row.address : row.lat === null ? `ZIP ${row.zipCode} center` : `${row.lat}, ${row.lng}`}
+                            </td>
+                            <td className="px-2 py-1">
+                              {row.color
+                                ? <span className="inline-block w-4 h-4 rounded-full border border-gray-300" style={{ backgroundColor: row.color }} />
+                                : <span className="text-gray-400">auto</span>}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {errorRows.length > 0 && (
+                  <div className="bg-red-50 border border-red-200 rounded-md p-2 max-h-40 overflow-y-auto text-xs text-red-700 space-y-0.5">
+                    {errorRows.slice(0, MAX_LISTED_ERRORS).map((row) => (
+                      <div key={row.rowNumber}>Row {row.rowNumber}: {row.errors.join('; ')}</div>
+                    ))}
+                    {errorRows.length > MAX_LISTED_ERRORS && (
+                      <div>...and {errorRows.length - MAX_LISTED_ERRORS} more</div>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!sheet || !!mappingError || validRows.length === 0 || !groupName.trim()}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none disabled:opacity-50"
+          >
+            Import {validRows.length > 0 ? validRows.length : ''} {validRows.length === 1 ? 'row' : 'rows'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+
+// ZIP codes inside the area drawn with the ZIP page's lasso, matched by
+// their center or by the share of their area inside, added to the current
+// group in one batch. Open while engine.lasso is set; closing drops it.
+export default function LassoModal({ engine }) {
+  const { lasso, findZipsInLasso, addLassoZips, clearLasso, readOnly } = engine;
+
+  const [match, setMatch] = useState('centroid');
+  const [percent, setPercent] = useState('50');
+  const [searching, setSearching] = useState(false);
+  const [result, setResult] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState('');
+
+  async function search() {
+    setSearching(true);
+    setError('');
+    setResult(null);
+    try {
+      setResult(await findZipsInLasso({ match, minAreaPercent: Number(percent) }));
+    } catch (searchError) {
+      console.error('Error finding ZIP codes in area:', searchError);
+      setError(searchError.message || 'Failed to find ZIP codes.');
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  // Each new lasso is searched right away with the current settings
+  useEffect(() => {
+    if (lasso) search();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lasso]);
+
+  async function handleAdd() {
+    setAdding(true);
+    await addLassoZips(result.zipCodes.map((zip) => zip.zipCode));
+    setAdding(false);
+  }
+
+  const percentValue = Number(percent);
+  const canSearch = !searching && (match === 'centroid' || (percentValue >= 1 && percentValue <= 100));
+  const zipCount = result?.zipCodes.length ?? 0;
+
+  return (
+    <Modal open={Boolean(lasso)} onClose={clearLasso} title="ZIP Codes in Area" maxWidth="max-w-lg">
+      <div className="space-y-4">
+        <div className="space-y-2">
+          <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+            <input type="radio" className="mr-2" checked={match === 'centroid'} onChange={() => setMatch('centroid')} />
+            ZIP center is inside the area
+          </label>
+          <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+            <input type="radio" className="mr-2" checked={match === 'area'} onChange={() => setMatch('area')} />
+            At least
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={percent}
+              onChange={(e) => { setPercent(e.target.value); setMatch('area'); }}
+              className="mx-2 w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            % of the ZIP is inside
+          </label>
+        </div>
+        <div className="flex justify-end">
+          <Button onClick={search} disabled={!canSearch}>
+            {searching ? 'Searching...' : 'Find ZIP codes'}
+          </Button>
+        </div>
+
+        {result && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-700">
+              {zipCount} ZIP code{zipCount === 1 ? '' : 's'} in the area.
+            </p>
+            {zipCount > 0 && (
+              <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+                {result.zipCodes.map((zip) => (
+                  <div key={zip.zipCode} className="flex justify-between px-3 py-1.5 text-sm text-gray-700">
+                    <span>{zip.zipCode}</span>
+                    {zip.share !== undefined && <span className="text-gray-500">{Math.round(zip.share * 100)}% inside</span>}
+                  </div>
+                ))}
+              </div>
+            )}
+            {zipCount > 1000 && (
+              <p className="text-sm text-gray-500">Up to 1000 ZIP codes can be added at once; draw a smaller area.</p>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+
+      <div className="flex justify-end space-x-3 mt-6">
+        <Button variant="secondary" onClick={clearLasso}>Close</Button>
+        {!readOnly && (
+          <Button variant="success" onClick={handleAdd} disabled={adding || zipCount === 0 || zipCount > 1000}>
+            {adding ? 'Adding...' : `Add ${zipCount} to group`}
+          </Button>
+        )}
+      </div>
+    </Modal>
+  );
+}
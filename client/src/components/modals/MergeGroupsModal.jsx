@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+import { unescapeHtml } from '../../lib/escapedText.js';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Merges the checked groups (own and shared, in list order) into a new
+// group. The source groups are left as they are.
+export default function MergeGroupsModal({ engine, groupType, open, onClose }) {
+  const { visibleGroups, sharedGroups, currentGroupId, mergeGroups } = engine;
+  const [name, setName] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [dedupeBy, setDedupeBy] = useState('none');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const groups = [...visibleGroups, ...sharedGroups.filter((group) => !group.name.startsWith('__temp_'))];
+
+  useEffect(() => {
+    if (!open) return;
+    setName('');
+    setSelectedIds(currentGroupId ? [currentGroupId] : []);
+    setDedupeBy(groupType === 'zipcodes' ? 'zip' : 'coordinates');
+    setError('');
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  function toggleGroup(groupId) {
+    setSelectedIds((ids) => (ids.includes(groupId) ? ids.filter((id) => id !== groupId) : [...ids, groupId]));
+  }
+
+  async function handleMerge() {
+    setSaving(true);
+    setError('');
+    try {
+      // Keep the order the groups are listed in
+      const groupIds = groups.map((group) => group.id).filter((id) => selectedIds.includes(id));
+      await mergeGroups(name.trim(), groupIds, dedupeBy);
+      onClose();
+    } catch (mergeError) {
+      console.error('Error merging groups:', mergeError);
+      setError(mergeError.message || 'Failed to merge groups.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const canMerge = name.trim().length > 0 && selectedIds.length >= 2 && selectedIds.length <= 20 && !saving;
+
+  return (
+    <Modal open={open} onClose={onClose} title="Merge Groups" maxWidth="max-w-md">
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Groups to merge</label>
+          <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+            {groups.map((group) => (
+              <label key={group.id} className="flex items-center px-3 py-2 text-sm text-gray-700 cursor-pointer hover:bg-gray-50">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={selectedIds.includes(group.id)}
+                  onChange={() => toggleGroup(group.id)}
+                />
+                <span className="flex-1">{unescapeHtml(group.name)}</span>
+                {group.ownerUsername && <span className="text-xs text-gray-500">{group.ownerUsername}</span>}
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Select 2-20 groups. They are left unchanged.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Duplicates</label>
+          <select value={dedupeBy} onChange={(e) => setDedupeBy(e.target.value)} className={inputClass}>
+            <option value="none">Keep all locations</option>
+            <option value="zip">Skip repeated ZIP codes</option>
+            <option value="coordinates">Skip repeated coordinates</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">The first occurrence is kept.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">New group name</label>
+          <input
+            type="text"
+            value={name}
+            maxLength={100}
+            onChange={(e) => setName(e.target.value)}
+            className={inputClass}
+            placeholder="Enter group name..."
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+
+      <div className="flex justify-end space-x-3 mt-6">
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleMerge} disabled={!canMerge}>
+          {saving ? 'Merging...' : 'Merge'}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
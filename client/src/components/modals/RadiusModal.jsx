@@ -0,0 +1,198 @@
+import { useEffect, useState } from 'react';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+import { MAX_RING_MILES, parseRadii } from '../../lib/radiusRings.js';
+import { unescapeHtml } from '../../lib/escapedText.js';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Radius rings around markers, and "which ZIP codes are within N miles"
+// around one marker or the whole group, savable as a new ZIP group.
+export default function RadiusModal({ engine, open, onClose }) {
+  const { items, rings, setRadiusRings, findZipsInRadius, saveZipsAsGroup, currentGroup } = engine;
+  const markerItems = items.filter((item) => item.kind === 'marker');
+
+  const [ringTarget, setRingTarget] = useState('all');
+  const [radiiText, setRadiiText] = useState('');
+  const [ringDistance, setRingDistance] = useState('straight');
+
+  const [around, setAround] = useState('group');
+  const [miles, setMiles] = useState('10');
+  const [zipDistance, setZipDistance] = useState('straight');
+  const [searching, setSearching] = useState(false);
+  const [result, setResult] = useState(null);
+  const [groupName, setGroupName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setRingTarget('all');
+    setRadiiText('5, 10');
+    setRingDistance('straight');
+    setResult(null);
+    setError('');
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  // Show what the chosen marker already has
+  function chooseRingTarget(value) {
+    setRingTarget(value);
+    const existing = value === 'all' ? null : rings[value];
+    if (existing) {
+      setRadiiText(existing.radii.join(', '));
+      setRingDistance(existing.distance);
+    }
+  }
+
+  const radii = parseRadii(radiiText);
+  const ringIds = ringTarget === 'all' ? markerItems.map((item) => item.locationId) : [ringTarget];
+  const ringCount = markerItems.filter((item) => rings[item.locationId]).length;
+
+  async function handleSearch() {
+    setSearching(true);
+    setError('');
+    setResult(null);
+    try {
+      const found = await findZipsInRadius({ around, miles: Number(miles), distance: zipDistance });
+      setResult(found);
+      const groupLabel = currentGroup && !currentGroup.name.startsWith('__temp_') ? unescapeHtml(currentGroup.name) : 'these locations';
+      const origin = around === 'group' ? groupLabel : markerItems.find((item) => item.locationId === around)?.title;
+      setGroupName(`Within ${Number(miles)} mi of ${origin || 'location'}`.slice(0, 100));
+    } catch (searchError) {
+      console.error('Error finding ZIP codes in radius:', searchError);
+      setError(searchError.message || 'Failed to find ZIP codes.');
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError('');
+    try {
+      await saveZipsAsGroup(groupName.trim(), result.zipCodes.map((zip) => zip.zipCode));
+      onClose();
+    } catch (saveError) {
+      console.error('Error saving ZIP group:', saveError);
+      setError(saveError.message || 'Failed to save the ZIP group.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const milesValue = Number(miles);
+  const canSearch = milesValue >= 0.1 && milesValue <= MAX_RING_MILES && !searching && (around === 'group' || markerItems.some((item) => item.locationId === around));
+
+  return (
+    <Modal open={open} onClose={onClose} title="Radius" maxWidth="max-w-lg">
+      <div className="space-y-6">
+        <section className="space-y-3">
+          <h4 className="text-sm font-medium text-gray-900">Rings around markers</h4>
+          <div className="grid grid-cols-2 gap-3">
+            <select value={ringTarget} onChange={(e) => chooseRingTarget(e.target.value)} className={inputClass}>
+              <option value="all">All markers</option>
+              {markerItems.map((item) => (
+                <option key={item.locationId} value={item.locationId}>{item.number}. {item.title}</option>
+              ))}
+            </select>
+            <select value={ringDistance} onChange={(e) => setRingDistance(e.target.value)} className={inputClass}>
+              <option value="straight">Straight line</option>
+              <option value="road">Road estimate</option>
+            </select>
+          </div>
+          <div>
+            <input
+              type="text"
+              value={radiiText}
+              onChange={(e) => setRadiiText(e.target.value)}
+              className={inputClass}
+              placeholder="Miles, e.g. 5, 10, 25"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Up to 5 radii in miles. {ringCount > 0 ? `${ringCount} marker${ringCount === 1 ? ' has' : 's have'} rings.` : ''}
+            </p>
+          </div>
+          <div className="flex justify-end space-x-3">
+            <Button variant="secondary" onClick={() => setRadiusRings(ringIds, [])} disabled={ringIds.length === 0}>
+              Remove rings
+            </Button>
+            <Button onClick={() => setRadiusRings(ringIds, radii, ringDistance)} disabled={radii.length === 0 || ringIds.length === 0}>
+              Draw rings
+            </Button>
+          </div>
+        </section>
+
+        <section className="space-y-3 border-t border-gray-200 pt-4">
+          <h4 className="text-sm font-medium text-gray-900">ZIP codes within a radius</h4>
+          <div className="grid grid-cols-3 gap-3">
+            <select value={around} onChange={(e) => setAround(e.target.value)} className={`${inputClass} col-span-3`}>
+              <option value="group">Any location in this group</option>
+              {markerItems.map((item) => (
+                <option key={item.locationId} value={item.locationId}>{item.number}. {item.title}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0.1"
+              max={MAX_RING_MILES}
+              step="0.5"
+              value={miles}
+              onChange={(e) => setMiles(e.target.value)}
+              className={inputClass}
+              title="Miles"
+            />
+            <select value={zipDistance} onChange={(e) => setZipDistance(e.target.value)} className={`${inputClass} col-span-2`}>
+              <option value="straight">Straight line</option>
+              <option value="road">Road estimate</option>
+            </select>
+          </div>
+          <div className="flex justify-end">
+            <Button onClick={handleSearch} disabled={!canSearch}>
+              {searching ? 'Searching...' : 'Find ZIP codes'}
+            </Button>
+          </div>
+
+          {result && (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-700">
+                {result.zipCodes.length} ZIP code{result.zipCodes.length === 1 ? '' : 's'} within {result.miles} mi (by ZIP center).
+              </p>
+              {result.zipCodes.length > 0 && (
+                <>
+                  <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+                    {result.zipCodes.map((zip) => (
+                      <div key={zip.zipCode} className="flex justify-between px-3 py-1.5 text-sm text-gray-700">
+                        <span>{zip.zipCode}</span>
+                        <span className="text-gray-500">{zip.miles.toFixed(1)} mi</span>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex space-x-3">
+                    <input
+                      type="text"
+                      value={groupName}
+                      maxLength={100}
+                      onChange={(e) => setGroupName(e.target.value)}
+                      className={inputClass}
+                      placeholder="New ZIP group name..."
+                    />
+                    <Button variant="success" onClick={handleSave} disabled={saving || groupName.trim().length === 0}>
+                      {saving ? 'Saving...' : 'Save as ZIP group'}
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </section>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+
+      <div className="flex justify-end mt-6">
+        <Button variant="secondary" onClick={onClose}>Close</Button>
+      </div>
+    </Modal>
+  );
+}
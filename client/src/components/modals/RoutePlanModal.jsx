@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Plans a visiting order for the current group's markers. The route is
+// drawn on the map (RouteBanner) and only renumbers the markers once
+// applied there.
+export default function RoutePlanModal({ engine, open, onClose }) {
+  const { items, planRoute } = engine;
+  const [start, setStart] = useState('');
+  const [distance, setDistance] = useState('straight');
+  const [returnToStart, setReturnToStart] = useState(false);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState('');
+
+  const markerItems = items.filter((item) => item.kind === 'marker');
+
+  useEffect(() => {
+    if (!open) return;
+    setStart(markerItems[0]?.locationId || 'center');
+    setError('');
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  async function handlePlan() {
+    setPlanning(true);
+    setError('');
+    try {
+      await planRoute({ start, distance, returnToStart });
+      onClose();
+    } catch (planError) {
+      console.error('Error planning route:', planError);
+      setError(planError.message || 'Failed to plan the route.');
+    } finally {
+      setPlanning(false);
+    }
+  }
+
+  return (
+    <Modal open={open} onClose={onClose} title="Plan Route" maxWidth="max-w-md">
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Start from</label>
+          <select value={start} onChange={(e) => setStart(e.target.value)} className={inputClass}>
+            <option value="center">Center of the map</option>
+            {markerItems.map((item) => (
+              <option key={item.locationId} value={item.locationId}>
+                {item.number}. {item.title}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">A starting marker stays first in the order.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Distance</label>
+          <select value={distance} onChange={(e) => setDistance(e.target.value)} className={inputClass}>
+            <option value="straight">Straight line</option>
+            <option value="road">Road estimate (street grid)</option>
+          </select>
+        </div>
+
+        <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={returnToStart}
+            onChange={(e) => setReturnToStart(e.target.checked)}
+          />
+          Return to the start
+        </label>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+
+      <div className="flex justify-end space-x-3 mt-6">
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handlePlan} disabled={planning || markerItems.length === 0}>
+          {planning ? 'Planning...' : 'Plan route'}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,167 @@
+import { useEffect, useState } from 'react';
+import { X } from 'react-feather';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+import { useAuth } from '../../context/AuthContext.jsx';
+import { usePopups } from '../../context/PopupContext.jsx';
+import * as groupsApi from '../../api/groups.js';
+import * as usersApi from '../../api/users.js';
+import ShareLinksSection from '../ShareLinksSection.jsx';
+import EmbedsSection from '../EmbedsSection.jsx';
+
+const EVERYONE = '*';
+
+const selectClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+// Owner-only sharing for a location/ZIP group: grant view or edit to
+// individual users or to everyone, change a grant, or remove it. Grantees
+// see the group under "Shared with me" in GroupPanel.
+export default function ShareGroupModal({ group, groupType, onClose }) {
+  const { showPopup } = usePopups();
+  const { username: currentUsername } = useAuth();
+  const [shares, setShares] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [grantee, setGrantee] = useState('');
+  const [permission, setPermission] = useState('view');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!group) return;
+    setShares(null);
+    setGrantee('');
+    setPermission('view');
+    groupsApi.fetchGroupShares(groupType, group.id)
+      .then(setShares)
+      .catch((error) => {
+        console.error('Error fetching group shares:', error);
+        showPopup('error', `Failed to load sharing: ${error.message}`, 'Load Failed');
+        setShares([]);
+      });
+    usersApi.fetchUserDirectory().then(setUsers).catch(() => setUsers([]));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [group?.id, groupType]);
+
+  const sharedWith = new Set((shares || []).map((s) => s.grantee));
+  const candidates = users.filter((u) => u.username !== currentUsername && !sharedWith.has(u.id));
+
+  async function saveShare(targetGrantee, targetPermission) {
+    setSubmitting(true);
+    try {
+      const share = await groupsApi.setGroupShare(groupType, group.id, targetGrantee, targetPermission);
+      setShares((list) => {
+        const current = list || [];
+        return current.some((s) => s.grantee === share.grantee)
+          ? current.map((s) => (s.grantee === share.grantee ? { ...s, permission: share.permission } : s))
+          : [...current, share];
+      });
+      return true;
+    } catch (error) {
+      console.error('Error sharing group:', error);
+      showPopup('error', `Failed to share group: ${error.message}`, 'Share Failed');
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!grantee || submitting) return;
+    if (await saveShare(grantee, permission)) {
+      setGrantee('');
+      setPermission('view');
+    }
+  }
+
+  async function handleRemove(share) {
+    try {
+      await groupsApi.deleteGroupShare(groupType, group.id, share.grantee);
+      setShares((list) => list.filter((s) => s.grantee !== share.grantee));
+    } catch (error) {
+      console.error('Error removing group share:', error);
+      showPopup('error', `Failed to remove share: ${error.message}`, 'Remove Failed');
+    }
+  }
+
+  return (
+    <Modal open={!!group} onClose={onClose} title="Share Group" maxWidth="max-w-md">
+      {group && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Share <span className="font-medium">{group.name}</span> with teammates. Viewers can see it;
+            editors can also add, recolor, reorder and remove locations. Only you can delete it.
+          </p>
+
+          <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+            <select value={grantee} onChange={(e) => setGrantee(e.target.value)} className={`${selectClass} flex-1 min-w-[10rem]`}>
+              <option value="">Choose a user...</option>
+              {!sharedWith.has(EVERYONE) && <option value={EVERYONE}>Everyone</option>}
+              {candidates.map((u) => (
+                <option key={u.id} value={u.id}>{u.username}</option>
+              ))}
+            </select>
+            <select value={permission} onChange={(e) => setPermission(e.target.value)} className={selectClass}>
+              <option value="view">Can view</option>
+              <option value="edit">Can edit</option>
+            </select>
+            <button
+              type="submit"
+              disabled={!grantee || submitting}
+              className="py-1.5 px-3 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md focus:outline-none transition-colors disabled:opacity-50"
+            >
+              Share
+            </button>
+          </form>
+
+          {!shares ? (
+            <p className="text-xs text-gray-500">Loading...</p>
+          ) : shares.length === 0 ? (
+            <p className="text-xs text-gray-500">Not shared with anyone yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {shares.map((share) => (
+                <div key={share.grantee} className="flex items-center justify-between p-2 border border-gray-200 rounded">
+                  <span className="flex-1 text-sm text-gray-800">
+                    {share.grantee === EVERYONE ? 'Everyone' : (share.username || <span className="text-gray-400">deleted user</span>)}
+                  </span>
+                  <select
+                    value={share.permission}
+                    disabled={submitting}
+                    onChange={(e) => saveShare(share.grantee, e.target.value)}
+                    className={selectClass}
+                  >
+                    <option value="view">Can view</option>
+                    <option value="edit">Can edit</option>
+                  </select>
+                  <button
+                    onClick={() => handleRemove(share)}
+                    className="ml-2 text-gray-400 hover:text-red-600 p-1"
+                    title="Stop sharing"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="pt-3 border-t border-gray-200 space-y-2">
+            <h3 className="text-sm font-medium text-gray-800">Public links</h3>
+            <p className="text-xs text-gray-500">Anyone with a link can view this group read-only, without signing in.</p>
+            <ShareLinksSection target={{ targetType: 'group', groupType, groupId: group.id }} />
+          </div>
+
+          <div className="pt-3 border-t border-gray-200 space-y-2">
+            <h3 className="text-sm font-medium text-gray-800">Embed on intranet pages</h3>
+            <p className="text-xs text-gray-500">Only the sites listed can show the map; it updates as the group changes.</p>
+            <EmbedsSection group={group} groupType={groupType} />
+          </div>
+
+          <div className="flex justify-end">
+            <Button variant="secondary" onClick={onClose}>Done</Button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
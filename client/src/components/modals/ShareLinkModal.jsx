@@ -0,0 +1,24 @@
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+import ShareLinksSection from '../ShareLinksSection.jsx';
+
+// Public read-only links for one panel stock upload + specialty. The link
+// exposes that specialty's counts only, not the rest of the upload.
+export default function ShareLinkModal({ open, onClose, upload, specialty }) {
+  return (
+    <Modal open={open} onClose={onClose} title="Share Link" maxWidth="max-w-md">
+      {upload && specialty && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Anyone with a link can view <span className="font-medium">{upload.title} - {specialty.label}</span>{' '}
+            read-only, without signing in.
+          </p>
+          <ShareLinksSection target={{ targetType: 'panel_stock', uploadId: upload.id, specialty: specialty.id }} />
+          <div className="flex justify-end">
+            <Button variant="secondary" onClick={onClose}>Done</Button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
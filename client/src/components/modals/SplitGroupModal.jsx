@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+import Modal from '../Modal.jsx';
+import Button from '../Button.jsx';
+import { unescapeHtml } from '../../lib/escapedText.js';
+
+// Moves the checked locations of the current group into a new group with
+// the same custom fields.
+export default function SplitGroupModal({ engine, open, onClose }) {
+  const { items, currentGroup, splitGroup } = engine;
+  const [name, setName] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setName(currentGroup ? `${unescapeHtml(currentGroup.name)} (split)`.slice(0, 100) : '');
+    setSelectedIds([]);
+    setError('');
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  function toggleItem(locationId) {
+    setSelectedIds((ids) => (ids.includes(locationId) ? ids.filter((id) => id !== locationId) : [...ids, locationId]));
+  }
+
+  async function handleSplit() {
+    setSaving(true);
+    setError('');
+    try {
+      await splitGroup(name.trim(), selectedIds);
+      onClose();
+    } catch (splitError) {
+      console.error('Error splitting group:', splitError);
+      setError(splitError.message || 'Failed to split the group.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const canSplit = name.trim().length > 0 && selectedIds.length > 0 && !saving;
+
+  return (
+    <Modal open={open} onClose={onClose} title="Split Group" maxWidth="max-w-md">
+      <div className="space-y-4">
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="block text-sm font-medium text-gray-700">Locations to move</label>
+            <button
+              onClick={() => setSelectedIds(selectedIds.length === items.length ? [] : items.map((item) => item.locationId))}
+              className="text-xs text-blue-600 hover:text-blue-800"
+            >
+              {selectedIds.length === items.length ? 'Select none' : 'Select all'}
+            </button>
+          </div>
+          <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+            {items.map((item) => (
+              <label key={item.locationId} className="flex items-center px-3 py-2 text-sm text-gray-700 cursor-pointer hover:bg-gray-50">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={selectedIds.includes(item.locationId)}
+                  onChange={() => toggleItem(item.locationId)}
+                />
+                <span className="marker-numbered-color-indicator mr-2" style={{ backgroundColor: item.color }}>
+                  {item.number}
+                </span>
+                <span className="flex-1">{item.title}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">{selectedIds.length} of {items.length} selected</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">New group name</label>
+          <input
+            type="text"
+            value={name}
+            maxLength={100}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Enter group name..."
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+
+      <div className="flex justify-end space-x-3 mt-6">
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSplit} disabled={!canSplit}>
+          {saving ? 'Moving...' : 'Move to new group'}
+        </Button>
+      </div>
+    </Modal>
+  );
+}
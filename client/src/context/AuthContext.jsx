@@ -5,41 +5,47 @@ const AuthContext = createContext(null);
 
 export function AuthProvider({ children }) {
   // status: 'loading' | 'authed' | 'anon'; role: 'admin' | 'staff' | 'viewer' | null
-  const [auth, setAuth] = useState({ status: 'loading', username: null, role: null });
+  // mustChangePassword: set after an Admin reset; RequireAuth pins the user
+  // to /account until it's cleared.
+  const [auth, setAuth] = useState({ status: 'loading', username: null, role: null, mustChangePassword: false });
 
   useEffect(() => {
     let cancelled = false;
     authApi.me()
-      .then(({ username, role }) => {
-        if (!cancelled) setAuth({ status: 'authed', username, role: role ?? null });
+      .then(({ username, role, mustChangePassword }) => {
+        if (!cancelled) setAuth({ status: 'authed', username, role: role ?? null, mustChangePassword: !!mustChangePassword });
       })
-      .catch(() => { if (!cancelled) setAuth({ status: 'anon', username: null, role: null }); });
+      .catch(() => { if (!cancelled) setAuth({ status: 'anon', username: null, role: null, mustChangePassword: false }); });
     return () => { cancelled = true; };
   }, []);
 
-  const setUser = useCallback((username, role = null) => {
-    setAuth({ status: 'authed', username, role });
+  const setUser = useCallback((username, role = null, mustChangePassword = false) => {
+    setAuth({ status: 'authed', username, role, mustChangePassword });
     // Login/register responses may not carry role; /api/auth/me is the
     // client's source of truth for it, so backfill when it's missing.
     if (!role) {
       authApi.me()
-        .then(({ username: name, role: fetchedRole }) => {
-          setAuth({ status: 'authed', username: name, role: fetchedRole ?? null });
+        .then(({ username: name, role: fetchedRole, mustChangePassword: mustChange }) => {
+          setAuth({ status: 'authed', username: name, role: fetchedRole ?? null, mustChangePassword: !!mustChange });
         })
         .catch(() => {});
     }
   }, []);
 
+  const passwordChanged = useCallback(() => {
+    setAuth((prev) => ({ ...prev, mustChangePassword: false }));
+  }, []);
+
   const logout = useCallback(async () => {
     try {
       await authApi.logout();
     } finally {
-      setAuth({ status: 'anon', username: null, role: null });
+      setAuth({ status: 'anon', username: null, role: null, mustChangePassword: false });
     }
   }, []);
 
   return (
-    <AuthContext.Provider value={{ ...auth, setUser, logout }}>
+    <AuthContext.Provider value={{ ...auth, setUser, passwordChanged, logout }}>
       {children}
     </AuthContext.Provider>
   );
@@ -1,11 +1,16 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
+import { MarkerClusterer, SuperClusterAlgorithm } from '@googlemaps/markerclusterer';
 import * as groupsApi from '../api/groups.js';
-import { lookupZip } from '../api/zipcodes.js';
+import { findZipsInArea, findZipsWithinRadius, lookupZip, lookupZipsBatch } from '../api/zipcodes.js';
 import { loadGoogleMaps } from '../lib/googleMapsLoader.js';
-import { createNumberedMarkerIcon } from '../lib/markerIcons.js';
+import { createClusterIcon, createNumberedMarkerIcon, dominantColor } from '../lib/markerIcons.js';
 import { buildInfoWindowContent } from '../lib/infoWindowContent.js';
 import { geocodeAddress } from '../lib/geocode.js';
+import { unescapeHtml } from '../lib/escapedText.js';
 import { parseAddresses } from '../lib/parseAddresses.js';
+import { layerStyle, loadLayers, moveLayer, saveLayers, syncLayers, updateLayer } from '../lib/mapLayers.js';
+import { createRingShapes, loadRings, saveRings } from '../lib/radiusRings.js';
+import { circlePath, distanceMeters, rectanglePath, shapeCenter, shapeGeometry, shapeParts } from '../lib/shapeGeometry.js';
 import { usePopups } from '../context/PopupContext.jsx';
 
 // Port of the script.js map engine. Google Maps objects (map, markers,
@@ -20,8 +25,34 @@ const BULK_COLORS = [
     '#ec4899', '#6366f1', '#f97316', '#14b8a6', '#6b7280'
 ];
 
+// Imports can run to hundreds of addresses, so they geocode faster than
+// bulk upload's 1.2s spacing and back off once when Google pushes back.
+const IMPORT_GEOCODE_DELAY_MS = 250;
+const IMPORT_RATE_LIMIT_BACKOFF_MS = 2000;
+// Server cap on /api/zipcodes/lookup-batch.
+const ZIP_LOOKUP_CHUNK_SIZE = 250;
+
 const TEMP_STORAGE_KEY = 'tempGroups';
 
+// Marker clustering: nearby markers merge into count bubbles up to this
+// zoom; past it every marker shows with its number again.
+const CLUSTER_STORAGE_KEY = 'markerClustering';
+const CLUSTER_MAX_ZOOM = 14;
+const CLUSTER_RADIUS = 60;
+
+// Drawn lines; polygons keep the 2px outline ZIP boundaries always had.
+const LINE_WEIGHT = 3;
+// Vertex handles get unusable (and slow) past this, which rules out most
+// ZIP boundaries; smaller shapes are editable in Move mode.
+const MAX_EDITABLE_VERTICES = 500;
+// A dragged vertex fires several path events; they're saved as one change.
+const RESHAPE_SAVE_DELAY_MS = 300;
+
+// Draw modes and the default title of what each one saves
+const DRAW_TITLES = { polygon: 'Polygon', rectangle: 'Rectangle', line: 'Line', circle: 'Circle' };
+// Drawn like a polygon, but selects ZIP codes instead of being saved
+const LASSO_MODE = 'lasso';
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -44,6 +75,10 @@ function writeStoredTempGroups(entries) {
     sessionStorage.setItem(TEMP_STORAGE_KEY, JSON.stringify(entries));
 }
 
+function readStoredClustering() {
+    return localStorage.getItem(CLUSTER_STORAGE_KEY) === 'on';
+}
+
 export function useMapEngine(groupType) {
     const { showPopup } = usePopups();
 
@@ -51,8 +86,20 @@ export function useMapEngine(groupType) {
     const [mapReady, setMapReady] = useState(false);
     const [mapError, setMapError] = useState(false);
     const [groups, setGroups] = useState([]);
+    const [sharedGroups, setSharedGroups] = useState([]); // other users' groups shared with this user
+    const [readOnly, setReadOnly] = useState(false); // current group is shared view-only
     const [currentGroupId, setCurrentGroupId] = useState(null);
-    const [items, setItems] = useState([]); // [{locationId, kind:'marker'|'polygon', number, title, color}]
+    const [items, setItems] = useState([]); // [{locationId, kind:'marker'|'polygon', number, title, color, notes, customValues}]
+    const [customFields, setCustomFields] = useState([]); // current group's field definitions
+    const [moveMode, setMoveMode] = useState(false); // markers draggable to new positions
+    const [versionPreview, setVersionPreview] = useState(null); // {version, name, createdAt, canRestore} while a past version is on the map
+    const [layers, setLayers] = useState(() => loadLayers(groupType)); // [{groupId, visible, opacity}], top first
+    const [layerItems, setLayerItems] = useState({}); // groupId -> {name, items} for each other group drawn as a layer
+    const [clustering, setClustering] = useState(readStoredClustering); // nearby markers merge into count bubbles
+    const [rings, setRings] = useState(() => loadRings(groupType)); // locationId -> {radii, distance} radius rings around markers
+    const [route, setRoute] = useState(null); // {order, legs, totalMiles, distance, returnToStart, applied} while a planned route is drawn
+    const [drawing, setDrawing] = useState(null); // {mode, points} while a shape is being drawn
+    const [lasso, setLasso] = useState(null); // {area} GeoJSON of a finished lasso while its ZIP codes are being picked
     const [selectedLocationId, setSelectedLocationId] = useState(null);
     const [selectedColor, setSelectedColor] = useState('#3b82f6'); // default blue, like legacy
     const [zoomDisplay, setZoomDisplay] = useState('12.0');
@@ -60,6 +107,7 @@ export function useMapEngine(groupType) {
     const [searchBusy, setSearchBusy] = useState(false);
     const [screenshotBusy, setScreenshotBusy] = useState(false);
     const [saveTempOpen, setSaveTempOpen] = useState(false);
+    const [importOpen, setImportOpen] = useState(false);
     const [bulk, setBulk] = useState({ phase: 'idle', total: 0, current: 0, currentAddress: '', status: '', results: null });
 
     // --- refs (imperative map world + values read from map callbacks) ---
@@ -68,15 +116,32 @@ export function useMapEngine(groupType) {
     const mapRef = useRef(null);
     const infoWindowRef = useRef(null);
     const markersRef = useRef([]);
-    const polygonsRef = useRef({}); // locationId -> [google.maps.Polygon, ...]
+    const polygonsRef = useRef({}); // locationId -> [google.maps.Polygon | google.maps.Polyline, ...]
+    const reshapeTimersRef = useRef({}); // locationId -> pending save of an edited outline
+    const drawingRef = useRef(null); // {mode, points, preview, listeners, onKeyDown} while drawing
+    const lassoShapeRef = useRef(null); // google.maps.Polygon outlining the finished lasso
     const selectedMarkerRef = useRef(null);
     const currentGroupIdRef = useRef(null);
     const groupsRef = useRef([]);
+    const readOnlyRef = useRef(false);
     const tempGroupIdRef = useRef(null);
     const selectedColorRef = useRef('#3b82f6');
     const fractionalZoomRef = useRef(12);
     const bulkCancelledRef = useRef(false);
     const bulkColorIndexRef = useRef(0);
+    const detailsRef = useRef({}); // locationId -> { notes, customValues }
+    const customFieldsRef = useRef([]);
+    const moveModeRef = useRef(false);
+    const versionPreviewRef = useRef(null);
+    const layersRef = useRef(layers);
+    const overlaysRef = useRef({}); // groupId -> {name, markers, polygons, items, clusterer} for visible layers other than the current group
+    const clusteringRef = useRef(clustering);
+    const clustererRef = useRef(null); // MarkerClusterer for the current group's markers while clustering is on
+    const clusterRenderTimerRef = useRef(null);
+    const routeRef = useRef(null);
+    const ringsRef = useRef(rings);
+    const ringShapesRef = useRef({}); // locationId -> [google.maps.Circle | google.maps.Polygon] drawn for its rings
+    const routeLineRef = useRef(null); // google.maps.Polyline of the planned route
 
     const showPopupRef = useRef(showPopup);
     showPopupRef.current = showPopup;
@@ -91,25 +156,77 @@ export function useMapEngine(groupType) {
         setCurrentGroupId(groupId);
     }
 
+    function setCurrentCustomFields(fields) {
+        customFieldsRef.current = fields;
+        setCustomFields(fields);
+    }
+
     function syncItems() {
         const markerItems = markersRef.current.map((marker, index) => ({
             locationId: marker.locationId,
             kind: 'marker',
             number: index + 1,
             title: marker.getTitle(),
-            color: marker.originalColor
+            color: marker.originalColor,
+            ...detailsRef.current[marker.locationId]
         }));
         const polygonItems = Object.entries(polygonsRef.current).map(([locationId, parts], index) => ({
             locationId,
             kind: 'polygon',
             number: index + 1,
             title: parts[0].title || `ZIP Code ${index + 1}`,
-            color: parts[0].strokeColor || parts[0].fillColor
+            color: parts[0].strokeColor || parts[0].fillColor,
+            ...detailsRef.current[locationId]
         }));
         setItems([...markerItems, ...polygonItems]);
     }
 
+    function setCurrentReadOnly(value) {
+        readOnlyRef.current = value;
+        setReadOnly(value);
+    }
+
+    function setCurrentVersionPreview(value) {
+        versionPreviewRef.current = value;
+        setVersionPreview(value);
+    }
+
+    function setCurrentRoute(value) {
+        routeRef.current = value;
+        setRoute(value);
+    }
+
+    function setCurrentLayers(value) {
+        layersRef.current = value;
+        setLayers(value);
+        saveLayers(groupType, value);
+    }
+
+    // Edits to a group shared view-only are rejected by the server anyway;
+    // this stops them before the map is touched and says why. A past
+    // version on the map is read-only too.
+    function blockIfReadOnly() {
+        if (!readOnlyRef.current) return false;
+        if (versionPreviewRef.current) {
+            popup('warning', 'You are viewing a past version. Go back to the current version to make changes.', 'Past Version');
+        } else {
+            popup('warning', 'This group is shared with you view-only.', 'View Only');
+        }
+        return true;
+    }
+
+    async function fetchSharedGroupsList() {
+        try {
+            const fetched = await groupsApi.fetchSharedGroups(groupType);
+            setSharedGroups(Array.isArray(fetched) ? fetched : []);
+        } catch (error) {
+            console.error('Error fetching shared location groups:', error);
+            setSharedGroups([]);
+        }
+    }
+
     async function fetchGroupsList() {
+        fetchSharedGroupsList();
         try {
             const fetched = await groupsApi.fetchGroups(groupType);
             const list = Array.isArray(fetched) ? fetched : [];
@@ -134,6 +251,11 @@ export function useMapEngine(groupType) {
             const isSelected = marker === selectedMarkerRef.current;
             marker.setIcon(createNumberedMarkerIcon(index + 1, marker.originalColor, isSelected, currentZoom));
         });
+        Object.values(overlaysRef.current).forEach((overlay) => {
+            overlay.markers.forEach((marker, index) => {
+                marker.setIcon(createNumberedMarkerIcon(index + 1, marker.originalColor, false, currentZoom));
+            });
+        });
     }
 
     function selectMarkerObj(marker) {
@@ -150,6 +272,7 @@ export function useMapEngine(groupType) {
 
     async function changeItemColor(locationId, color) {
         // color: {name, value}
+        if (blockIfReadOnly()) return;
         try {
             await groupsApi.updateLocation(groupType, currentGroupIdRef.current, locationId, { color: color.value });
 
@@ -157,6 +280,8 @@ export function useMapEngine(groupType) {
             if (marker) {
                 marker.originalColor = color.value;
                 updateAllMarkerIcons();
+                reclusterCurrentGroup();
+                drawRings(locationId);
             }
             const parts = polygonsRef.current[locationId];
             if (parts) {
@@ -172,8 +297,113 @@ export function useMapEngine(groupType) {
         }
     }
 
+    // Title, notes and custom field values, from the info window or marker
+    // list. Resolves true when saved so editors know to close.
+    async function saveLocationDetails(locationId, { title, notes, customValues }) {
+        if (!currentGroupIdRef.current || blockIfReadOnly()) return false;
+        try {
+            const payload = { notes, customValues };
+            if (title !== undefined) payload.title = title;
+            const updated = await groupsApi.updateLocation(groupType, currentGroupIdRef.current, locationId, payload);
+            detailsRef.current[locationId] = { notes: updated.notes, customValues: updated.customValues };
+            const marker = markersRef.current.find((m) => m.locationId === locationId);
+            if (marker) marker.setTitle(updated.title);
+            (polygonsRef.current[locationId] || []).forEach((p) => { p.title = updated.title; });
+            syncItems();
+            infoWindowRef.current?.close();
+            popup('success', 'Details saved.', 'Location Updated');
+            return true;
+        } catch (error) {
+            console.error('Error saving location details:', error);
+            popup('error', `Failed to save details: ${error.message}`, 'Update Failed');
+            return false;
+        }
+    }
+
+    // Replaces the current group's field definitions. Values of removed
+    // fields stay stored but are no longer shown or exported.
+    async function saveCustomFields(fields) {
+        if (!currentGroupIdRef.current || blockIfReadOnly()) return false;
+        try {
+            const group = await groupsApi.updateGroup(groupType, currentGroupIdRef.current, { customFields: fields });
+            setCurrentCustomFields(group.customFields || []);
+            infoWindowRef.current?.close();
+            await fetchGroupsList();
+            popup('success', 'Custom fields saved.', 'Fields Updated');
+            return true;
+        } catch (error) {
+            console.error('Error saving custom fields:', error);
+            popup('error', `Failed to save custom fields: ${error.message}`, 'Update Failed');
+            return false;
+        }
+    }
+
+    // Saves a marker's new position; on failure the pin goes back to where
+    // it was.
+    async function moveLocation(marker, position, previousPosition) {
+        try {
+            await groupsApi.updateLocation(groupType, currentGroupIdRef.current, marker.locationId, position);
+            marker.setPosition(position);
+            reclusterCurrentGroup();
+            drawRings(marker.locationId);
+            return true;
+        } catch (error) {
+            console.error('Error moving location:', error);
+            if (previousPosition) marker.setPosition(previousPosition);
+            popup('error', `Failed to move location: ${error.message}`, 'Move Failed');
+            return false;
+        }
+    }
+
+    // Edit mode: while on, markers in an editable group can be dragged and
+    // shapes reshaped by their vertices; each change is saved.
+    function toggleMoveMode() {
+        if (!moveModeRef.current && blockIfReadOnly()) return;
+        setCurrentMoveMode(!moveModeRef.current);
+    }
+
+    function setCurrentMoveMode(value) {
+        moveModeRef.current = value;
+        setMoveMode(value);
+        markersRef.current.forEach((marker) => marker.setDraggable(value && !readOnlyRef.current));
+        setShapesEditable(value && !readOnlyRef.current);
+    }
+
+    // Geocodes `address` (by default the location's title) again and moves
+    // the marker to the result, e.g. after fixing a typo in the title.
+    async function regeocodeLocation(locationId, address) {
+        if (!currentGroupIdRef.current || blockIfReadOnly()) return false;
+        const marker = markersRef.current.find((m) => m.locationId === locationId);
+        if (!marker) return false;
+        const query = (address ?? unescapeHtml(marker.getTitle())).trim();
+        if (!query) return false;
+
+        const result = await geocodeAddress(query);
+        if (!result.success) {
+            popup('error', `Could not geocode "${query}": ${result.error}`, 'Geocoding Failed');
+            return false;
+        }
+        const moved = await moveLocation(marker, result.location, null);
+        if (moved) {
+            infoWindowRef.current?.close();
+            mapRef.current.setCenter(result.location);
+            popup('success', `Moved to ${result.formattedAddress}`, 'Location Updated');
+        }
+        return moved;
+    }
+
+    // Info window props shared by markers and polygons
+    function detailsProps(locationId) {
+        const details = detailsRef.current[locationId] || {};
+        return {
+            notes: details.notes,
+            customFields: customFieldsRef.current,
+            customValues: details.customValues
+        };
+    }
+
     async function deleteItem(locationId) {
-        if (!currentGroupIdRef.current) return;
+        if (!currentGroupIdRef.current || blockIfReadOnly()) return;
         try {
             await groupsApi.deleteLocation(groupType, currentGroupIdRef.current, locationId);
 
@@ -183,10 +413,12 @@ export function useMapEngine(groupType) {
                     selectedMarkerRef.current = null;
                     setSelectedLocationId(null);
                 }
-                markersRef.current[markerIndex].setMap(null);
-                markersRef.current.splice(markerIndex, 1);
+                const [marker] = markersRef.current.splice(markerIndex, 1);
+                if (clustererRef.current) clustererRef.current.removeMarker(marker);
+                else marker.setMap(null);
             }
             removePolygonObj(locationId);
+            setRadiusRings([locationId], []);
 
             updateAllMarkerIcons();
             syncItems();
@@ -199,10 +431,15 @@ export function useMapEngine(groupType) {
     function openInfoWindowForMarker(marker) {
         const content = buildInfoWindowContent({
             title: marker.getTitle(),
+            ...detailsProps(marker.locationId),
             position: { lat: marker.getPosition().lat(), lng: marker.getPosition().lng() },
             currentColor: marker.originalColor,
-            onColorPick: (color) => changeItemColor(marker.locationId, color),
-            onDelete: () => deleteItem(marker.locationId)
+            ...(readOnlyRef.current ? {} : {
+                onColorPick: (color) => changeItemColor(marker.locationId, color),
+                onDelete: () => deleteItem(marker.locationId),
+                onSaveDetails: (details) => saveLocationDetails(marker.locationId, details),
+                onRegeocode: () => regeocodeLocation(marker.locationId)
+            })
         });
         infoWindowRef.current.setContent(content);
         infoWindowRef.current.open(mapRef.current, marker);
@@ -212,85 +449,170 @@ export function useMapEngine(groupType) {
         const google = window.google;
         const marker = new google.maps.Marker({
             position,
-            map: mapRef.current,
+            // The clusterer decides whether it shows on its own or in a bubble
+            map: clustererRef.current ? null : mapRef.current,
             title,
-            icon: createNumberedMarkerIcon(markersRef.current.length + 1, color, false, mapRef.current?.getZoom() ?? 12)
+            draggable: moveModeRef.current && !readOnlyRef.current,
+            icon: createNumberedMarkerIcon(markersRef.current.length + 1, color, false, mapRef.current?.getZoom() ?? 12),
+            ...markerLayerOptions(currentGroupIdRef.current)
         });
         marker.locationId = locationId;
         marker.originalColor = color;
 
         markersRef.current.push(marker);
+        if (clustererRef.current) {
+            clustererRef.current.addMarker(marker, true);
+            renderClustersSoon();
+        }
 
         marker.addListener('click', () => {
             selectMarkerObj(marker);
             openInfoWindowForMarker(marker);
         });
 
+        let dragStartPosition = null;
+        marker.addListener('dragstart', () => {
+            dragStartPosition = marker.getPosition();
+            infoWindowRef.current?.close();
+        });
+        marker.addListener('dragend', (event) => {
+            moveLocation(marker, { lat: event.latLng.lat(), lng: event.latLng.lng() }, dragStartPosition);
+        });
+
         return marker;
     }
 
-    function createPolygonObj(locationId, geometryJson, color, title) {
+    // One google.maps.Polygon per outer ring of a GeoJSON Polygon or
+    // MultiPolygon (one Polyline per line of a LineString or
+    // MultiLineString), styled for groupId's layer; hover highlights every
+    // part together. Returns null for geometry that can't be drawn.
+    function buildPolygonParts(geometryJson, color, groupId) {
         const google = window.google;
-        try {
-            const geometry = JSON.parse(geometryJson);
-
-            let coordinateSets = [];
-            if (geometry.type === 'Polygon' && geometry.coordinates && geometry.coordinates[0]) {
-                coordinateSets = [geometry.coordinates];
-            } else if (geometry.type === 'MultiPolygon' && geometry.coordinates) {
-                coordinateSets = geometry.coordinates;
-            } else {
-                console.error('Invalid or unsupported polygon geometry:', geometry);
-                popup('warning', 'ZIP code boundary data unavailable or unsupported format', 'Polygon Error');
-                return null;
-            }
-
-            const polygonInstances = [];
-
-            coordinateSets.forEach((polygonCoords) => {
-                // GeoJSON [lng, lat] -> Google Maps {lat, lng}; outer ring only
-                const paths = polygonCoords[0].map((coord) => ({ lat: coord[1], lng: coord[0] }));
+        const shape = shapeParts(geometryJson);
+        if (!shape) {
+            console.error('Invalid or unsupported shape geometry:', geometryJson);
+            popup('warning', 'Boundary data unavailable or unsupported format', 'Polygon Error');
+            return null;
+        }
 
-                const polygon = new google.maps.Polygon({
-                    paths,
+        const { opacity } = layerStyle(layersRef.current, groupId);
+        const polygonInstances = shape.map((part) => {
+            const polygon = part.kind === 'line'
+                ? new google.maps.Polyline({
+                    path: part.path,
+                    strokeColor: color,
+                    strokeWeight: LINE_WEIGHT,
+                    map: mapRef.current,
+                    ...polygonLayerOptions(groupId)
+                })
+                : new google.maps.Polygon({
+                    paths: part.path,
                     strokeColor: color,
-                    strokeOpacity: 0.8,
                     strokeWeight: 2,
                     fillColor: color,
-                    fillOpacity: 0.35,
-                    map: mapRef.current
+                    map: mapRef.current,
+                    ...polygonLayerOptions(groupId)
                 });
-                polygon.locationId = locationId;
-                polygon.title = title;
-                polygonInstances.push(polygon);
-
-                polygon.addListener('click', (event) => {
-                    const currentColor = polygonsRef.current[locationId]?.[0]?.fillColor;
-                    const content = buildInfoWindowContent({
-                        title,
-                        currentColor,
+            polygon.shapeKind = part.kind;
+            polygon.innerRings = part.innerRings;
+            polygon.layerOpacity = opacity; // hover scales with it
+            return polygon;
+        });
+
+        const highlight = (on) => polygonInstances.forEach((p) => p.setOptions(p.shapeKind === 'line'
+            ? { strokeWeight: on ? LINE_WEIGHT + 2 : LINE_WEIGHT }
+            : { fillOpacity: (on ? 0.5 : 0.35) * p.layerOpacity, strokeWeight: on ? 3 : 2 }));
+        polygonInstances.forEach((polygon) => {
+            polygon.addListener('mouseover', () => highlight(true));
+            polygon.addListener('mouseout', () => highlight(false));
+        });
+        return polygonInstances;
+    }
+
+    function createPolygonObj(locationId, geometryJson, color, title) {
+        const polygonInstances = buildPolygonParts(geometryJson, color, currentGroupIdRef.current);
+        if (!polygonInstances) return null;
+
+        const editable = moveModeRef.current && !readOnlyRef.current && isEditableShape(polygonInstances);
+        polygonInstances.forEach((polygon) => {
+            polygon.locationId = locationId;
+            polygon.title = title;
+            polygon.savedPath = [...polygon.getPath().getArray()];
+            watchShapePath(polygon);
+            polygon.setEditable(editable);
+
+            polygon.addListener('click', (event) => {
+                const currentColor = polygonsRef.current[locationId]?.[0]?.strokeColor;
+                const content = buildInfoWindowContent({
+                    title: polygon.title,
+                    ...detailsProps(locationId),
+                    currentColor,
+                    ...(readOnlyRef.current ? {} : {
                         onColorPick: (colorOption) => changeItemColor(locationId, colorOption),
-                        onDelete: () => deleteItem(locationId)
-                    });
-                    infoWindowRef.current.setContent(content);
-                    infoWindowRef.current.setPosition(event.latLng);
-                    infoWindowRef.current.open(mapRef.current);
+                        onDelete: () => deleteItem(locationId),
+                        onSaveDetails: (details) => saveLocationDetails(locationId, details)
+                    })
                 });
+                infoWindowRef.current.setContent(content);
+                infoWindowRef.current.setPosition(event.latLng);
+                infoWindowRef.current.open(mapRef.current);
+            });
+        });
 
-                // Hover highlights every part of a MultiPolygon together
-                polygon.addListener('mouseover', () => {
-                    polygonInstances.forEach((p) => p.setOptions({ fillOpacity: 0.5, strokeWeight: 3 }));
-                });
-                polygon.addListener('mouseout', () => {
-                    polygonInstances.forEach((p) => p.setOptions({ fillOpacity: 0.35, strokeWeight: 2 }));
-                });
+        polygonsRef.current[locationId] = polygonInstances;
+        return polygonInstances;
+    }
+
+    // Vertex editing: in Move mode shapes show vertex handles (drag one, or
+    // a midpoint to add a vertex) and each reshape is saved.
+    function isEditableShape(parts) {
+        return parts.reduce((sum, p) => sum + p.getPath().getLength(), 0) <= MAX_EDITABLE_VERTICES;
+    }
+
+    function setShapesEditable(value) {
+        Object.values(polygonsRef.current).forEach((parts) => {
+            const editable = value && isEditableShape(parts);
+            parts.forEach((p) => p.setEditable(editable));
+        });
+    }
+
+    function watchShapePath(polygon) {
+        const path = polygon.getPath();
+        ['set_at', 'insert_at', 'remove_at'].forEach((eventName) => {
+            path.addListener(eventName, () => {
+                clearTimeout(reshapeTimersRef.current[polygon.locationId]);
+                reshapeTimersRef.current[polygon.locationId] = setTimeout(() => {
+                    delete reshapeTimersRef.current[polygon.locationId];
+                    saveReshape(polygon.locationId);
+                }, RESHAPE_SAVE_DELAY_MS);
             });
+        });
+    }
 
-            polygonsRef.current[locationId] = polygonInstances;
-            return polygonInstances;
+    // Saves a shape's edited outline, with its center as the new lat/lng;
+    // on failure the outline goes back to how it was last saved.
+    async function saveReshape(locationId) {
+        const parts = polygonsRef.current[locationId];
+        if (!parts || !currentGroupIdRef.current) return;
+        const shape = parts.map((p) => ({
+            kind: p.shapeKind,
+            path: p.getPath().getArray().map((coord) => ({ lat: coord.lat(), lng: coord.lng() })),
+            innerRings: p.innerRings
+        }));
+        try {
+            await groupsApi.updateLocation(groupType, currentGroupIdRef.current, locationId, {
+                geometry: shapeGeometry(shape),
+                ...shapeCenter(shape)
+            });
+            parts.forEach((p) => { p.savedPath = [...p.getPath().getArray()]; });
         } catch (error) {
-            console.error('Error creating polygon from geometry:', error);
-            return null;
+            console.error('Error saving shape:', error);
+            parts.forEach((p) => {
+                // A fresh path, so restoring it doesn't count as another edit
+                p.setPath([...p.savedPath]);
+                watchShapePath(p);
+            });
+            popup('error', `Failed to save the new outline: ${error.message}`, 'Edit Failed');
         }
     }
 
@@ -303,6 +625,10 @@ export function useMapEngine(groupType) {
     }
 
     function clearMapObjects() {
+        cancelDrawing();
+        clearRoute();
+        clearRingShapes();
+        clustererRef.current?.clearMarkers();
         markersRef.current.forEach((marker) => marker.setMap(null));
         markersRef.current = [];
         Object.values(polygonsRef.current).forEach((parts) => parts.forEach((p) => p.setMap(null)));
@@ -311,25 +637,30 @@ export function useMapEngine(groupType) {
         setSelectedLocationId(null);
     }
 
-    function extendBoundsWithEverything(bounds) {
-        markersRef.current.forEach((marker) => bounds.extend(marker.getPosition()));
-        Object.values(polygonsRef.current).forEach((parts) => {
-            parts.forEach((polygon) => {
-                polygon.getPath().forEach((coord) => bounds.extend(coord));
-            });
+    // Current group plus, unless layers is false, every other visible layer
+    function extendBoundsWithEverything(bounds, { layers = true } = {}) {
+        const overlays = layers ? Object.values(overlaysRef.current) : [];
+        const markers = [...markersRef.current, ...overlays.flatMap((overlay) => overlay.markers)];
+        const polygons = [...Object.values(polygonsRef.current).flat(), ...overlays.flatMap((overlay) => overlay.polygons)];
+        markers.forEach((marker) => bounds.extend(marker.getPosition()));
+        polygons.forEach((polygon) => {
+            polygon.getPath().forEach((coord) => bounds.extend(coord));
         });
     }
 
     // Port of fitMapToMarkers (script.js:2364) with the polygon-array bug fixed
     function fitMapToMarkers() {
         const google = window.google;
-        const polygonCount = Object.keys(polygonsRef.current).length;
-        if (markersRef.current.length === 0 && polygonCount === 0) return;
+        const overlays = Object.values(overlaysRef.current);
+        const markerCount = markersRef.current.length + overlays.reduce((sum, overlay) => sum + overlay.markers.length, 0);
+        const polygonCount = Object.keys(polygonsRef.current).length +
+            overlays.reduce((sum, overlay) => sum + overlay.items.filter((item) => item.kind === 'polygon').length, 0);
+        if (markerCount === 0 && polygonCount === 0) return;
 
         const bounds = new google.maps.LatLngBounds();
         extendBoundsWithEverything(bounds);
 
-        const totalCount = markersRef.current.length + polygonCount;
+        const totalCount = markerCount + polygonCount;
         let pad = 50;
         if (totalCount === 1) pad = 100;
         else if (totalCount <= 3) pad = 80;
@@ -341,7 +672,7 @@ export function useMapEngine(groupType) {
             const currentZoom = mapRef.current.getZoom();
             let targetZoom = currentZoom;
 
-            if (totalCount === 1 && markersRef.current.length === 1) {
+            if (totalCount === 1 && markerCount === 1) {
                 targetZoom = Math.max(12, Math.min(currentZoom, 16));
             } else if (totalCount <= 5) {
                 targetZoom = Math.max(10, Math.min(currentZoom, 15));
@@ -359,9 +690,43 @@ export function useMapEngine(groupType) {
     // Group selection / loading
     // ================================
 
+    // Draws a group's (or a past version's) locations and fits the map.
+    function renderLocations(locations) {
+        locations.forEach((location) => {
+            detailsRef.current[location.id] = { notes: location.notes, customValues: location.customValues };
+            if (location.geometry) {
+                createPolygonObj(location.id, location.geometry, location.color, location.title);
+            } else {
+                createMarkerObj({ lat: location.lat, lng: location.lng }, location.title, location.color, location.id);
+            }
+        });
+
+        syncItems();
+        markersRef.current.forEach((marker) => drawRings(marker.locationId));
+
+        if (markersRef.current.length > 0 || Object.keys(polygonsRef.current).length > 0) {
+            const google = window.google;
+            // Opening a group centres on it; See All covers the other layers
+            const mapBounds = new google.maps.LatLngBounds();
+            extendBoundsWithEverything(mapBounds, { layers: false });
+            mapRef.current.fitBounds(mapBounds);
+
+            if (markersRef.current.length === 1 && Object.keys(polygonsRef.current).length === 0) {
+                mapRef.current.setZoom(15);
+            }
+        }
+    }
+
     async function loadGroupMarkers(groupId) {
         clearMapObjects();
+        infoWindowRef.current?.close();
+        detailsRef.current = {};
         syncItems();
+        setCurrentReadOnly(false);
+        setCurrentMoveMode(false);
+        setCurrentVersionPreview(null);
+        setCurrentCustomFields([]);
+        refreshOverlays();
         if (!groupId) {
             setItems([]);
             return;
@@ -369,29 +734,284 @@ export function useMapEngine(groupType) {
 
         try {
             const group = await groupsApi.fetchGroup(groupType, groupId);
+            setCurrentReadOnly(group.permission === 'view');
+            setCurrentCustomFields(group.customFields || []);
+            renderLocations(group.locations);
+        } catch (error) {
+            console.error('Error loading group markers:', error);
+        }
+    }
+
+    // ================================
+    // Layers
+    // ================================
+
+    // Other groups can be drawn read-only next to the current one, each with
+    // its own visibility, opacity and place in the draw order. The current
+    // group is always drawn (as the editable one) and keeps its layer's
+    // opacity and order.
+
+    function markerLayerOptions(groupId) {
+        const { opacity, zIndex } = layerStyle(layersRef.current, groupId);
+        // Markers always draw above polygons; this orders them among themselves
+        return { opacity, zIndex: zIndex * 1000 };
+    }
+
+    function polygonLayerOptions(groupId) {
+        const { opacity, zIndex } = layerStyle(layersRef.current, groupId);
+        return { zIndex, strokeOpacity: 0.8 * opacity, fillOpacity: 0.35 * opacity };
+    }
+
+    function applyLayerStyles() {
+        const restyle = (groupId, markers, polygons) => {
+            const markerOptions = markerLayerOptions(groupId);
+            const polygonOptions = polygonLayerOptions(groupId);
+            markers.forEach((marker) => marker.setOptions(markerOptions));
+            polygons.forEach((polygon) => {
+                polygon.layerOpacity = markerOptions.opacity;
+                polygon.setOptions(polygonOptions);
+            });
+        };
+        restyle(currentGroupIdRef.current, markersRef.current, Object.values(polygonsRef.current).flat());
+        Object.entries(overlaysRef.current).forEach(([groupId, overlay]) => restyle(groupId, overlay.markers, overlay.polygons));
+        // Count bubbles take their layer's style when drawn
+        rebuildClusters();
+    }
+
+    function syncLayerItems() {
+        setLayerItems(Object.fromEntries(Object.entries(overlaysRef.current)
+            .filter(([, overlay]) => overlay.name !== null)
+            .map(([groupId, overlay]) => [groupId, { name: overlay.name, items: overlay.items }])));
+    }
+
+    function removeOverlay(groupId) {
+        const overlay = overlaysRef.current[groupId];
+        if (!overlay) return;
+        overlay.clusterer?.setMap(null);
+        overlay.markers.forEach((marker) => marker.setMap(null));
+        overlay.polygons.forEach((polygon) => polygon.setMap(null));
+        delete overlaysRef.current[groupId];
+    }
+
+    function clearOverlays() {
+        Object.keys(overlaysRef.current).forEach(removeOverlay);
+    }
+
+    async function drawOverlay(groupId) {
+        // Claimed before the fetch so a second refresh doesn't draw it twice
+        const overlay = { name: null, markers: [], polygons: [], items: [], clusterer: null };
+        overlaysRef.current[groupId] = overlay;
+        try {
+            const group = await groupsApi.fetchGroup(groupType, groupId);
+            if (overlaysRef.current[groupId] !== overlay) return; // hidden meanwhile
+
+            const zoom = mapRef.current?.getZoom() ?? 12;
+            const openInfo = (location, anchor) => {
+                infoWindowRef.current.setContent(buildInfoWindowContent({
+                    title: `${location.title} (${unescapeHtml(group.name)})`,
+                    notes: location.notes,
+                    customFields: group.customFields || [],
+                    customValues: location.customValues
+                }));
+                if (anchor.latLng) {
+                    infoWindowRef.current.setPosition(anchor.latLng);
+                    infoWindowRef.current.open(mapRef.current);
+                } else {
+                    infoWindowRef.current.open(mapRef.current, anchor);
+                }
+            };
 
             group.locations.forEach((location) => {
-                if (location.geometry && groupType === 'zipcodes') {
-                    createPolygonObj(location.id, location.geometry, location.color, location.title);
+                if (location.geometry) {
+                    const parts = buildPolygonParts(location.geometry, location.color, groupId);
+                    if (!parts) return;
+                    parts.forEach((polygon) => polygon.addListener('click', (event) => openInfo(location, event)));
+                    overlay.polygons.push(...parts);
+                    overlay.items.push({ locationId: location.id, kind: 'polygon', title: location.title, color: location.color });
                 } else {
-                    createMarkerObj({ lat: location.lat, lng: location.lng }, location.title, location.color, location.id);
+                    const marker = new window.google.maps.Marker({
+                        position: { lat: location.lat, lng: location.lng },
+                        map: clusteringRef.current ? null : mapRef.current,
+                        title: location.title,
+                        icon: createNumberedMarkerIcon(overlay.markers.length + 1, location.color, false, zoom),
+                        ...markerLayerOptions(groupId)
+                    });
+                    marker.originalColor = location.color;
+                    marker.addListener('click', () => openInfo(location, marker));
+                    overlay.markers.push(marker);
+                    overlay.items.push({ locationId: location.id, kind: 'marker', title: location.title, color: location.color });
                 }
             });
+            // Numbered like the marker list: markers first, then polygons
+            let markerNumber = 0;
+            let polygonNumber = 0;
+            overlay.items = [...overlay.items.filter((item) => item.kind === 'marker'), ...overlay.items.filter((item) => item.kind === 'polygon')]
+                .map((item) => ({ ...item, number: item.kind === 'marker' ? ++markerNumber : ++polygonNumber }));
+            overlay.clusterer = clusterMarkers(null, overlay.markers, groupId);
+            overlay.name = group.name;
+            syncLayerItems();
+        } catch (error) {
+            console.error('Error loading layer:', error);
+            if (overlaysRef.current[groupId] === overlay) delete overlaysRef.current[groupId];
+        }
+    }
 
-            syncItems();
+    // Draws visible layers that aren't on the map yet and removes hidden
+    // ones, plus the current group's (that one is drawn as editable).
+    function refreshOverlays() {
+        if (!mapRef.current) return;
+        const wanted = new Set(layersRef.current
+            .filter((layer) => layer.visible && layer.groupId !== currentGroupIdRef.current)
+            .map((layer) => layer.groupId));
+        Object.keys(overlaysRef.current).forEach((groupId) => {
+            if (!wanted.has(groupId)) removeOverlay(groupId);
+        });
+        wanted.forEach((groupId) => {
+            if (!overlaysRef.current[groupId]) drawOverlay(groupId);
+        });
+        syncLayerItems();
+    }
 
-            if (markersRef.current.length > 0 || Object.keys(polygonsRef.current).length > 0) {
-                const google = window.google;
-                const mapBounds = new google.maps.LatLngBounds();
-                extendBoundsWithEverything(mapBounds);
-                mapRef.current.fitBounds(mapBounds);
+    // Every saved group, own and shared, in draw order
+    function completeLayers() {
+        const groupIds = [...groupsRef.current, ...sharedGroups]
+            .filter((group) => !group.name.startsWith('__temp_'))
+            .map((group) => group.id);
+        return syncLayers(layersRef.current, groupIds);
+    }
 
-                if (markersRef.current.length === 1 && Object.keys(polygonsRef.current).length === 0) {
-                    mapRef.current.setZoom(15);
-                }
+    function setLayerVisible(groupId, visible) {
+        setCurrentLayers(updateLayer(completeLayers(), groupId, { visible }));
+        refreshOverlays();
+    }
+
+    function setLayerOpacity(groupId, opacity) {
+        setCurrentLayers(updateLayer(completeLayers(), groupId, { opacity }));
+        applyLayerStyles();
+    }
+
+    function moveLayerBy(groupId, offset) {
+        setCurrentLayers(moveLayer(completeLayers(), groupId, offset));
+        applyLayerStyles();
+    }
+
+    // ================================
+    // Clustering
+    // ================================
+
+    // While on, each group's markers get their own MarkerClusterer, so
+    // bubbles never mix layers. Bubbles take the most common marker color
+    // and clicking one zooms to its markers (the library's default).
+    // Hidden markers keep their number and color, so selection, reorder and
+    // recoloring work on them as usual.
+
+    // groupId null means the current group, whichever that is by then: its
+    // clusterer outlives group switches.
+    function clusterRenderer(groupId) {
+        return {
+            render: ({ count, position, markers }) => {
+                const { opacity, zIndex } = markerLayerOptions(groupId ?? currentGroupIdRef.current);
+                return new window.google.maps.Marker({
+                    position,
+                    title: `${count} locations - click to zoom in`,
+                    icon: createClusterIcon(count, dominantColor(markers.map((marker) => marker.originalColor))),
+                    opacity,
+                    // Above the layer's own markers, below the next layer's
+                    zIndex: zIndex + 999
+                });
             }
+        };
+    }
+
+    // Replaces `clusterer` (which may be null) with a fresh one for
+    // `markers`, or with null and every marker back on the map when
+    // clustering is off. The algorithm only redraws when markers come or go,
+    // so recolored or moved markers need a fresh clusterer.
+    function clusterMarkers(clusterer, markers, groupId) {
+        clusterer?.setMap(null); // hides its markers and bubbles
+        if (!clusteringRef.current || !mapRef.current) {
+            markers.forEach((marker) => marker.setMap(mapRef.current));
+            return null;
+        }
+        return new MarkerClusterer({
+            map: mapRef.current,
+            markers,
+            algorithm: new SuperClusterAlgorithm({ maxZoom: CLUSTER_MAX_ZOOM, radius: CLUSTER_RADIUS }),
+            renderer: clusterRenderer(groupId)
+        });
+    }
+
+    function reclusterCurrentGroup() {
+        if (!clustererRef.current) return;
+        clustererRef.current = clusterMarkers(clustererRef.current, markersRef.current, null);
+    }
+
+    function rebuildClusters() {
+        clustererRef.current = clusterMarkers(clustererRef.current, markersRef.current, null);
+        Object.entries(overlaysRef.current).forEach(([groupId, overlay]) => {
+            overlay.clusterer = clusterMarkers(overlay.clusterer, overlay.markers, groupId);
+        });
+    }
+
+    // Markers are added without drawing; one render covers a whole batch
+    // (e.g. a group being loaded).
+    function renderClustersSoon() {
+        clearTimeout(clusterRenderTimerRef.current);
+        clusterRenderTimerRef.current = setTimeout(() => clustererRef.current?.render(), 0);
+    }
+
+    function setMarkerClustering(value) {
+        clusteringRef.current = value;
+        setClustering(value);
+        localStorage.setItem(CLUSTER_STORAGE_KEY, value ? 'on' : 'off');
+        rebuildClusters();
+    }
+
+    // ================================
+    // Version history
+    // ================================
+
+    // Puts a past version of the current group on the map, read-only, until
+    // exitVersionPreview or restoreVersion. canRestore remembers whether the
+    // group itself is editable, since readOnly is forced on meanwhile.
+    async function previewVersion(version) {
+        const groupId = currentGroupIdRef.current;
+        if (!groupId) return;
+        try {
+            const found = await groupsApi.fetchGroupVersion(groupType, groupId, version);
+            const canRestore = versionPreviewRef.current ? versionPreviewRef.current.canRestore : !readOnlyRef.current;
+
+            clearMapObjects();
+            infoWindowRef.current?.close();
+            detailsRef.current = {};
+            setCurrentMoveMode(false);
+            setCurrentReadOnly(true);
+            setCurrentVersionPreview({ version: found.version, name: found.name, createdAt: found.createdAt, canRestore });
+            setCurrentCustomFields(found.snapshot.customFields || []);
+            renderLocations(found.snapshot.locations);
         } catch (error) {
-            console.error('Error loading group markers:', error);
+            console.error('Error loading group version:', error);
+            popup('error', `Failed to load version ${version}: ${error.message}`, 'History');
+        }
+    }
+
+    function exitVersionPreview() {
+        loadGroupMarkers(currentGroupIdRef.current);
+    }
+
+    // Rewrites the group to the given version (recorded server-side as a
+    // new version) and shows the result.
+    async function restoreVersion(version) {
+        const groupId = currentGroupIdRef.current;
+        if (!groupId) return;
+        try {
+            await groupsApi.restoreGroupVersion(groupType, groupId, version);
+            await fetchGroupsList();
+            await loadGroupMarkers(groupId);
+            popup('success', `Version ${version} restored.`, 'Version Restored');
+        } catch (error) {
+            console.error('Error restoring group version:', error);
+            popup('error', `Failed to restore version ${version}: ${error.message}`, 'Restore Failed');
         }
     }
 
@@ -423,18 +1043,21 @@ export function useMapEngine(groupType) {
     async function deleteGroup(groupId) {
         try {
             await groupsApi.deleteGroup(groupType, groupId);
+            removeOverlay(groupId);
+            syncLayerItems();
             const deletedGroup = groupsRef.current.find((g) => g.id === groupId);
             groupsRef.current = groupsRef.current.filter((g) => g.id !== groupId);
             setGroups(groupsRef.current);
 
             if (currentGroupIdRef.current === groupId) {
                 setCurrentGroup(null);
+                setCurrentReadOnly(false);
                 clearMapObjects();
                 setItems([]);
             }
 
             if (deletedGroup) {
-                popup('success', `Group "${deletedGroup.name}" deleted successfully`, 'Group Deleted');
+                popup('success', `Group "${deletedGroup.name}" moved to the Trash`, 'Group Deleted');
             }
             return true;
         } catch (error) {
@@ -444,6 +1067,35 @@ export function useMapEngine(groupType) {
         }
     }
 
+    // Duplicate / merge / split: the server builds the new group, which is
+    // then selected. Errors are left to the caller's form to show.
+    async function showNewGroup(groupId) {
+        await fetchGroupsList();
+        selectGroup(groupId, { bypassTempGuard: true });
+    }
+
+    async function duplicateGroup(groupId, name) {
+        const group = await groupsApi.duplicateGroup(groupType, groupId, name);
+        await showNewGroup(group.id);
+        popup('success', `Group "${unescapeHtml(group.name)}" created as a copy.`, 'Group Duplicated');
+        return group;
+    }
+
+    async function mergeGroups(name, groupIds, dedupeBy) {
+        const group = await groupsApi.mergeGroups(groupType, name, groupIds, dedupeBy);
+        await showNewGroup(group.id);
+        const skipped = group.duplicates > 0 ? ` ${group.duplicates} duplicate${group.duplicates === 1 ? '' : 's'} skipped.` : '';
+        popup('success', `Merged ${groupIds.length} groups into "${unescapeHtml(group.name)}".${skipped}`, 'Groups Merged');
+        return group;
+    }
+
+    async function splitGroup(name, locationIds) {
+        const { group } = await groupsApi.splitGroup(groupType, currentGroupIdRef.current, name, locationIds);
+        await showNewGroup(group.id);
+        popup('success', `Moved ${locationIds.length} location${locationIds.length === 1 ? '' : 's'} to "${unescapeHtml(group.name)}".`, 'Group Split');
+        return group;
+    }
+
     // ================================
     // Temp group system
     // ================================
@@ -566,7 +1218,7 @@ export function useMapEngine(groupType) {
         const newLocation = await groupsApi.addLocation(groupType, groupId, locationData);
         if (!newLocation) return null;
 
-        if (newLocation.geometry && groupType === 'zipcodes') {
+        if (newLocation.geometry) {
             createPolygonObj(newLocation.id, newLocation.geometry, newLocation.color, newLocation.title);
         } else {
             if (newLocation.geometry === undefined && groupType === 'zipcodes') {
@@ -585,6 +1237,7 @@ export function useMapEngine(groupType) {
     }
 
     async function addFromPlace(place) {
+        if (blockIfReadOnly()) return;
         setSearchBusy(true);
         try {
             const groupId = await ensureGroupSelected();
@@ -622,6 +1275,7 @@ export function useMapEngine(groupType) {
             searchInputRef.current?.focus();
             return;
         }
+        if (blockIfReadOnly()) return;
 
         setSearchBusy(true);
         try {
@@ -659,6 +1313,7 @@ export function useMapEngine(groupType) {
     }
 
     async function addZipCode(zipCode) {
+        if (blockIfReadOnly()) return;
         try {
             const groupId = await ensureGroupSelected();
             if (!groupId) {
@@ -722,9 +1377,15 @@ export function useMapEngine(groupType) {
     }
 
     async function reorderMarkers(fromIndex, toIndex) {
+        if (blockIfReadOnly()) return;
         const moved = markersRef.current.splice(fromIndex, 1)[0];
         markersRef.current.splice(toIndex, 0, moved);
+        await saveMarkerOrder();
+    }
 
+    // Renumbers markers in markersRef order and saves that order. Resolves
+    // false when the server didn't take it.
+    async function saveMarkerOrder() {
         updateAllMarkerIcons();
         syncItems();
 
@@ -734,26 +1395,389 @@ export function useMapEngine(groupType) {
                 await groupsApi.reorderLocations(groupType, currentGroupIdRef.current, locationIds);
             } catch (error) {
                 console.error('Error reordering markers on server:', error);
+                return false;
             }
         }
+        return true;
     }
 
     function pickColor(colorHex) {
         selectedColorRef.current = colorHex;
         setSelectedColor(colorHex);
         // Legacy behavior: picking a swatch while a marker is selected recolors it
-        if (selectedMarkerRef.current && currentGroupIdRef.current) {
+        if (selectedMarkerRef.current && currentGroupIdRef.current && !readOnlyRef.current) {
             const marker = selectedMarkerRef.current;
             groupsApi.updateLocation(groupType, currentGroupIdRef.current, marker.locationId, { color: colorHex })
                 .then(() => {
                     marker.originalColor = colorHex;
                     updateAllMarkerIcons();
+                    reclusterCurrentGroup();
+                    drawRings(marker.locationId);
                     syncItems();
                 })
                 .catch((error) => console.error('Error updating marker color:', error));
         }
     }
 
+    // ================================
+    // Route planning
+    // ================================
+
+    // The server suggests a visiting order for the current group's markers;
+    // it is drawn as a line until cleared and only becomes the marker order
+    // (order_index) once applied.
+
+    function clearRoute() {
+        routeLineRef.current?.setMap(null);
+        routeLineRef.current = null;
+        setCurrentRoute(null);
+    }
+
+    // start: a marker's locationId, or 'center' for the middle of the map.
+    // distance: 'straight' | 'road'. Errors are left to the caller.
+    async function planRoute({ start, distance, returnToStart }) {
+        const groupId = currentGroupIdRef.current;
+        if (!groupId) return null;
+        const google = window.google;
+        const center = mapRef.current.getCenter();
+        const startPoint = start === 'center' ? { lat: center.lat(), lng: center.lng() } : { locationId: start };
+
+        const plan = await groupsApi.planRoute(groupType, groupId, { start: startPoint, distance, returnToStart });
+        if (groupId !== currentGroupIdRef.current) return null; // switched groups meanwhile
+
+        const byId = new Map(markersRef.current.map((marker) => [marker.locationId, marker]));
+        const path = plan.order.map((locationId) => byId.get(locationId)?.getPosition()).filter(Boolean);
+        if (start === 'center') path.unshift(new google.maps.LatLng(startPoint.lat, startPoint.lng));
+        if (plan.returnToStart && path.length > 1) path.push(path[0]);
+
+        clearRoute();
+        routeLineRef.current = new google.maps.Polyline({
+            map: mapRef.current,
+            path,
+            clickable: false,
+            strokeColor: '#1d4ed8',
+            strokeOpacity: 0.8,
+            strokeWeight: 4,
+            icons: [{
+                icon: { path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW, scale: 2.5 },
+                offset: '60px',
+                repeat: '120px'
+            }]
+        });
+        setCurrentRoute({ ...plan, applied: false });
+
+        if (path.length > 1) {
+            const bounds = new google.maps.LatLngBounds();
+            path.forEach((point) => bounds.extend(point));
+            mapRef.current.fitBounds(bounds, 50);
+        }
+        return plan;
+    }
+
+    // Makes the planned order the group's marker order. Markers added since
+    // planning keep their relative order after the route's stops.
+    async function applyRoute() {
+        const plan = routeRef.current;
+        if (!plan || blockIfReadOnly()) return;
+        const position = new Map(plan.order.map((locationId, index) => [locationId, index]));
+        const rank = (marker, index) => (position.has(marker.locationId) ? position.get(marker.locationId) : plan.order.length + index);
+        markersRef.current = markersRef.current
+            .map((marker, index) => ({ marker, rank: rank(marker, index) }))
+            .sort((a, b) => a.rank - b.rank)
+            .map(({ marker }) => marker);
+
+        if (await saveMarkerOrder()) {
+            setCurrentRoute({ ...plan, applied: true });
+            popup('success', 'Markers renumbered in route order.', 'Route Applied');
+        } else {
+            popup('error', 'Failed to save the route order. Please try again.', 'Route Not Applied');
+        }
+    }
+
+    // ================================
+    // Radius rings & ZIP radius search
+    // ================================
+
+    // Rings are circles (or diamonds for the road estimate) around the
+    // current group's markers, in the marker's color. They are remembered per
+    // location in this browser only, so view-only groups can have them too.
+
+    function removeRingShapes(locationId) {
+        (ringShapesRef.current[locationId] || []).forEach((shape) => shape.setMap(null));
+        delete ringShapesRef.current[locationId];
+    }
+
+    function clearRingShapes() {
+        Object.keys(ringShapesRef.current).forEach(removeRingShapes);
+    }
+
+    function drawRings(locationId) {
+        removeRingShapes(locationId);
+        const config = ringsRef.current[locationId];
+        const marker = markersRef.current.find((m) => m.locationId === locationId);
+        if (!config || !marker || !mapRef.current) return;
+        const shapes = createRingShapes(marker.getPosition(), config, marker.originalColor);
+        shapes.forEach((shape) => shape.setMap(mapRef.current));
+        ringShapesRef.current[locationId] = shapes;
+    }
+
+    // radii [] removes the rings of those locations.
+    function setRadiusRings(locationIds, radii, distance = 'straight') {
+        const next = { ...ringsRef.current };
+        locationIds.forEach((locationId) => {
+            if (radii.length > 0) next[locationId] = { radii, distance };
+            else delete next[locationId];
+        });
+        ringsRef.current = next;
+        setRings(next);
+        saveRings(groupType, next);
+        locationIds.forEach(drawRings);
+    }
+
+    // around: a marker's locationId, or 'group' for every location of the
+    // current group. Errors are left to the caller.
+    async function findZipsInRadius({ around, miles, distance }) {
+        if (around === 'group') {
+            return findZipsWithinRadius({ miles, distance, groupId: currentGroupIdRef.current, groupType });
+        }
+        const marker = markersRef.current.find((m) => m.locationId === around);
+        if (!marker) throw new Error('Marker not found');
+        const position = marker.getPosition();
+        return findZipsWithinRadius({ miles, distance, point: { lat: position.lat(), lng: position.lng() } });
+    }
+
+    // New ZIP group from a radius search, in the selected color. On the ZIP
+    // page it is opened right away.
+    async function saveZipsAsGroup(name, zipCodes) {
+        const group = await groupsApi.createGroupFromZipCodes(name, zipCodes, selectedColorRef.current);
+        const missing = group.notFound.length > 0 ? ` ${group.notFound.length} without boundary data skipped.` : '';
+        if (groupType === 'zipcodes') {
+            await showNewGroup(group.id);
+            popup('success', `Group "${unescapeHtml(group.name)}" created with ${group.locations.length} ZIP codes.${missing}`, 'ZIP Group Created');
+        } else {
+            popup('success', `ZIP group "${unescapeHtml(group.name)}" created with ${group.locations.length} ZIP codes. Open it on the Zip Code Outline page.${missing}`, 'ZIP Group Created');
+        }
+        return group;
+    }
+
+    // ================================
+    // Drawing shapes
+    // ================================
+
+    // Polygons and lines are drawn a vertex per click and finished with a
+    // double-click (or Finish); rectangles take two opposite corners and
+    // circles a center and a point on the edge. Esc cancels. The shape is
+    // saved into the current group (or a temporary one) like any location.
+    // The ZIP page's lasso is drawn the same way as a polygon.
+
+    // Clicks on the map's own objects would swallow the drawing clicks
+    function setMapObjectsClickable(clickable) {
+        const overlays = Object.values(overlaysRef.current);
+        [...markersRef.current, ...overlays.flatMap((overlay) => overlay.markers)]
+            .forEach((marker) => marker.setClickable(clickable));
+        [...Object.values(polygonsRef.current).flat(), ...overlays.flatMap((overlay) => overlay.polygons)]
+            .forEach((polygon) => polygon.setOptions({ clickable }));
+        routeLineRef.current?.setOptions({ clickable });
+    }
+
+    function startDrawing(mode) {
+        if (!mapRef.current || !(DRAW_TITLES[mode] || mode === LASSO_MODE)) return;
+        // A lasso only selects; adding what it found is checked then
+        if (mode !== LASSO_MODE && blockIfReadOnly()) return;
+        cancelDrawing();
+        const map = mapRef.current;
+        const draft = { mode, points: [], preview: null, listeners: [] };
+        draft.listeners.push(
+            map.addListener('click', (event) => addDrawPoint(event.latLng)),
+            map.addListener('mousemove', (event) => updateDrawPreview(event.latLng)),
+            map.addListener('dblclick', () => finishDrawing())
+        );
+        draft.onKeyDown = (event) => {
+            if (event.key === 'Escape') cancelDrawing();
+        };
+        document.addEventListener('keydown', draft.onKeyDown);
+        drawingRef.current = draft;
+
+        infoWindowRef.current?.close();
+        map.setOptions({ draggableCursor: 'crosshair', disableDoubleClickZoom: true });
+        setMapObjectsClickable(false);
+        setDrawing({ mode, points: 0 });
+    }
+
+    function cancelDrawing() {
+        const draft = drawingRef.current;
+        if (!draft) return;
+        drawingRef.current = null;
+        draft.listeners.forEach((listener) => listener.remove());
+        document.removeEventListener('keydown', draft.onKeyDown);
+        draft.preview?.setMap(null);
+        mapRef.current?.setOptions({ draggableCursor: null, disableDoubleClickZoom: false });
+        setMapObjectsClickable(true);
+        setDrawing(null);
+    }
+
+    // Screen distance between two points at the current zoom
+    function pixelsBetween(a, b) {
+        const google = window.google;
+        const projection = mapRef.current.getProjection();
+        if (!projection) return Infinity;
+        const pointA = projection.fromLatLngToPoint(new google.maps.LatLng(a));
+        const pointB = projection.fromLatLngToPoint(new google.maps.LatLng(b));
+        return Math.hypot(pointA.x - pointB.x, pointA.y - pointB.y) * 2 ** mapRef.current.getZoom();
+    }
+
+    // The shape so far as shapeGeometry parts (plus `cursor`, for the
+    // preview), or null while it doesn't have enough points yet.
+    function draftParts(draft, cursor) {
+        const points = cursor ? [...draft.points, cursor] : draft.points;
+        if (points.length < 2) return null;
+        switch (draft.mode) {
+            case 'rectangle':
+                return [{ kind: 'polygon', path: rectanglePath(points[0], points[1]) }];
+            case 'circle':
+                return [{ kind: 'polygon', path: circlePath(points[0], distanceMeters(points[0], points[1])) }];
+            case 'line':
+                return [{ kind: 'line', path: points }];
+            default:
+                return points.length >= 3 ? [{ kind: 'polygon', path: points }] : null;
+        }
+    }
+
+    function addDrawPoint(latLng) {
+        const draft = drawingRef.current;
+        if (!draft) return;
+        const point = { lat: latLng.lat(), lng: latLng.lng() };
+        const last = draft.points[draft.points.length - 1];
+        // The second click of a double-click isn't a new vertex
+        if (last && pixelsBetween(last, point) < 5) return;
+        draft.points.push(point);
+        if ((draft.mode === 'rectangle' || draft.mode === 'circle') && draft.points.length === 2) {
+            finishDrawing();
+            return;
+        }
+        updateDrawPreview(latLng);
+        setDrawing({ mode: draft.mode, points: draft.points.length });
+    }
+
+    // Outline of the shape so far, following the cursor
+    function updateDrawPreview(latLng) {
+        const draft = drawingRef.current;
+        if (!draft || draft.points.length === 0) return;
+        const cursor = { lat: latLng.lat(), lng: latLng.lng() };
+        const parts = draftParts(draft, cursor);
+        let path = [...draft.points, cursor];
+        if (parts) path = parts[0].kind === 'polygon' ? [...parts[0].path, parts[0].path[0]] : parts[0].path;
+        if (!draft.preview) {
+            draft.preview = new window.google.maps.Polyline({
+                map: mapRef.current,
+                clickable: false,
+                strokeColor: selectedColorRef.current,
+                strokeOpacity: 0.9,
+                strokeWeight: 2,
+                zIndex: 1000000
+            });
+        }
+        draft.preview.setPath(path);
+    }
+
+    async function finishDrawing() {
+        const draft = drawingRef.current;
+        const parts = draft && draftParts(draft, null);
+        if (!parts) return;
+        cancelDrawing();
+        if (draft.mode === LASSO_MODE) {
+            showLasso(parts);
+            return;
+        }
+
+        try {
+            const groupId = await ensureGroupSelected();
+            if (!groupId) {
+                popup('warning', 'Unable to create temporary group. Please select a group first.', 'Group Required');
+                return;
+            }
+            const shapeNumber = Object.keys(polygonsRef.current).length + 1;
+            const newLocation = await addLocationAndRender(groupId, {
+                ...shapeCenter(parts),
+                title: `${DRAW_TITLES[draft.mode]} ${shapeNumber}`,
+                color: selectedColorRef.current,
+                geometry: shapeGeometry(parts)
+            }, {});
+            if (!newLocation) popup('error', 'Failed to save the shape. Please try again.', 'Add Failed');
+        } catch (error) {
+            console.error('Error saving drawn shape:', error);
+            popup('error', `Failed to save the shape: ${error.message}`, 'Add Failed');
+        }
+    }
+
+    // ================================
+    // ZIP lasso
+    // ================================
+
+    // The lasso's area stays outlined while the ZIP codes inside it are
+    // looked up (by center, or by share of their area) and added to the
+    // group in one batch.
+
+    function showLasso(parts) {
+        clearLasso();
+        const color = selectedColorRef.current;
+        lassoShapeRef.current = new window.google.maps.Polygon({
+            paths: parts[0].path,
+            map: mapRef.current,
+            clickable: false,
+            strokeColor: color,
+            strokeOpacity: 0.9,
+            strokeWeight: 2,
+            fillColor: color,
+            fillOpacity: 0.08,
+            zIndex: 1000000
+        });
+        lassoShapeRef.current.area = shapeGeometry(parts);
+        setLasso({ area: lassoShapeRef.current.area });
+    }
+
+    function clearLasso() {
+        lassoShapeRef.current?.setMap(null);
+        lassoShapeRef.current = null;
+        setLasso(null);
+    }
+
+    async function findZipsInLasso({ match, minAreaPercent }) {
+        if (!lassoShapeRef.current) return null;
+        return findZipsInArea({ area: lassoShapeRef.current.area, match, minAreaPercent });
+    }
+
+    // Adds the ZIP codes to the current group (or a temporary one) in the
+    // selected color. Resolves true once added, so the picker can close.
+    async function addLassoZips(zipCodes) {
+        if (blockIfReadOnly()) return false;
+        try {
+            const groupId = await ensureGroupSelected();
+            if (!groupId) {
+                popup('warning', 'Unable to create temporary group. Please select a group first.', 'Group Required');
+                return false;
+            }
+            const { added, alreadyInGroup, notFound } = await groupsApi.addZipCodesToGroup(groupId, zipCodes, selectedColorRef.current);
+            if (currentGroupIdRef.current === groupId) {
+                added.forEach((location) => createPolygonObj(location.id, location.geometry, location.color, location.title));
+                syncItems();
+            }
+            await fetchGroupsList();
+            clearLasso();
+
+            const skipped = [
+                alreadyInGroup.length > 0 ? `${alreadyInGroup.length} already in the group` : '',
+                notFound.length > 0 ? `${notFound.length} without boundary data` : ''
+            ].filter(Boolean).join(', ');
+            popup('success', `Added ${added.length} ZIP code${added.length === 1 ? '' : 's'}${skipped ? ` (${skipped})` : ''}.`, 'ZIP Codes Added');
+            return true;
+        } catch (error) {
+            console.error('Error adding lasso ZIP codes:', error);
+            popup('error', `Failed to add the ZIP codes: ${error.message}`, 'Add Failed');
+            return false;
+        }
+    }
+
     // ================================
     // Zoom controls
     // ================================
@@ -806,6 +1830,9 @@ export function useMapEngine(groupType) {
                 popup('error', `Failed to create group: ${error.message}`, 'Group Creation Failed');
                 return;
             }
+        } else if (readOnlyRef.current) {
+            popup('warning', 'This group is shared with you view-only. Enter a new group name instead.', 'View Only');
+            return;
         } else if (!targetGroupId) {
             if (groupsRef.current.length === 0) {
                 try {
@@ -893,7 +1920,7 @@ export function useMapEngine(groupType) {
 
                 const newLocation = await groupsApi.addLocation(groupType, targetGroupId, locationData);
                 if (newLocation) {
-                    if (newLocation.geometry && groupType === 'zipcodes') {
+                    if (newLocation.geometry) {
                         createPolygonObj(newLocation.id, newLocation.geometry, newLocation.color, newLocation.title);
                     } else {
                         createMarkerObj({ lat: newLocation.lat, lng: newLocation.lng }, newLocation.title, newLocation.color, newLocation.id);
@@ -928,6 +1955,105 @@ export function useMapEngine(groupType) {
         }
     }
 
+    // ================================
+    // Spreadsheet import (lib/importRows.js does parsing and validation)
+    // ================================
+
+    // Boundaries for every ZIP in the import, fetched in batch chunks.
+    // ZIPs missing from the result weren't found (or their chunk failed).
+    async function lookupImportZips(zipCodes) {
+        const unique = [...new Set(zipCodes)];
+        const found = new Map();
+        for (let i = 0; i < unique.length; i += ZIP_LOOKUP_CHUNK_SIZE) {
+            try {
+                const { results } = await lookupZipsBatch(unique.slice(i, i + ZIP_LOOKUP_CHUNK_SIZE));
+                Object.entries(results || {}).forEach(([zipCode, data]) => found.set(zipCode, data));
+            } catch (error) {
+                console.error('ZIP lookup failed for an import chunk:', error);
+            }
+        }
+        return found;
+    }
+
+    // rows: the error-free rows from buildImportRows. Rows with coordinates
+    // skip geocoding; the rest are geocoded one at a time, then everything
+    // is saved as a new group in a single request. On the ZIP page every
+    // row takes its boundary (and, without coordinates, its center) from a
+    // ZIP lookup instead. Progress and results reuse the bulk upload modals.
+    async function startImport({ groupName, rows }) {
+        setImportOpen(false);
+        bulkCancelledRef.current = false;
+        const results = { successful: [], failed: [] };
+        const locations = [];
+        let colorIndex = 0;
+
+        setBulk({ phase: 'processing', total: rows.length, current: 0, currentAddress: 'Preparing...', status: 'Starting import...', results: null });
+
+        const zipLookups = groupType === 'zipcodes'
+            ? await lookupImportZips(rows.map((row) => row.zipCode))
+            : null;
+
+        for (let i = 0; i < rows.length; i++) {
+            if (bulkCancelledRef.current) break;
+            const row = rows[i];
+            const label = row.address || row.title || (row.zipCode ? `ZIP ${row.zipCode}` : `Row ${row.rowNumber}`);
+            setBulk((b) => ({ ...b, current: i, currentAddress: label, status: `Importing row ${i + 1} of ${rows.length}...` }));
+
+            let position = row.lat !== null ? { lat: row.lat, lng: row.lng } : null;
+            let geocodedTitle = null;
+            let geometry = null;
+            if (zipLookups) {
+                const zipData = zipLookups.get(row.zipCode);
+                if (!zipData) {
+                    results.failed.push({ address: label, reason: `Row ${row.rowNumber}: ZIP code ${row.zipCode} not found` });
+                    continue;
+                }
+                position = position || zipData.center;
+                geocodedTitle = zipData.title;
+                geometry = zipData.geometry || null;
+            } else if (!position) {
+                let result = await geocodeAddress(row.address);
+                if (!result.success && result.error === 'Rate limit exceeded') {
+                    await new Promise((resolve) => setTimeout(resolve, IMPORT_RATE_LIMIT_BACKOFF_MS));
+                    result = await geocodeAddress(row.address);
+                }
+                if (!result.success) {
+                    results.failed.push({ address: label, reason: `Row ${row.rowNumber}: ${result.error || 'Address not found'}` });
+                    continue;
+                }
+                position = result.location;
+                geocodedTitle = result.formattedAddress;
+                await new Promise((resolve) => setTimeout(resolve, IMPORT_GEOCODE_DELAY_MS));
+            }
+
+            const location = {
+                lat: position.lat,
+                lng: position.lng,
+                title: row.title || geocodedTitle || row.address || `${position.lat.toFixed(5)}, ${position.lng.toFixed(5)}`,
+                color: row.color || BULK_COLORS[colorIndex++ % BULK_COLORS.length]
+            };
+            if (row.notes) location.notes = row.notes;
+            if (geometry) location.geometry = geometry;
+            locations.push(location);
+            results.successful.push({ address: label, result: location });
+        }
+
+        if (locations.length > 0) {
+            setBulk((b) => ({ ...b, current: rows.length, currentAddress: groupName, status: 'Saving group...' }));
+            try {
+                const group = await groupsApi.createGroup(groupType, groupName, locations);
+                await fetchGroupsList();
+                selectGroup(group.id, { bypassTempGuard: true });
+            } catch (error) {
+                console.error('Failed to save imported group:', error);
+                results.failed.push(...results.successful.map((item) => ({ address: item.address, reason: `Not saved: ${error.message}` })));
+                results.successful = [];
+            }
+        }
+
+        setBulk({ phase: 'results', total: rows.length, current: rows.length, currentAddress: '', status: '', results });
+    }
+
     // ================================
     // Map initialization
     // ================================
@@ -981,8 +2107,10 @@ export function useMapEngine(groupType) {
                 });
 
                 setMapReady(true);
+                rebuildClusters();
                 fetchGroupsList();
                 cleanupTempGroups();
+                refreshOverlays();
             })
             .catch((error) => {
                 console.error('Error loading configuration:', error);
@@ -991,7 +2119,11 @@ export function useMapEngine(groupType) {
 
         return () => {
             cancelled = true;
+            clearTimeout(clusterRenderTimerRef.current);
+            clustererRef.current?.setMap(null);
+            clustererRef.current = null;
             clearMapObjects();
+            clearOverlays();
         };
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, []);
@@ -1044,6 +2176,44 @@ export function useMapEngine(groupType) {
         [groups]
     );
 
+    const currentGroup = useMemo(
+        () => groups.find((g) => g.id === currentGroupId) || sharedGroups.find((g) => g.id === currentGroupId) || null,
+        [groups, sharedGroups, currentGroupId]
+    );
+
+    // Layer panel rows, top of the draw order first
+    const layerRows = useMemo(() => {
+        const savedGroups = [...visibleGroups, ...sharedGroups.filter((group) => !group.name.startsWith('__temp_'))];
+        const byId = new Map(savedGroups.map((group) => [group.id, group]));
+        return syncLayers(layers, savedGroups.map((group) => group.id)).map((layer) => ({
+            ...layer,
+            group: byId.get(layer.groupId),
+            isCurrent: layer.groupId === currentGroupId
+        }));
+    }, [layers, visibleGroups, sharedGroups, currentGroupId]);
+
+    // What's on the map, per group in draw order, for the screenshot legend:
+    // [{ name, items }] with the current group included.
+    const visibleLayerSections = useMemo(() => {
+        const sections = [];
+        let currentPlaced = false;
+        const currentName = currentGroup && !currentGroup.name.startsWith('__temp_') ? currentGroup.name : 'Temporary Locations';
+        const currentSection = () => ({ name: currentName, items });
+        layers.forEach((layer) => {
+            if (layer.groupId === currentGroupId) {
+                sections.push(currentSection());
+                currentPlaced = true;
+            } else if (layer.visible && layerItems[layer.groupId]) {
+                sections.push(layerItems[layer.groupId]);
+            }
+        });
+        // A current group without a layer yet (new or temporary) draws on top
+        if (currentGroupId && !currentPlaced) sections.unshift(currentSection());
+        return sections;
+    }, [layers, layerItems, currentGroupId, currentGroup, items]);
+
+    const hasVisibleLocations = visibleLayerSections.some((section) => section.items.length > 0);
+
     return {
         // refs for JSX
         mapDivRef,
@@ -1055,11 +2225,27 @@ export function useMapEngine(groupType) {
         // groups
         groups,
         visibleGroups,
+        sharedGroups,
         currentGroupId,
+        currentGroup,
+        readOnly,
         tempGroupId,
         selectGroup,
         createGroup,
         deleteGroup,
+        duplicateGroup,
+        mergeGroups,
+        splitGroup,
+        // layers
+        layerRows,
+        visibleLayerSections,
+        hasVisibleLocations,
+        setLayerVisible,
+        setLayerOpacity,
+        moveLayer: moveLayerBy,
+        // clustering
+        clustering,
+        setMarkerClustering,
         fetchGroupsList,
         // items / list
         items,
@@ -1067,6 +2253,39 @@ export function useMapEngine(groupType) {
         selectItemFromList,
         deleteItem,
         reorderMarkers,
+        // radius rings & ZIP radius search
+        rings,
+        setRadiusRings,
+        findZipsInRadius,
+        saveZipsAsGroup,
+        // route planning
+        route,
+        planRoute,
+        applyRoute,
+        clearRoute,
+        // notes & custom fields
+        customFields,
+        saveLocationDetails,
+        saveCustomFields,
+        // editing positions
+        moveMode,
+        toggleMoveMode,
+        regeocodeLocation,
+        // drawing shapes
+        drawing,
+        startDrawing,
+        finishDrawing,
+        cancelDrawing,
+        // ZIP lasso
+        lasso,
+        findZipsInLasso,
+        addLassoZips,
+        clearLasso,
+        // version history
+        versionPreview,
+        previewVersion,
+        exitVersionPreview,
+        restoreVersion,
         // colors
         selectedColor,
         pickColor,
@@ -1093,6 +2312,11 @@ export function useMapEngine(groupType) {
         closeBulkModal,
         cancelBulkProcessing,
         startBulkUpload,
+        // spreadsheet import
+        importOpen,
+        openImportModal: () => setImportOpen(true),
+        closeImportModal: () => setImportOpen(false),
+        startImport,
         // screenshot busy flag (set by MapPage around lib/screenshot)
         screenshotBusy,
         setScreenshotBusy
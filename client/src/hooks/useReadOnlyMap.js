@@ -0,0 +1,238 @@
+import { useEffect, useRef, useState } from 'react';
+import { loadGoogleMaps } from '../lib/googleMapsLoader.js';
+import { createNumberedMarkerIcon } from '../lib/markerIcons.js';
+import { buildInfoWindowContent } from '../lib/infoWindowContent.js';
+import { shapeParts } from '../lib/shapeGeometry.js';
+
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => func(...args), wait);
+    };
+}
+
+// Map hook for views that can't change anything (public share links). Items
+// come pre-shaped from the server: [{ title, lat, lng, color, number,
+// geometry? }]. An item with geometry draws as a polygon or line, an item
+// with a number draws as a numbered marker; panel stock items are both.
+// Clicking shows the title only — no color picker, no delete. A `zoom`
+// fixes the zoom level (embeds): the map centers on the items instead of
+// fitting them and the user can pan but not zoom.
+export function useReadOnlyMap({ items, apiKey, zoom = null }) {
+    const [mapReady, setMapReady] = useState(false);
+    const [mapError, setMapError] = useState(false);
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    const mapDivRef = useRef(null);
+    const mapRef = useRef(null);
+    const infoWindowRef = useRef(null);
+    // [{ item, marker, polygons }], index-aligned with items
+    const overlaysRef = useRef([]);
+    const selectedIndexRef = useRef(null);
+
+    function updateMarkerIcons() {
+        const zoom = mapRef.current?.getZoom();
+        overlaysRef.current.forEach((overlay, index) => {
+            overlay.marker?.setIcon(createNumberedMarkerIcon(
+                overlay.item.number,
+                overlay.item.color,
+                index === selectedIndexRef.current,
+                zoom
+            ));
+        });
+    }
+
+    function select(index) {
+        selectedIndexRef.current = index;
+        setSelectedIndex(index);
+        updateMarkerIcons();
+    }
+
+    function openInfo(index, anchorPosition) {
+        const { item, marker } = overlaysRef.current[index];
+        const content = buildInfoWindowContent({
+            title: item.title,
+            position: item.geometry ? undefined : { lat: item.lat, lng: item.lng }
+        });
+        infoWindowRef.current.setContent(content);
+        if (marker) {
+            infoWindowRef.current.open(mapRef.current, marker);
+        } else {
+            infoWindowRef.current.setPosition(anchorPosition);
+            infoWindowRef.current.open(mapRef.current);
+        }
+    }
+
+    // Same GeoJSON handling as useMapEngine's buildPolygonParts (outer ring
+    // only, Multi*-aware; lines draw as polylines).
+    function buildPolygons(geometryJson, color) {
+        const google = window.google;
+        const parts = shapeParts(geometryJson);
+        if (!parts) {
+            console.error('Invalid or unsupported shape geometry:', geometryJson);
+            return [];
+        }
+        return parts.map((part) => (part.kind === 'line'
+            ? new google.maps.Polyline({
+                path: part.path,
+                strokeColor: color,
+                strokeOpacity: 0.8,
+                strokeWeight: 3,
+                map: mapRef.current
+            })
+            : new google.maps.Polygon({
+                paths: part.path,
+                strokeColor: color,
+                strokeOpacity: 0.8,
+                strokeWeight: 2,
+                fillColor: color,
+                fillOpacity: 0.35,
+                map: mapRef.current
+            })));
+    }
+
+    function clearOverlays() {
+        const gevent = window.google?.maps?.event;
+        overlaysRef.current.forEach((overlay) => {
+            if (overlay.marker) {
+                gevent?.clearInstanceListeners(overlay.marker);
+                overlay.marker.setMap(null);
+            }
+            overlay.polygons.forEach((p) => {
+                gevent?.clearInstanceListeners(p);
+                p.setMap(null);
+            });
+        });
+        overlaysRef.current = [];
+    }
+
+    function fitToItems() {
+        const google = window.google;
+        const overlays = overlaysRef.current;
+        if (!mapRef.current || overlays.length === 0) return;
+        const bounds = new google.maps.LatLngBounds();
+        overlays.forEach((overlay) => {
+            if (overlay.marker) bounds.extend(overlay.marker.getPosition());
+            overlay.polygons.forEach((p) => p.getPath().forEach((coord) => bounds.extend(coord)));
+            if (!overlay.marker && overlay.polygons.length === 0) bounds.extend({ lat: overlay.item.lat, lng: overlay.item.lng });
+        });
+        if (zoom) {
+            mapRef.current.setCenter(bounds.getCenter());
+            mapRef.current.setZoom(zoom);
+            return;
+        }
+        mapRef.current.fitBounds(bounds);
+        if (overlays.length === 1 && overlays[0].polygons.length === 0) {
+            mapRef.current.setZoom(15);
+        }
+    }
+
+    function focusItem(index) {
+        const overlay = overlaysRef.current[index];
+        if (!overlay || !mapRef.current) return;
+        select(index);
+        if (zoom) {
+            mapRef.current.setCenter({ lat: overlay.item.lat, lng: overlay.item.lng });
+        } else if (overlay.polygons.length > 0) {
+            const bounds = new window.google.maps.LatLngBounds();
+            overlay.polygons.forEach((p) => p.getPath().forEach((coord) => bounds.extend(coord)));
+            mapRef.current.fitBounds(bounds);
+        } else {
+            mapRef.current.setCenter({ lat: overlay.item.lat, lng: overlay.item.lng });
+            mapRef.current.setZoom(15);
+        }
+    }
+
+    function triggerResize() {
+        if (window.google?.maps && mapRef.current) {
+            window.google.maps.event.trigger(mapRef.current, 'resize');
+        }
+    }
+
+    // Map initialization (same options as useMapEngine, minus Places)
+    useEffect(() => {
+        if (!apiKey) return undefined;
+        let cancelled = false;
+
+        loadGoogleMaps({ apiKey })
+            .then((gmaps) => {
+                if (cancelled || !mapDivRef.current || mapRef.current) return;
+
+                const map = new gmaps.Map(mapDivRef.current, {
+                    center: { lat: 34.0522, lng: -118.2437 }, // Default to Los Angeles
+                    zoom: 12,
+                    mapTypeId: gmaps.MapTypeId.ROADMAP,
+                    mapTypeControl: true,
+                    mapTypeControlOptions: {
+                        style: gmaps.MapTypeControlStyle.DEFAULT,
+                        position: gmaps.ControlPosition.TOP_RIGHT,
+                        mapTypeIds: [gmaps.MapTypeId.ROADMAP, gmaps.MapTypeId.SATELLITE]
+                    },
+                    zoomControl: true,
+                    streetViewControl: true,
+                    fullscreenControl: true,
+                    scrollwheel: true,
+                    gestureHandling: 'greedy',
+                    ...(zoom ? { zoom, minZoom: zoom, maxZoom: zoom, zoomControl: false, disableDoubleClickZoom: true } : {})
+                });
+                mapRef.current = map;
+                infoWindowRef.current = new gmaps.InfoWindow({
+                    content: document.createElement('div'),
+                    maxWidth: 200
+                });
+
+                map.addListener('zoom_changed', debounce(updateMarkerIcons, 100));
+                map.addListener('click', () => {
+                    infoWindowRef.current.close();
+                    select(null);
+                });
+
+                setMapReady(true);
+            })
+            .catch((error) => {
+                console.error('Error loading Google Maps:', error);
+                if (!cancelled) setMapError(true);
+            });
+
+        return () => {
+            cancelled = true;
+            clearOverlays();
+        };
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [apiKey]);
+
+    // (Re)draw whenever the item list changes
+    useEffect(() => {
+        if (!mapReady) return;
+        const google = window.google;
+        clearOverlays();
+        selectedIndexRef.current = null;
+        setSelectedIndex(null);
+
+        overlaysRef.current = (items || []).map((item, index) => {
+            const polygons = item.geometry ? buildPolygons(item.geometry, item.color) : [];
+            const marker = item.number !== null && item.number !== undefined
+                ? new google.maps.Marker({
+                    position: { lat: item.lat, lng: item.lng },
+                    map: mapRef.current,
+                    title: item.title,
+                    icon: createNumberedMarkerIcon(item.number, item.color, false, mapRef.current.getZoom())
+                })
+                : null;
+
+            const handleClick = (event) => {
+                select(index);
+                openInfo(index, event?.latLng);
+            };
+            marker?.addListener('click', handleClick);
+            polygons.forEach((p) => p.addListener('click', handleClick));
+            return { item, marker, polygons };
+        });
+
+        fitToItems();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [mapReady, items]);
+
+    return { mapDivRef, mapReady, mapError, selectedIndex, focusItem, fitToItems, triggerResize };
+}
@@ -1,24 +1,25 @@
-// Port of generateCSV / exportSelectedGroups (script.js:2964-3058).
+// Port of exportSelectedGroups (script.js:2964-3058).
+import { toGeoJSON, toKML } from './geoExport.js';
+import { fetchGroupCsv } from '../api/groups.js';
 
-export function generateCSV(group) {
-    const locations = group.locations || [];
-    let csv = `${group.name} Addresses\n`;
-    locations.forEach((location) => {
-        const title = (location.title || '').replace(/"/g, '""');
-        csv += `"${title}"\n`;
-    });
-    return csv;
-}
+// Per-group file formats offered by ExportModal. build(group, groupType)
+// may return a promise: CSV comes from the server export so it carries ids
+// and created_at, which the group list doesn't.
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', build: (group, groupType) => fetchGroupCsv(groupType, group.id) },
+    geojson: { label: 'GeoJSON', extension: 'geojson', build: toGeoJSON },
+    kml: { label: 'KML (Google Earth)', extension: 'kml', build: toKML }
+};
 
-export async function exportGroupsAsZip(groups) {
+export async function exportGroupsAsZip(groups, format = 'csv', groupType = 'locations') {
     const { default: JSZip } = await import('jszip');
     const zip = new JSZip();
+    const { extension, build } = EXPORT_FORMATS[format];
 
-    groups.forEach((group) => {
-        const csv = generateCSV(group);
-        const fileName = `${group.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_locations.csv`;
-        zip.file(fileName, csv);
-    });
+    for (const group of groups) {
+        const fileName = `${group.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_locations.${extension}`;
+        zip.file(fileName, await build(group, groupType));
+    }
 
     const zipBlob = await zip.generateAsync({ type: 'blob' });
 
@@ -0,0 +1,29 @@
+// Shared helpers for per-group custom fields. Definitions are
+// [{ id, name, type, options? }] and values { fieldId: value }; the server
+// (server/locations/customFields.js) validates and coerces both.
+
+export const FIELD_TYPES = [
+    { value: 'text', label: 'Text' },
+    { value: 'number', label: 'Number' },
+    { value: 'date', label: 'Date' },
+    { value: 'select', label: 'Select' }
+];
+
+// [{ field, value }] for the fields this location has a value for, in
+// definition order. Values of since-removed fields are skipped.
+export function filledCustomValues(fields, values) {
+    const source = values || {};
+    return (fields || [])
+        .filter((field) => source[field.id] !== undefined && source[field.id] !== null && source[field.id] !== '')
+        .map((field) => ({ field, value: source[field.id] }));
+}
+
+// Dates are stored as YYYY-MM-DD; show them in the user's locale without
+// letting the timezone shift the day.
+export function formatCustomValue(field, value) {
+    if (field.type === 'date') {
+        const [year, month, day] = String(value).split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString();
+    }
+    return String(value);
+}
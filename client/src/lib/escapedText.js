@@ -0,0 +1,16 @@
+// The server HTML-escapes titles and group names on the way in (express-
+// validator's escape()), so stored values contain entities. Edit forms
+// un-escape before prefilling, or every save would escape them again.
+const HTML_ENTITIES = [
+    ['&lt;', '<'],
+    ['&gt;', '>'],
+    ['&quot;', '"'],
+    ['&#x27;', "'"],
+    ['&#x2F;', '/'],
+    ['&#96;', '`'],
+    ['&amp;', '&'] // last, so "&amp;lt;" stays "&lt;"
+];
+
+export function unescapeHtml(value) {
+    return HTML_ENTITIES.reduce((text, [entity, char]) => text.split(entity).join(char), String(value ?? ''));
+}
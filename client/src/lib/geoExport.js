@@ -0,0 +1,162 @@
+// GeoJSON and KML serializers for one location/ZIP group. Markers become
+// points; locations with stored geometry (ZIP boundaries, drawn shapes)
+// keep their polygon or line.
+// Color and list order travel as properties so QGIS can style/sort by them,
+// and as simplestyle / KML styles so viewers color them without setup.
+// Notes and custom field values (by field name) ride along the same way.
+// Titles and group names are stored HTML-escaped, so they are un-escaped
+// here; notes are stored as typed.
+
+import { unescapeHtml } from './escapedText.js';
+
+const DEFAULT_COLOR = '#3B82F6';
+const POLYGON_FILL_OPACITY = 0.35; // same as the map's polygon fill
+const SHAPE_TYPES = ['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString'];
+
+const isLine = (geometry) => geometry.type === 'LineString' || geometry.type === 'MultiLineString';
+
+// Stored geometry is a GeoJSON string (Polygon, MultiPolygon or a drawn
+// LineString/MultiLineString); anything unreadable falls back to the
+// location's center point.
+function parseGeometry(location) {
+    if (!location.geometry) return null;
+    try {
+        const geometry = JSON.parse(location.geometry);
+        return geometry && SHAPE_TYPES.includes(geometry.type) ? geometry : null;
+    } catch {
+        return null;
+    }
+}
+
+function featureGeometry(location) {
+    return parseGeometry(location) || { type: 'Point', coordinates: [location.lng, location.lat] };
+}
+
+// [[fieldName, value]] for the group's custom fields this location has a
+// value for (values of since-removed fields are left out).
+function customFieldEntries(group, location) {
+    const values = location.customValues || {};
+    return (group.customFields || [])
+        .filter((field) => values[field.id] !== undefined && values[field.id] !== null)
+        .map((field) => [field.name, values[field.id]]);
+}
+
+export function toGeoJSON(group) {
+    const features = (group.locations || []).map((location, index) => {
+        const geometry = featureGeometry(location);
+        const color = location.color || DEFAULT_COLOR;
+        const properties = {
+            name: unescapeHtml(location.title),
+            order: index + 1,
+            color,
+            group: unescapeHtml(group.name)
+        };
+        if (location.notes) properties.notes = location.notes;
+        customFieldEntries(group, location).forEach(([name, value]) => {
+            if (!(name in properties)) properties[name] = value;
+        });
+        // simplestyle-spec keys, read by geojson.io, GitHub and most web viewers
+        if (geometry.type === 'Point') {
+            properties['marker-color'] = color;
+        } else if (isLine(geometry)) {
+            properties.stroke = color;
+        } else {
+            properties.stroke = color;
+            properties.fill = color;
+            properties['fill-opacity'] = POLYGON_FILL_OPACITY;
+        }
+        return { type: 'Feature', id: location.id, geometry, properties };
+    });
+
+    // Compact: ZIP boundaries run to thousands of coordinates
+    return JSON.stringify({ type: 'FeatureCollection', name: unescapeHtml(group.name), features });
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// '#rrggbb' (or '#rgb') -> KML's aabbggrr
+function kmlColor(hex, alpha = 1) {
+    let rgb = String(hex || DEFAULT_COLOR).replace('#', '');
+    if (rgb.length === 3) rgb = rgb.split('').map((c) => c + c).join('');
+    const aa = Math.round(alpha * 255).toString(16).padStart(2, '0');
+    return `${aa}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`.toLowerCase();
+}
+
+function kmlRing(ring) {
+    return `<LinearRing><coordinates>${ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ')}</coordinates></LinearRing>`;
+}
+
+function kmlPolygon(rings) {
+    const [outer, ...holes] = rings;
+    return `<Polygon><outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>${
+        holes.map((hole) => `<innerBoundaryIs>${kmlRing(hole)}</innerBoundaryIs>`).join('')
+    }</Polygon>`;
+}
+
+function kmlLine(positions) {
+    return `<LineString><coordinates>${positions.map(([lng, lat]) => `${lng},${lat},0`).join(' ')}</coordinates></LineString>`;
+}
+
+function kmlGeometry(location) {
+    const geometry = parseGeometry(location);
+    if (!geometry) return `<Point><coordinates>${location.lng},${location.lat},0</coordinates></Point>`;
+    switch (geometry.type) {
+        case 'Polygon': return kmlPolygon(geometry.coordinates);
+        case 'MultiPolygon': return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+        case 'LineString': return kmlLine(geometry.coordinates);
+        default: return `<MultiGeometry>${geometry.coordinates.map(kmlLine).join('')}</MultiGeometry>`;
+    }
+}
+
+function kmlStyle(location) {
+    const color = location.color || DEFAULT_COLOR;
+    const geometry = parseGeometry(location);
+    if (geometry && isLine(geometry)) {
+        return `<Style><LineStyle><color>${kmlColor(color)}</color><width>3</width></LineStyle></Style>`;
+    }
+    if (geometry) {
+        return `<Style><LineStyle><color>${kmlColor(color)}</color><width>2</width></LineStyle>`
+            + `<PolyStyle><color>${kmlColor(color, POLYGON_FILL_OPACITY)}</color></PolyStyle></Style>`;
+    }
+    // A white icon so IconStyle's color tints it to the marker color
+    return `<Style><IconStyle><color>${kmlColor(color)}</color>`
+        + '<Icon><href>https://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon></IconStyle></Style>';
+}
+
+export function toKML(group) {
+    const placemarks = (group.locations || []).map((location, index) => {
+        const data = [
+            ['order', index + 1],
+            ['color', location.color || DEFAULT_COLOR],
+            ...(location.notes ? [['notes', location.notes]] : []),
+            ...customFieldEntries(group, location)
+        ];
+        return [
+            '    <Placemark>',
+            `      <name>${escapeXml(unescapeHtml(location.title))}</name>`,
+            ...(location.notes ? [`      <description>${escapeXml(location.notes)}</description>`] : []),
+            `      ${kmlStyle(location)}`,
+            `      <ExtendedData>${data.map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`).join('')}</ExtendedData>`,
+            `      ${kmlGeometry(location)}`,
+            '    </Placemark>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(unescapeHtml(group.name))}</name>`,
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,241 @@
+// Reads partner GeoJSON / KML / KMZ files into the two shapes the app
+// stores: points (a location group) and Polygon/MultiPolygon areas (a
+// ZIP-style polygon group, geometry kept as a GeoJSON string in
+// locations.geometry). Names, descriptions and colors are kept; anything
+// else (lines, multi-points, collections, bad coordinates) is reported back
+// as skipped rather than guessed at.
+
+const DEFAULT_COLOR = '#3B82F6';
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 1000;
+
+// '#abc' / 'abc' / '#aabbcc' -> '#aabbcc'; null otherwise
+function normalizeHexColor(value) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].split('').map((c) => c + c).join('') : match[1];
+    return `#${hex.toLowerCase()}`;
+}
+
+// KML's aabbggrr -> '#rrggbb'
+function kmlColorToHex(value) {
+    const match = /^[0-9a-f]{8}$/i.exec(String(value || '').trim());
+    if (!match) return null;
+    const v = value.trim().toLowerCase();
+    return `#${v.slice(6, 8)}${v.slice(4, 6)}${v.slice(2, 4)}`;
+}
+
+function validPosition(position) {
+    return Array.isArray(position)
+        && Number.isFinite(position[0]) && Number.isFinite(position[1])
+        && position[0] >= -180 && position[0] <= 180
+        && position[1] >= -90 && position[1] <= 90;
+}
+
+function validRing(ring) {
+    return Array.isArray(ring) && ring.length >= 4 && ring.every(validPosition);
+}
+
+function validPolygon(rings) {
+    return Array.isArray(rings) && rings.length > 0 && rings.every(validRing);
+}
+
+// Average of the outer ring's vertices (closing point excluded) of the
+// largest part — close enough for list focus and info windows.
+function polygonCenter(geometry) {
+    const parts = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const outer = parts.map((rings) => rings[0]).sort((a, b) => b.length - a.length)[0];
+    const vertices = outer.slice(0, -1);
+    const lng = vertices.reduce((sum, [x]) => sum + x, 0) / vertices.length;
+    const lat = vertices.reduce((sum, [, y]) => sum + y, 0) / vertices.length;
+    return { lat, lng };
+}
+
+function cleanText(value, maxLength) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+// Shared by both formats: geometry -> point/area entry, or a skip reason.
+function classify({ name, color, notes, geometry }, index, result) {
+    const title = cleanText(name, MAX_TITLE_LENGTH) || `Feature ${index + 1}`;
+    const type = geometry ? geometry.type : null;
+
+    if (type === 'Point') {
+        if (!validPosition(geometry.coordinates)) {
+            result.skipped.push({ name: title, reason: 'Point has invalid coordinates' });
+            return;
+        }
+        const [lng, lat] = geometry.coordinates;
+        result.points.push({ title, lat, lng, color: color || DEFAULT_COLOR, notes });
+        return;
+    }
+
+    if (type === 'Polygon' || type === 'MultiPolygon') {
+        const polygons = type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(validPolygon)) {
+            result.skipped.push({ name: title, reason: `${type} has invalid coordinates` });
+            return;
+        }
+        // Drop any altitude so stored geometry matches the ZIP boundary format
+        const flat = polygons.map((rings) => rings.map((ring) => ring.map(([x, y]) => [x, y])));
+        const stored = type === 'Polygon'
+            ? { type, coordinates: flat[0] }
+            : { type, coordinates: flat };
+        result.areas.push({
+            title,
+            ...polygonCenter(stored),
+            color: color || DEFAULT_COLOR,
+            notes,
+            geometry: JSON.stringify(stored)
+        });
+        return;
+    }
+
+    result.skipped.push({ name: title, reason: type ? `Unsupported geometry type ${type}` : 'No geometry' });
+}
+
+// ---- GeoJSON ----
+
+function geoJsonFeatures(data) {
+    if (!data || typeof data !== 'object') throw new Error('The file is not a GeoJSON object.');
+    if (data.type === 'FeatureCollection') return Array.isArray(data.features) ? data.features : [];
+    if (data.type === 'Feature') return [data];
+    if (typeof data.type === 'string' && 'coordinates' in data) return [{ type: 'Feature', geometry: data, properties: {} }];
+    throw new Error('Expected a GeoJSON FeatureCollection, Feature or geometry.');
+}
+
+export function parseGeoJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    const result = { points: [], areas: [], skipped: [] };
+    geoJsonFeatures(data).forEach((feature, index) => {
+        const props = (feature && feature.properties) || {};
+        const geometry = feature && feature.geometry;
+        const isArea = geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon');
+        // simplestyle keys first (what our own export writes), then a plain "color"
+        const color = normalizeHexColor(isArea ? (props.fill || props.stroke) : props['marker-color'])
+            || normalizeHexColor(props.color);
+        classify({
+            name: props.name ?? props.title ?? props.Name ?? props.NAME,
+            color,
+            notes: cleanText(props.notes ?? props.description, MAX_NOTES_LENGTH),
+            geometry
+        }, index, result);
+    });
+    return result;
+}
+
+// ---- KML / KMZ ----
+
+function byTag(parent, tag) {
+    return Array.from(parent.getElementsByTagNameNS('*', tag));
+}
+
+function firstText(parent, tag) {
+    const element = byTag(parent, tag)[0];
+    return element ? element.textContent.trim() : '';
+}
+
+function kmlCoordinates(element) {
+    return firstText(element, 'coordinates')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((tuple) => tuple.split(',').map(Number));
+}
+
+function kmlPolygon(polygon) {
+    const outer = byTag(polygon, 'outerBoundaryIs')[0];
+    const inner = byTag(polygon, 'innerBoundaryIs');
+    if (!outer) return [];
+    return [kmlCoordinates(outer), ...inner.map(kmlCoordinates)];
+}
+
+function kmlGeometry(placemark) {
+    const points = byTag(placemark, 'Point');
+    const polygons = byTag(placemark, 'Polygon');
+    const others = ['LineString', 'Track', 'Model'].filter((tag) => byTag(placemark, tag).length > 0);
+
+    if (others.length > 0 || (points.length > 0 && polygons.length > 0)) {
+        return { type: others[0] || 'mixed MultiGeometry' };
+    }
+    if (points.length === 1) return { type: 'Point', coordinates: kmlCoordinates(points[0])[0] };
+    if (points.length > 1) return { type: 'MultiPoint' };
+    if (polygons.length === 1) return { type: 'Polygon', coordinates: kmlPolygon(polygons[0]) };
+    if (polygons.length > 1) return { type: 'MultiPolygon', coordinates: polygons.map(kmlPolygon) };
+    return null;
+}
+
+// Resolves <Style id> and <StyleMap id> (normal pair) so styleUrl works.
+function kmlStyleIndex(doc) {
+    const styles = new Map();
+    byTag(doc, 'Style').forEach((style) => {
+        if (style.getAttribute('id')) styles.set(style.getAttribute('id'), style);
+    });
+    byTag(doc, 'StyleMap').forEach((styleMap) => {
+        const normal = byTag(styleMap, 'Pair').find((pair) => firstText(pair, 'key') === 'normal');
+        const target = normal && styles.get(firstText(normal, 'styleUrl').replace(/^#/, ''));
+        if (target && styleMap.getAttribute('id')) styles.set(styleMap.getAttribute('id'), target);
+    });
+    return styles;
+}
+
+function kmlPlacemarkColor(placemark, styles, isArea) {
+    const inline = byTag(placemark, 'Style')[0];
+    const shared = styles.get(firstText(placemark, 'styleUrl').replace(/^#/, ''));
+    for (const style of [inline, shared]) {
+        if (!style) continue;
+        const tags = isArea ? ['PolyStyle', 'LineStyle'] : ['IconStyle'];
+        for (const tag of tags) {
+            const element = byTag(style, tag)[0];
+            const color = element && kmlColorToHex(firstText(element, 'color'));
+            if (color) return color;
+        }
+    }
+    return null;
+}
+
+export function parseKML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not valid KML.');
+    }
+
+    const styles = kmlStyleIndex(doc);
+    const result = { points: [], areas: [], skipped: [] };
+    byTag(doc, 'Placemark').forEach((placemark, index) => {
+        const geometry = kmlGeometry(placemark);
+        const isArea = geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon');
+        // Direct children only: a nested <name> could belong to something else
+        const nameElement = Array.from(placemark.children).find((child) => child.localName === 'name');
+        const descriptionElement = Array.from(placemark.children).find((child) => child.localName === 'description');
+        classify({
+            name: nameElement ? nameElement.textContent : '',
+            color: kmlPlacemarkColor(placemark, styles, isArea),
+            notes: cleanText(descriptionElement ? descriptionElement.textContent : '', MAX_NOTES_LENGTH),
+            geometry
+        }, index, result);
+    });
+    return result;
+}
+
+// Dispatches on the file extension. KMZ is a ZIP holding doc.kml (or some
+// other .kml at any depth).
+export async function readGeoFile(file) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.kmz')) {
+        const { default: JSZip } = await import('jszip');
+        const zip = await JSZip.loadAsync(await file.arrayBuffer());
+        const entry = zip.file('doc.kml') || zip.file(/\.kml$/i)[0];
+        if (!entry) throw new Error('The KMZ file does not contain a .kml document.');
+        return parseKML(await entry.async('string'));
+    }
+    if (name.endsWith('.kml')) return parseKML(await file.text());
+    if (name.endsWith('.geojson') || name.endsWith('.json')) return parseGeoJSON(await file.text());
+    throw new Error('Choose a .geojson, .json, .kml or .kmz file.');
+}
@@ -6,12 +6,14 @@ import { getConfig } from '../api/config.js';
 // window.initMap callback pattern.
 let mapsPromise = null;
 
-export function loadGoogleMaps() {
+// apiKey: pass it when the caller already has one — the public share page
+// gets it with its payload and can't call the authenticated /api/config.
+export function loadGoogleMaps({ apiKey } = {}) {
   if (!mapsPromise) {
     mapsPromise = (async () => {
       if (window.google?.maps?.Map) return window.google.maps;
 
-      const { googleMapsApiKey } = await getConfig();
+      const googleMapsApiKey = apiKey || (await getConfig()).googleMapsApiKey;
 
       await new Promise((resolve, reject) => {
         window.__gmapsReady = resolve;
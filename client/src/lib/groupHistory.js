@@ -0,0 +1,39 @@
+// Labels for group version history entries (server/history/). Each version
+// carries the action that produced it and a diff against the one before
+// ({ renamed, fieldsChanged, added, removed, moved, edited, reordered }).
+
+const ACTION_LABELS = {
+    'group.create': 'Group created',
+    'group.update': 'Group updated',
+    'group.reorder': 'Locations reordered',
+    'group.duplicate': 'Created as a copy',
+    'group.merge': 'Created by merging groups',
+    'group.split': 'Split',
+    'location.create': 'Location added',
+    'location.batch-create': 'ZIP codes added',
+    'location.update': 'Location edited',
+    'location.delete': 'Location deleted',
+    'location.restore': 'Location restored from the Trash'
+};
+
+export function versionTitle(version) {
+    if (version.action === 'version.restore') {
+        return `Restored version ${version.restoredFrom}`;
+    }
+    return ACTION_LABELS[version.action] || version.action;
+}
+
+// "renamed · 2 added · 1 moved", or '' when there is nothing to compare
+// (the first version recorded for a group) or nothing changed.
+export function describeChanges(changes) {
+    if (!changes) return '';
+    return [
+        changes.renamed && 'renamed',
+        changes.fieldsChanged && 'fields changed',
+        changes.added > 0 && `${changes.added} added`,
+        changes.removed > 0 && `${changes.removed} removed`,
+        changes.moved > 0 && `${changes.moved} moved`,
+        changes.edited > 0 && `${changes.edited} edited`,
+        changes.reordered && 'reordered'
+    ].filter(Boolean).join(' · ');
+}
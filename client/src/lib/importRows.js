@@ -0,0 +1,207 @@
+import { read, utils } from 'xlsx';
+
+// Spreadsheet import for location and ZIP groups: read a CSV/XLSX file, map
+// its columns onto location fields, and validate every row before anything
+// is created. Geocoding, ZIP boundary lookup and saving happen in
+// useMapEngine.startImport. The server's group CSV export
+// (server/export/groupCsv.js) maps onto these fields by header name.
+
+export const IMPORT_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'address', label: 'Address' },
+    { key: 'lat', label: 'Latitude' },
+    { key: 'lng', label: 'Longitude' },
+    { key: 'color', label: 'Color' },
+    { key: 'notes', label: 'Notes' }
+];
+
+// ZIP groups are placed by ZIP code (for the boundary); lat/lng, when
+// present, keep a previously exported center instead of the looked-up one.
+export const ZIP_IMPORT_FIELDS = [
+    { key: 'zip', label: 'ZIP Code' },
+    { key: 'title', label: 'Title' },
+    { key: 'lat', label: 'Latitude' },
+    { key: 'lng', label: 'Longitude' },
+    { key: 'color', label: 'Color' },
+    { key: 'notes', label: 'Notes' }
+];
+
+export function importFields(groupType) {
+    return groupType === 'zipcodes' ? ZIP_IMPORT_FIELDS : IMPORT_FIELDS;
+}
+
+// Matches the server's location limits (server.js add-location validators).
+const MAX_TITLE_LENGTH = 200;
+export const MAX_NOTES_LENGTH = 1000;
+
+const HEADER_GUESSES = {
+    title: ['title', 'name', 'label', 'place', 'location name'],
+    address: ['address', 'full address', 'street address', 'addr', 'location'],
+    lat: ['lat', 'latitude'],
+    lng: ['lng', 'lon', 'long', 'longitude'],
+    color: ['color', 'colour', 'marker color', 'hex'],
+    notes: ['notes', 'note', 'comments', 'comment', 'description'],
+    zip: ['zip code', 'zip', 'zipcode', 'postal code', 'zcta']
+};
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Reads the first worksheet into { headers, rows }. rows keep their sheet
+// row number (1-based, header is row 1) so errors can point at the file;
+// blank rows are dropped.
+export async function readSpreadsheet(file) {
+    const workbook = /\.csv$/i.test(file.name)
+        ? read(await file.text(), { type: 'string', raw: true })
+        : read(await file.arrayBuffer(), { type: 'array' });
+
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) {
+        throw new Error('The file has no worksheets.');
+    }
+    const grid = utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: null });
+    if (grid.length < 2) {
+        throw new Error('The file needs a header row and at least one data row.');
+    }
+
+    const width = Math.max(...grid.map((row) => (row ? row.length : 0)));
+    const headers = Array.from({ length: width }, (_, col) => {
+        const header = grid[0][col];
+        return header === null || header === undefined || String(header).trim() === ''
+            ? `Column ${col + 1}`
+            : String(header).trim();
+    });
+
+    const rows = [];
+    for (let r = 1; r < grid.length; r++) {
+        const cells = grid[r];
+        if (!cells || cells.every((cell) => cell === null || cell === undefined || String(cell).trim() === '')) {
+            continue;
+        }
+        rows.push({ rowNumber: r + 1, cells });
+    }
+    return { headers, rows };
+}
+
+// Best guess of { field: columnIndex | '' } from the header names; each
+// column is used for at most one field.
+export function guessColumnMapping(headers, groupType = 'locations') {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+    for (const { key } of importFields(groupType)) {
+        const index = normalized.findIndex((header, col) => !used.has(col) && HEADER_GUESSES[key].includes(header));
+        mapping[key] = index === -1 ? '' : index;
+        if (index !== -1) used.add(index);
+    }
+    return mapping;
+}
+
+// Null when the mapping can place rows on the map, else the reason it can't.
+export function validateColumnMapping(mapping, groupType = 'locations') {
+    const hasLat = mapping.lat !== '';
+    const hasLng = mapping.lng !== '';
+    if (hasLat !== hasLng) {
+        return 'Map both Latitude and Longitude, or neither.';
+    }
+    if (groupType === 'zipcodes') {
+        return mapping.zip === '' ? 'Map a ZIP Code column.' : null;
+    }
+    if (mapping.address === '' && !hasLat) {
+        return 'Map an Address column or Latitude and Longitude columns.';
+    }
+    return null;
+}
+
+// "#abc", "abc" -> "#aabbcc"; "AABBCC" -> "#AABBCC" (six-digit values keep
+// their case so exported colors re-import unchanged); null when not a hex
+// color.
+export function normalizeHexColor(value) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (!match) return null;
+    return match[1].length === 3
+        ? `#${match[1].split('').map((c) => c + c).join('').toLowerCase()}`
+        : `#${match[1]}`;
+}
+
+function parseCoordinate(value, min, max) {
+    const number = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+// Spreadsheets store ZIPs as numbers and drop leading zeros (02134 -> 2134).
+function parseZipCode(value) {
+    const digits = String(value).replace(/-\d{4}$/, '');
+    return /^\d{3,5}$/.test(digits) ? digits.padStart(5, '0') : null;
+}
+
+// Applies the mapping to every row. Each result is
+// { rowNumber, title, address, zipCode, lat, lng, color, notes, needsGeocoding, errors }
+// where errors is empty for importable rows. lat/lng are null when the row
+// will be geocoded from its address (or take its ZIP's center); zipCode is
+// set for ZIP groups only; color is null to use the rotation.
+export function buildImportRows(rows, mapping, groupType = 'locations') {
+    const zipGroup = groupType === 'zipcodes';
+    const cell = (cells, field) => {
+        if (mapping[field] === undefined || mapping[field] === '') return '';
+        const value = cells[mapping[field]];
+        return value === null || value === undefined ? '' : String(value).trim();
+    };
+
+    return rows.map(({ rowNumber, cells }) => {
+        const errors = [];
+        const address = cell(cells, 'address');
+        const rawLat = cell(cells, 'lat');
+        const rawLng = cell(cells, 'lng');
+        const rawColor = cell(cells, 'color');
+        const notes = cell(cells, 'notes');
+        const rawZip = cell(cells, 'zip');
+        let lat = null;
+        let lng = null;
+        let zipCode = null;
+
+        if (zipGroup) {
+            zipCode = parseZipCode(rawZip);
+            if (!rawZip) errors.push('Needs a ZIP code');
+            else if (!zipCode) errors.push(`ZIP code "${rawZip}" must be 5 digits`);
+        }
+
+        if (rawLat !== '' || rawLng !== '') {
+            if (rawLat === '' || rawLng === '') {
+                errors.push('Needs both latitude and longitude');
+            } else {
+                lat = parseCoordinate(rawLat, -90, 90);
+                lng = parseCoordinate(rawLng, -180, 180);
+                if (lat === null) errors.push(`Latitude "${rawLat}" must be a number between -90 and 90`);
+                if (lng === null) errors.push(`Longitude "${rawLng}" must be a number between -180 and 180`);
+            }
+        } else if (!address && !zipGroup) {
+            errors.push('Needs an address or latitude/longitude');
+        }
+
+        let color = null;
+        if (rawColor) {
+            color = normalizeHexColor(rawColor);
+            if (!color) errors.push(`Color "${rawColor}" must be a hex value like #3B82F6`);
+        }
+
+        if (notes.length > MAX_NOTES_LENGTH) {
+            errors.push(`Notes must be ${MAX_NOTES_LENGTH} characters or fewer`);
+        }
+
+        const hasCoordinates = lat !== null && lng !== null;
+        return {
+            rowNumber,
+            title: cell(cells, 'title').slice(0, MAX_TITLE_LENGTH),
+            address,
+            zipCode,
+            lat: hasCoordinates ? lat : null,
+            lng: hasCoordinates ? lng : null,
+            color,
+            notes,
+            needsGeocoding: errors.length === 0 && !hasCoordinates && !zipGroup,
+            errors
+        };
+    });
+}
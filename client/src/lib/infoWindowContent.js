@@ -2,6 +2,9 @@
 // this lives outside the React tree, so plain DOM (ported from
 // createMarker/createPolygonFromGeometry in script.js) is the right tool.
 
+import { filledCustomValues, formatCustomValue } from './customFields.js';
+import { unescapeHtml } from './escapedText.js';
+
 const INFO_COLORS = [
     { name: 'Red', value: '#ef4444', class: 'bg-red-500' },
     { name: 'Blue', value: '#3b82f6', class: 'bg-blue-500' },
@@ -13,15 +16,102 @@ const INFO_COLORS = [
     { name: 'Gray', value: '#6b7280', class: 'bg-gray-500' }
 ];
 
+const inputClass = 'w-full px-2 py-1 text-xs border border-gray-300 rounded';
+
+// Inline title / notes / custom field editor, shown in place of the buttons
+// when "Edit details" is clicked. Values are sent as typed; the server
+// coerces and validates them.
+function buildDetailsForm({ title, notes, customFields, customValues, onSaveDetails, onCancel }) {
+    const form = document.createElement('form');
+    form.className = 'mt-2 space-y-1';
+
+    const inputs = [];
+    function addRow(labelText, input) {
+        const label = document.createElement('label');
+        label.className = 'block text-xs text-gray-600';
+        label.textContent = labelText;
+        input.className = inputClass;
+        label.appendChild(input);
+        form.appendChild(label);
+    }
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.required = true;
+    titleInput.maxLength = 200;
+    titleInput.value = unescapeHtml(title);
+    addRow('Title', titleInput);
+
+    const notesInput = document.createElement('textarea');
+    notesInput.rows = 2;
+    notesInput.maxLength = 1000;
+    notesInput.value = notes || '';
+    addRow('Notes', notesInput);
+
+    customFields.forEach((field) => {
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            ['', ...field.options].forEach((option) => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option || '(none)';
+                input.appendChild(element);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = field.type === 'text' ? 'text' : field.type;
+            if (field.type === 'number') input.step = 'any';
+            if (field.type === 'text') input.maxLength = 500;
+        }
+        const value = (customValues || {})[field.id];
+        input.value = value === undefined || value === null ? '' : String(value);
+        inputs.push([field.id, input]);
+        addRow(field.name, input);
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'flex space-x-2 pt-1';
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'text-xs px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700';
+    saveButton.textContent = 'Save';
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'text-xs px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', onCancel);
+    buttons.appendChild(saveButton);
+    buttons.appendChild(cancelButton);
+    form.appendChild(buttons);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveButton.disabled = true;
+        const values = {};
+        inputs.forEach(([id, input]) => { values[id] = input.value; });
+        Promise.resolve(onSaveDetails({ title: titleInput.value.trim(), notes: notesInput.value.trim(), customValues: values }))
+            .finally(() => { saveButton.disabled = false; });
+    });
+    return form;
+}
+
 /**
  * @param {object} opts
  * @param {string} opts.title
+ * @param {string} [opts.notes]
+ * @param {Array<{id:string,name:string,type:string,options?:string[]}>} [opts.customFields] - the group's field definitions
+ * @param {Object<string, string|number>} [opts.customValues] - this location's values, keyed by field id
  * @param {{lat:number,lng:number}} [opts.position] - shown for markers, omitted for polygons
  * @param {string} opts.currentColor
- * @param {(color:{name:string,value:string}) => void} opts.onColorPick
- * @param {() => void} opts.onDelete
+ * @param {(color:{name:string,value:string}) => void} [opts.onColorPick] - omitted for view-only groups
+ * @param {() => void} [opts.onDelete] - omitted for view-only groups
+ * @param {(details:{title:string,notes:string,customValues:object}) => Promise} [opts.onSaveDetails] - omitted for view-only groups
+ * @param {() => void} [opts.onRegeocode] - markers only; omitted for view-only groups
  */
-export function buildInfoWindowContent({ title, position, currentColor, onColorPick, onDelete }) {
+export function buildInfoWindowContent({
+    title, notes, customFields = [], customValues, position, currentColor, onColorPick, onDelete, onSaveDetails, onRegeocode
+}) {
     const content = document.createElement('div');
     content.className = 'marker-popup';
 
@@ -30,6 +120,29 @@ export function buildInfoWindowContent({ title, position, currentColor, onColorP
     titleElement.textContent = title;
     content.appendChild(titleElement);
 
+    if (notes) {
+        const notesElement = document.createElement('p');
+        notesElement.className = 'text-sm text-gray-700 mt-1 whitespace-pre-line';
+        notesElement.textContent = notes;
+        content.appendChild(notesElement);
+    }
+
+    const filled = filledCustomValues(customFields, customValues);
+    if (filled.length > 0) {
+        const list = document.createElement('div');
+        list.className = 'mt-1 text-xs text-gray-700';
+        filled.forEach(({ field, value }) => {
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            name.className = 'text-gray-500';
+            name.textContent = `${field.name}: `;
+            row.appendChild(name);
+            row.appendChild(document.createTextNode(formatCustomValue(field, value)));
+            list.appendChild(row);
+        });
+        content.appendChild(list);
+    }
+
     if (position) {
         const latElement = document.createElement('p');
         latElement.className = 'text-sm text-gray-500 mt-1';
@@ -43,6 +156,9 @@ export function buildInfoWindowContent({ title, position, currentColor, onColorP
         content.appendChild(lngElement);
     }
 
+    // View-only shared group: details and position only
+    if (!onColorPick && !onDelete) return content;
+
     const colorSection = document.createElement('div');
     colorSection.className = 'mt-2 mb-2';
 
@@ -81,6 +197,38 @@ export function buildInfoWindowContent({ title, position, currentColor, onColorP
     deleteButton.addEventListener('click', onDelete);
 
     buttonContainer.appendChild(deleteButton);
+
+    if (onSaveDetails) {
+        const editButton = document.createElement('button');
+        editButton.className = 'text-xs px-2 py-1 bg-gray-100 text-gray-800 rounded hover:bg-gray-200';
+        editButton.textContent = 'Edit details';
+        editButton.addEventListener('click', () => {
+            buttonContainer.style.display = 'none';
+            const form = buildDetailsForm({
+                title,
+                notes,
+                customFields,
+                customValues,
+                onSaveDetails,
+                onCancel: () => {
+                    form.remove();
+                    buttonContainer.style.display = '';
+                }
+            });
+            content.appendChild(form);
+        });
+        buttonContainer.appendChild(editButton);
+    }
+
+    if (onRegeocode) {
+        const regeocodeButton = document.createElement('button');
+        regeocodeButton.className = 'text-xs px-2 py-1 bg-gray-100 text-gray-800 rounded hover:bg-gray-200';
+        regeocodeButton.textContent = 'Re-geocode';
+        regeocodeButton.title = 'Look up the title as an address again and move the marker there';
+        regeocodeButton.addEventListener('click', onRegeocode);
+        buttonContainer.appendChild(regeocodeButton);
+    }
+
     content.appendChild(buttonContainer);
 
     return content;
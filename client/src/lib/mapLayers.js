@@ -0,0 +1,71 @@
+// Layer list for showing other groups on the map next to the current one
+// (LayerPanel). Entries are { groupId, visible, opacity }; array order is
+// draw order, top first. Kept per page (locations / zipcodes) in
+// localStorage so the comparison survives a reload.
+
+const STORAGE_PREFIX = 'mapLayers:';
+
+export const MIN_OPACITY = 0.1;
+
+function isLayer(entry) {
+    return Boolean(entry) && typeof entry.groupId === 'string';
+}
+
+function clampOpacity(value) {
+    const opacity = Number(value);
+    return Number.isFinite(opacity) ? Math.min(1, Math.max(MIN_OPACITY, opacity)) : 1;
+}
+
+export function loadLayers(groupType) {
+    try {
+        const raw = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${groupType}`) || '[]');
+        return Array.isArray(raw)
+            ? raw.filter(isLayer).map((entry) => ({ groupId: entry.groupId, visible: Boolean(entry.visible), opacity: clampOpacity(entry.opacity) }))
+            : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveLayers(groupType, layers) {
+    localStorage.setItem(`${STORAGE_PREFIX}${groupType}`, JSON.stringify(layers));
+}
+
+// Drops layers of groups that are gone and adds the groups that have no
+// layer yet, hidden, at the top, matching where layerStyle() draws them.
+export function syncLayers(layers, groupIds) {
+    const known = new Set(groupIds);
+    const kept = layers.filter((layer) => known.has(layer.groupId));
+    const present = new Set(kept.map((layer) => layer.groupId));
+    const added = groupIds
+        .filter((groupId) => !present.has(groupId))
+        .map((groupId) => ({ groupId, visible: false, opacity: 1 }));
+    return [...added, ...kept];
+}
+
+export function updateLayer(layers, groupId, changes) {
+    return layers.map((layer) => {
+        if (layer.groupId !== groupId) return layer;
+        const next = { ...layer, ...changes };
+        if (changes.opacity !== undefined) next.opacity = clampOpacity(changes.opacity);
+        return next;
+    });
+}
+
+// offset -1 moves the layer up (drawn above more layers), +1 down.
+export function moveLayer(layers, groupId, offset) {
+    const index = layers.findIndex((layer) => layer.groupId === groupId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= layers.length) return layers;
+    const next = [...layers];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+}
+
+// Google Maps draws higher zIndex on top. A group without a layer (e.g.
+// the temporary group) goes above all of them.
+export function layerStyle(layers, groupId) {
+    const index = layers.findIndex((layer) => layer.groupId === groupId);
+    if (index === -1) return { opacity: 1, zIndex: layers.length + 1 };
+    return { opacity: layers[index].opacity, zIndex: layers.length - index };
+}
@@ -47,3 +47,43 @@ export function createNumberedMarkerIcon(number, color, isSelected = false, zoom
         anchor: new window.google.maps.Point(scale, scale)
     };
 }
+
+// Most common color among a cluster's markers; ties go to the one seen first.
+export function dominantColor(colors, fallback = '#3b82f6') {
+    const counts = new Map();
+    let best = fallback;
+    let bestCount = 0;
+    colors.forEach((color) => {
+        if (!color) return;
+        const count = (counts.get(color) || 0) + 1;
+        counts.set(color, count);
+        if (count > bestCount) {
+            best = color;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// Count bubble for a marker cluster: a solid circle in `color` with a faded
+// ring, growing a little with the number of digits.
+export function createClusterIcon(count, color) {
+    const label = count > 999 ? '999+' : String(count);
+    const size = label.length <= 1 ? 36 : label.length === 2 ? 40 : 48;
+    const half = size / 2;
+    const fontSize = label.length > 3 ? 11 : 13;
+
+    const svg = `
+        <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">
+            <circle cx="${half}" cy="${half}" r="${half}" fill="${color}" fill-opacity="0.3"/>
+            <circle cx="${half}" cy="${half}" r="${half - 5}" fill="${color}" stroke="#ffffff" stroke-width="2"/>
+            <text x="${half}" y="${half}" text-anchor="middle" dominant-baseline="central" font-family="Arial, sans-serif" font-size="${fontSize}" font-weight="bold" fill="white">${label}</text>
+        </svg>
+    `;
+
+    return {
+        url: 'data:image/svg+xml;base64,' + btoa(svg),
+        scaledSize: new window.google.maps.Size(size, size),
+        anchor: new window.google.maps.Point(half, half)
+    };
+}
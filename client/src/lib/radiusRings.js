@@ -0,0 +1,71 @@
+// Radius rings drawn around markers (RadiusModal): { [locationId]:
+// { radii: [miles...], distance: 'straight' | 'road' } }. 'road' uses the
+// server's street-grid estimate, whose buffer is a diamond. Kept per page
+// (locations / zipcodes) in localStorage; rings are a viewing aid, not
+// group data.
+
+const STORAGE_PREFIX = 'radiusRings:';
+
+export const MAX_RINGS = 5;
+export const MAX_RING_MILES = 100;
+
+const METERS_PER_MILE = 1609.344;
+const MILES_PER_DEGREE = 69.09;
+
+// "5, 10 25" -> [5, 10, 25]: sorted, de-duplicated, in range, at most
+// MAX_RINGS.
+export function parseRadii(text) {
+    const values = String(text)
+        .split(/[\s,;]+/)
+        .map(Number)
+        .filter((miles) => Number.isFinite(miles) && miles > 0 && miles <= MAX_RING_MILES);
+    return [...new Set(values)].sort((a, b) => a - b).slice(0, MAX_RINGS);
+}
+
+export function loadRings(groupType) {
+    try {
+        const raw = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${groupType}`) || '{}');
+        const rings = {};
+        Object.entries(raw && typeof raw === 'object' ? raw : {}).forEach(([locationId, entry]) => {
+            const radii = parseRadii((entry?.radii || []).join(' '));
+            if (radii.length > 0) rings[locationId] = { radii, distance: entry.distance === 'road' ? 'road' : 'straight' };
+        });
+        return rings;
+    } catch {
+        return {};
+    }
+}
+
+export function saveRings(groupType, rings) {
+    localStorage.setItem(`${STORAGE_PREFIX}${groupType}`, JSON.stringify(rings));
+}
+
+// Google Maps shapes for one ring set around `center` (a LatLng). Not on a
+// map yet; the caller sets map and keeps them to remove later.
+export function createRingShapes(center, { radii, distance }, color) {
+    const google = window.google;
+    const style = {
+        strokeColor: color,
+        strokeOpacity: 0.8,
+        strokeWeight: 2,
+        fillColor: color,
+        fillOpacity: 0.05,
+        clickable: false
+    };
+    return radii.map((miles) => {
+        if (distance === 'road') {
+            const latSpan = miles / MILES_PER_DEGREE;
+            const lngSpan = latSpan / Math.cos((center.lat() * Math.PI) / 180);
+            return new google.maps.Polygon({
+                ...style,
+                paths: [
+                    { lat: center.lat() + latSpan, lng: center.lng() },
+                    { lat: center.lat(), lng: center.lng() + lngSpan },
+                    { lat: center.lat() - latSpan, lng: center.lng() },
+                    { lat: center.lat(), lng: center.lng() - lngSpan }
+                ]
+            });
+        }
+        return new google.maps.Circle({ ...style, center, radius: miles * METERS_PER_MILE });
+    });
+}
@@ -1,10 +1,13 @@
 import { downloadBlob } from './csvExport.js';
+import { unescapeHtml } from './escapedText.js';
 
 // Port of the screenshot feature (script.js:3107-3322): capture the map,
 // render the marker list to a side canvas, combine, download as PNG.
-// The marker list is drawn from plain item data instead of scraping the DOM.
+// The marker list is drawn from plain item data instead of scraping the DOM,
+// one section per group on the map (the current group and any other
+// visible layers, in draw order): sections = [{ name, items }].
 
-export async function takeMapScreenshot({ groupName, items }) {
+export async function takeMapScreenshot({ sections }) {
     const { default: html2canvas } = await import('html2canvas');
 
     const sidebar = document.getElementById('sidebar');
@@ -30,13 +33,13 @@ export async function takeMapScreenshot({ groupName, items }) {
             backgroundColor: '#ffffff'
         });
 
-        const markerListCanvas = await generateMarkerListCanvas(html2canvas, groupName, items);
+        const markerListCanvas = await generateMarkerListCanvas(html2canvas, sections);
         const combinedCanvas = combineCanvases(mapCanvas, markerListCanvas);
 
         await new Promise((resolve, reject) => {
             combinedCanvas.toBlob((blob) => {
                 if (!blob) return reject(new Error('Canvas export failed'));
-                const fileName = `${groupName.replace(/[^a-z0-9]/gi, '_')}_Locations_Map.png`;
+                const fileName = `${unescapeHtml(sections[0].name).replace(/[^a-z0-9]/gi, '_')}_Locations_Map.png`;
                 downloadBlob(blob, fileName);
                 resolve();
             }, 'image/png');
@@ -47,7 +50,7 @@ export async function takeMapScreenshot({ groupName, items }) {
     }
 }
 
-async function generateMarkerListCanvas(html2canvas, groupName, items) {
+async function generateMarkerListCanvas(html2canvas, sections) {
     const tempDiv = document.createElement('div');
     tempDiv.style.position = 'absolute';
     tempDiv.style.left = '-9999px';
@@ -59,62 +62,64 @@ async function generateMarkerListCanvas(html2canvas, groupName, items) {
     tempDiv.style.fontSize = '14px';
     tempDiv.style.lineHeight = '1.4';
 
-    const header = document.createElement('h3');
-    header.style.margin = '0 0 16px 0';
-    header.style.fontSize = '18px';
-    header.style.fontWeight = '600';
-    header.style.color = '#111827';
-    header.textContent = groupName;
-    tempDiv.appendChild(header);
-
-    if (items.length === 0) {
-        const noMarkersText = document.createElement('p');
-        noMarkersText.style.color = '#6b7280';
-        noMarkersText.style.fontStyle = 'italic';
-        noMarkersText.textContent = 'No locations in this group';
-        tempDiv.appendChild(noMarkersText);
-    } else {
-        items.forEach((item, index) => {
-            const markerItem = document.createElement('div');
-            markerItem.style.display = 'flex';
-            markerItem.style.alignItems = 'flex-start';
-            markerItem.style.marginBottom = '12px';
-            markerItem.style.padding = '8px';
-            markerItem.style.backgroundColor = '#f9fafb';
-            markerItem.style.borderRadius = '6px';
-
-            // Number indicator - px units and line-height for html2canvas compatibility
-            const numberIndicator = document.createElement('div');
-            numberIndicator.style.width = '24px';
-            numberIndicator.style.height = '24px';
-            numberIndicator.style.borderRadius = '50%';
-            numberIndicator.style.backgroundColor = item.color || '#3B82F6';
-            numberIndicator.style.color = 'white';
-            numberIndicator.style.fontSize = '12px';
-            numberIndicator.style.fontWeight = 'bold';
-            numberIndicator.style.textAlign = 'center';
-            numberIndicator.style.lineHeight = '10px';
-            numberIndicator.style.marginRight = '12px';
-            numberIndicator.style.marginTop = '8px';
-            numberIndicator.style.flexShrink = '0';
-            numberIndicator.style.border = '2px solid white';
-            numberIndicator.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.1)';
-            numberIndicator.style.textShadow = '1px 1px 1px rgba(0, 0, 0, 0.5)';
-            numberIndicator.textContent = (item.number ?? (index + 1)).toString();
-
-            const addressText = document.createElement('div');
-            addressText.style.flex = '1';
-            addressText.style.color = '#374151';
-            addressText.style.fontSize = '13px';
-            addressText.style.lineHeight = '1.4';
-            addressText.style.wordBreak = 'break-word';
-            addressText.textContent = item.title;
-
-            markerItem.appendChild(numberIndicator);
-            markerItem.appendChild(addressText);
-            tempDiv.appendChild(markerItem);
-        });
-    }
+    sections.forEach(({ name, items }, sectionIndex) => {
+        const header = document.createElement('h3');
+        header.style.margin = sectionIndex === 0 ? '0 0 16px 0' : '24px 0 16px 0';
+        header.style.fontSize = '18px';
+        header.style.fontWeight = '600';
+        header.style.color = '#111827';
+        header.textContent = unescapeHtml(name);
+        tempDiv.appendChild(header);
+
+        if (items.length === 0) {
+            const noMarkersText = document.createElement('p');
+            noMarkersText.style.color = '#6b7280';
+            noMarkersText.style.fontStyle = 'italic';
+            noMarkersText.textContent = 'No locations in this group';
+            tempDiv.appendChild(noMarkersText);
+        } else {
+            items.forEach((item, index) => {
+                const markerItem = document.createElement('div');
+                markerItem.style.display = 'flex';
+                markerItem.style.alignItems = 'flex-start';
+                markerItem.style.marginBottom = '12px';
+                markerItem.style.padding = '8px';
+                markerItem.style.backgroundColor = '#f9fafb';
+                markerItem.style.borderRadius = '6px';
+
+                // Number indicator - px units and line-height for html2canvas compatibility
+                const numberIndicator = document.createElement('div');
+                numberIndicator.style.width = '24px';
+                numberIndicator.style.height = '24px';
+                numberIndicator.style.borderRadius = '50%';
+                numberIndicator.style.backgroundColor = item.color || '#3B82F6';
+                numberIndicator.style.color = 'white';
+                numberIndicator.style.fontSize = '12px';
+                numberIndicator.style.fontWeight = 'bold';
+                numberIndicator.style.textAlign = 'center';
+                numberIndicator.style.lineHeight = '10px';
+                numberIndicator.style.marginRight = '12px';
+                numberIndicator.style.marginTop = '8px';
+                numberIndicator.style.flexShrink = '0';
+                numberIndicator.style.border = '2px solid white';
+                numberIndicator.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.1)';
+                numberIndicator.style.textShadow = '1px 1px 1px rgba(0, 0, 0, 0.5)';
+                numberIndicator.textContent = (item.number ?? (index + 1)).toString();
+
+                const addressText = document.createElement('div');
+                addressText.style.flex = '1';
+                addressText.style.color = '#374151';
+                addressText.style.fontSize = '13px';
+                addressText.style.lineHeight = '1.4';
+                addressText.style.wordBreak = 'break-word';
+                addressText.textContent = item.title;
+
+                markerItem.appendChild(numberIndicator);
+                markerItem.appendChild(addressText);
+                tempDiv.appendChild(markerItem);
+            });
+        }
+    });
 
     document.body.appendChild(tempDiv);
     try {
@@ -0,0 +1,103 @@
+// GeoJSON <-> map shape conversion for locations.geometry: ZIP outlines and
+// shapes drawn on the map. Polygons (rectangles and circles are saved as
+// polygons) and lines; positions here are plain { lat, lng } objects.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const CIRCLE_SEGMENTS = 64;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+const toPosition = ({ lat, lng }) => [lng, lat];
+
+// GeoJSON string -> [{ kind: 'polygon', path, innerRings } | { kind: 'line', path }],
+// one entry per part, or null when it isn't a shape we draw. Holes aren't
+// drawn but are kept (as GeoJSON rings) so an edited outline saves them back.
+export function shapeParts(geometryJson) {
+    let geometry;
+    try {
+        geometry = JSON.parse(geometryJson);
+    } catch {
+        return null;
+    }
+    const polygon = ([outer, ...innerRings]) => ({
+        kind: 'polygon',
+        // GeoJSON repeats the first position last; Google closes paths itself
+        path: outer.slice(0, -1).map(toLatLng),
+        innerRings
+    });
+    const line = (positions) => ({ kind: 'line', path: positions.map(toLatLng) });
+
+    switch (geometry?.type) {
+        case 'Polygon': return geometry.coordinates?.[0] ? [polygon(geometry.coordinates)] : null;
+        case 'MultiPolygon': return geometry.coordinates ? geometry.coordinates.map(polygon) : null;
+        case 'LineString': return geometry.coordinates ? [line(geometry.coordinates)] : null;
+        case 'MultiLineString': return geometry.coordinates ? geometry.coordinates.map(line) : null;
+        default: return null;
+    }
+}
+
+// Inverse of shapeParts: the parts (all polygons or all lines) as a GeoJSON
+// string, single or Multi* by part count.
+export function shapeGeometry(parts) {
+    if (parts[0].kind === 'line') {
+        const lines = parts.map((part) => part.path.map(toPosition));
+        return JSON.stringify(lines.length === 1
+            ? { type: 'LineString', coordinates: lines[0] }
+            : { type: 'MultiLineString', coordinates: lines });
+    }
+    const polygons = parts.map((part) => {
+        const outer = part.path.map(toPosition);
+        return [[...outer, outer[0]], ...(part.innerRings || [])];
+    });
+    return JSON.stringify(polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons });
+}
+
+// Where the shape's lat/lng (list zoom, radius search, CSV) points: the
+// middle of its bounding box.
+export function shapeCenter(parts) {
+    const points = parts.flatMap((part) => part.path);
+    const lats = points.map((point) => point.lat);
+    const lngs = points.map((point) => point.lng);
+    return {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    };
+}
+
+export function rectanglePath(corner, oppositeCorner) {
+    return [
+        { lat: corner.lat, lng: corner.lng },
+        { lat: corner.lat, lng: oppositeCorner.lng },
+        { lat: oppositeCorner.lat, lng: oppositeCorner.lng },
+        { lat: oppositeCorner.lat, lng: corner.lng }
+    ];
+}
+
+export function distanceMeters(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// A circle as a polygon path, so it's stored and edited like any polygon
+export function circlePath(center, radiusMeters) {
+    const angular = radiusMeters / EARTH_RADIUS_METERS;
+    const lat = toRadians(center.lat);
+    const lng = toRadians(center.lng);
+    return Array.from({ length: CIRCLE_SEGMENTS }, (_, index) => {
+        const bearing = (2 * Math.PI * index) / CIRCLE_SEGMENTS;
+        const pointLat = Math.asin(Math.sin(lat) * Math.cos(angular) +
+            Math.cos(lat) * Math.sin(angular) * Math.cos(bearing));
+        const pointLng = lng + Math.atan2(
+            Math.sin(bearing) * Math.sin(angular) * Math.cos(lat),
+            Math.cos(angular) - Math.sin(lat) * Math.sin(pointLat)
+        );
+        return { lat: toDegrees(pointLat), lng: ((toDegrees(pointLng) + 540) % 360) - 180 };
+    });
+}
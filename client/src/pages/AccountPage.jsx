@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { usePopups } from '../context/PopupContext.jsx';
+import * as authApi from '../api/auth.js';
+import SessionList from '../components/SessionList.jsx';
+import ChangePasswordForm from '../components/ChangePasswordForm.jsx';
+import ApiTokensSection from '../components/ApiTokensSection.jsx';
+import ShareLinksSection from '../components/ShareLinksSection.jsx';
+
+// Self-service account settings for any role. Admin-only user management
+// stays in the Doctor DWC Locations sidebar (DoctorSidebar.jsx).
+export default function AccountPage() {
+  const { username, role, mustChangePassword, passwordChanged, logout } = useAuth();
+  const { showPopup } = usePopups();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  async function loadSessions() {
+    try {
+      setSessions(await authApi.fetchMySessions());
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      showPopup('error', 'Failed to load your sessions.', 'Load Failed');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function handleRevoke(session) {
+    if (session.current && !window.confirm('This is the device you are using now. Sign out here?')) return;
+    try {
+      await authApi.revokeMySession(session.id);
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+      setSessions((list) => list.filter((s) => s.id !== session.id));
+      showPopup('success', 'Session revoked.', 'Signed Out');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      showPopup('error', `Failed to revoke session: ${error.message}`, 'Revoke Failed');
+    }
+  }
+
+  async function handleRevokeOthers() {
+    try {
+      const { revoked } = await authApi.revokeOtherSessions();
+      setSessions((list) => list.filter((s) => s.current));
+      showPopup('success', `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}.`, 'Signed Out');
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      showPopup('error', `Failed to sign out other sessions: ${error.message}`, 'Revoke Failed');
+    }
+  }
+
+  function handlePasswordChanged() {
+    passwordChanged();
+    // The server signed out every other session as part of the change.
+    setSessions((list) => list.filter((s) => s.current));
+    showPopup('success', 'Your password has been changed. Other devices were signed out.', 'Password Changed');
+  }
+
+  const otherCount = sessions.filter((s) => !s.current).length;
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-2xl mx-auto py-8 px-4 space-y-6">
+        <div>
+          <h1 className="text-xl font-semibold text-gray-900">Account</h1>
+          <p className="text-sm text-gray-500">Signed in as {username}{role ? ` (${role})` : ''}</p>
+        </div>
+
+        {mustChangePassword && (
+          <div className="px-3 py-2 bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-md">
+            An administrator reset your password. Choose a new one to continue.
+          </div>
+        )}
+
+        <section className="bg-white rounded-md shadow-sm border border-gray-200 p-4">
+          <h2 className="text-sm font-medium text-gray-900 mb-3">Change Password</h2>
+          <ChangePasswordForm onChanged={handlePasswordChanged} />
+        </section>
+
+        <section className="bg-white rounded-md shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-sm font-medium text-gray-900">Active Sessions</h2>
+            <button
+              onClick={handleRevokeOthers}
+              disabled={otherCount === 0}
+              className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Sign out other devices
+            </button>
+          </div>
+          {loading
+            ? <p className="text-xs text-gray-500">Loading sessions...</p>
+            : <SessionList sessions={sessions} onRevoke={handleRevoke} />}
+        </section>
+
+        <section className="bg-white rounded-md shadow-sm border border-gray-200 p-4">
+          <h2 className="text-sm font-medium text-gray-900">API Tokens</h2>
+          <p className="text-xs text-gray-500 mb-3">
+            For scripts calling the REST API: send <code>Authorization: Bearer &lt;token&gt;</code>. A token acts
+            with your role; read-only tokens can only make GET requests.
+          </p>
+          <ApiTokensSection />
+        </section>
+
+        <section className="bg-white rounded-md shadow-sm border border-gray-200 p-4">
+          <h2 className="text-sm font-medium text-gray-900">Public Share Links</h2>
+          <p className="text-xs text-gray-500 mb-3">
+            Read-only links you have created from the Share dialogs. Anyone with a link can open it without an
+            account until it expires or you revoke it.
+          </p>
+          <ShareLinksSection />
+        </section>
+      </div>
+    </div>
+  );
+}
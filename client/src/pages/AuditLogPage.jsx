@@ -0,0 +1,240 @@
+import { Fragment, useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight } from 'react-feather';
+import RequireRole from '../components/RequireRole.jsx';
+import { usePopups } from '../context/PopupContext.jsx';
+import * as auditApi from '../api/audit.js';
+import * as usersApi from '../api/users.js';
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TYPES = [
+  'group',
+  'location',
+  'panel_stock_upload',
+  'file',
+  'doctor',
+  'dwc_location',
+  'user',
+  'api_token',
+  'share_link',
+  'embed'
+];
+
+const EMPTY_FILTERS = { actorId: '', action: '', entityType: '', from: '', to: '' };
+
+const selectClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+// Date inputs give local calendar days; the API takes a half-open ISO range,
+// so "to" becomes the start of the following day.
+function toApiFilters(filters, offset) {
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  let to = null;
+  if (filters.to) {
+    to = new Date(`${filters.to}T00:00:00`);
+    to.setDate(to.getDate() + 1);
+  }
+  return {
+    actorId: filters.actorId,
+    action: filters.action,
+    entityType: filters.entityType,
+    from: from ? from.toISOString() : '',
+    to: to ? to.toISOString() : '',
+    limit: PAGE_SIZE,
+    offset
+  };
+}
+
+function JsonBlock({ label, value }) {
+  if (value === null || value === undefined) return null;
+  return (
+    <div className="flex-1 min-w-0">
+      <div className="text-xs font-medium text-gray-500 mb-1">{label}</div>
+      <pre className="text-xs bg-gray-50 border border-gray-200 rounded p-2 overflow-x-auto">
+        {JSON.stringify(value, null, 2)}
+      </pre>
+    </div>
+  );
+}
+
+function AuditLogView() {
+  const { showPopup } = usePopups();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [data, setData] = useState({ entries: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [actions, setActions] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    auditApi.fetchAuditActions().then(setActions).catch(() => {});
+    usersApi.fetchUsers().then(setUsers).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    auditApi.fetchAuditLog(toApiFilters(filters, offset))
+      .then((result) => { if (!cancelled) setData(result); })
+      .catch((error) => {
+        console.error('Error fetching audit log:', error);
+        showPopup('error', `Failed to load the audit log: ${error.message}`, 'Load Failed');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters, offset]);
+
+  function updateFilter(key, value) {
+    setFilters((f) => ({ ...f, [key]: value }));
+    setOffset(0);
+  }
+
+  const { entries, total } = data;
+  const pageEnd = Math.min(offset + PAGE_SIZE, total);
+
+  return (
+    <div className="max-w-6xl mx-auto py-8 px-4 space-y-4">
+      <div>
+        <h1 className="text-xl font-semibold text-gray-900">Audit Log</h1>
+        <p className="text-sm text-gray-500">Who changed what across groups, uploads, doctors and users.</p>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2 bg-white border border-gray-200 rounded-md p-3">
+        <label className="text-xs text-gray-600">
+          <span className="block mb-1">User</span>
+          <select value={filters.actorId} onChange={(e) => updateFilter('actorId', e.target.value)} className={selectClass}>
+            <option value="">Anyone</option>
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>{u.username}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          <span className="block mb-1">Entity</span>
+          <select value={filters.entityType} onChange={(e) => updateFilter('entityType', e.target.value)} className={selectClass}>
+            <option value="">All</option>
+            {ENTITY_TYPES.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          <span className="block mb-1">Action</span>
+          <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className={selectClass}>
+            <option value="">All</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          <span className="block mb-1">From</span>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={selectClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          <span className="block mb-1">To</span>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={selectClass} />
+        </label>
+        <button
+          onClick={() => { setFilters(EMPTY_FILTERS); setOffset(0); }}
+          className="text-xs px-2 py-1.5 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none"
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-md overflow-hidden">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+            <tr>
+              <th className="w-6" />
+              <th className="px-3 py-2 text-left">When</th>
+              <th className="px-3 py-2 text-left">User</th>
+              <th className="px-3 py-2 text-left">Action</th>
+              <th className="px-3 py-2 text-left">Entity</th>
+              <th className="px-3 py-2 text-left">IP</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {entries.map((entry) => {
+              const expanded = expandedId === entry.id;
+              const hasDetails = entry.before || entry.after;
+              return (
+                <Fragment key={entry.id}>
+                  <tr
+                    onClick={() => hasDetails && setExpandedId(expanded ? null : entry.id)}
+                    className={hasDetails ? 'cursor-pointer hover:bg-gray-50' : ''}
+                  >
+                    <td className="pl-2 text-gray-400">
+                      {hasDetails && (expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />)}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td className="px-3 py-2 text-gray-800">
+                      {entry.actorUsername || (entry.actorId ? <span className="text-gray-400">deleted user</span> : <span className="text-gray-400">system</span>)}
+                    </td>
+                    <td className="px-3 py-2 font-mono text-xs text-gray-800">{entry.action}</td>
+                    <td className="px-3 py-2 text-xs text-gray-600 break-all">
+                      {entry.entityType}{entry.entityId ? ` ${entry.entityId}` : ''}
+                    </td>
+                    <td className="px-3 py-2 text-xs text-gray-500">{entry.ipAddress || '—'}</td>
+                  </tr>
+                  {expanded && (
+                    <tr>
+                      <td />
+                      <td colSpan={5} className="px-3 pb-3">
+                        <div className="flex gap-3">
+                          <JsonBlock label="Before" value={entry.before} />
+                          <JsonBlock label="After" value={entry.after} />
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+        {!loading && entries.length === 0 && (
+          <p className="px-3 py-6 text-center text-sm text-gray-500">No audit entries match these filters.</p>
+        )}
+        {loading && <p className="px-3 py-6 text-center text-sm text-gray-500">Loading...</p>}
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>{total > 0 ? `${offset + 1}–${pageEnd} of ${total}` : ''}</span>
+        <div className="space-x-2">
+          <button
+            onClick={() => setOffset((o) => Math.max(0, o - PAGE_SIZE))}
+            disabled={offset === 0 || loading}
+            className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setOffset((o) => o + PAGE_SIZE)}
+            disabled={pageEnd >= total || loading}
+            className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Admin-only viewer for the audit_log table. Non-admins who land here get a
+// notice rather than a redirect; the API rejects them regardless.
+export default function AuditLogPage() {
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <RequireRole
+        allow={['admin']}
+        fallback={<p className="max-w-2xl mx-auto py-8 px-4 text-sm text-gray-600">The audit log is available to Admins only.</p>}
+      >
+        <AuditLogView />
+      </RequireRole>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import ReadOnlyMap from '../components/ReadOnlyMap.jsx';
+import { fetchPublicEmbed } from '../api/embeds.js';
+
+// Kept modest: the public payload sits behind the /api rate limiter, and
+// every open intranet page polls it.
+const REFRESH_MS = 60 * 1000;
+
+// Framed, no-login group map (/embed/:embedId). The server only serves this
+// page to the embed's allowed origins, and only in a frame with a
+// short-lived data token in a <meta name="embed-token"> tag; each fetch
+// returns the next token. It
+// re-fetches periodically so edits to the group show up, and redraws only
+// when something changed.
+export default function EmbedMapPage() {
+  const { embedId } = useParams();
+  const [view, setView] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let lastPayload = null;
+    let token = document.querySelector('meta[name="embed-token"]')?.content;
+
+    function load() {
+      fetchPublicEmbed(embedId, token)
+        .then(({ token: nextToken, ...data }) => {
+          if (cancelled) return;
+          token = nextToken;
+          const payload = JSON.stringify(data);
+          if (payload === lastPayload) return;
+          lastPayload = payload;
+          setView(data);
+          setError(null);
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          if (err.status === 401) {
+            // The token lapsed (e.g. the server restarted): a reload fetches
+            // the page, and a new token, again. Without a first success the
+            // page was opened outside a frame and never got one.
+            if (lastPayload) window.location.reload();
+            else setError('This map can only be viewed on the site it is embedded in.');
+            return;
+          }
+          // A failed refresh keeps the last map unless the embed is gone.
+          if (!lastPayload || err.status === 404) setError(err.message);
+        });
+    }
+
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [embedId]);
+
+  if (error) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-50 px-4 text-center text-sm text-gray-600">
+        {error}
+      </div>
+    );
+  }
+
+  if (!view) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-50 text-sm text-gray-500">
+        Loading map...
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen flex">
+      <ReadOnlyMap
+        key={view.options.zoom ?? 'fit'}
+        view={view}
+        showList={view.options.showList}
+        zoom={view.options.zoom}
+      />
+    </div>
+  );
+}
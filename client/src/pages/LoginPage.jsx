@@ -35,7 +35,7 @@ export default function LoginPage() {
     try {
       const action = isRegisterMode ? register : login;
       const data = await action(username.trim(), password);
-      setUser(data.username);
+      setUser(data.username, null, !!data.mustChangePassword);
       navigate('/');
     } catch (err) {
       setError(err.status ? err.message : 'Could not connect to server');
@@ -3,11 +3,15 @@ import { useMapEngine } from '../hooks/useMapEngine.js';
 import { useShell } from '../context/ShellContext.jsx';
 import { usePopups } from '../context/PopupContext.jsx';
 import Sidebar from '../components/Sidebar.jsx';
+import VersionPreviewBanner from '../components/VersionPreviewBanner.jsx';
+import RouteBanner from '../components/RouteBanner.jsx';
 import BulkUploadModal from '../components/modals/BulkUploadModal.jsx';
 import BulkProgressModal from '../components/modals/BulkProgressModal.jsx';
 import BulkResultsModal from '../components/modals/BulkResultsModal.jsx';
 import SaveTempModal from '../components/modals/SaveTempModal.jsx';
+import ImportModal from '../components/modals/ImportModal.jsx';
 import ExportModal from '../components/modals/ExportModal.jsx';
+import GeoImportModal from '../components/modals/GeoImportModal.jsx';
 import { takeMapScreenshot } from '../lib/screenshot.js';
 
 // Shared map page for both routes; groupType ('locations' | 'zipcodes')
@@ -17,6 +21,7 @@ export default function MapPage({ groupType }) {
   const { showPopup } = usePopups();
   const { sidebarOpen, setNavHandlers } = useShell();
   const [exportOpen, setExportOpen] = useState(false);
+  const [geoImportOpen, setGeoImportOpen] = useState(false);
 
   // The legacy map pages set body-level overflow/height locks via body.map-page
   useEffect(() => {
@@ -40,19 +45,15 @@ export default function MapPage({ groupType }) {
 
   async function handleScreenshot() {
     if (engine.screenshotBusy) return;
-    if (!engine.currentGroupId) {
+    const sections = engine.visibleLayerSections;
+    if (sections.length === 0) {
       showPopup('warning', 'Please select a location group first to take a screenshot.', 'Group Required');
       return;
     }
-    const currentGroup = engine.groups.find((g) => g.id === engine.currentGroupId);
-    if (!currentGroup) {
-      showPopup('error', 'Selected group not found.', 'Group Error');
-      return;
-    }
 
     engine.setScreenshotBusy(true);
     try {
-      await takeMapScreenshot({ groupName: currentGroup.name, items: engine.items });
+      await takeMapScreenshot({ sections });
       showPopup('success', 'Screenshot saved successfully!', 'Screenshot Complete');
     } catch (error) {
       console.error('Screenshot error:', error);
@@ -68,6 +69,7 @@ export default function MapPage({ groupType }) {
     setNavHandlers({
       onScreenshot: handleScreenshot,
       onExport: () => setExportOpen(true),
+      onImport: () => setGeoImportOpen(true),
       confirmLeave: () => {
         if (engine.hasTemp) {
           engine.openSaveTempModal();
@@ -78,7 +80,7 @@ export default function MapPage({ groupType }) {
     });
     return () => setNavHandlers({});
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [engine.hasTemp, engine.currentGroupId, engine.groups, engine.items, engine.screenshotBusy]);
+  }, [engine.hasTemp, engine.visibleLayerSections, engine.screenshotBusy]);
 
   return (
     <div className="flex h-screen">
@@ -96,6 +98,8 @@ export default function MapPage({ groupType }) {
         ) : (
           <div id="map" ref={engine.mapDivRef} className="w-full h-full" />
         )}
+        <VersionPreviewBanner engine={engine} />
+        <RouteBanner engine={engine} />
       </div>
 
       <Sidebar engine={engine} groupType={groupType} open={sidebarOpen} />
@@ -104,7 +108,9 @@ export default function MapPage({ groupType }) {
       <BulkProgressModal engine={engine} groupType={groupType} />
       <BulkResultsModal engine={engine} />
       <SaveTempModal engine={engine} />
-      <ExportModal engine={engine} open={exportOpen} onClose={() => setExportOpen(false)} />
+      <ImportModal engine={engine} groupType={groupType} />
+      <ExportModal engine={engine} groupType={groupType} open={exportOpen} onClose={() => setExportOpen(false)} />
+      <GeoImportModal engine={engine} groupType={groupType} open={geoImportOpen} onClose={() => setGeoImportOpen(false)} />
     </div>
   );
 }
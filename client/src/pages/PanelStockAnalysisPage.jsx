@@ -1,9 +1,10 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { Plus, Trash2 } from 'react-feather';
+import { Link2, Plus, Trash2 } from 'react-feather';
 import { usePanelStockMap } from '../hooks/usePanelStockMap.js';
 import { useShell } from '../context/ShellContext.jsx';
 import { usePopups } from '../context/PopupContext.jsx';
 import NewPanelStockUploadModal from '../components/modals/NewPanelStockUploadModal.jsx';
+import ShareLinkModal from '../components/modals/ShareLinkModal.jsx';
 import { fetchPanelStockUploads, deletePanelStockUpload } from '../api/panelStock.js';
 import { takeMapScreenshot } from '../lib/screenshot.js';
 
@@ -21,6 +22,7 @@ export default function PanelStockAnalysisPage() {
   const [threshold, setThreshold] = useState(''); // raw digits string, '' = filter off
   const [selectedZip, setSelectedZip] = useState(null);
   const [uploadModalOpen, setUploadModalOpen] = useState(false);
+  const [shareLinkOpen, setShareLinkOpen] = useState(false);
   const [screenshotBusy, setScreenshotBusy] = useState(false);
   const listRef = useRef(null);
 
@@ -132,7 +134,7 @@ export default function PanelStockAnalysisPage() {
     try {
       const specialty = activeUpload.specialties.find((s) => s.id === selectedSpecialtyId);
       const specialtyName = specialty?.name || selectedSpecialtyId;
-      await takeMapScreenshot({ groupName: `${activeUpload.title} - ${specialtyName} Zip Codes Map`, items: listItems });
+      await takeMapScreenshot({ sections: [{ name: `${activeUpload.title} - ${specialtyName} Zip Codes Map`, items: listItems }] });
       showPopup('success', 'Screenshot saved successfully!', 'Screenshot Complete');
     } catch (error) {
       console.error('Screenshot error:', error);
@@ -161,7 +163,7 @@ export default function PanelStockAnalysisPage() {
 
   async function handleDeleteUpload() {
     if (!activeUpload) return;
-    if (!window.confirm(`Delete the upload "${activeUpload.title}"? This cannot be undone.`)) return;
+    if (!window.confirm(`Delete the upload "${activeUpload.title}"? It can be restored from the Trash.`)) return;
     try {
       await deletePanelStockUpload(activeUpload.id);
       setUploads((prev) => prev.filter((u) => u.id !== activeUpload.id));
@@ -217,6 +219,15 @@ export default function PanelStockAnalysisPage() {
           >
             <Plus className="mr-1 h-4 w-4" /> New Upload
           </button>
+          {activeUpload && selectedSpecialtyId && (
+            <button
+              onClick={() => setShareLinkOpen(true)}
+              title="Create a public read-only link for this specialty"
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+            >
+              <Link2 className="mr-1 h-4 w-4" /> Share Link
+            </button>
+          )}
           <label className="inline-flex items-center text-sm text-gray-700 cursor-pointer select-none">
             <input
               type="checkbox"
@@ -300,6 +311,12 @@ export default function PanelStockAnalysisPage() {
         </div>
       </div>
 
+      <ShareLinkModal
+        open={shareLinkOpen}
+        onClose={() => setShareLinkOpen(false)}
+        upload={activeUpload}
+        specialty={activeUpload?.specialties.find((s) => s.id === selectedSpecialtyId)}
+      />
       <NewPanelStockUploadModal
         open={uploadModalOpen}
         onClose={() => setUploadModalOpen(false)}
@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Eye } from 'react-feather';
+import ReadOnlyMap from '../components/ReadOnlyMap.jsx';
+import { fetchPublicShare } from '../api/shareLinks.js';
+
+// Public, no-login page behind a share link (/share/:token). Everything it
+// shows comes from the one public payload for that token.
+export default function SharedMapPage() {
+  const { token } = useParams();
+  const [view, setView] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setView(null);
+    setError(null);
+    fetchPublicShare(token)
+      .then((data) => { if (!cancelled) setView(data); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  useEffect(() => {
+    if (view) document.title = `${view.title} (shared map)`;
+  }, [view]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-50 px-4 text-center">
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Shared map unavailable</h1>
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  if (!view) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 text-sm text-gray-500">
+        Loading shared map...
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen flex flex-col">
+      <header className="flex-shrink-0 flex items-center justify-between px-4 py-3 bg-white border-b border-gray-200">
+        <div className="min-w-0">
+          <h1 className="text-lg font-semibold text-gray-900 truncate">{view.title}</h1>
+          <p className="text-xs text-gray-500">{view.subtitle}</p>
+        </div>
+        <div className="flex-shrink-0 text-right text-xs text-gray-500">
+          <span className="inline-flex items-center px-2 py-0.5 rounded bg-gray-100 text-gray-600">
+            <Eye className="h-3 w-3 mr-1" /> View only
+          </span>
+          {view.expiresAt && (
+            <div className="mt-1">Link expires {new Date(view.expiresAt).toLocaleDateString()}</div>
+          )}
+        </div>
+      </header>
+      <ReadOnlyMap view={view} />
+    </div>
+  );
+}
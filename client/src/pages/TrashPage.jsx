@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react';
+import { usePopups } from '../context/PopupContext.jsx';
+import * as trashApi from '../api/trash.js';
+import { unescapeHtml } from '../lib/escapedText.js';
+
+const buttonClass = 'text-xs px-2 py-1 border border-gray-300 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-50 focus:outline-none disabled:opacity-50';
+
+function groupTypeLabel(groupType) {
+  return groupType === 'zipcodes' ? 'ZIP group' : 'location group';
+}
+
+// Title and detail line per kind; group names and location titles arrive
+// HTML-escaped from the server.
+function describeItem(kind, item) {
+  if (kind === 'groups') {
+    return {
+      title: unescapeHtml(item.name),
+      detail: `${groupTypeLabel(item.groupType)} · ${item.locationCount} ${item.locationCount === 1 ? 'location' : 'locations'}`
+    };
+  }
+  if (kind === 'locations') {
+    return {
+      title: unescapeHtml(item.title),
+      detail: `in ${unescapeHtml(item.groupName)} (${groupTypeLabel(item.groupType)})`
+    };
+  }
+  return { title: item.title, detail: `panel stock upload · ${item.fileName}` };
+}
+
+const SECTIONS = [
+  { kind: 'groups', heading: 'Groups', empty: 'No deleted groups.' },
+  { kind: 'locations', heading: 'Locations', empty: 'No deleted locations.' },
+  { kind: 'uploads', heading: 'Panel Stock Uploads', empty: 'No deleted uploads.' }
+];
+
+// Deleted groups, locations and panel stock uploads the user can restore.
+// Each waits out the server's retention period and is then purged for good;
+// "Delete forever" purges it right away.
+export default function TrashPage() {
+  const { showPopup } = usePopups();
+  const [trash, setTrash] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    trashApi.fetchTrash()
+      .then(setTrash)
+      .catch((error) => {
+        console.error('Error fetching trash:', error);
+        showPopup('error', 'Failed to load the trash.', 'Load Failed');
+        setTrash({ retentionDays: null, groups: [], locations: [], uploads: [] });
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function removeFromList(kind, id) {
+    setTrash((current) => ({ ...current, [kind]: current[kind].filter((item) => item.id !== id) }));
+  }
+
+  async function handleRestore(kind, item) {
+    const { title } = describeItem(kind, item);
+    setBusyId(item.id);
+    try {
+      await trashApi.restoreItem(kind, item.id);
+      removeFromList(kind, item.id);
+      showPopup('success', `"${title}" was restored.`, 'Restored');
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      showPopup('error', `Failed to restore "${title}": ${error.message}`, 'Restore Failed');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handlePurge(kind, item) {
+    const { title } = describeItem(kind, item);
+    if (!window.confirm(`Delete "${title}" permanently? This cannot be undone.`)) return;
+    setBusyId(item.id);
+    try {
+      await trashApi.purgeItem(kind, item.id);
+      removeFromList(kind, item.id);
+    } catch (error) {
+      console.error('Error purging item:', error);
+      showPopup('error', `Failed to delete "${title}": ${error.message}`, 'Delete Failed');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-2xl mx-auto py-8 px-4 space-y-6">
+        <div>
+          <h1 className="text-xl font-semibold text-gray-900">Trash</h1>
+          <p className="text-sm text-gray-500">
+            Deleted items can be restored
+            {trash && trash.retentionDays ? ` for ${trash.retentionDays} days` : ''} before they are removed for good.
+          </p>
+        </div>
+
+        {SECTIONS.map(({ kind, heading, empty }) => (
+          <section key={kind} className="bg-white rounded-md shadow-sm border border-gray-200 p-4">
+            <h2 className="text-sm font-medium text-gray-900 mb-3">{heading}</h2>
+            {!trash ? (
+              <p className="text-xs text-gray-500">Loading...</p>
+            ) : trash[kind].length === 0 ? (
+              <p className="text-xs text-gray-500">{empty}</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {trash[kind].map((item) => {
+                  const { title, detail } = describeItem(kind, item);
+                  return (
+                    <li key={item.id} className="py-2 flex items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <div className="text-sm text-gray-800 truncate">{title}</div>
+                        <div className="text-xs text-gray-500 truncate">{detail}</div>
+                        <div className="text-xs text-gray-400">
+                          Deleted {new Date(item.deletedAt).toLocaleDateString()} · Removed for good on{' '}
+                          {new Date(item.purgeAt).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2 flex-shrink-0">
+                        <button
+                          onClick={() => handleRestore(kind, item)}
+                          disabled={busyId === item.id}
+                          className={buttonClass}
+                        >
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => handlePurge(kind, item)}
+                          disabled={busyId === item.id}
+                          className="text-xs px-2 py-1 border border-red-200 rounded text-red-600 hover:bg-red-50 focus:outline-none disabled:opacity-50"
+                        >
+                          Delete forever
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,17 @@
 const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 
 // Pure string/classification helpers for the DWC reconciliation logic —
 // no dependency back on this module (see server/dwc/).
 const addressParser = require('../server/dwc/addressParser');
 const nameMatcher = require('../server/dwc/nameMatcher');
 const classifier = require('../server/dwc/classifier');
+const passwordPolicy = require('../server/auth/passwordPolicy');
+const loginLockout = require('../server/auth/loginLockout');
+const auditFilters = require('../server/audit/filters');
+const historySnapshots = require('../server/history/snapshots');
 
 // Shared with scripts/seedZipBoundaries.js so the schema lives in one place.
 // geometry is pre-stringified GeoJSON TEXT: the lookup endpoints return it as
@@ -19,6 +24,17 @@ const ZIP_BOUNDARIES_DDL = `CREATE TABLE IF NOT EXISTS zip_boundaries (
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 )`;
 
+// group_shares.grantee value for a share with every user.
+const EVERYONE_GRANTEE = '*';
+
+// Trash kinds (the /api/trash/:kind segment) and the tables they soft-delete
+// in. Groups go first in purgeTrash so their locations leave with them.
+const TRASH_TABLES = {
+    groups: 'location_groups',
+    locations: 'locations',
+    uploads: 'panel_stock_uploads'
+};
+
 class DatabaseService {
     constructor() {
         this.pool = null;
@@ -65,6 +81,75 @@ class DatabaseService {
             // application layer only, matching the absence of DB-level
             // CHECK/enum constraints elsewhere in this schema.
             `ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'staff'`,
+            // Set by an Admin password reset; requireAuth then blocks
+            // everything but /api/auth/* until the user picks a new one.
+            `ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE`,
+            `ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ`,
+            // Deactivated accounts keep their data but can't sign in, and
+            // any session they still hold stops resolving (getSession).
+            `ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE`,
+            `ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ`,
+            // Login sessions. Only a SHA-256 of the cookie value is stored, so
+            // a leaked dump of this table can't be replayed as live cookies.
+            `CREATE TABLE IF NOT EXISTS user_sessions (
+                id            TEXT PRIMARY KEY,
+                token_hash    TEXT NOT NULL UNIQUE,
+                user_id       TEXT NOT NULL,
+                created_at    TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at  TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at    TIMESTAMPTZ NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)`,
+            `CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at)`,
+            // Shown on the session management screens so a user can tell
+            // which device a session belongs to. Informational only.
+            `ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS ip_address TEXT`,
+            `ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT`,
+            // Personal API tokens for scripted access (Authorization: Bearer).
+            // Hashed like session tokens; token_prefix is the first few
+            // characters, kept only so the UI can tell tokens apart.
+            // scope: 'read' | 'write' — enforced in requireAuth.
+            `CREATE TABLE IF NOT EXISTS api_tokens (
+                id            TEXT PRIMARY KEY,
+                user_id       TEXT NOT NULL,
+                name          TEXT NOT NULL,
+                token_hash    TEXT NOT NULL UNIQUE,
+                token_prefix  TEXT NOT NULL,
+                scope         TEXT NOT NULL DEFAULT 'read',
+                created_at    TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at    TIMESTAMPTZ,
+                last_used_at  TIMESTAMPTZ,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)`,
+            // Failed-login tracking for the per-username lockout
+            // (server/auth/loginLockout.js). Keyed on the lowercased
+            // username rather than users.id so unknown usernames are
+            // throttled the same way and don't reveal which accounts exist.
+            `CREATE TABLE IF NOT EXISTS login_attempts (
+                username        TEXT PRIMARY KEY,
+                failed_count    INTEGER NOT NULL DEFAULT 0,
+                last_failed_at  TIMESTAMPTZ,
+                locked_until    TIMESTAMPTZ
+            )`,
+            // Append-only record of security-relevant and data-changing
+            // actions. actor_id is nullable (system events such as a lockout
+            // have no signed-in actor) and deliberately not an FK, so the
+            // trail outlives the users it mentions.
+            `CREATE TABLE IF NOT EXISTS audit_log (
+                id           TEXT PRIMARY KEY,
+                actor_id     TEXT,
+                action       TEXT NOT NULL,
+                entity_type  TEXT,
+                entity_id    TEXT,
+                before_data  JSONB,
+                after_data   JSONB,
+                ip_address   TEXT,
+                created_at   TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC)`,
+            `CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)`,
             `CREATE TABLE IF NOT EXISTS location_groups (
                 id TEXT PRIMARY KEY,
                 device_id TEXT NOT NULL,
@@ -89,7 +174,63 @@ class DatabaseService {
             `CREATE INDEX IF NOT EXISTS idx_location_groups_device_id ON location_groups(device_id)`,
             `CREATE INDEX IF NOT EXISTS idx_locations_group_id ON locations(group_id)`,
             `CREATE INDEX IF NOT EXISTS idx_locations_order ON locations(group_id, order_index)`,
+            // Free-text notes per location (spreadsheet import), shown in the
+            // marker info window.
+            `ALTER TABLE locations ADD COLUMN IF NOT EXISTS notes TEXT`,
+            // Custom fields: definitions live on the group
+            // ([{id, name, type, options?}], see server/locations/customFields.js)
+            // and each location stores its values keyed by field id.
+            `ALTER TABLE location_groups ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '[]'::jsonb`,
+            `ALTER TABLE locations ADD COLUMN IF NOT EXISTS custom_values JSONB`,
             `CREATE INDEX IF NOT EXISTS idx_location_groups_type ON location_groups(device_id, group_type)`,
+            // Group sharing. grantee is a users.id or '*' for everyone, so it
+            // can't be an FK; deleteUser clears a user's grants explicitly.
+            // permission: 'view' | 'edit' — only the owner (device_id) can
+            // delete the group or manage its shares.
+            `CREATE TABLE IF NOT EXISTS group_shares (
+                group_id    TEXT NOT NULL,
+                grantee     TEXT NOT NULL,
+                permission  TEXT NOT NULL DEFAULT 'view',
+                created_by  TEXT,
+                created_at  TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (group_id, grantee),
+                FOREIGN KEY (group_id) REFERENCES location_groups(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_group_shares_grantee ON group_shares(grantee)`,
+            // Group version history (server/history/): one snapshot per
+            // change made through the group/location routes, numbered from 1
+            // per group. name and location_count duplicate the snapshot so
+            // the history list doesn't have to load it; changes is the diff
+            // against the previous version (null for the first one recorded).
+            // restored_from is the version a 'version.restore' copied.
+            // Snapshots reference geometry by hash (geometry_hashes lists
+            // them); the shapes themselves are stored once per group in
+            // location_group_version_geometries. Old versions are pruned, see
+            // server/history/retention.js.
+            `CREATE TABLE IF NOT EXISTS location_group_versions (
+                id              TEXT PRIMARY KEY,
+                group_id        TEXT NOT NULL,
+                version         INTEGER NOT NULL,
+                action          TEXT NOT NULL,
+                actor_id        TEXT,
+                name            TEXT NOT NULL,
+                location_count  INTEGER NOT NULL DEFAULT 0,
+                snapshot        JSONB NOT NULL,
+                changes         JSONB,
+                restored_from   INTEGER,
+                geometry_hashes TEXT[] NOT NULL DEFAULT '{}',
+                created_at      TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (group_id) REFERENCES location_groups(id) ON DELETE CASCADE
+            )`,
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_location_group_versions_group ON location_group_versions(group_id, version)`,
+            `CREATE INDEX IF NOT EXISTS idx_location_group_versions_created ON location_group_versions(created_at)`,
+            `CREATE TABLE IF NOT EXISTS location_group_version_geometries (
+                group_id  TEXT NOT NULL,
+                hash      TEXT NOT NULL,
+                geometry  TEXT NOT NULL,
+                PRIMARY KEY (group_id, hash),
+                FOREIGN KEY (group_id) REFERENCES location_groups(id) ON DELETE CASCADE
+            )`,
             `CREATE TABLE IF NOT EXISTS panel_stock_uploads (
                 id TEXT PRIMARY KEY,
                 device_id TEXT NOT NULL,
@@ -104,7 +245,60 @@ class DatabaseService {
             )`,
             `CREATE INDEX IF NOT EXISTS idx_panel_stock_uploads_device_id ON panel_stock_uploads(device_id)`,
             `CREATE INDEX IF NOT EXISTS idx_panel_stock_uploads_created_at ON panel_stock_uploads(device_id, created_at DESC)`,
+            // Trash: deleting a group, location or upload only stamps
+            // deleted_at (and who did it); every read skips those rows until
+            // they're restored or purged after TRASH_RETENTION_DAYS (see
+            // server/trash/). A trashed group's locations stay as they were,
+            // so restoring the group brings them back with it.
+            `ALTER TABLE location_groups ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ`,
+            `ALTER TABLE location_groups ADD COLUMN IF NOT EXISTS deleted_by TEXT`,
+            `ALTER TABLE locations ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ`,
+            `ALTER TABLE locations ADD COLUMN IF NOT EXISTS deleted_by TEXT`,
+            `ALTER TABLE panel_stock_uploads ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ`,
+            `ALTER TABLE panel_stock_uploads ADD COLUMN IF NOT EXISTS deleted_by TEXT`,
+            `CREATE INDEX IF NOT EXISTS idx_location_groups_deleted_at ON location_groups(deleted_at) WHERE deleted_at IS NOT NULL`,
+            `CREATE INDEX IF NOT EXISTS idx_locations_deleted_at ON locations(deleted_at) WHERE deleted_at IS NOT NULL`,
+            `CREATE INDEX IF NOT EXISTS idx_panel_stock_uploads_deleted_at ON panel_stock_uploads(deleted_at) WHERE deleted_at IS NOT NULL`,
+            // Public read-only share links (server/share/). Each row is one
+            // view: a location/ZIP group, or a panel stock upload narrowed to
+            // one specialty. The URL token is the id plus an HMAC, so nothing
+            // secret is stored here; deleting the row revokes the link, and
+            // links go with their target or their creator.
+            // target_type: 'group' | 'panel_stock'
+            `CREATE TABLE IF NOT EXISTS share_links (
+                id                TEXT PRIMARY KEY,
+                created_by        TEXT NOT NULL,
+                target_type       TEXT NOT NULL,
+                group_id          TEXT,
+                upload_id         TEXT,
+                specialty         TEXT,
+                created_at        TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at        TIMESTAMPTZ,
+                last_accessed_at  TIMESTAMPTZ,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (group_id) REFERENCES location_groups(id) ON DELETE CASCADE,
+                FOREIGN KEY (upload_id) REFERENCES panel_stock_uploads(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_share_links_created_by ON share_links(created_by)`,
+            // Embeddable group maps (server/embed/). allowed_origins is the
+            // list of sites that may frame the embed; options holds the
+            // display settings ({ showList, zoom }). Like share links, an
+            // embed goes with its group or its creator.
+            `CREATE TABLE IF NOT EXISTS embeds (
+                id               TEXT PRIMARY KEY,
+                created_by       TEXT NOT NULL,
+                group_id         TEXT NOT NULL,
+                allowed_origins  JSONB NOT NULL DEFAULT '[]',
+                options          JSONB NOT NULL DEFAULT '{}',
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (group_id) REFERENCES location_groups(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_embeds_created_by ON embeds(created_by)`,
             ZIP_BOUNDARIES_DDL,
+            // Radius and lasso searches look ZIPs up by center lat/lng ranges
+            `CREATE INDEX IF NOT EXISTS idx_zip_boundaries_center ON zip_boundaries(center_lat, center_lng)`,
             // ================================
             // DWC doctor location tracking
             // ================================
@@ -243,8 +437,8 @@ class DatabaseService {
             SELECT lg.*,
                    COUNT(l.id) as location_count
             FROM location_groups lg
-            LEFT JOIN locations l ON lg.id = l.group_id
-            WHERE lg.device_id = $1 AND lg.group_type = $2
+            LEFT JOIN locations l ON lg.id = l.group_id AND l.deleted_at IS NULL
+            WHERE lg.device_id = $1 AND lg.group_type = $2 AND lg.deleted_at IS NULL
             GROUP BY lg.id, lg.device_id, lg.name, lg.group_type, lg.created_at, lg.updated_at
             ORDER BY lg.created_at DESC
         `;
@@ -257,6 +451,7 @@ class DatabaseService {
                     id: group.id,
                     name: group.name,
                     locations: locations,
+                    customFields: group.custom_fields || [],
                     createdAt: group.created_at,
                     updatedAt: group.updated_at
                 };
@@ -266,27 +461,109 @@ class DatabaseService {
         return groupsWithLocations;
     }
 
-    async getLocationGroup(groupId, deviceId, groupType = 'locations') {
+    // Groups other users have shared with this user, directly or with
+    // everyone. A user holding both a direct and an everyone share gets the
+    // stronger of the two. Temporary groups are never listed.
+    async getSharedLocationGroups(userId, groupType = 'locations') {
         const sql = `
-            SELECT * FROM location_groups
-            WHERE id = $1 AND device_id = $2 AND group_type = $3
+            SELECT lg.id, lg.name, lg.device_id, lg.custom_fields, lg.created_at, lg.updated_at,
+                   u.username AS owner_username, s.permission
+            FROM group_shares s
+            JOIN location_groups lg ON lg.id = s.group_id
+            LEFT JOIN users u ON u.id = lg.device_id
+            WHERE s.grantee IN ($1, $2) AND lg.device_id <> $1 AND lg.group_type = $3
+              AND substring(lg.name, 1, 7) <> $4 AND lg.deleted_at IS NULL
+            ORDER BY lg.name ASC
         `;
-        const result = await this.pool.query(sql, [groupId, deviceId, groupType]);
+        const result = await this.pool.query(sql, [userId, EVERYONE_GRANTEE, groupType, '__temp_']);
+
+        const byId = new Map();
+        for (const row of result.rows) {
+            const seen = byId.get(row.id);
+            if (seen) {
+                if (row.permission === 'edit') seen.permission = 'edit';
+                continue;
+            }
+            byId.set(row.id, {
+                id: row.id,
+                name: row.name,
+                ownerId: row.device_id,
+                ownerUsername: row.owner_username,
+                permission: row.permission,
+                customFields: row.custom_fields || [],
+                createdAt: row.created_at,
+                updatedAt: row.updated_at
+            });
+        }
+
+        return Promise.all(
+            [...byId.values()].map(async (group) => ({
+                ...group,
+                locations: await this.getLocationsForGroup(group.id)
+            }))
+        );
+    }
+
+    // Resolves what userId may do with a group: { row, permission } where
+    // permission is 'owner', 'edit' or 'view', or null when the group
+    // doesn't exist (or isn't of groupType, or is in the trash) or isn't
+    // shared with them.
+    async _resolveGroupAccess(groupId, userId, groupType = null) {
+        const result = await this.pool.query(
+            'SELECT * FROM location_groups WHERE id = $1 AND deleted_at IS NULL',
+            [groupId]
+        );
         const row = result.rows[0];
+        if (!row || (groupType && row.group_type !== groupType)) return null;
+        if (row.device_id === userId) return { row, permission: 'owner' };
 
-        if (!row) return null;
+        const shares = await this.pool.query(
+            'SELECT permission FROM group_shares WHERE group_id = $1 AND grantee IN ($2, $3)',
+            [groupId, userId, EVERYONE_GRANTEE]
+        );
+        if (shares.rows.length === 0) return null;
+        const permission = shares.rows.some(s => s.permission === 'edit') ? 'edit' : 'view';
+        return { row, permission };
+    }
+
+    // Throws unless userId holds at least `needed` ('view' | 'edit' |
+    // 'owner'). Groups the user can't see at all fail like missing ones;
+    // a visible group with too little permission fails with a
+    // "Permission denied" message the routes turn into a 403.
+    async _requireGroupAccess(groupId, userId, needed, groupType = null) {
+        const access = await this._resolveGroupAccess(groupId, userId, groupType);
+        if (!access) {
+            throw new Error('Location group not found or access denied');
+        }
+        if (needed === 'owner' && access.permission !== 'owner') {
+            throw new Error('Permission denied: only the group owner can do that');
+        }
+        if (needed === 'edit' && access.permission === 'view') {
+            throw new Error('Permission denied: this group is shared with you view-only');
+        }
+        return access;
+    }
+
+    // Returns the group for its owner or anyone it's shared with, plus the
+    // caller's permission on it.
+    async getLocationGroup(groupId, deviceId, groupType = 'locations') {
+        const access = await this._resolveGroupAccess(groupId, deviceId, groupType);
+        if (!access) return null;
+        const { row, permission } = access;
 
         const locations = await this.getLocationsForGroup(groupId);
         return {
             id: row.id,
             name: row.name,
             locations: locations,
+            customFields: row.custom_fields || [],
+            permission,
             createdAt: row.created_at,
             updatedAt: row.updated_at
         };
     }
 
-    async createLocationGroup(deviceId, name, locations = [], groupType = 'locations') {
+    async createLocationGroup(deviceId, name, locations = [], groupType = 'locations', customFields = []) {
         const groupId = uuidv4();
         const now = new Date().toISOString();
 
@@ -295,9 +572,9 @@ class DatabaseService {
             await client.query('BEGIN');
 
             await client.query(
-                `INSERT INTO location_groups (id, device_id, name, group_type, created_at, updated_at)
-                 VALUES ($1, $2, $3, $4, $5, $6)`,
-                [groupId, deviceId, name, groupType, now, now]
+                `INSERT INTO location_groups (id, device_id, name, group_type, custom_fields, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [groupId, deviceId, name, groupType, JSON.stringify(customFields), now, now]
             );
 
             if (locations.length > 0) {
@@ -310,6 +587,7 @@ class DatabaseService {
                 id: groupId,
                 name: name,
                 locations: locations,
+                customFields,
                 createdAt: now,
                 updatedAt: now
             };
@@ -322,6 +600,8 @@ class DatabaseService {
     }
 
     async updateLocationGroup(groupId, deviceId, updates, groupType = 'locations') {
+        const { row } = await this._requireGroupAccess(groupId, deviceId, 'edit', groupType);
+
         const now = new Date().toISOString();
         let sql = 'UPDATE location_groups SET updated_at = $1';
         let params = [now];
@@ -332,8 +612,13 @@ class DatabaseService {
             params.push(updates.name);
         }
 
-        sql += ` WHERE id = $${paramIndex++} AND device_id = $${paramIndex++} AND group_type = $${paramIndex++}`;
-        params.push(groupId, deviceId, groupType);
+        if (updates.customFields !== undefined) {
+            sql += `, custom_fields = $${paramIndex++}`;
+            params.push(JSON.stringify(updates.customFields));
+        }
+
+        sql += ` WHERE id = $${paramIndex++} AND group_type = $${paramIndex++}`;
+        params.push(groupId, groupType);
 
         const result = await this.pool.query(sql, params);
 
@@ -342,46 +627,84 @@ class DatabaseService {
         }
 
         if (updates.locations !== undefined) {
-            await this.replaceLocationsInGroup(groupId, updates.locations);
+            // Replaced locations go to the trash, except a temporary group's
+            await this.replaceLocationsInGroup(groupId, updates.locations, {
+                deletedBy: row.name.startsWith('__temp_') ? null : deviceId
+            });
         }
 
         return this.getLocationGroup(groupId, deviceId, groupType);
     }
 
+    // Moves the group (and with it its locations) to the trash. Temporary
+    // (__temp_) groups are scratch space and are removed outright.
     async deleteLocationGroup(groupId, deviceId, groupType = 'locations') {
-        const client = await this.pool.connect();
-        try {
-            await client.query('BEGIN');
-
-            await client.query('DELETE FROM locations WHERE group_id = $1', [groupId]);
+        const { row } = await this._requireGroupAccess(groupId, deviceId, 'owner', groupType);
 
-            const result = await client.query(
+        const result = row.name.startsWith('__temp_')
+            ? await this.pool.query(
                 'DELETE FROM location_groups WHERE id = $1 AND device_id = $2 AND group_type = $3',
                 [groupId, deviceId, groupType]
+            )
+            : await this.pool.query(
+                `UPDATE location_groups SET deleted_at = $1, deleted_by = $2
+                 WHERE id = $3 AND device_id = $2 AND group_type = $4 AND deleted_at IS NULL`,
+                [new Date().toISOString(), deviceId, groupId, groupType]
             );
 
-            if (result.rowCount === 0) {
-                await client.query('ROLLBACK');
-                throw new Error('Location group not found or access denied');
-            }
+        if (result.rowCount === 0) {
+            throw new Error('Location group not found or access denied');
+        }
+        return true;
+    }
+
+    // Moves the selected locations (ids, notes and values intact) out of the
+    // group into a new group owned by userId with the same custom fields, in
+    // one transaction. Needs edit access to the source; every id must be a
+    // live location of it. Returns { source, group } as getLocationGroup.
+    async splitLocationGroup(groupId, userId, name, locationIds, groupType = 'locations') {
+        const { row } = await this._requireGroupAccess(groupId, userId, 'edit', groupType);
 
+        const newGroupId = uuidv4();
+        const now = new Date().toISOString();
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `INSERT INTO location_groups (id, device_id, name, group_type, custom_fields, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [newGroupId, userId, name, groupType, JSON.stringify(row.custom_fields || []), now, now]
+            );
+            const moved = await client.query(
+                'UPDATE locations SET group_id = $1 WHERE group_id = $2 AND id = ANY($3) AND deleted_at IS NULL',
+                [newGroupId, groupId, locationIds]
+            );
+            if (moved.rowCount !== locationIds.length) {
+                throw new Error('Location not found');
+            }
+            await client.query('UPDATE location_groups SET updated_at = $1 WHERE id = $2', [now, groupId]);
             await client.query('COMMIT');
-            return true;
         } catch (err) {
             await client.query('ROLLBACK');
             throw err;
         } finally {
             client.release();
         }
+
+        return {
+            source: await this.getLocationGroup(groupId, userId, groupType),
+            group: await this.getLocationGroup(newGroupId, userId, groupType)
+        };
     }
 
-    async getLocationsForGroup(groupId) {
+    // client: a transaction's client to read through, instead of the pool.
+    async getLocationsForGroup(groupId, client = this.pool) {
         const sql = `
             SELECT * FROM locations
-            WHERE group_id = $1
+            WHERE group_id = $1 AND deleted_at IS NULL
             ORDER BY order_index ASC, created_at ASC
         `;
-        const result = await this.pool.query(sql, [groupId]);
+        const result = await client.query(sql, [groupId]);
 
         return result.rows.map(row => {
             const location = {
@@ -389,21 +712,52 @@ class DatabaseService {
                 lat: row.lat,
                 lng: row.lng,
                 title: row.title,
-                color: row.color
+                color: row.color,
+                orderIndex: row.order_index,
+                createdAt: row.created_at
             };
             if (row.geometry) location.geometry = row.geometry;
+            if (row.notes) location.notes = row.notes;
+            if (row.custom_values) location.customValues = row.custom_values;
             return location;
         });
     }
 
-    async addLocationToGroup(groupId, deviceId, locationData) {
-        const ownerCheck = await this.pool.query(
-            'SELECT id FROM location_groups WHERE id = $1 AND device_id = $2',
-            [groupId, deviceId]
+    // Just the name, for audit entries (and the __temp_ check) on location
+    // changes that don't load the group.
+    async getGroupName(groupId) {
+        const result = await this.pool.query('SELECT name FROM location_groups WHERE id = $1', [groupId]);
+        return result.rows[0] ? result.rows[0].name : null;
+    }
+
+    // Field definitions for validating values a caller is about to write, so
+    // it checks edit access first: the validation errors name the fields.
+    async getGroupCustomFields(groupId, userId, groupType = null) {
+        const { row } = await this._requireGroupAccess(groupId, userId, 'edit', groupType);
+        return row.custom_fields || [];
+    }
+
+    // Single location by id within a group, without geometry — used for
+    // audit before-snapshots.
+    async getLocation(groupId, locationId) {
+        const result = await this.pool.query(
+            'SELECT id, lat, lng, title, color, notes, custom_values FROM locations WHERE id = $1 AND group_id = $2 AND deleted_at IS NULL',
+            [locationId, groupId]
         );
-        if (!ownerCheck.rows[0]) {
-            throw new Error('Location group not found or access denied');
-        }
+        const row = result.rows[0];
+        return row ? {
+            id: row.id,
+            lat: row.lat,
+            lng: row.lng,
+            title: row.title,
+            color: row.color,
+            notes: row.notes,
+            customValues: row.custom_values
+        } : null;
+    }
+
+    async addLocationToGroup(groupId, deviceId, locationData) {
+        await this._requireGroupAccess(groupId, deviceId, 'edit');
 
         const locationId = uuidv4();
         const now = new Date().toISOString();
@@ -436,8 +790,9 @@ class DatabaseService {
         return result;
     }
 
-    // Internal helper — accepts an existing client to participate in a caller's transaction
-    async _insertLocations(client, groupId, locations) {
+    // Internal helper — accepts an existing client to participate in a caller's transaction.
+    // order_index counts up from firstIndex.
+    async _insertLocations(client, groupId, locations, firstIndex = 0) {
         const results = [];
         for (let index = 0; index < locations.length; index++) {
             const location = locations[index];
@@ -445,12 +800,13 @@ class DatabaseService {
             const now = new Date().toISOString();
 
             await client.query(
-                `INSERT INTO locations (id, group_id, lat, lng, title, color, geometry, order_index, created_at)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                `INSERT INTO locations (id, group_id, lat, lng, title, color, geometry, notes, custom_values, order_index, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
                 [
                     locationId, groupId, location.lat, location.lng,
                     location.title, location.color || '#3B82F6',
-                    location.geometry || null, index, now
+                    location.geometry || null, location.notes || null,
+                    location.customValues ? JSON.stringify(location.customValues) : null, firstIndex + index, now
                 ]
             );
 
@@ -462,18 +818,31 @@ class DatabaseService {
                 color: location.color || '#3B82F6'
             };
             if (location.geometry) result.geometry = location.geometry;
+            if (location.notes) result.notes = location.notes;
+            if (location.customValues) result.customValues = location.customValues;
             results.push(result);
         }
         return results;
     }
 
-    async addLocationsToGroup(groupId, locations) {
+    // Appends several locations in one transaction, after the group's
+    // existing ones (addLocationToGroup for many).
+    async addLocationsToGroup(groupId, deviceId, locations, groupType = 'locations') {
+        await this._requireGroupAccess(groupId, deviceId, 'edit', groupType);
         if (!locations || locations.length === 0) return [];
 
         const client = await this.pool.connect();
         try {
             await client.query('BEGIN');
-            const results = await this._insertLocations(client, groupId, locations);
+            const last = await client.query(
+                'SELECT COALESCE(MAX(order_index), 0) + 1 AS next FROM locations WHERE group_id = $1',
+                [groupId]
+            );
+            const results = await this._insertLocations(client, groupId, locations, Number(last.rows[0].next));
+            await client.query(
+                'UPDATE location_groups SET updated_at = $1 WHERE id = $2',
+                [new Date().toISOString(), groupId]
+            );
             await client.query('COMMIT');
             return results;
         } catch (err) {
@@ -484,11 +853,23 @@ class DatabaseService {
         }
     }
 
-    async replaceLocationsInGroup(groupId, locations) {
+    // Swaps the group's live locations for `locations` (new ids). With
+    // deletedBy the old ones move to the trash as that user's deletions, like
+    // deleteLocation; without it they're removed outright.
+    async replaceLocationsInGroup(groupId, locations, { deletedBy = null } = {}) {
         const client = await this.pool.connect();
         try {
             await client.query('BEGIN');
-            await client.query('DELETE FROM locations WHERE group_id = $1', [groupId]);
+            // Trashed locations aren't part of the list being replaced
+            if (deletedBy) {
+                await client.query(
+                    `UPDATE locations SET deleted_at = $1, deleted_by = $2
+                     WHERE group_id = $3 AND deleted_at IS NULL`,
+                    [new Date().toISOString(), deletedBy, groupId]
+                );
+            } else {
+                await client.query('DELETE FROM locations WHERE group_id = $1 AND deleted_at IS NULL', [groupId]);
+            }
             const results = await this._insertLocations(client, groupId, locations);
             await client.query('COMMIT');
             return results;
@@ -501,13 +882,7 @@ class DatabaseService {
     }
 
     async reorderLocations(groupId, deviceId, locationIds) {
-        const ownerCheck = await this.pool.query(
-            'SELECT id FROM location_groups WHERE id = $1 AND device_id = $2',
-            [groupId, deviceId]
-        );
-        if (!ownerCheck.rows[0]) {
-            throw new Error('Location group not found or access denied');
-        }
+        await this._requireGroupAccess(groupId, deviceId, 'edit');
 
         const client = await this.pool.connect();
         try {
@@ -535,18 +910,16 @@ class DatabaseService {
         }
     }
 
+    // Moves the location to the trash; deleted_by lets an editor who isn't
+    // the owner find it there too.
     async deleteLocation(groupId, locationId, deviceId) {
-        const ownerCheck = await this.pool.query(
-            'SELECT id FROM location_groups WHERE id = $1 AND device_id = $2',
-            [groupId, deviceId]
-        );
-        if (!ownerCheck.rows[0]) {
-            throw new Error('Location group not found or access denied');
-        }
+        await this._requireGroupAccess(groupId, deviceId, 'edit');
 
+        const now = new Date().toISOString();
         const result = await this.pool.query(
-            'DELETE FROM locations WHERE id = $1 AND group_id = $2',
-            [locationId, groupId]
+            `UPDATE locations SET deleted_at = $1, deleted_by = $2
+             WHERE id = $3 AND group_id = $4 AND deleted_at IS NULL`,
+            [now, deviceId, locationId, groupId]
         );
 
         if (result.rowCount === 0) {
@@ -555,20 +928,14 @@ class DatabaseService {
 
         await this.pool.query(
             'UPDATE location_groups SET updated_at = $1 WHERE id = $2',
-            [new Date().toISOString(), groupId]
+            [now, groupId]
         );
 
         return true;
     }
 
     async updateLocation(groupId, locationId, deviceId, updates) {
-        const ownerCheck = await this.pool.query(
-            'SELECT id FROM location_groups WHERE id = $1 AND device_id = $2',
-            [groupId, deviceId]
-        );
-        if (!ownerCheck.rows[0]) {
-            throw new Error('Location group not found or access denied');
-        }
+        await this._requireGroupAccess(groupId, deviceId, 'edit');
 
         let setClauses = [];
         let params = [];
@@ -579,12 +946,38 @@ class DatabaseService {
             params.push(updates.color);
         }
 
+        if (updates.title !== undefined) {
+            setClauses.push(`title = $${paramIndex++}`);
+            params.push(updates.title);
+        }
+
+        // The route only passes lat and lng together
+        if (updates.lat !== undefined && updates.lng !== undefined) {
+            setClauses.push(`lat = $${paramIndex++}`, `lng = $${paramIndex++}`);
+            params.push(updates.lat, updates.lng);
+        }
+
+        if (updates.notes !== undefined) {
+            setClauses.push(`notes = $${paramIndex++}`);
+            params.push(updates.notes || null);
+        }
+
+        if (updates.customValues !== undefined) {
+            setClauses.push(`custom_values = $${paramIndex++}`);
+            params.push(JSON.stringify(updates.customValues));
+        }
+
+        if (updates.geometry !== undefined) {
+            setClauses.push(`geometry = $${paramIndex++}`);
+            params.push(updates.geometry);
+        }
+
         if (setClauses.length === 0) {
             throw new Error('No valid updates provided');
         }
 
         params.push(locationId, groupId);
-        const sql = `UPDATE locations SET ${setClauses.join(', ')} WHERE id = $${paramIndex++} AND group_id = $${paramIndex++}`;
+        const sql = `UPDATE locations SET ${setClauses.join(', ')} WHERE id = $${paramIndex++} AND group_id = $${paramIndex++} AND deleted_at IS NULL`;
 
         const result = await this.pool.query(sql, params);
 
@@ -599,19 +992,330 @@ class DatabaseService {
 
         const updated = await this.pool.query('SELECT * FROM locations WHERE id = $1', [locationId]);
         const row = updated.rows[0];
-        return {
+        const location = {
             id: row.id,
             lat: row.lat,
             lng: row.lng,
             title: row.title,
             color: row.color
         };
+        if (row.notes) location.notes = row.notes;
+        if (row.custom_values) location.customValues = row.custom_values;
+        if (row.geometry) location.geometry = row.geometry;
+        return location;
+    }
+
+    // ================================
+    // Group version history (server/history/)
+    // ================================
+
+    // Snapshots the group as it is now, as the next version. Called after a
+    // change has been saved; temporary (__temp_) groups aren't versioned.
+    // The group row stays locked until the version is written, so concurrent
+    // changes to one group are numbered one after another. Versions beyond
+    // the newest maxVersions are dropped, along with geometry no remaining
+    // version uses. Returns the new version number, or null when nothing was
+    // recorded.
+    async recordGroupVersion(groupId, { action, actorId = null, restoredFrom = null, maxVersions = null }) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const groupResult = await client.query(
+                'SELECT name, custom_fields FROM location_groups WHERE id = $1 FOR UPDATE',
+                [groupId]
+            );
+            const row = groupResult.rows[0];
+            if (!row || row.name.startsWith('__temp_')) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            // Read under the lock, so the snapshot is the state this number covers
+            const locations = await this.getLocationsForGroup(groupId, client);
+            const snapshot = historySnapshots.buildSnapshot({
+                name: row.name,
+                customFields: row.custom_fields,
+                locations
+            });
+            const latest = await client.query(
+                'SELECT version, snapshot FROM location_group_versions WHERE group_id = $1 ORDER BY version DESC LIMIT 1',
+                [groupId]
+            );
+            const previous = latest.rows[0];
+            const version = previous ? previous.version + 1 : 1;
+
+            // Only shapes this group's history hasn't stored yet are written
+            const geometries = historySnapshots.geometriesByHash(locations);
+            const stored = await client.query(
+                'SELECT hash FROM location_group_version_geometries WHERE group_id = $1 AND hash = ANY($2)',
+                [groupId, [...geometries.keys()]]
+            );
+            stored.rows.forEach(({ hash }) => geometries.delete(hash));
+            for (const [hash, geometry] of geometries) {
+                await client.query(
+                    'INSERT INTO location_group_version_geometries (group_id, hash, geometry) VALUES ($1, $2, $3)',
+                    [groupId, hash, geometry]
+                );
+            }
+
+            await client.query(
+                `INSERT INTO location_group_versions
+                    (id, group_id, version, action, actor_id, name, location_count, snapshot, changes, restored_from,
+                     geometry_hashes, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+                [
+                    uuidv4(), groupId, version, action, actorId, snapshot.name, snapshot.locations.length,
+                    JSON.stringify(snapshot),
+                    JSON.stringify(historySnapshots.diffSnapshots(previous ? previous.snapshot : null, snapshot)),
+                    restoredFrom, historySnapshots.snapshotGeometryHashes(snapshot), new Date().toISOString()
+                ]
+            );
+
+            if (maxVersions && version > maxVersions) {
+                const pruned = await client.query(
+                    'DELETE FROM location_group_versions WHERE group_id = $1 AND version <= $2',
+                    [groupId, version - maxVersions]
+                );
+                if (pruned.rowCount > 0) await this._deleteUnusedVersionGeometries(client, groupId);
+            }
+            await client.query('COMMIT');
+            return version;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Drops stored shapes no remaining version of the group references.
+    async _deleteUnusedVersionGeometries(client, groupId) {
+        const remaining = await client.query(
+            'SELECT geometry_hashes FROM location_group_versions WHERE group_id = $1',
+            [groupId]
+        );
+        const used = new Set(remaining.rows.flatMap(row => row.geometry_hashes));
+        const result = await client.query(
+            'DELETE FROM location_group_version_geometries WHERE group_id = $1 AND NOT (hash = ANY($2))',
+            [groupId, [...used]]
+        );
+        return result.rowCount;
+    }
+
+    // Scheduled purge: removes versions recorded before cutoff, except each
+    // group's latest, and the geometry only they used. Returns how many of
+    // each went.
+    async purgeGroupVersions(cutoff) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const versions = await client.query(
+                `DELETE FROM location_group_versions
+                 WHERE created_at < $1
+                   AND id NOT IN (SELECT DISTINCT ON (group_id) id FROM location_group_versions
+                                  ORDER BY group_id, version DESC)
+                 RETURNING group_id`,
+                [cutoff.toISOString()]
+            );
+            let geometries = 0;
+            for (const groupId of new Set(versions.rows.map(row => row.group_id))) {
+                geometries += await this._deleteUnusedVersionGeometries(client, groupId);
+            }
+            await client.query('COMMIT');
+            return { versions: versions.rowCount, geometries };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // A stored snapshot with its geometry looked up again.
+    async _snapshotWithGeometries(groupId, snapshot) {
+        const hashes = historySnapshots.snapshotGeometryHashes(snapshot);
+        if (hashes.length === 0) return historySnapshots.withGeometries(snapshot, new Map());
+        const result = await this.pool.query(
+            'SELECT hash, geometry FROM location_group_version_geometries WHERE group_id = $1 AND hash = ANY($2)',
+            [groupId, hashes]
+        );
+        return historySnapshots.withGeometries(snapshot, new Map(result.rows.map(row => [row.hash, row.geometry])));
+    }
+
+    _formatGroupVersion(row) {
+        const version = {
+            version: row.version,
+            action: row.action,
+            actorId: row.actor_id,
+            actorUsername: row.actor_username,
+            name: row.name,
+            locationCount: row.location_count,
+            changes: row.changes,
+            restoredFrom: row.restored_from,
+            createdAt: row.created_at
+        };
+        if (row.snapshot) version.snapshot = row.snapshot;
+        return version;
+    }
+
+    // Newest first, without snapshots, for anyone who can see the group.
+    // Pages of `limit`, older than version `before` when given.
+    async getGroupVersions(groupId, userId, groupType = 'locations', { before = null, limit = 100 } = {}) {
+        await this._requireGroupAccess(groupId, userId, 'view', groupType);
+        const result = await this.pool.query(
+            `SELECT v.version, v.action, v.actor_id, u.username AS actor_username, v.name,
+                    v.location_count, v.changes, v.restored_from, v.created_at
+             FROM location_group_versions v
+             LEFT JOIN users u ON u.id = v.actor_id
+             WHERE v.group_id = $1 AND ($2::integer IS NULL OR v.version < $2)
+             ORDER BY v.version DESC
+             LIMIT $3`,
+            [groupId, before, limit]
+        );
+        return result.rows.map(row => this._formatGroupVersion(row));
+    }
+
+    // One version with its snapshot, or null when it doesn't exist.
+    async getGroupVersion(groupId, userId, version, groupType = 'locations') {
+        await this._requireGroupAccess(groupId, userId, 'view', groupType);
+        const result = await this.pool.query(
+            `SELECT v.*, u.username AS actor_username
+             FROM location_group_versions v
+             LEFT JOIN users u ON u.id = v.actor_id
+             WHERE v.group_id = $1 AND v.version = $2`,
+            [groupId, version]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+        return this._formatGroupVersion({ ...row, snapshot: await this._snapshotWithGeometries(groupId, row.snapshot) });
+    }
+
+    // Rewrites the group to match a past version in one transaction: name,
+    // custom fields and the full location list (ids and order included).
+    // Trashed copies of the version's locations are dropped, since they come
+    // back as live rows; an id now used elsewhere gets a fresh one. The
+    // caller records the result as a new version.
+    async restoreGroupVersion(groupId, userId, version, groupType = 'locations') {
+        await this._requireGroupAccess(groupId, userId, 'edit', groupType);
+        const found = await this.pool.query(
+            'SELECT snapshot FROM location_group_versions WHERE group_id = $1 AND version = $2',
+            [groupId, version]
+        );
+        if (!found.rows[0]) {
+            throw new Error('Version not found');
+        }
+        const { name, customFields, locations } = await this._snapshotWithGeometries(groupId, found.rows[0].snapshot);
+        const ids = locations.map(location => location.id);
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const now = new Date().toISOString();
+            await client.query(
+                'UPDATE location_groups SET name = $1, custom_fields = $2, updated_at = $3 WHERE id = $4',
+                [name, JSON.stringify(customFields || []), now, groupId]
+            );
+            await client.query(
+                'DELETE FROM locations WHERE group_id = $1 AND (deleted_at IS NULL OR id = ANY($2))',
+                [groupId, ids]
+            );
+            const taken = await client.query('SELECT id FROM locations WHERE id = ANY($1)', [ids]);
+            const takenIds = new Set(taken.rows.map(row => row.id));
+
+            for (let index = 0; index < locations.length; index++) {
+                const location = locations[index];
+                await client.query(
+                    `INSERT INTO locations (id, group_id, lat, lng, title, color, geometry, notes, custom_values, order_index, created_at)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+                    [
+                        takenIds.has(location.id) ? uuidv4() : location.id, groupId,
+                        location.lat, location.lng, location.title, location.color || '#3B82F6',
+                        location.geometry || null, location.notes || null,
+                        location.customValues ? JSON.stringify(location.customValues) : null, index, now
+                    ]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        return this.getLocationGroup(groupId, userId, groupType);
+    }
+
+    // ================================
+    // Group sharing (owner-only management)
+    // ================================
+
+    async getGroupShares(groupId, ownerId, groupType = 'locations') {
+        await this._requireGroupAccess(groupId, ownerId, 'owner', groupType);
+        const result = await this.pool.query(
+            `SELECT s.grantee, s.permission, s.created_at, u.username
+             FROM group_shares s
+             LEFT JOIN users u ON u.id = s.grantee
+             WHERE s.group_id = $1
+             ORDER BY s.created_at ASC`,
+            [groupId]
+        );
+        return result.rows.map(row => ({
+            grantee: row.grantee,
+            username: row.grantee === EVERYONE_GRANTEE ? null : row.username,
+            permission: row.permission,
+            createdAt: row.created_at
+        }));
+    }
+
+    // Creates or changes a share. grantee is an active user's id or '*'.
+    async setGroupShare(groupId, ownerId, grantee, permission, groupType = 'locations') {
+        const { row } = await this._requireGroupAccess(groupId, ownerId, 'owner', groupType);
+        if (row.name.startsWith('__temp_')) {
+            throw new Error('Temporary groups cannot be shared');
+        }
+
+        let username = null;
+        if (grantee !== EVERYONE_GRANTEE) {
+            if (grantee === ownerId) {
+                throw new Error('A group cannot be shared with its owner');
+            }
+            const target = await this.pool.query(
+                'SELECT username FROM users WHERE id = $1 AND is_active',
+                [grantee]
+            );
+            if (!target.rows[0]) {
+                throw new Error('Share target not found');
+            }
+            username = target.rows[0].username;
+        }
+
+        const now = new Date().toISOString();
+        await this.pool.query(
+            `INSERT INTO group_shares (group_id, grantee, permission, created_by, created_at)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (group_id, grantee) DO UPDATE SET permission = EXCLUDED.permission`,
+            [groupId, grantee, permission, ownerId, now]
+        );
+        return { grantee, username, permission };
+    }
+
+    async deleteGroupShare(groupId, ownerId, grantee, groupType = 'locations') {
+        await this._requireGroupAccess(groupId, ownerId, 'owner', groupType);
+        const result = await this.pool.query(
+            'DELETE FROM group_shares WHERE group_id = $1 AND grantee = $2',
+            [groupId, grantee]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('Share not found');
+        }
+        return true;
     }
 
     async getPanelStockUploads(deviceId) {
         const sql = `
             SELECT * FROM panel_stock_uploads
-            WHERE device_id = $1
+            WHERE device_id = $1 AND deleted_at IS NULL
             ORDER BY created_at DESC
         `;
         const result = await this.pool.query(sql, [deviceId]);
@@ -630,7 +1334,7 @@ class DatabaseService {
     async getPanelStockUpload(uploadId, deviceId) {
         const sql = `
             SELECT * FROM panel_stock_uploads
-            WHERE id = $1 AND device_id = $2
+            WHERE id = $1 AND device_id = $2 AND deleted_at IS NULL
         `;
         const result = await this.pool.query(sql, [uploadId, deviceId]);
         const row = result.rows[0];
@@ -647,6 +1351,17 @@ class DatabaseService {
         };
     }
 
+    // Owner-agnostic read used by public share links, which already carry
+    // their own authorization.
+    async getPanelStockUploadContent(uploadId) {
+        const result = await this.pool.query(
+            'SELECT title, specialties, rows FROM panel_stock_uploads WHERE id = $1 AND deleted_at IS NULL',
+            [uploadId]
+        );
+        const row = result.rows[0];
+        return row ? { title: row.title, specialties: row.specialties, rows: row.rows } : null;
+    }
+
     async createPanelStockUpload(deviceId, { title, fileName, specialties, rows, duplicateZips }) {
         const id = uuidv4();
         const now = new Date().toISOString();
@@ -670,10 +1385,12 @@ class DatabaseService {
         };
     }
 
+    // Moves the upload to the trash (see getTrash / restoreTrashedUpload).
     async deletePanelStockUpload(uploadId, deviceId) {
         const result = await this.pool.query(
-            'DELETE FROM panel_stock_uploads WHERE id = $1 AND device_id = $2',
-            [uploadId, deviceId]
+            `UPDATE panel_stock_uploads SET deleted_at = $1, deleted_by = $2
+             WHERE id = $3 AND device_id = $2 AND deleted_at IS NULL`,
+            [new Date().toISOString(), deviceId, uploadId]
         );
         if (result.rowCount === 0) {
             throw new Error('Panel stock upload not found or access denied');
@@ -681,12 +1398,156 @@ class DatabaseService {
         return true;
     }
 
-    async createUser(username, password, role = 'staff') {
-        const passwordHash = await bcrypt.hash(password, 10);
-        const id = uuidv4();
-        try {
-            await this.pool.query(
-                'INSERT INTO users (id, username, password_hash, role) VALUES ($1, $2, $3, $4)',
+    // ================================
+    // Trash (server/trash/)
+    // ================================
+
+    // What userId can restore: their own trashed groups and uploads, plus
+    // trashed locations in live groups they own or that they deleted
+    // themselves (as an editor of someone else's group). Locations inside
+    // a trashed group are covered by the group's entry.
+    async getTrash(userId) {
+        const groups = await this.pool.query(
+            `SELECT lg.id, lg.name, lg.group_type, lg.deleted_at, COUNT(l.id) AS location_count
+             FROM location_groups lg
+             LEFT JOIN locations l ON l.group_id = lg.id AND l.deleted_at IS NULL
+             WHERE lg.device_id = $1 AND lg.deleted_at IS NOT NULL
+             GROUP BY lg.id, lg.name, lg.group_type, lg.deleted_at
+             ORDER BY lg.deleted_at DESC`,
+            [userId]
+        );
+        const locations = await this.pool.query(
+            `SELECT l.id, l.title, l.group_id, l.deleted_at, lg.name AS group_name, lg.group_type
+             FROM locations l
+             JOIN location_groups lg ON lg.id = l.group_id
+             WHERE l.deleted_at IS NOT NULL AND lg.deleted_at IS NULL
+               AND (lg.device_id = $1 OR l.deleted_by = $1)
+             ORDER BY l.deleted_at DESC`,
+            [userId]
+        );
+        const uploads = await this.pool.query(
+            `SELECT id, title, file_name, deleted_at
+             FROM panel_stock_uploads
+             WHERE device_id = $1 AND deleted_at IS NOT NULL
+             ORDER BY deleted_at DESC`,
+            [userId]
+        );
+
+        return {
+            groups: groups.rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                groupType: row.group_type,
+                locationCount: parseInt(row.location_count, 10),
+                deletedAt: row.deleted_at
+            })),
+            locations: locations.rows.map(row => ({
+                id: row.id,
+                title: row.title,
+                groupId: row.group_id,
+                groupName: row.group_name,
+                groupType: row.group_type,
+                deletedAt: row.deleted_at
+            })),
+            uploads: uploads.rows.map(row => ({
+                id: row.id,
+                title: row.title,
+                fileName: row.file_name,
+                deletedAt: row.deleted_at
+            }))
+        };
+    }
+
+    // One trashed item userId may restore or purge, as { id, title, ... };
+    // kind is 'groups' | 'locations' | 'uploads'. Locations need edit access
+    // to their (live) group, so a view-only share can't undo an edit.
+    async _findTrashedItem(kind, id, userId) {
+        let row;
+        if (kind === 'groups') {
+            const result = await this.pool.query(
+                `SELECT id, name AS title, group_type FROM location_groups
+                 WHERE id = $1 AND device_id = $2 AND deleted_at IS NOT NULL`,
+                [id, userId]
+            );
+            row = result.rows[0];
+        } else if (kind === 'uploads') {
+            const result = await this.pool.query(
+                `SELECT id, title FROM panel_stock_uploads
+                 WHERE id = $1 AND device_id = $2 AND deleted_at IS NOT NULL`,
+                [id, userId]
+            );
+            row = result.rows[0];
+        } else {
+            const result = await this.pool.query(
+                `SELECT l.id, l.title, l.group_id, lg.group_type
+                 FROM locations l
+                 JOIN location_groups lg ON lg.id = l.group_id
+                 WHERE l.id = $1 AND l.deleted_at IS NOT NULL AND lg.deleted_at IS NULL`,
+                [id]
+            );
+            row = result.rows[0];
+            if (row) await this._requireGroupAccess(row.group_id, userId, 'edit');
+        }
+        if (!row) {
+            throw new Error('Trashed item not found');
+        }
+        const item = { id: row.id, title: row.title };
+        if (row.group_type) item.groupType = row.group_type;
+        if (row.group_id) item.groupId = row.group_id;
+        return item;
+    }
+
+    async restoreFromTrash(kind, id, userId) {
+        const item = await this._findTrashedItem(kind, id, userId);
+        const now = new Date().toISOString();
+        await this.pool.query(
+            `UPDATE ${TRASH_TABLES[kind]} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1`,
+            [id]
+        );
+        if (kind !== 'uploads') {
+            await this.pool.query(
+                'UPDATE location_groups SET updated_at = $1 WHERE id = $2',
+                [now, item.groupId || id]
+            );
+        }
+        return item;
+    }
+
+    // Permanent delete of one trashed item (a group takes its locations,
+    // share links and embeds with it through the FK cascades).
+    async purgeFromTrash(kind, id, userId) {
+        const item = await this._findTrashedItem(kind, id, userId);
+        await this.pool.query(
+            `DELETE FROM ${TRASH_TABLES[kind]} WHERE id = $1 AND deleted_at IS NOT NULL`,
+            [id]
+        );
+        return item;
+    }
+
+    // Scheduled purge: removes everything trashed at or before cutoff.
+    // Returns how many rows of each kind went.
+    async purgeTrash(cutoff) {
+        const counts = {};
+        for (const [kind, table] of Object.entries(TRASH_TABLES)) {
+            const result = await this.pool.query(
+                `DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at <= $1`,
+                [cutoff.toISOString()]
+            );
+            counts[kind] = result.rowCount;
+        }
+        return counts;
+    }
+
+    async createUser(username, password, role = 'staff') {
+        const policyError = passwordPolicy.checkPassword(password);
+        if (policyError) {
+            throw new Error(policyError);
+        }
+        const passwordHash = await bcrypt.hash(password, 10);
+        const id = uuidv4();
+        try {
+            await this.pool.query(
+                'INSERT INTO users (id, username, password_hash, role) VALUES ($1, $2, $3, $4)',
                 [id, username.toLowerCase(), passwordHash, role]
             );
             return { id, username: username.toLowerCase(), role };
@@ -698,8 +1559,8 @@ class DatabaseService {
         }
     }
 
-    // Role is looked up from the DB per request (not cached in the session
-    // map) so demotions take effect immediately — see requireRole in server.js.
+    // Role is looked up from the DB per request (not cached on the session
+    // row) so demotions take effect immediately — see requireRole in server.js.
     async getUserRole(userId) {
         const result = await this.pool.query(
             'SELECT role FROM users WHERE id = $1',
@@ -708,18 +1569,115 @@ class DatabaseService {
         return result.rows[0] ? result.rows[0].role : null;
     }
 
+    // Group/upload counts let the Admin UI say what a delete would affect.
     async getUsers() {
         const result = await this.pool.query(
-            'SELECT id, username, role, created_at FROM users ORDER BY created_at ASC'
+            `SELECT u.id, u.username, u.role, u.is_active, u.created_at,
+                    COALESCE(g.count, 0) AS group_count,
+                    COALESCE(p.count, 0) AS upload_count
+             FROM users u
+             LEFT JOIN (SELECT device_id, COUNT(*) AS count FROM location_groups GROUP BY device_id) g
+                ON g.device_id = u.id
+             LEFT JOIN (SELECT device_id, COUNT(*) AS count FROM panel_stock_uploads GROUP BY device_id) p
+                ON p.device_id = u.id
+             ORDER BY u.created_at ASC`
         );
         return result.rows.map(row => ({
             id: row.id,
             username: row.username,
             role: row.role,
-            createdAt: row.created_at
+            isActive: row.is_active,
+            createdAt: row.created_at,
+            groupCount: parseInt(row.group_count, 10),
+            uploadCount: parseInt(row.upload_count, 10)
         }));
     }
 
+    // Active users' names for pickers available to every signed-in user
+    // (e.g. choosing whom to share a group with) — no roles or counts.
+    async getUserDirectory() {
+        const result = await this.pool.query(
+            'SELECT id, username FROM users WHERE is_active ORDER BY username ASC'
+        );
+        return result.rows.map(row => ({ id: row.id, username: row.username }));
+    }
+
+    async setUserActive(userId, isActive) {
+        const result = await this.pool.query(
+            'UPDATE users SET is_active = $1, deactivated_at = $2 WHERE id = $3',
+            [isActive, isActive ? null : new Date().toISOString(), userId]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('User not found');
+        }
+        return { id: userId, isActive };
+    }
+
+    // Removes a user and decides the fate of everything they own through
+    // device_id: location groups (with their locations) and panel stock
+    // uploads are either handed to reassignTo or deleted. Temporary
+    // (__temp_) groups are always deleted — they're scratch space, not
+    // something to hand over. Sessions go with the users row (FK cascade);
+    // DWC references are ON DELETE SET NULL.
+    async deleteUser(userId, { groupsAction, reassignTo = null }) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+            if (!existing.rows[0]) {
+                throw new Error('User not found');
+            }
+
+            await client.query(
+                'DELETE FROM location_groups WHERE device_id = $1 AND substring(name, 1, 7) = $2',
+                [userId, '__temp_']
+            );
+
+            let groups;
+            let uploads;
+            if (groupsAction === 'reassign') {
+                const target = await client.query('SELECT id, is_active FROM users WHERE id = $1', [reassignTo]);
+                if (!target.rows[0] || reassignTo === userId) {
+                    throw new Error('Reassignment target not found');
+                }
+                // Nobody can sign in as a deactivated user to use what they'd get
+                if (!target.rows[0].is_active) {
+                    throw new Error('Reassignment target is deactivated');
+                }
+                // Same devices-row requirement as register/login.
+                await client.query(
+                    `INSERT INTO devices (device_id, created_at, last_seen)
+                     VALUES ($1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                     ON CONFLICT (device_id) DO NOTHING`,
+                    [reassignTo]
+                );
+                groups = await client.query(
+                    'UPDATE location_groups SET device_id = $1 WHERE device_id = $2',
+                    [reassignTo, userId]
+                );
+                uploads = await client.query(
+                    'UPDATE panel_stock_uploads SET device_id = $1 WHERE device_id = $2',
+                    [reassignTo, userId]
+                );
+            } else {
+                groups = await client.query('DELETE FROM location_groups WHERE device_id = $1', [userId]);
+                uploads = await client.query('DELETE FROM panel_stock_uploads WHERE device_id = $1', [userId]);
+            }
+
+            await client.query('DELETE FROM group_shares WHERE grantee = $1', [userId]);
+            await client.query('DELETE FROM devices WHERE device_id = $1', [userId]);
+            await client.query('DELETE FROM users WHERE id = $1', [userId]);
+            await client.query('COMMIT');
+            return { groups: groups.rowCount, uploads: uploads.rowCount };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
     async updateUserRole(userId, role) {
         const result = await this.pool.query(
             'UPDATE users SET role = $1 WHERE id = $2',
@@ -733,13 +1691,563 @@ class DatabaseService {
 
     async verifyUser(username, password) {
         const result = await this.pool.query(
-            'SELECT id, username, password_hash FROM users WHERE username = $1',
+            'SELECT id, username, password_hash, must_change_password, is_active FROM users WHERE username = $1',
             [username.toLowerCase()]
         );
         const row = result.rows[0];
-        if (!row) return null;
+        // A deactivated account fails exactly like a wrong password.
+        if (!row || !row.is_active) return null;
         const match = await bcrypt.compare(password, row.password_hash);
-        return match ? { id: row.id, username: row.username } : null;
+        return match
+            ? { id: row.id, username: row.username, mustChangePassword: row.must_change_password }
+            : null;
+    }
+
+    async verifyUserPassword(userId, password) {
+        const result = await this.pool.query(
+            'SELECT password_hash FROM users WHERE id = $1',
+            [userId]
+        );
+        const row = result.rows[0];
+        if (!row) return false;
+        return bcrypt.compare(password, row.password_hash);
+    }
+
+    // Used by both the self-service change (mustChange=false) and the Admin
+    // reset (mustChange=true). Session revocation is the caller's call.
+    // A new password also clears any login lockout on the account, so an
+    // Admin reset doubles as an unlock.
+    async setUserPassword(userId, password, { mustChange = false } = {}) {
+        const policyError = passwordPolicy.checkPassword(password);
+        if (policyError) {
+            throw new Error(policyError);
+        }
+        const passwordHash = await bcrypt.hash(password, 10);
+        const result = await this.pool.query(
+            `UPDATE users
+             SET password_hash = $1, must_change_password = $2, password_changed_at = $3
+             WHERE id = $4
+             RETURNING username`,
+            [passwordHash, mustChange, new Date().toISOString(), userId]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('User not found');
+        }
+        await this.clearFailedLogins(result.rows[0].username);
+        return true;
+    }
+
+    // ================================
+    // Login lockout
+    // ================================
+
+    // Returns the lockout expiry for a username, or null when not locked.
+    async getLoginLockout(username) {
+        const result = await this.pool.query(
+            'SELECT locked_until FROM login_attempts WHERE username = $1',
+            [username.toLowerCase()]
+        );
+        const row = result.rows[0];
+        if (!row || !loginLockout.isLocked({ lockedUntil: row.locked_until })) return null;
+        return new Date(row.locked_until);
+    }
+
+    // Records one failed login and returns { lockedUntil, justLocked } so
+    // the caller can audit the attempt that tripped the lockout. The row is
+    // created if missing and then locked, so concurrent bad logins for one
+    // username are counted one after another instead of all reading the
+    // same count.
+    async recordFailedLogin(username, config = loginLockout.getLockoutConfig()) {
+        const key = username.toLowerCase();
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `INSERT INTO login_attempts (username, failed_count)
+                 VALUES ($1, 0)
+                 ON CONFLICT (username) DO NOTHING`,
+                [key]
+            );
+            const existing = await client.query(
+                'SELECT failed_count, last_failed_at, locked_until FROM login_attempts WHERE username = $1 FOR UPDATE',
+                [key]
+            );
+            const row = existing.rows[0];
+            const next = loginLockout.applyFailedAttempt(
+                { failedCount: row.failed_count, lastFailedAt: row.last_failed_at, lockedUntil: row.locked_until },
+                new Date(),
+                config
+            );
+            await client.query(
+                `UPDATE login_attempts
+                 SET failed_count = $2, last_failed_at = $3, locked_until = $4
+                 WHERE username = $1`,
+                [
+                    key,
+                    next.failedCount,
+                    next.lastFailedAt.toISOString(),
+                    next.lockedUntil ? next.lockedUntil.toISOString() : null
+                ]
+            );
+            await client.query('COMMIT');
+            return { lockedUntil: next.lockedUntil, justLocked: next.justLocked };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async clearFailedLogins(username) {
+        await this.pool.query(
+            'DELETE FROM login_attempts WHERE username = $1',
+            [username.toLowerCase()]
+        );
+        return true;
+    }
+
+    // ================================
+    // Audit log
+    // ================================
+
+    // before/after are arbitrary JSON-serializable snapshots (or null).
+    async recordAudit({ actorId = null, action, entityType = null, entityId = null, before = null, after = null, ipAddress = null }) {
+        const id = uuidv4();
+        await this.pool.query(
+            `INSERT INTO audit_log (id, actor_id, action, entity_type, entity_id, before_data, after_data, ip_address, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+                id,
+                actorId,
+                action,
+                entityType,
+                entityId,
+                before !== null ? JSON.stringify(before) : null,
+                after !== null ? JSON.stringify(after) : null,
+                ipAddress,
+                new Date().toISOString()
+            ]
+        );
+        return id;
+    }
+
+    async getAuditLog(filters = {}, { limit = 50, offset = 0 } = {}) {
+        const { clause, params } = auditFilters.buildAuditWhere(filters);
+        const countResult = await this.pool.query(
+            `SELECT COUNT(*) AS count FROM audit_log a ${clause}`,
+            params
+        );
+        const result = await this.pool.query(
+            `SELECT a.*, u.username AS actor_username
+             FROM audit_log a
+             LEFT JOIN users u ON u.id = a.actor_id
+             ${clause}
+             ORDER BY a.created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+        return {
+            total: parseInt(countResult.rows[0].count, 10),
+            entries: result.rows.map(row => ({
+                id: row.id,
+                actorId: row.actor_id,
+                actorUsername: row.actor_username,
+                action: row.action,
+                entityType: row.entity_type,
+                entityId: row.entity_id,
+                before: row.before_data,
+                after: row.after_data,
+                ipAddress: row.ip_address,
+                createdAt: row.created_at
+            }))
+        };
+    }
+
+    async getAuditActions() {
+        const result = await this.pool.query(
+            'SELECT DISTINCT action FROM audit_log ORDER BY action ASC'
+        );
+        return result.rows.map(row => row.action);
+    }
+
+    // ================================
+    // Login sessions
+    // ================================
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    async createSession(token, userId, maxAgeMs, { ipAddress, userAgent } = {}) {
+        const id = uuidv4();
+        const expiresAt = new Date(Date.now() + maxAgeMs).toISOString();
+        await this.pool.query(
+            `INSERT INTO user_sessions (id, token_hash, user_id, expires_at, ip_address, user_agent)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [id, this._hashToken(token), userId, expiresAt, ipAddress || null, userAgent || null]
+        );
+        return { id, userId, expiresAt };
+    }
+
+    // Resolves a cookie token to { id, userId, username, mustChangePassword },
+    // or null when the session is unknown or expired. last_seen_at is only
+    // bumped once a minute so an active tab doesn't turn every API call
+    // into a write.
+    async getSession(token) {
+        const now = new Date();
+        const result = await this.pool.query(
+            `SELECT s.id, s.user_id, u.username, u.must_change_password
+             FROM user_sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.token_hash = $1 AND s.expires_at > $2 AND u.is_active`,
+            [this._hashToken(token), now.toISOString()]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+
+        await this.pool.query(
+            'UPDATE user_sessions SET last_seen_at = $1 WHERE id = $2 AND last_seen_at < $3',
+            [now.toISOString(), row.id, new Date(now.getTime() - 60 * 1000).toISOString()]
+        );
+        return {
+            id: row.id,
+            userId: row.user_id,
+            username: row.username,
+            mustChangePassword: row.must_change_password
+        };
+    }
+
+    async destroySession(token) {
+        await this.pool.query(
+            'DELETE FROM user_sessions WHERE token_hash = $1',
+            [this._hashToken(token)]
+        );
+        return true;
+    }
+
+    // Active (unexpired) sessions for one user, most recently used first.
+    // Never returns token_hash — the id is what the revoke endpoints take.
+    async getUserSessions(userId) {
+        const result = await this.pool.query(
+            `SELECT id, user_id, created_at, last_seen_at, expires_at, ip_address, user_agent
+             FROM user_sessions
+             WHERE user_id = $1 AND expires_at > $2
+             ORDER BY last_seen_at DESC`,
+            [userId, new Date().toISOString()]
+        );
+        return result.rows.map(row => ({
+            id: row.id,
+            userId: row.user_id,
+            createdAt: row.created_at,
+            lastSeenAt: row.last_seen_at,
+            expiresAt: row.expires_at,
+            ipAddress: row.ip_address,
+            userAgent: row.user_agent
+        }));
+    }
+
+    async deleteUserSession(userId, sessionId) {
+        const result = await this.pool.query(
+            'DELETE FROM user_sessions WHERE id = $1 AND user_id = $2',
+            [sessionId, userId]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('Session not found');
+        }
+        return true;
+    }
+
+    // Revokes every session for a user, optionally sparing one (the
+    // caller's own, for "sign out my other devices"). Returns the count.
+    async deleteUserSessions(userId, { exceptSessionId = null } = {}) {
+        const result = exceptSessionId
+            ? await this.pool.query(
+                'DELETE FROM user_sessions WHERE user_id = $1 AND id <> $2',
+                [userId, exceptSessionId]
+            )
+            : await this.pool.query(
+                'DELETE FROM user_sessions WHERE user_id = $1',
+                [userId]
+            );
+        return result.rowCount;
+    }
+
+    async deleteExpiredSessions() {
+        const result = await this.pool.query(
+            'DELETE FROM user_sessions WHERE expires_at <= $1',
+            [new Date().toISOString()]
+        );
+        return result.rowCount;
+    }
+
+    // ================================
+    // API tokens
+    // ================================
+
+    async createApiToken(token, userId, { name, scope, expiresAt = null }) {
+        const id = uuidv4();
+        const createdAt = new Date().toISOString();
+        const tokenPrefix = token.slice(0, 12);
+        await this.pool.query(
+            `INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, scope, created_at, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [id, userId, name, this._hashToken(token), tokenPrefix, scope, createdAt, expiresAt]
+        );
+        return { id, name, scope, tokenPrefix, createdAt, expiresAt, lastUsedAt: null };
+    }
+
+    // Resolves a Bearer token to { id, userId, username, scope,
+    // mustChangePassword }, or null when unknown, expired, or the owner is
+    // deactivated. last_used_at is throttled the same way as sessions.
+    async getApiToken(token) {
+        const now = new Date();
+        const result = await this.pool.query(
+            `SELECT t.id, t.user_id, t.scope, t.expires_at, u.username, u.must_change_password
+             FROM api_tokens t
+             JOIN users u ON u.id = t.user_id
+             WHERE t.token_hash = $1 AND u.is_active`,
+            [this._hashToken(token)]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+        if (row.expires_at && new Date(row.expires_at) <= now) return null;
+
+        await this.pool.query(
+            `UPDATE api_tokens SET last_used_at = $1
+             WHERE id = $2 AND (last_used_at IS NULL OR last_used_at < $3)`,
+            [now.toISOString(), row.id, new Date(now.getTime() - 60 * 1000).toISOString()]
+        );
+        return {
+            id: row.id,
+            userId: row.user_id,
+            username: row.username,
+            scope: row.scope,
+            mustChangePassword: row.must_change_password
+        };
+    }
+
+    // Never returns token_hash; the plaintext token is only ever shown once,
+    // in the create response.
+    async getUserApiTokens(userId) {
+        const result = await this.pool.query(
+            `SELECT id, name, scope, token_prefix, created_at, expires_at, last_used_at
+             FROM api_tokens
+             WHERE user_id = $1
+             ORDER BY created_at DESC`,
+            [userId]
+        );
+        return result.rows.map(row => ({
+            id: row.id,
+            name: row.name,
+            scope: row.scope,
+            tokenPrefix: row.token_prefix,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            lastUsedAt: row.last_used_at
+        }));
+    }
+
+    async deleteUserApiToken(userId, tokenId) {
+        const result = await this.pool.query(
+            'DELETE FROM api_tokens WHERE id = $1 AND user_id = $2',
+            [tokenId, userId]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('API token not found');
+        }
+        return true;
+    }
+
+    async deleteUserApiTokens(userId) {
+        const result = await this.pool.query(
+            'DELETE FROM api_tokens WHERE user_id = $1',
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    // ================================
+    // Public share links
+    // ================================
+
+    _formatShareLink(row) {
+        return {
+            id: row.id,
+            targetType: row.target_type,
+            groupId: row.group_id,
+            groupType: row.group_type || null,
+            uploadId: row.upload_id,
+            specialty: row.specialty,
+            targetName: row.target_type === 'group' ? row.group_name : row.upload_title,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            lastAccessedAt: row.last_accessed_at
+        };
+    }
+
+    async createShareLink({ createdBy, targetType, groupId = null, uploadId = null, specialty = null, expiresAt = null }) {
+        const id = uuidv4();
+        await this.pool.query(
+            `INSERT INTO share_links (id, created_by, target_type, group_id, upload_id, specialty, created_at, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [id, createdBy, targetType, groupId, uploadId, specialty, new Date().toISOString(), expiresAt]
+        );
+        return this._getShareLinkRow(id);
+    }
+
+    async _getShareLinkRow(linkId) {
+        const result = await this.pool.query(
+            `SELECT s.*, lg.name AS group_name, lg.group_type, p.title AS upload_title
+             FROM share_links s
+             LEFT JOIN location_groups lg ON lg.id = s.group_id
+             LEFT JOIN panel_stock_uploads p ON p.id = s.upload_id
+             WHERE s.id = $1`,
+            [linkId]
+        );
+        return result.rows[0] ? this._formatShareLink(result.rows[0]) : null;
+    }
+
+    // Expired links are listed (so they can be cleaned up) but never resolve
+    // through getActiveShareLink. Links to a trashed group or upload are
+    // hidden until it's restored.
+    async getUserShareLinks(userId) {
+        const result = await this.pool.query(
+            `SELECT s.*, lg.name AS group_name, lg.group_type, p.title AS upload_title
+             FROM share_links s
+             LEFT JOIN location_groups lg ON lg.id = s.group_id
+             LEFT JOIN panel_stock_uploads p ON p.id = s.upload_id
+             WHERE s.created_by = $1 AND lg.deleted_at IS NULL AND p.deleted_at IS NULL
+             ORDER BY s.created_at DESC`,
+            [userId]
+        );
+        return result.rows.map(row => this._formatShareLink(row));
+    }
+
+    // Resolves a link for the public endpoint: null when it doesn't exist,
+    // has expired, its target is in the trash, or its creator has been
+    // deactivated. Records the access.
+    async getActiveShareLink(linkId) {
+        const now = new Date();
+        const result = await this.pool.query(
+            `SELECT s.*, lg.name AS group_name, lg.group_type, p.title AS upload_title
+             FROM share_links s
+             JOIN users u ON u.id = s.created_by
+             LEFT JOIN location_groups lg ON lg.id = s.group_id
+             LEFT JOIN panel_stock_uploads p ON p.id = s.upload_id
+             WHERE s.id = $1 AND u.is_active AND lg.deleted_at IS NULL AND p.deleted_at IS NULL`,
+            [linkId]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+        if (row.expires_at && new Date(row.expires_at) <= now) return null;
+
+        await this.pool.query(
+            'UPDATE share_links SET last_accessed_at = $1 WHERE id = $2',
+            [now.toISOString(), linkId]
+        );
+        return this._formatShareLink(row);
+    }
+
+    async deleteShareLink(userId, linkId) {
+        const result = await this.pool.query(
+            'DELETE FROM share_links WHERE id = $1 AND created_by = $2',
+            [linkId, userId]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('Share link not found');
+        }
+        return true;
+    }
+
+    // ================================
+    // Embeds
+    // ================================
+
+    _formatEmbed(row) {
+        return {
+            id: row.id,
+            groupId: row.group_id,
+            groupType: row.group_type,
+            groupName: row.group_name,
+            allowedOrigins: row.allowed_origins,
+            options: row.options,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async createEmbed({ createdBy, groupId, allowedOrigins, options }) {
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        await this.pool.query(
+            `INSERT INTO embeds (id, created_by, group_id, allowed_origins, options, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $6)`,
+            [id, createdBy, groupId, JSON.stringify(allowedOrigins), JSON.stringify(options), now]
+        );
+        return this._getEmbedRow(id);
+    }
+
+    async _getEmbedRow(embedId) {
+        const result = await this.pool.query(
+            `SELECT e.*, lg.name AS group_name, lg.group_type
+             FROM embeds e
+             JOIN location_groups lg ON lg.id = e.group_id
+             WHERE e.id = $1`,
+            [embedId]
+        );
+        return result.rows[0] ? this._formatEmbed(result.rows[0]) : null;
+    }
+
+    async getUserEmbeds(userId) {
+        const result = await this.pool.query(
+            `SELECT e.*, lg.name AS group_name, lg.group_type
+             FROM embeds e
+             JOIN location_groups lg ON lg.id = e.group_id
+             WHERE e.created_by = $1 AND lg.deleted_at IS NULL
+             ORDER BY e.created_at DESC`,
+            [userId]
+        );
+        return result.rows.map(row => this._formatEmbed(row));
+    }
+
+    async updateEmbed(userId, embedId, { allowedOrigins, options }) {
+        const result = await this.pool.query(
+            `UPDATE embeds SET allowed_origins = $1, options = $2, updated_at = $3
+             WHERE id = $4 AND created_by = $5`,
+            [JSON.stringify(allowedOrigins), JSON.stringify(options), new Date().toISOString(), embedId, userId]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('Embed not found');
+        }
+        return this._getEmbedRow(embedId);
+    }
+
+    async deleteEmbed(userId, embedId) {
+        const result = await this.pool.query(
+            'DELETE FROM embeds WHERE id = $1 AND created_by = $2',
+            [embedId, userId]
+        );
+        if (result.rowCount === 0) {
+            throw new Error('Embed not found');
+        }
+        return true;
+    }
+
+    // Resolves an embed for the public endpoints: null when it doesn't exist,
+    // its group is in the trash, or its creator has been deactivated.
+    async getActiveEmbed(embedId) {
+        const result = await this.pool.query(
+            `SELECT e.*, lg.name AS group_name, lg.group_type
+             FROM embeds e
+             JOIN users u ON u.id = e.created_by
+             JOIN location_groups lg ON lg.id = e.group_id
+             WHERE e.id = $1 AND u.is_active AND lg.deleted_at IS NULL`,
+            [embedId]
+        );
+        return result.rows[0] ? this._formatEmbed(result.rows[0]) : null;
     }
 
     async hasUsers() {
@@ -764,6 +2272,30 @@ class DatabaseService {
         return rows[0] || null;
     }
 
+    // Centers only (no geometry) of the ZIPs inside a lat/lng box, for the
+    // radius and lasso searches' exact checks.
+    async getZipCentersInBox(box) {
+        return this.getZipCentersInBoxes([box]);
+    }
+
+    // Same for several boxes (one per radius center) in one query; a ZIP
+    // inside more than one box comes back once.
+    async getZipCentersInBoxes(boxes) {
+        const params = [];
+        const conditions = boxes.map(({ minLat, maxLat, minLng, maxLng }) => {
+            params.push(minLat, maxLat, minLng, maxLng);
+            const n = params.length;
+            return `(center_lat BETWEEN $${n - 3} AND $${n - 2} AND center_lng BETWEEN $${n - 1} AND $${n})`;
+        });
+        const result = await this.pool.query(
+            `SELECT zip_code, center_lat, center_lng
+             FROM zip_boundaries
+             WHERE ${conditions.join(' OR ')}`,
+            params
+        );
+        return result.rows;
+    }
+
     async countZipBoundaries() {
         const result = await this.pool.query('SELECT COUNT(*) as count FROM zip_boundaries');
         return parseInt(result.rows[0].count, 10);
@@ -998,6 +2530,15 @@ class DatabaseService {
         return true;
     }
 
+    async getDwcLocation(locationId) {
+        const result = await this.pool.query(
+            'SELECT * FROM dwc_location WHERE id = $1',
+            [locationId]
+        );
+        const row = result.rows[0];
+        return row ? this._mapDwcLocationRow(row) : null;
+    }
+
     async updateLocationClassification(locationId, classification, overriddenBy) {
         const result = await this.pool.query(
             `UPDATE dwc_location
@@ -1268,3 +2809,4 @@ class DatabaseService {
 
 module.exports = DatabaseService;
 module.exports.ZIP_BOUNDARIES_DDL = ZIP_BOUNDARIES_DDL;
+module.exports.EVERYONE_GRANTEE = EVERYONE_GRANTEE;
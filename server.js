@@ -5,7 +5,7 @@ const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
@@ -14,9 +14,39 @@ const multer = require('multer');
 
 // Import database service
 const DatabaseService = require('./db/database');
+const { EVERYONE_GRANTEE } = DatabaseService;
 
 // DWC doctor location tracking routes (see server/dwc/)
 const { registerDwcRoutes } = require('./server/dwc/routes');
+const { isPasswordPolicyError } = require('./server/auth/passwordPolicy');
+
+// Audit trail (see server/audit/)
+const { audit } = require('./server/audit/recorder');
+const { registerAuditRoutes } = require('./server/audit/routes');
+
+// Public read-only share links (see server/share/)
+const { registerShareRoutes } = require('./server/share/routes');
+const { registerEmbedRoutes } = require('./server/embed/routes');
+
+// Full per-group CSV export (see server/export/)
+const { groupToCsv, unescapeHtml, zipCodeOf } = require('./server/export/groupCsv');
+
+// Per-group custom field definitions and per-location values (see server/locations/)
+const { normalizeFieldDefinitions, normalizeCustomValues, isInvalidFieldError } = require('./server/locations/customFields');
+const { DEDUPE_MODES, mergeGroups } = require('./server/locations/groupMerge');
+const { normalizeShapeGeometry, isInvalidGeometryError } = require('./server/locations/shapeGeometry');
+const { DISTANCE_MODES, MAX_STOPS, planRoute } = require('./server/locations/routePlanning');
+const { MAX_RADIUS_MILES, MAX_RADIUS_CENTERS, searchBoxes, zipsWithinRadius } = require('./server/zipcodes/radius');
+const { MATCH_MODES, MAX_AREA_CANDIDATES, searchBox, zipsInArea } = require('./server/zipcodes/lasso');
+
+// Trash bin for deleted groups, locations and uploads (see server/trash/)
+const { registerTrashRoutes } = require('./server/trash/routes');
+const trashRetention = require('./server/trash/retention');
+
+// Group version history and rollback (see server/history/)
+const { registerHistoryRoutes } = require('./server/history/routes');
+const { recordGroupVersion } = require('./server/history/recorder');
+const historyRetention = require('./server/history/retention');
 
 // ZIP boundary data lives in the zip_boundaries Postgres table (seeded by
 // scripts/seedZipBoundaries.js — CA only). This flag caches whether the table
@@ -46,6 +76,11 @@ async function loadCaZipColors() {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Production runs behind Nginx on the same host. Trusting only a loopback
+// peer makes req.ip the real client address (rate limiting, session
+// listings) without letting remote clients spoof X-Forwarded-For.
+app.set('trust proxy', 'loopback');
+
 // Security: Configure CORS with specific origins
 const corsOptions = {
     origin: process.env.NODE_ENV === 'production'
@@ -95,27 +130,104 @@ const handleValidationErrors = (req, res, next) => {
 // registered in defineRoutes). The old express.static on the repo root is
 // gone — it exposed server.js, db/, and .env-adjacent files publicly.
 
-// In-memory session store: sessionId -> { userId, username }
-const sessions = new Map();
+// Login sessions live in the user_sessions Postgres table (see
+// db.createSession), so PM2 restarts/deploys don't log everyone out and any
+// number of Node processes can share them. The cookie value is an opaque
+// random token; the DB only ever sees its hash.
+const SESSION_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // hourly
 
-function createSession(userId, username) {
+async function createSession(userId, req) {
     const sessionId = crypto.randomBytes(32).toString('hex');
-    sessions.set(sessionId, { userId, username });
+    await db.createSession(sessionId, userId, SESSION_MAX_AGE_MS, {
+        ipAddress: req.ip,
+        userAgent: (req.get('user-agent') || '').slice(0, 500)
+    });
     return sessionId;
 }
 
-function getSession(sessionId) {
-    return sessionId ? sessions.get(sessionId) : null;
+async function getSession(sessionId) {
+    return sessionId ? db.getSession(sessionId) : null;
+}
+
+async function destroySession(sessionId) {
+    if (sessionId) await db.destroySession(sessionId);
 }
 
-function destroySession(sessionId) {
-    sessions.delete(sessionId);
+function setSessionCookie(res, sessionId) {
+    res.cookie('sessionId', sessionId, { httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE_MS });
 }
 
-// Auth middleware — protects API routes and HTML pages
-function requireAuth(req, res, next) {
-    const sessionId = req.cookies['sessionId'];
-    const session = getSession(sessionId);
+// Expired rows are already ignored by getSession; this just keeps the table
+// from growing forever. Logged, never fatal.
+async function cleanupExpiredSessions() {
+    try {
+        const removed = await db.deleteExpiredSessions();
+        if (removed > 0) {
+            console.log(`Removed ${removed} expired session(s)`);
+        }
+    } catch (error) {
+        console.error('Error cleaning up expired sessions:', error);
+    }
+}
+
+// Deleted groups, locations and uploads wait in the trash for
+// TRASH_RETENTION_DAYS before this removes them for good. Logged, never
+// fatal, like the session cleanup.
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+async function purgeExpiredTrash() {
+    try {
+        const cutoff = trashRetention.purgeCutoff(new Date(), trashRetention.getRetentionDays());
+        const { groups, locations, uploads } = await db.purgeTrash(cutoff);
+        if (groups + locations + uploads > 0) {
+            console.log(`Purged ${groups} group(s), ${locations} location(s) and ${uploads} upload(s) from the trash`);
+        }
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+}
+
+// Group versions older than GROUP_HISTORY_RETENTION_DAYS (each group's
+// latest excepted) go on the same hourly schedule as the trash.
+async function purgeOldGroupVersions() {
+    try {
+        const cutoff = historyRetention.purgeCutoff(new Date(), historyRetention.getRetentionDays());
+        const { versions } = await db.purgeGroupVersions(cutoff);
+        if (versions > 0) {
+            console.log(`Purged ${versions} old group version(s)`);
+        }
+    } catch (error) {
+        console.error('Error purging group versions:', error);
+    }
+}
+
+// Personal API tokens (db.createApiToken) authenticate scripts through
+// `Authorization: Bearer <token>`. The prefix makes a leaked token easy to
+// recognize in logs and secret scanners.
+const API_TOKEN_PREFIX = 'mpm_';
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Auth middleware — protects API routes and HTML pages. Accepts either the
+// sessionId cookie or a Bearer API token; a token wins when both are sent.
+async function requireAuth(req, res, next) {
+    const bearerToken = getBearerToken(req);
+    if (bearerToken) {
+        return authenticateApiToken(req, res, next, bearerToken);
+    }
+
+    let session;
+    try {
+        session = await getSession(req.cookies['sessionId']);
+    } catch (error) {
+        console.error('Error loading session:', error);
+        return res.status(500).json({ error: 'Failed to verify session' });
+    }
     if (!session) {
         // originalUrl, not path: when mounted via app.use('/api/x', requireAuth)
         // req.path is stripped to '/' and API calls would get a 302 instead of 401
@@ -124,13 +236,53 @@ function requireAuth(req, res, next) {
         }
         return res.redirect('/login');
     }
+    // An Admin password reset locks the account out of everything except
+    // the /api/auth endpoints (password change, logout, me) until the user
+    // picks a new password.
+    if (session.mustChangePassword && !req.originalUrl.startsWith('/api/auth/')) {
+        return res.status(403).json({ error: 'Password change required', passwordChangeRequired: true });
+    }
     req.deviceId = session.userId;
     req.username = session.username;
+    req.sessionRecordId = session.id;
+    next();
+}
+
+async function authenticateApiToken(req, res, next, token) {
+    let apiToken;
+    try {
+        apiToken = await db.getApiToken(token);
+    } catch (error) {
+        console.error('Error loading API token:', error);
+        return res.status(500).json({ error: 'Failed to verify API token' });
+    }
+    if (!apiToken) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+    if (apiToken.mustChangePassword) {
+        return res.status(403).json({ error: 'Password change required', passwordChangeRequired: true });
+    }
+    if (apiToken.scope !== 'write' && !READ_ONLY_METHODS.includes(req.method)) {
+        return res.status(403).json({ error: 'This API token is read-only' });
+    }
+    req.deviceId = apiToken.userId;
+    req.username = apiToken.username;
+    req.apiTokenId = apiToken.id;
     next();
 }
 
-// Role middleware — role is sourced from the DB on each request, NOT the
-// in-memory sessions map. Sessions live up to 365 days; caching the role
+// Account-management endpoints (password, sessions, API tokens) need a
+// signed-in browser session: an API token must not be able to mint more
+// tokens, change the password, or sign the owner out. Use after requireAuth.
+function requireSession(req, res, next) {
+    if (req.apiTokenId) {
+        return res.status(403).json({ error: 'This endpoint requires a signed-in session' });
+    }
+    next();
+}
+
+// Role middleware — role is sourced from the users table on each request,
+// NOT cached on the session row. Sessions live up to 365 days; caching the role
 // there would mean an Admin demoting someone mid-session has no effect until
 // that session naturally expires — a real correctness gap for a permissions
 // feature. One indexed PK lookup per request is negligible at this app's
@@ -189,14 +341,25 @@ function defineRoutes() {
             // Groups are keyed by device_id with an FK to devices; auth users
             // reuse their user id as device id, so the devices row must exist
             await db.registerDevice(user.id);
-            const sessionId = createSession(user.id, user.username);
-            res.cookie('sessionId', sessionId, { httpOnly: true, sameSite: 'lax', maxAge: 365 * 24 * 60 * 60 * 1000 });
+            const sessionId = await createSession(user.id, req);
+            setSessionCookie(res, sessionId);
             res.json({ username: user.username });
         } catch (err) {
             res.status(400).json({ error: err.message });
         }
     });
 
+    function sendLockedOut(res, lockedUntil) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfterSeconds));
+        res.status(429).json({
+            error: `Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`
+        });
+    }
+
+    // Failed attempts are tracked per username (server/auth/loginLockout.js)
+    // on top of the global per-IP limiter. A locked account is refused
+    // before the password is even checked.
     app.post('/api/auth/login', [
         body('username').isString().trim().isLength({ min: 1 }).escape(),
         body('password').isString().isLength({ min: 1 }),
@@ -204,34 +367,54 @@ function defineRoutes() {
     ], async (req, res) => {
         try {
             const { username, password } = req.body;
+            const lockedUntil = await db.getLoginLockout(username);
+            if (lockedUntil) return sendLockedOut(res, lockedUntil);
+
             const user = await db.verifyUser(username, password);
-            if (!user) return res.status(401).json({ error: 'Invalid username or password' });
+            if (!user) {
+                const attempt = await db.recordFailedLogin(username);
+                if (attempt.justLocked) {
+                    await db.recordAudit({
+                        action: 'user.lockout',
+                        entityType: 'user',
+                        entityId: username.toLowerCase(),
+                        after: { lockedUntil: attempt.lockedUntil.toISOString() },
+                        ipAddress: req.ip
+                    });
+                    return sendLockedOut(res, attempt.lockedUntil);
+                }
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+            await db.clearFailedLogins(username);
             // Upsert the devices row (see register) — also backfills users
             // created before this fix
             await db.registerDevice(user.id);
-            const sessionId = createSession(user.id, user.username);
-            res.cookie('sessionId', sessionId, { httpOnly: true, sameSite: 'lax', maxAge: 365 * 24 * 60 * 60 * 1000 });
-            res.json({ username: user.username });
+            const sessionId = await createSession(user.id, req);
+            setSessionCookie(res, sessionId);
+            res.json({ username: user.username, mustChangePassword: user.mustChangePassword });
         } catch (err) {
             res.status(500).json({ error: 'Login failed' });
         }
     });
 
-    app.post('/api/auth/logout', (req, res) => {
-        const sessionId = req.cookies['sessionId'];
-        destroySession(sessionId);
+    app.post('/api/auth/logout', async (req, res) => {
+        try {
+            await destroySession(req.cookies['sessionId']);
+        } catch (error) {
+            console.error('Error destroying session:', error);
+        }
         res.clearCookie('sessionId');
         res.json({ ok: true });
     });
 
     app.get('/api/auth/me', async (req, res) => {
-        const session = getSession(req.cookies['sessionId']);
-        if (!session) return res.status(401).json({ error: 'Not authenticated' });
         try {
+            const session = await getSession(req.cookies['sessionId']);
+            if (!session) return res.status(401).json({ error: 'Not authenticated' });
             // Role comes from the DB, not the session, so demotions apply
             // immediately (same reasoning as requireRole).
             const role = await db.getUserRole(session.userId);
-            res.json({ username: session.username, role });
+            res.json({ username: session.username, role, mustChangePassword: session.mustChangePassword });
         } catch (err) {
             res.status(500).json({ error: 'Failed to fetch user info' });
         }
@@ -242,6 +425,145 @@ function defineRoutes() {
         res.json({ hasUsers });
     });
 
+    // Self-service password change. Other sessions are signed out so a
+    // changed password actually locks out whoever knew the old one; the
+    // caller's own session stays signed in.
+    app.post('/api/auth/password', requireAuth, requireSession, [
+        body('currentPassword').isString().isLength({ min: 1 }).withMessage('Current password is required'),
+        body('newPassword').isString().isLength({ min: 1 }).withMessage('New password is required'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+            const valid = await db.verifyUserPassword(req.deviceId, currentPassword);
+            if (!valid) {
+                return res.status(400).json({ error: 'Current password is incorrect' });
+            }
+            if (newPassword === currentPassword) {
+                return res.status(400).json({ error: 'New password must be different from the current password' });
+            }
+            await db.setUserPassword(req.deviceId, newPassword);
+            await db.deleteUserSessions(req.deviceId, { exceptSessionId: req.sessionRecordId });
+            audit(db, req, 'user.password_change', { entityType: 'user', entityId: req.deviceId });
+            res.json({ ok: true });
+        } catch (error) {
+            if (isPasswordPolicyError(error)) {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('Error changing password:', error);
+            res.status(500).json({ error: 'Failed to change password' });
+        }
+    });
+
+    // Self-service session management: a user can see where they're signed
+    // in and revoke a lost device. Admin equivalents for any user live under
+    // /api/dwc/users/:id/sessions (server/dwc/routes.js).
+    app.use('/api/auth/sessions', requireAuth, requireSession);
+
+    app.get('/api/auth/sessions', async (req, res) => {
+        try {
+            const sessions = await db.getUserSessions(req.deviceId);
+            res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionRecordId })));
+        } catch (error) {
+            console.error('Error fetching sessions:', error);
+            res.status(500).json({ error: 'Failed to fetch sessions' });
+        }
+    });
+
+    // Signs out every OTHER device; the caller's own session survives.
+    app.delete('/api/auth/sessions', async (req, res) => {
+        try {
+            const revoked = await db.deleteUserSessions(req.deviceId, { exceptSessionId: req.sessionRecordId });
+            audit(db, req, 'user.sessions_revoke', { entityType: 'user', entityId: req.deviceId, after: { revoked } });
+            res.json({ revoked });
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            res.status(500).json({ error: 'Failed to revoke sessions' });
+        }
+    });
+
+    app.delete('/api/auth/sessions/:id', [
+        param('id').isUUID().withMessage('Invalid session ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            await db.deleteUserSession(req.deviceId, req.params.id);
+            audit(db, req, 'user.session_revoke', {
+                entityType: 'user',
+                entityId: req.deviceId,
+                after: { sessionId: req.params.id }
+            });
+            if (req.params.id === req.sessionRecordId) {
+                res.clearCookie('sessionId');
+            }
+            res.status(204).send();
+        } catch (error) {
+            if (error.message === 'Session not found') {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error('Error revoking session:', error);
+            res.status(500).json({ error: 'Failed to revoke session' });
+        }
+    });
+
+    // Personal API tokens. The plaintext token is returned only by POST;
+    // afterwards only its prefix is shown.
+    app.use('/api/auth/tokens', requireAuth, requireSession);
+
+    app.get('/api/auth/tokens', async (req, res) => {
+        try {
+            const tokens = await db.getUserApiTokens(req.deviceId);
+            res.json(tokens);
+        } catch (error) {
+            console.error('Error fetching API tokens:', error);
+            res.status(500).json({ error: 'Failed to fetch API tokens' });
+        }
+    });
+
+    app.post('/api/auth/tokens', [
+        body('name').isString().trim().isLength({ min: 1, max: 100 }).escape()
+            .withMessage('Token name must be between 1-100 characters'),
+        body('scope').isIn(['read', 'write']).withMessage('Scope must be read or write'),
+        body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 3650 })
+            .withMessage('expiresInDays must be between 1 and 3650'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { name, scope, expiresInDays } = req.body;
+            const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+            const expiresAt = expiresInDays
+                ? new Date(Date.now() + parseInt(expiresInDays, 10) * 24 * 60 * 60 * 1000).toISOString()
+                : null;
+            const created = await db.createApiToken(token, req.deviceId, { name, scope, expiresAt });
+            audit(db, req, 'api_token.create', {
+                entityType: 'api_token',
+                entityId: created.id,
+                after: { name, scope, expiresAt }
+            });
+            res.status(201).json({ ...created, token });
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            res.status(500).json({ error: 'Failed to create API token' });
+        }
+    });
+
+    app.delete('/api/auth/tokens/:id', [
+        param('id').isUUID().withMessage('Invalid token ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            await db.deleteUserApiToken(req.deviceId, req.params.id);
+            audit(db, req, 'api_token.revoke', { entityType: 'api_token', entityId: req.params.id });
+            res.status(204).send();
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ error: 'API token not found' });
+            }
+            console.error('Error revoking API token:', error);
+            res.status(500).json({ error: 'Failed to revoke API token' });
+        }
+    });
+
     // Apply auth to all data API routes
     app.use('/api/config', requireAuth);
     app.use('/api/zipcodes', requireAuth);
@@ -249,7 +571,26 @@ function defineRoutes() {
     app.use('/api/panel-stock', requireAuth);
 
     // DWC doctor location tracking (doctors, locations, sync runs, users)
-    registerDwcRoutes(app, db, requireAuth, requireRole);
+    registerDwcRoutes(app, db, requireAuth, requireRole, requireSession);
+    registerAuditRoutes(app, db, requireAuth, requireRole);
+    registerShareRoutes(app, db, requireAuth, { getZipColors: () => caZipColors });
+    registerEmbedRoutes(app, db, requireAuth, {
+        indexHtmlPath: path.join(__dirname, 'client', 'dist', 'index.html')
+    });
+    registerTrashRoutes(app, db, requireAuth);
+    registerHistoryRoutes(app, db);
+
+    // Minimal user directory (id + username of active accounts) for
+    // pickers such as group sharing. The full list is Admin-only under
+    // /api/dwc/users.
+    app.get('/api/users', requireAuth, async (req, res) => {
+        try {
+            res.json(await db.getUserDirectory());
+        } catch (error) {
+            console.error('Error fetching user directory:', error);
+            res.status(500).json({ error: 'Failed to fetch users' });
+        }
+    });
 
     app.get('/api/config', (req, res) => {
         res.json({
@@ -345,6 +686,148 @@ app.post('/api/zipcodes/lookup-batch', [
     }
 });
 
+// Seeded ZIP codes whose center is within `miles` of a point, or of any
+// location in a group (own or shared, either type). distance is 'straight'
+// or 'road' (the street-grid estimate). Nearest first, each with the
+// location it is closest to as nearestId.
+app.post('/api/zipcodes/within-radius', [
+    body('miles')
+        .isFloat({ min: 0.1, max: MAX_RADIUS_MILES })
+        .withMessage(`Radius must be between 0.1 and ${MAX_RADIUS_MILES} miles`),
+    body('distance')
+        .optional()
+        .isIn(DISTANCE_MODES)
+        .withMessage(`Distance must be one of ${DISTANCE_MODES.join(', ')}`),
+    body('point')
+        .optional()
+        .isObject()
+        .withMessage('Point must have lat and lng'),
+    body('point.lat')
+        .if(body('point').exists())
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    body('point.lng')
+        .if(body('point').exists())
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    body('groupId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid group ID'),
+    body('groupType')
+        .optional()
+        .isIn(['locations', 'zipcodes'])
+        .withMessage('Group type must be locations or zipcodes'),
+    body('groupId')
+        .custom((groupId, { req }) => (groupId === undefined) !== (req.body.point === undefined))
+        .withMessage('Give either a point or a groupId'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        if (!zipBoundariesSeeded) {
+            return res.status(503).json({
+                error: 'ZIP code data not available. Run scripts/seedZipBoundaries.js.'
+            });
+        }
+
+        const miles = parseFloat(req.body.miles);
+        const { point, groupId, groupType = 'locations', distance = 'straight' } = req.body;
+
+        let centers;
+        if (point) {
+            centers = [{ lat: parseFloat(point.lat), lng: parseFloat(point.lng) }];
+        } else {
+            const group = await db.getLocationGroup(groupId, req.deviceId, groupType);
+            if (!group) {
+                return res.status(404).json({ error: 'Location group not found' });
+            }
+            centers = group.locations.map(location => ({
+                id: location.id,
+                lat: Number(location.lat),
+                lng: Number(location.lng)
+            }));
+        }
+
+        if (centers.length === 0) {
+            return res.json({ miles, distance, zipCodes: [] });
+        }
+        if (centers.length > MAX_RADIUS_CENTERS) {
+            return res.status(400).json({
+                error: `Radius search works on groups of up to ${MAX_RADIUS_CENTERS} locations`
+            });
+        }
+
+        const rows = await db.getZipCentersInBoxes(searchBoxes(centers, miles));
+        const zips = rows.map(row => ({ zipCode: row.zip_code, lat: row.center_lat, lng: row.center_lng }));
+        res.json({ miles, distance, zipCodes: zipsWithinRadius(zips, centers, miles, { distance }) });
+    } catch (error) {
+        console.error('Error finding ZIP codes within radius:', error);
+        res.status(500).json({ error: 'Failed to find ZIP codes within radius' });
+    }
+});
+
+// Seeded ZIP codes inside an area drawn on the ZIP map (the lasso tool).
+// `area` is a GeoJSON Polygon/MultiPolygon string; `match` 'centroid' takes
+// ZIPs whose center is inside, 'area' those with at least minAreaPercent of
+// their area inside (server/zipcodes/lasso.js).
+app.post('/api/zipcodes/in-area', [
+    body('area')
+        .isString()
+        .withMessage('Area must be a string (GeoJSON)'),
+    body('match')
+        .optional()
+        .isIn(MATCH_MODES)
+        .withMessage(`Match must be one of ${MATCH_MODES.join(', ')}`),
+    body('minAreaPercent')
+        .optional()
+        .isFloat({ min: 1, max: 100 })
+        .withMessage('Minimum area share must be between 1 and 100 percent'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        if (!zipBoundariesSeeded) {
+            return res.status(503).json({
+                error: 'ZIP code data not available. Run scripts/seedZipBoundaries.js.'
+            });
+        }
+
+        const { match = 'centroid' } = req.body;
+        const minAreaPercent = req.body.minAreaPercent === undefined ? 50 : parseFloat(req.body.minAreaPercent);
+        const area = JSON.parse(normalizeShapeGeometry(req.body.area));
+        if (area.type !== 'Polygon' && area.type !== 'MultiPolygon') {
+            return res.status(400).json({ error: 'Area must be a Polygon or MultiPolygon' });
+        }
+
+        const centers = await db.getZipCentersInBox(searchBox(area, match));
+        let zips = centers.map(row => ({ zipCode: row.zip_code, lat: row.center_lat, lng: row.center_lng }));
+        if (match === 'area') {
+            // Boundaries are large; only load them for an area of sensible size
+            if (centers.length > MAX_AREA_CANDIDATES) {
+                return res.status(400).json({
+                    error: 'Area is too large to match by share of area. Draw a smaller area or match by ZIP center.'
+                });
+            }
+            const boundaries = await db.getZipBoundaries(zips.map(zip => zip.zipCode));
+            zips = boundaries.map(row => ({
+                zipCode: row.zip_code, lat: row.center_lat, lng: row.center_lng, geometry: row.geometry
+            }));
+        }
+
+        res.json({
+            match,
+            minAreaPercent,
+            zipCodes: zipsInArea(zips, area, { match, minShare: minAreaPercent / 100 })
+        });
+    } catch (error) {
+        console.error('Error finding ZIP codes in area:', error);
+        if (isInvalidGeometryError(error)) {
+            res.status(400).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to find ZIP codes in area' });
+        }
+    }
+});
+
 // Bulk CA ZIP color lookup — precomputed graph-coloring assignment so
 // adjacent ZIP polygons never share a color on the Panel Stock Analysis map.
 // See scripts/computeZipCaColors.js for how this is generated.
@@ -401,6 +884,11 @@ app.post('/api/panel-stock/uploads', [
         }
         const { title, fileName, specialties, rows, duplicateZips } = req.body;
         const upload = await db.createPanelStockUpload(deviceId, { title, fileName, specialties, rows, duplicateZips });
+        audit(db, req, 'panel_stock_upload.create', {
+            entityType: 'panel_stock_upload',
+            entityId: upload.id,
+            after: { title, fileName, rowCount: rows.length }
+        });
         res.status(201).json(upload);
     } catch (error) {
         console.error('Error creating panel stock upload:', error);
@@ -414,7 +902,13 @@ app.delete('/api/panel-stock/uploads/:id', [
 ], async (req, res) => {
     try {
         const deviceId = req.deviceId;
+        const existing = await db.getPanelStockUpload(req.params.id, deviceId);
         await db.deletePanelStockUpload(req.params.id, deviceId);
+        audit(db, req, 'panel_stock_upload.delete', {
+            entityType: 'panel_stock_upload',
+            entityId: req.params.id,
+            before: existing && { title: existing.title, fileName: existing.fileName, rowCount: (existing.rows || []).length }
+        });
         res.status(204).send();
     } catch (error) {
         if (error.message === 'Panel stock upload not found or access denied') {
@@ -425,6 +919,56 @@ app.delete('/api/panel-stock/uploads/:id', [
     }
 });
 
+// Audit summary of a location group
+function summarizeGroup(group, groupType) {
+    return group ? {
+        name: group.name,
+        groupType,
+        locationCount: (group.locations || []).length,
+        customFields: (group.customFields || []).map(field => field.name)
+    } : null;
+}
+
+// Checks each location's customValues (when sent) against the group's field
+// definitions; throws isInvalidFieldError errors for the 400 branch.
+function withCustomValues(locations, fields) {
+    return locations.map(location => (location.customValues === undefined
+        ? location
+        : { ...location, customValues: normalizeCustomValues(location.customValues, fields) }));
+}
+
+// Checks each location's geometry (ZIP outline or drawn shape) when sent;
+// throws isInvalidGeometryError errors for the 400 branch.
+function withShapeGeometry(locations) {
+    return locations.map(location => (location.geometry
+        ? { ...location, geometry: normalizeShapeGeometry(location.geometry) }
+        : location));
+}
+
+// Audit entry for a change to a group or one of its locations. Temporary
+// (__temp_) groups are scratch space for unsaved map edits and are not
+// audited; a group summary carries the name, otherwise it's looked up off
+// the request path like the audit write itself.
+function auditGroup(req, action, groupId, { entityType = 'group', entityId = groupId, before = null, after = null } = {}) {
+    const summary = entityType === 'group' ? after || before : null;
+    const groupName = summary && summary.name !== undefined
+        ? Promise.resolve(summary.name)
+        : db.getGroupName(groupId);
+    groupName
+        .then((name) => {
+            if ((name || '').startsWith('__temp_')) return;
+            audit(db, req, action, { entityType, entityId, before, after });
+        })
+        .catch(error => console.error(`Error writing audit log (${action}):`, error));
+}
+
+// Shared groups: a user who can see a group but lacks the permission for
+// the operation (view-only grantee editing, non-owner deleting or managing
+// shares) gets a 403; groups they can't see at all stay a 404.
+function isGroupPermissionError(error) {
+    return error.message.startsWith('Permission denied');
+}
+
 app.get('/api/:groupType(locations|zipcodes)/groups', async (req, res) => {
     try {
         const deviceId = req.deviceId;
@@ -442,6 +986,17 @@ app.get('/api/:groupType(locations|zipcodes)/groups', async (req, res) => {
     }
 });
 
+// Registered before /groups/:id so "shared" isn't taken for a group id.
+app.get('/api/:groupType(locations|zipcodes)/groups/shared', async (req, res) => {
+    try {
+        const groups = await db.getSharedLocationGroups(req.deviceId, req.params.groupType);
+        res.json(groups);
+    } catch (error) {
+        console.error('Error fetching shared location groups:', error);
+        res.status(500).json({ error: 'Failed to fetch shared location groups' });
+    }
+});
+
 app.get('/api/:groupType(locations|zipcodes)/groups/:id', [
     param('id').isUUID().withMessage('Invalid group ID'),
     handleValidationErrors
@@ -467,6 +1022,31 @@ app.get('/api/:groupType(locations|zipcodes)/groups/:id', [
     }
 });
 
+// Every location with id, order, coordinates, color, notes and created_at
+// (plus zip_code and polygon centroid for ZIP groups), in a layout the
+// CSV/XLSX import reads back without loss.
+app.get('/api/:groupType(locations|zipcodes)/groups/:id/export.csv', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { id, groupType } = req.params;
+        const group = await db.getLocationGroup(id, req.deviceId, groupType);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Location group not found' });
+        }
+
+        const fileName = unescapeHtml(group.name).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        res.type('text/csv; charset=utf-8');
+        res.attachment(`${fileName}_locations.csv`);
+        res.send(groupToCsv(group, groupType));
+    } catch (error) {
+        console.error('Error exporting location group:', error);
+        res.status(500).json({ error: 'Failed to export location group' });
+    }
+});
+
 app.post('/api/:groupType(locations|zipcodes)/groups', [
     body('name')
         .isString()
@@ -493,6 +1073,28 @@ app.post('/api/:groupType(locations|zipcodes)/groups', [
         .isLength({ max: 200 })
         .escape()
         .withMessage('Title must be less than 200 characters'),
+    body('locations.*.color')
+        .optional()
+        .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+        .withMessage('Color must be a valid hex color'),
+    body('locations.*.notes')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes must be 1000 characters or fewer'),
+    body('locations.*.geometry')
+        .optional()
+        .isString()
+        .withMessage('Geometry must be a string (GeoJSON)'),
+    body('locations.*.customValues')
+        .optional()
+        .isObject()
+        .withMessage('Custom values must be an object'),
+    body('customFields')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Custom fields must be an array of at most 20 fields'),
     handleValidationErrors
 ], async (req, res) => {
     try {
@@ -504,11 +1106,20 @@ app.post('/api/:groupType(locations|zipcodes)/groups', [
             return res.status(400).json({ error: 'Device ID not found' });
         }
 
-        const group = await db.createLocationGroup(deviceId, name, locations || [], groupType);
+        const customFields = normalizeFieldDefinitions(req.body.customFields || []);
+        const group = await db.createLocationGroup(
+            deviceId, name, withShapeGeometry(withCustomValues(locations || [], customFields)), groupType, customFields
+        );
+        await recordGroupVersion(db, req, group.id, 'group.create');
+        auditGroup(req, 'group.create', group.id, { after: summarizeGroup(group, groupType) });
         res.status(201).json(group);
     } catch (error) {
         console.error('Error creating location group:', error);
-        res.status(500).json({ error: 'Failed to create location group' });
+        if (isInvalidFieldError(error) || isInvalidGeometryError(error)) {
+            res.status(400).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to create location group' });
+        }
     }
 });
 
@@ -525,11 +1136,15 @@ app.put('/api/:groupType(locations|zipcodes)/groups/:id', [
         .optional()
         .isArray()
         .withMessage('Locations must be an array'),
+    body('customFields')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Custom fields must be an array of at most 20 fields'),
     handleValidationErrors
 ], async (req, res) => {
     try {
         const { id, groupType } = req.params;
-        const { name, locations } = req.body;
+        const { name, locations, customFields } = req.body;
         const deviceId = req.deviceId;
 
         if (!deviceId) {
@@ -538,18 +1153,35 @@ app.put('/api/:groupType(locations|zipcodes)/groups/:id', [
 
         const updates = {};
         if (name !== undefined) updates.name = name;
-        if (locations !== undefined) updates.locations = locations;
+        // Removing a field leaves its old values in custom_values; they're
+        // ignored everywhere values are shown or exported.
+        if (customFields !== undefined) updates.customFields = normalizeFieldDefinitions(customFields);
+        if (locations !== undefined) {
+            updates.locations = withShapeGeometry(
+                withCustomValues(locations, updates.customFields || await db.getGroupCustomFields(id, deviceId, groupType))
+            );
+        }
 
+        const existing = await db.getLocationGroup(id, deviceId, groupType);
         const updatedGroup = await db.updateLocationGroup(id, deviceId, updates, groupType);
 
         if (!updatedGroup) {
             return res.status(404).json({ error: 'Location group not found' });
         }
 
+        await recordGroupVersion(db, req, id, 'group.update');
+        auditGroup(req, 'group.update', id, {
+            before: summarizeGroup(existing, groupType),
+            after: summarizeGroup(updatedGroup, groupType)
+        });
         res.json(updatedGroup);
     } catch (error) {
         console.error('Error updating location group:', error);
-        if (error.message.includes('not found') || error.message.includes('access denied')) {
+        if (isInvalidFieldError(error) || isInvalidGeometryError(error)) {
+            res.status(400).json({ error: error.message });
+        } else if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
             res.status(404).json({ error: 'Location group not found' });
         } else {
             res.status(500).json({ error: 'Failed to update location group' });
@@ -569,11 +1201,15 @@ app.delete('/api/:groupType(locations|zipcodes)/groups/:id', [
             return res.status(400).json({ error: 'Device ID not found' });
         }
 
+        const existing = await db.getLocationGroup(id, deviceId, groupType);
         await db.deleteLocationGroup(id, deviceId, groupType);
+        auditGroup(req, 'group.delete', id, { before: summarizeGroup(existing, groupType) });
         res.status(204).send();
     } catch (error) {
         console.error('Error deleting location group:', error);
-        if (error.message.includes('not found') || error.message.includes('access denied')) {
+        if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
             res.status(404).json({ error: 'Location group not found' });
         } else {
             res.status(500).json({ error: 'Failed to delete location group' });
@@ -581,6 +1217,315 @@ app.delete('/api/:groupType(locations|zipcodes)/groups/:id', [
     }
 });
 
+// Duplicate, merge and split. Each creates a new group owned by the caller;
+// duplicate and merge only need view access to their sources and leave
+// them untouched, split moves locations out of a group it can edit.
+const newGroupName = (field, optional) => {
+    const chain = body(field);
+    return (optional ? chain.optional() : chain)
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .escape()
+        .withMessage('Group name must be between 1-100 characters');
+};
+
+// Group names are stored HTML-escaped, so the cut that makes room for
+// " (copy)" drops an entity it would split rather than leave "&am" behind.
+function copyGroupName(name) {
+    const suffix = ' (copy)';
+    return `${name.slice(0, 100 - suffix.length).replace(/&[#\w]*$/, '').trimEnd()}${suffix}`;
+}
+
+function sendGroupOperationError(res, error, fallback) {
+    if (isInvalidFieldError(error)) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (isGroupPermissionError(error)) {
+        return res.status(403).json({ error: error.message });
+    }
+    if (error.message === 'Location not found') {
+        return res.status(404).json({ error: 'Location not found in this group' });
+    }
+    if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({ error: 'Location group not found' });
+    }
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+// Copies locations (geometry, notes and field values included) and custom
+// fields. The name defaults to "<name> (copy)".
+app.post('/api/:groupType(locations|zipcodes)/groups/:id/duplicate', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    newGroupName('name', true),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { id, groupType } = req.params;
+        const source = await db.getLocationGroup(id, req.deviceId, groupType);
+
+        if (!source) {
+            return res.status(404).json({ error: 'Location group not found' });
+        }
+
+        const name = req.body.name || copyGroupName(source.name);
+        // Fresh ids and order for the copies
+        const locations = source.locations.map(({ id: _id, orderIndex: _order, createdAt: _created, ...location }) => location);
+        const group = await db.createLocationGroup(req.deviceId, name, locations, groupType, source.customFields);
+        await recordGroupVersion(db, req, group.id, 'group.duplicate');
+        auditGroup(req, 'group.duplicate', group.id, {
+            after: { ...summarizeGroup(group, groupType), sourceGroupId: id }
+        });
+        res.status(201).json(group);
+    } catch (error) {
+        sendGroupOperationError(res, error, 'Failed to duplicate location group');
+    }
+});
+
+// Combines 2-20 groups, in the order given, into a new one; dedupeBy
+// ('none' | 'zip' | 'coordinates') drops later copies of the same ZIP code
+// or spot. The response adds how many were dropped as `duplicates`.
+app.post('/api/:groupType(locations|zipcodes)/groups/merge', [
+    newGroupName('name', false),
+    body('groupIds')
+        .isArray({ min: 2, max: 20 })
+        .withMessage('Select between 2 and 20 groups to merge'),
+    body('groupIds.*')
+        .isUUID()
+        .withMessage('Invalid group ID'),
+    body('groupIds')
+        .custom((ids) => new Set(ids).size === ids.length)
+        .withMessage('Each group can only be merged once'),
+    body('dedupeBy')
+        .optional()
+        .isIn(DEDUPE_MODES)
+        .withMessage(`De-duplication must be one of ${DEDUPE_MODES.join(', ')}`),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { groupType } = req.params;
+        const { name, groupIds, dedupeBy = 'none' } = req.body;
+
+        const sources = [];
+        for (const groupId of groupIds) {
+            const source = await db.getLocationGroup(groupId, req.deviceId, groupType);
+            if (!source) {
+                return res.status(404).json({ error: 'Location group not found' });
+            }
+            sources.push(source);
+        }
+
+        const merged = mergeGroups(sources, { dedupeBy });
+        const customFields = normalizeFieldDefinitions(merged.customFields);
+        const group = await db.createLocationGroup(
+            req.deviceId, name, withCustomValues(merged.locations, customFields), groupType, customFields
+        );
+        await recordGroupVersion(db, req, group.id, 'group.merge');
+        auditGroup(req, 'group.merge', group.id, {
+            after: { ...summarizeGroup(group, groupType), sourceGroupIds: groupIds, dedupeBy, duplicates: merged.duplicates }
+        });
+        res.status(201).json({ ...group, duplicates: merged.duplicates });
+    } catch (error) {
+        sendGroupOperationError(res, error, 'Failed to merge location groups');
+    }
+});
+
+// Moves the selected locations into a new group with the same custom
+// fields. Returns { source, group }, both as GET /groups/:id does.
+app.post('/api/:groupType(locations|zipcodes)/groups/:id/split', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    newGroupName('name', false),
+    body('locationIds')
+        .isArray({ min: 1 })
+        .withMessage('Select at least one location to split off'),
+    body('locationIds.*')
+        .isUUID()
+        .withMessage('Invalid location ID'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { id, groupType } = req.params;
+        const { name } = req.body;
+        const locationIds = [...new Set(req.body.locationIds)];
+
+        const { source, group } = await db.splitLocationGroup(id, req.deviceId, name, locationIds, groupType);
+        await recordGroupVersion(db, req, id, 'group.split');
+        await recordGroupVersion(db, req, group.id, 'group.split');
+        auditGroup(req, 'group.split', id, {
+            after: { ...summarizeGroup(source, groupType), newGroupId: group.id, movedCount: locationIds.length }
+        });
+        res.status(201).json({ source, group });
+    } catch (error) {
+        sendGroupOperationError(res, error, 'Failed to split location group');
+    }
+});
+
+// Suggests a visiting order for the group's markers (polygons aren't
+// visited) from `start`: { locationId } of one of them, which stays first,
+// or a { lat, lng } point. distance is 'straight' or 'road' (a street-grid
+// approximation). Nothing is saved; the client writes the order back
+// through the reorder route.
+app.post('/api/:groupType(locations|zipcodes)/groups/:id/route-plan', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    body('start')
+        .isObject()
+        .withMessage('Start must be a location or a point')
+        .custom((start) => start.locationId !== undefined || (start.lat !== undefined && start.lng !== undefined))
+        .withMessage('Start must be a location or a point'),
+    body('start.locationId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid location ID'),
+    body('start.lat')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    body('start.lng')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    body('distance')
+        .optional()
+        .isIn(DISTANCE_MODES)
+        .withMessage(`Distance must be one of ${DISTANCE_MODES.join(', ')}`),
+    body('returnToStart')
+        .optional()
+        .isBoolean()
+        .withMessage('returnToStart must be true or false'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { id, groupType } = req.params;
+        const { start, distance = 'straight' } = req.body;
+        const returnToStart = req.body.returnToStart === true || req.body.returnToStart === 'true';
+        const group = await db.getLocationGroup(id, req.deviceId, groupType);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Location group not found' });
+        }
+
+        const stops = group.locations
+            .filter((location) => !location.geometry)
+            .map((location) => ({ id: location.id, lat: Number(location.lat), lng: Number(location.lng) }));
+        if (stops.length > MAX_STOPS) {
+            return res.status(400).json({ error: `Routes are limited to ${MAX_STOPS} stops` });
+        }
+
+        const plan = planRoute(start, stops, { distance, returnToStart });
+        res.json({ ...plan, distance, returnToStart });
+    } catch (error) {
+        sendGroupOperationError(res, error, 'Failed to plan route');
+    }
+});
+
+// Creates a ZIP group from a list of ZIP codes (e.g. a radius search),
+// with each ZIP's boundary from zip_boundaries, in the order given. ZIPs
+// that aren't seeded are skipped and listed in the response as notFound.
+app.post('/api/zipcodes/groups/from-zip-codes', [
+    newGroupName('name', false),
+    body('zipCodes')
+        .isArray({ min: 1, max: 1000 })
+        .withMessage('zipCodes must be an array of 1 to 1000 entries'),
+    body('zipCodes.*')
+        .isString()
+        .trim()
+        .matches(/^\d{5}$/)
+        .withMessage('Each ZIP code must be exactly 5 digits'),
+    body('color')
+        .optional()
+        .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+        .withMessage('Color must be a valid hex color'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        if (!zipBoundariesSeeded) {
+            return res.status(503).json({
+                error: 'ZIP code data not available. Run scripts/seedZipBoundaries.js.'
+            });
+        }
+
+        const { name, color = '#3B82F6' } = req.body;
+        const unique = [...new Set(req.body.zipCodes)];
+        const rows = await db.getZipBoundaries(unique);
+        const byZip = new Map(rows.map(row => [row.zip_code, formatZipRow(row)]));
+        const notFound = unique.filter(zipCode => !byZip.has(zipCode));
+
+        if (byZip.size === 0) {
+            return res.status(404).json({ error: 'None of the ZIP codes were found', notFound });
+        }
+
+        const locations = unique.filter(zipCode => byZip.has(zipCode)).map((zipCode) => {
+            const zip = byZip.get(zipCode);
+            return { lat: zip.center.lat, lng: zip.center.lng, title: zip.title, color, geometry: zip.geometry };
+        });
+        const group = await db.createLocationGroup(req.deviceId, name, locations, 'zipcodes', []);
+        await recordGroupVersion(db, req, group.id, 'group.create');
+        auditGroup(req, 'group.create', group.id, { after: summarizeGroup(group, 'zipcodes') });
+        res.status(201).json({ ...group, notFound });
+    } catch (error) {
+        sendGroupOperationError(res, error, 'Failed to create ZIP group');
+    }
+});
+
+// Adds many ZIP codes to an existing ZIP group in one call (the lasso
+// tool's "Add to group"). ZIPs already in the group are skipped; the
+// response lists what was added, skipped and not found.
+app.post('/api/zipcodes/groups/:id/zip-codes', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    body('zipCodes')
+        .isArray({ min: 1, max: 1000 })
+        .withMessage('zipCodes must be an array of 1 to 1000 entries'),
+    body('zipCodes.*')
+        .isString()
+        .trim()
+        .matches(/^\d{5}$/)
+        .withMessage('Each ZIP code must be exactly 5 digits'),
+    body('color')
+        .optional()
+        .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+        .withMessage('Color must be a valid hex color'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        if (!zipBoundariesSeeded) {
+            return res.status(503).json({
+                error: 'ZIP code data not available. Run scripts/seedZipBoundaries.js.'
+            });
+        }
+
+        const { id } = req.params;
+        const { color = '#3B82F6' } = req.body;
+        const group = await db.getLocationGroup(id, req.deviceId, 'zipcodes');
+        if (!group) {
+            return res.status(404).json({ error: 'Location group not found' });
+        }
+
+        const inGroup = new Set(group.locations.map(zipCodeOf));
+        const unique = [...new Set(req.body.zipCodes)];
+        const alreadyInGroup = unique.filter(zipCode => inGroup.has(zipCode));
+        const wanted = unique.filter(zipCode => !inGroup.has(zipCode));
+        const rows = wanted.length > 0 ? await db.getZipBoundaries(wanted) : [];
+        const byZip = new Map(rows.map(row => [row.zip_code, formatZipRow(row)]));
+        const notFound = wanted.filter(zipCode => !byZip.has(zipCode));
+
+        const locations = wanted.filter(zipCode => byZip.has(zipCode)).map((zipCode) => {
+            const zip = byZip.get(zipCode);
+            return { lat: zip.center.lat, lng: zip.center.lng, title: zip.title, color, geometry: zip.geometry };
+        });
+        const added = await db.addLocationsToGroup(id, req.deviceId, locations, 'zipcodes');
+        if (added.length > 0) {
+            await recordGroupVersion(db, req, id, 'location.batch-create');
+            auditGroup(req, 'location.batch-create', id, {
+                after: { name: group.name, zipCodes: added.map(location => zipCodeOf(location)) }
+            });
+        }
+        res.status(201).json({ added, alreadyInGroup, notFound });
+    } catch (error) {
+        sendGroupOperationError(res, error, 'Failed to add ZIP codes');
+    }
+});
+
 app.post('/api/:groupType(locations|zipcodes)/groups/:id/locations', [
     param('id').isUUID().withMessage('Invalid group ID'),
     body('lat')
@@ -621,16 +1566,26 @@ app.post('/api/:groupType(locations|zipcodes)/groups/:id/locations', [
             color: color || '#3B82F6'
         };
 
-        // Include geometry if provided
+        // ZIP outline or drawn shape; lat/lng is then its label point
         if (geometry) {
-            locationData.geometry = geometry;
+            locationData.geometry = normalizeShapeGeometry(geometry);
         }
 
         const location = await db.addLocationToGroup(id, deviceId, locationData);
+        await recordGroupVersion(db, req, id, 'location.create');
+        auditGroup(req, 'location.create', id, {
+            entityType: 'location',
+            entityId: location.id,
+            after: { groupId: id, title, lat: locationData.lat, lng: locationData.lng, color: locationData.color }
+        });
         res.status(201).json(location);
     } catch (error) {
         console.error('Error adding location:', error);
-        if (error.message.includes('not found') || error.message.includes('access denied')) {
+        if (isInvalidGeometryError(error)) {
+            res.status(400).json({ error: error.message });
+        } else if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
             res.status(404).json({ error: 'Location group not found' });
         } else {
             res.status(500).json({ error: 'Failed to add location' });
@@ -638,6 +1593,87 @@ app.post('/api/:groupType(locations|zipcodes)/groups/:id/locations', [
     }
 });
 
+// Share management — owner only. :grantee is a user id or '*' for everyone.
+const shareGranteeParam = param('grantee')
+    .custom((value) => value === EVERYONE_GRANTEE || isUuid(value))
+    .withMessage('Grantee must be a user ID or *');
+
+app.get('/api/:groupType(locations|zipcodes)/groups/:id/shares', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { id, groupType } = req.params;
+        const shares = await db.getGroupShares(id, req.deviceId, groupType);
+        res.json(shares);
+    } catch (error) {
+        console.error('Error fetching group shares:', error);
+        if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
+            res.status(404).json({ error: 'Location group not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to fetch group shares' });
+        }
+    }
+});
+
+app.put('/api/:groupType(locations|zipcodes)/groups/:id/shares/:grantee', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    shareGranteeParam,
+    body('permission').isIn(['view', 'edit']).withMessage('Permission must be view or edit'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { id, grantee, groupType } = req.params;
+        const { permission } = req.body;
+        const share = await db.setGroupShare(id, req.deviceId, grantee, permission, groupType);
+        audit(db, req, 'group.share', {
+            entityType: 'group',
+            entityId: id,
+            after: { grantee, username: share.username, permission }
+        });
+        res.json(share);
+    } catch (error) {
+        console.error('Error sharing location group:', error);
+        if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message === 'Share target not found') {
+            res.status(404).json({ error: error.message });
+        } else if (error.message.includes('cannot be shared')) {
+            res.status(400).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
+            res.status(404).json({ error: 'Location group not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to share location group' });
+        }
+    }
+});
+
+app.delete('/api/:groupType(locations|zipcodes)/groups/:id/shares/:grantee', [
+    param('id').isUUID().withMessage('Invalid group ID'),
+    shareGranteeParam,
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { id, grantee, groupType } = req.params;
+        await db.deleteGroupShare(id, req.deviceId, grantee, groupType);
+        audit(db, req, 'group.unshare', { entityType: 'group', entityId: id, before: { grantee } });
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error removing group share:', error);
+        if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message === 'Share not found') {
+            res.status(404).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
+            res.status(404).json({ error: 'Location group not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to remove group share' });
+        }
+    }
+});
+
 // NOTE: the reorder route must be registered before the :locationId route,
 // otherwise "reorder" is captured as a :locationId and fails UUID validation
 app.put('/api/:groupType(locations|zipcodes)/groups/:groupId/locations/reorder', [
@@ -663,13 +1699,17 @@ app.put('/api/:groupType(locations|zipcodes)/groups/:groupId/locations/reorder',
         }
 
         await db.reorderLocations(groupId, deviceId, locationIds);
+        await recordGroupVersion(db, req, groupId, 'group.reorder');
+        auditGroup(req, 'group.reorder', groupId, { after: { locationCount: locationIds.length } });
 
         // Get updated locations to return
         const locations = await db.getLocationsForGroup(groupId);
         res.json({ success: true, locations });
     } catch (error) {
         console.error('Error reordering locations:', error);
-        if (error.message.includes('not found') || error.message.includes('access denied')) {
+        if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
             res.status(404).json({ error: 'Location group not found' });
         } else {
             res.status(500).json({ error: 'Failed to reorder locations' });
@@ -684,25 +1724,84 @@ app.put('/api/:groupType(locations|zipcodes)/groups/:groupId/locations/:location
         .optional()
         .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
         .withMessage('Color must be a valid hex color'),
+    body('title')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .escape()
+        .withMessage('Title must be between 1-200 characters'),
+    body('lat')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    body('lng')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    body('notes')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes must be 1000 characters or fewer'),
+    body('customValues')
+        .optional()
+        .isObject()
+        .withMessage('Custom values must be an object'),
+    body('geometry')
+        .optional()
+        .isString()
+        .withMessage('Geometry must be a string (GeoJSON)'),
     handleValidationErrors
 ], async (req, res) => {
     try {
         const { groupId, locationId, groupType } = req.params;
-        const { color } = req.body;
+        const { color, title, lat, lng, notes, customValues, geometry } = req.body;
         const deviceId = req.deviceId;
 
         if (!deviceId) {
             return res.status(400).json({ error: 'Device ID not found' });
         }
+        if ((lat === undefined) !== (lng === undefined)) {
+            return res.status(400).json({ error: 'Latitude and longitude must be updated together' });
+        }
 
         const updates = {};
         if (color !== undefined) updates.color = color;
+        if (title !== undefined) updates.title = title;
+        if (lat !== undefined) {
+            updates.lat = parseFloat(lat);
+            updates.lng = parseFloat(lng);
+        }
+        if (notes !== undefined) updates.notes = notes;
+        if (geometry !== undefined) updates.geometry = normalizeShapeGeometry(geometry);
+        if (customValues !== undefined) {
+            updates.customValues = normalizeCustomValues(customValues, await db.getGroupCustomFields(groupId, deviceId, groupType));
+        }
 
+        const existing = await db.getLocation(groupId, locationId);
         const location = await db.updateLocation(groupId, locationId, deviceId, updates);
+        await recordGroupVersion(db, req, groupId, 'location.update');
+        // A reshape is noted without the (possibly large) GeoJSON itself
+        const changes = { ...updates };
+        if (changes.geometry) changes.geometry = 'reshaped';
+        const before = { groupId };
+        if (existing) Object.keys(changes).forEach(key => { before[key] = existing[key]; });
+        auditGroup(req, 'location.update', groupId, {
+            entityType: 'location',
+            entityId: locationId,
+            before: existing && before,
+            after: { groupId, ...changes }
+        });
         res.json(location);
     } catch (error) {
         console.error('Error updating location:', error);
-        if (error.message.includes('not found') || error.message.includes('access denied')) {
+        if (isInvalidFieldError(error) || isInvalidGeometryError(error)) {
+            res.status(400).json({ error: error.message });
+        } else if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
             res.status(404).json({ error: 'Location or group not found' });
         } else {
             res.status(500).json({ error: 'Failed to update location' });
@@ -723,11 +1822,20 @@ app.delete('/api/:groupType(locations|zipcodes)/groups/:groupId/locations/:locat
             return res.status(400).json({ error: 'Device ID not found' });
         }
 
+        const existing = await db.getLocation(groupId, locationId);
         await db.deleteLocation(groupId, locationId, deviceId);
+        await recordGroupVersion(db, req, groupId, 'location.delete');
+        auditGroup(req, 'location.delete', groupId, {
+            entityType: 'location',
+            entityId: locationId,
+            before: existing && { groupId, title: existing.title, lat: existing.lat, lng: existing.lng, color: existing.color }
+        });
         res.status(204).send();
     } catch (error) {
         console.error('Error deleting location:', error);
-        if (error.message.includes('not found') || error.message.includes('access denied')) {
+        if (isGroupPermissionError(error)) {
+            res.status(403).json({ error: error.message });
+        } else if (error.message.includes('not found') || error.message.includes('access denied')) {
             res.status(404).json({ error: 'Location or group not found' });
         } else {
             res.status(500).json({ error: 'Failed to delete location' });
@@ -782,6 +1890,13 @@ app.post('/api/uploads', upload.array('files', 10), (req, res) => {
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({ error: 'No files uploaded' });
     }
+    for (const file of req.files) {
+        audit(db, req, 'file.upload', {
+            entityType: 'file',
+            entityId: file.filename,
+            after: { originalName: file.originalname, size: file.size }
+        });
+    }
     res.status(201).json({
         files: req.files.map(file => ({
             name: file.filename,
@@ -820,6 +1935,7 @@ app.delete('/api/uploads/:name', async (req, res) => {
     try {
         const filePath = path.join(uploadsDir, path.basename(req.params.name));
         await fs.promises.unlink(filePath);
+        audit(db, req, 'file.delete', { entityType: 'file', entityId: path.basename(req.params.name) });
         res.status(204).send();
     } catch (error) {
         if (error.code === 'ENOENT') {
@@ -868,6 +1984,16 @@ async function startServer() {
             initializeDatabase()
         ]);
 
+        // Housekeeping: drop expired login sessions and purge trash and group
+        // versions past their retention now, then periodically while the
+        // server runs.
+        await cleanupExpiredSessions();
+        setInterval(cleanupExpiredSessions, SESSION_CLEANUP_INTERVAL_MS).unref();
+        await purgeExpiredTrash();
+        setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+        await purgeOldGroupVersions();
+        setInterval(purgeOldGroupVersions, TRASH_PURGE_INTERVAL_MS).unref();
+
         // Cache whether ZIP boundary data has been seeded (needs db, so this
         // runs after initializeDatabase). Empty table -> lookups return 503.
         const zipCount = await db.countZipBoundaries();
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import filters from '../filters.js';
+
+const { buildAuditWhere } = filters;
+
+describe('buildAuditWhere', () => {
+    it('returns an empty clause with no filters', () => {
+        expect(buildAuditWhere({})).toEqual({ clause: '', params: [] });
+        expect(buildAuditWhere()).toEqual({ clause: '', params: [] });
+    });
+
+    it('skips blank values', () => {
+        expect(buildAuditWhere({ action: '', entityType: null, actorId: undefined }))
+            .toEqual({ clause: '', params: [] });
+    });
+
+    it('combines filters with AND in a fixed column order', () => {
+        const { clause, params } = buildAuditWhere({ entityType: 'group', actorId: 'u1', action: 'group.delete' });
+        expect(clause).toBe('WHERE a.actor_id = $1 AND a.action = $2 AND a.entity_type = $3');
+        expect(params).toEqual(['u1', 'group.delete', 'group']);
+    });
+
+    it('uses a half-open date range and serializes Dates', () => {
+        const from = new Date('2024-01-01T00:00:00Z');
+        const { clause, params } = buildAuditWhere({ from, to: '2024-02-01T00:00:00.000Z' });
+        expect(clause).toBe('WHERE a.created_at >= $1 AND a.created_at < $2');
+        expect(params).toEqual(['2024-01-01T00:00:00.000Z', '2024-02-01T00:00:00.000Z']);
+    });
+
+    it('numbers parameters from the given start index', () => {
+        const { clause } = buildAuditWhere({ entityId: 'x' }, 3);
+        expect(clause).toBe('WHERE a.entity_id = $3');
+    });
+});
@@ -0,0 +1,28 @@
+// Builds the WHERE clause for GET /api/audit. Every filter is optional and
+// they combine with AND; values are always bound as parameters. Column names
+// are fixed here, never taken from the request.
+const FILTER_COLUMNS = [
+    { key: 'actorId', sql: 'a.actor_id = ' },
+    { key: 'action', sql: 'a.action = ' },
+    { key: 'entityType', sql: 'a.entity_type = ' },
+    { key: 'entityId', sql: 'a.entity_id = ' },
+    { key: 'from', sql: 'a.created_at >= ' },
+    { key: 'to', sql: 'a.created_at < ' }
+];
+
+function buildAuditWhere(filters = {}, firstParamIndex = 1) {
+    const conditions = [];
+    const params = [];
+    for (const { key, sql } of FILTER_COLUMNS) {
+        const value = filters[key];
+        if (value === undefined || value === null || value === '') continue;
+        params.push(value instanceof Date ? value.toISOString() : value);
+        conditions.push(`${sql}$${firstParamIndex + params.length - 1}`);
+    }
+    return {
+        clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+module.exports = { buildAuditWhere };
@@ -0,0 +1,23 @@
+// Audit trail writer shared by server.js and server/dwc/routes.js. Called
+// after a mutation has succeeded; the write is fire-and-forget, so an audit
+// failure is logged but never turns a completed change into a 500.
+//
+// Actions are "<entity>.<verb>" (e.g. group.delete, user.role_change).
+// before/after are small summaries of the entity, not full copies: enough to
+// answer "who changed what from what", not to restore it. DWC sync runs and
+// geocode writes are not audited here: sync runs already record who
+// triggered them (dwc_sync_run.triggered_by) and geocoding is a
+// system-assist write.
+function audit(db, req, action, { entityType = null, entityId = null, before = null, after = null } = {}) {
+    db.recordAudit({
+        actorId: req.deviceId || null,
+        action,
+        entityType,
+        entityId,
+        before,
+        after,
+        ipAddress: req.ip || null
+    }).catch(error => console.error(`Error writing audit log (${action}):`, error));
+}
+
+module.exports = { audit };
@@ -0,0 +1,58 @@
+// Admin-only audit log viewer API. Mounted from server.js defineRoutes() via
+// registerAuditRoutes(app, db, requireAuth, requireRole); entries are written
+// by recorder.js from the mutating routes.
+const { query, validationResult } = require('express-validator');
+
+// Same validation error handler shape server.js uses inline.
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+function registerAuditRoutes(app, db, requireAuth, requireRole) {
+    app.use('/api/audit', requireAuth, requireRole('admin'));
+
+    // Newest first. Returns { entries, total } so the viewer can page.
+    app.get('/api/audit', [
+        query('actorId').optional().isString().isLength({ max: 100 }),
+        query('action').optional().isString().isLength({ max: 100 }),
+        query('entityType').optional().isString().isLength({ max: 50 }),
+        query('entityId').optional().isString().isLength({ max: 200 }),
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+        query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+        query('offset').optional().isInt({ min: 0 }).toInt(),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { actorId, action, entityType, entityId, from, to } = req.query;
+            const result = await db.getAuditLog(
+                { actorId, action, entityType, entityId, from, to },
+                { limit: req.query.limit || 50, offset: req.query.offset || 0 }
+            );
+            res.json(result);
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            res.status(500).json({ error: 'Failed to fetch audit log' });
+        }
+    });
+
+    // Distinct action names, for the viewer's filter dropdown.
+    app.get('/api/audit/actions', async (req, res) => {
+        try {
+            const actions = await db.getAuditActions();
+            res.json(actions);
+        } catch (error) {
+            console.error('Error fetching audit actions:', error);
+            res.status(500).json({ error: 'Failed to fetch audit actions' });
+        }
+    });
+}
+
+module.exports = { registerAuditRoutes };
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import loginLockout from '../loginLockout.js';
+
+const { getLockoutConfig, isLocked, applyFailedAttempt } = loginLockout;
+
+const config = { maxAttempts: 3, lockoutMs: 15 * 60 * 1000 };
+const now = new Date('2024-01-01T12:00:00Z');
+const minutesAgo = (n) => new Date(now.getTime() - n * 60 * 1000);
+
+describe('getLockoutConfig', () => {
+    it('defaults to 5 attempts and a 15 minute lockout', () => {
+        expect(getLockoutConfig({})).toEqual({ maxAttempts: 5, lockoutMs: 15 * 60 * 1000 });
+    });
+
+    it('reads overrides from env', () => {
+        expect(getLockoutConfig({ LOGIN_MAX_ATTEMPTS: '10', LOGIN_LOCKOUT_MINUTES: '30' }))
+            .toEqual({ maxAttempts: 10, lockoutMs: 30 * 60 * 1000 });
+    });
+});
+
+describe('isLocked', () => {
+    it('is false with no state or no lockout', () => {
+        expect(isLocked(null, now)).toBe(false);
+        expect(isLocked({ failedCount: 2, lockedUntil: null }, now)).toBe(false);
+    });
+
+    it('is true only until lockedUntil passes', () => {
+        expect(isLocked({ lockedUntil: new Date(now.getTime() + 1000) }, now)).toBe(true);
+        expect(isLocked({ lockedUntil: minutesAgo(1) }, now)).toBe(false);
+    });
+});
+
+describe('applyFailedAttempt', () => {
+    it('starts counting from the first failure', () => {
+        const next = applyFailedAttempt(null, now, config);
+        expect(next).toMatchObject({ failedCount: 1, lockedUntil: null, justLocked: false });
+    });
+
+    it('increments recent failures', () => {
+        const next = applyFailedAttempt({ failedCount: 1, lastFailedAt: minutesAgo(2) }, now, config);
+        expect(next.failedCount).toBe(2);
+        expect(next.justLocked).toBe(false);
+    });
+
+    it('locks on reaching maxAttempts and resets the counter', () => {
+        const next = applyFailedAttempt({ failedCount: 2, lastFailedAt: minutesAgo(1) }, now, config);
+        expect(next.justLocked).toBe(true);
+        expect(next.failedCount).toBe(0);
+        expect(next.lockedUntil.getTime()).toBe(now.getTime() + config.lockoutMs);
+    });
+
+    it('forgets failures older than the lockout window', () => {
+        const next = applyFailedAttempt({ failedCount: 2, lastFailedAt: minutesAgo(20) }, now, config);
+        expect(next.failedCount).toBe(1);
+        expect(next.justLocked).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import passwordPolicy from '../passwordPolicy.js';
+
+const { getPasswordPolicy, checkPassword, isPasswordPolicyError } = passwordPolicy;
+
+describe('getPasswordPolicy', () => {
+    it('defaults to an 8-character minimum with no class requirements', () => {
+        expect(getPasswordPolicy({})).toEqual({
+            minLength: 8,
+            requireUppercase: false,
+            requireLowercase: false,
+            requireDigit: false,
+            requireSymbol: false
+        });
+    });
+
+    it('reads length and class flags from env', () => {
+        const policy = getPasswordPolicy({
+            PASSWORD_MIN_LENGTH: '12',
+            PASSWORD_REQUIRE_UPPERCASE: 'true',
+            PASSWORD_REQUIRE_DIGIT: 'true',
+            PASSWORD_REQUIRE_SYMBOL: 'false'
+        });
+        expect(policy.minLength).toBe(12);
+        expect(policy.requireUppercase).toBe(true);
+        expect(policy.requireDigit).toBe(true);
+        expect(policy.requireSymbol).toBe(false);
+    });
+
+    it('falls back to the default for a non-numeric or non-positive length', () => {
+        expect(getPasswordPolicy({ PASSWORD_MIN_LENGTH: 'abc' }).minLength).toBe(8);
+        expect(getPasswordPolicy({ PASSWORD_MIN_LENGTH: '0' }).minLength).toBe(8);
+    });
+});
+
+describe('checkPassword', () => {
+    const strict = {
+        minLength: 10,
+        requireUppercase: true,
+        requireLowercase: true,
+        requireDigit: true,
+        requireSymbol: true
+    };
+
+    it('accepts a password meeting every rule', () => {
+        expect(checkPassword('Correct-Horse-9', strict)).toBeNull();
+    });
+
+    it('reports a short password', () => {
+        expect(checkPassword('short', { ...getPasswordPolicy({}) })).toBe('Password must be at least 8 characters');
+    });
+
+    it('lists every missing character class in one message', () => {
+        expect(checkPassword('alllowercaseletters', strict))
+            .toBe('Password must include an uppercase letter, a digit, a symbol');
+    });
+
+    it('combines length and class problems', () => {
+        expect(checkPassword('abc', strict))
+            .toBe('Password must be at least 10 characters and include an uppercase letter, a digit, a symbol');
+    });
+
+    it('treats a missing password as empty', () => {
+        expect(checkPassword(undefined, getPasswordPolicy({}))).toBe('Password must be at least 8 characters');
+    });
+});
+
+describe('isPasswordPolicyError', () => {
+    it('recognizes errors built from checkPassword messages', () => {
+        expect(isPasswordPolicyError(new Error(checkPassword('x', getPasswordPolicy({}))))).toBe(true);
+        expect(isPasswordPolicyError(new Error('Username already exists'))).toBe(false);
+        expect(isPasswordPolicyError(null)).toBe(false);
+    });
+});
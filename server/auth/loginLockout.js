@@ -0,0 +1,52 @@
+// Per-username brute-force lockout. Tracking is keyed on the username, not
+// the client IP, so a shared office IP can't lock everyone out and a
+// rotating-IP attacker still hits the per-account limit. Configured through
+// env:
+//   LOGIN_MAX_ATTEMPTS     failures before a lockout (default 5)
+//   LOGIN_LOCKOUT_MINUTES  lockout length, also the window failures are
+//                          counted in (default 15)
+// The state transition is kept pure here; persistence lives in
+// db.recordFailedLogin.
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+function getLockoutConfig(env = process.env) {
+    const maxAttempts = parseInt(env.LOGIN_MAX_ATTEMPTS, 10);
+    const lockoutMinutes = parseInt(env.LOGIN_LOCKOUT_MINUTES, 10);
+    return {
+        maxAttempts: maxAttempts > 0 ? maxAttempts : DEFAULT_MAX_ATTEMPTS,
+        lockoutMs: (lockoutMinutes > 0 ? lockoutMinutes : DEFAULT_LOCKOUT_MINUTES) * 60 * 1000
+    };
+}
+
+function isLocked(state, now = new Date()) {
+    return Boolean(state && state.lockedUntil && new Date(state.lockedUntil) > now);
+}
+
+// Applies one failed attempt to the stored state ({ failedCount,
+// lastFailedAt, lockedUntil } or null) and returns the new state plus
+// whether this attempt is the one that tripped the lockout. Failures older
+// than the lockout window no longer count, and tripping the lockout resets
+// the counter so the account gets a fresh allowance once it expires.
+function applyFailedAttempt(state, now, config) {
+    const windowStart = now.getTime() - config.lockoutMs;
+    const recent = state && state.lastFailedAt && new Date(state.lastFailedAt).getTime() > windowStart;
+    const failedCount = (recent ? state.failedCount : 0) + 1;
+
+    if (failedCount >= config.maxAttempts) {
+        return {
+            failedCount: 0,
+            lastFailedAt: now,
+            lockedUntil: new Date(now.getTime() + config.lockoutMs),
+            justLocked: true
+        };
+    }
+    return {
+        failedCount,
+        lastFailedAt: now,
+        lockedUntil: state && isLocked(state, now) ? new Date(state.lockedUntil) : null,
+        justLocked: false
+    };
+}
+
+module.exports = { getLockoutConfig, isLocked, applyFailedAttempt };
@@ -0,0 +1,51 @@
+// Password policy, configured per deploy through env:
+//   PASSWORD_MIN_LENGTH         (default 8)
+//   PASSWORD_REQUIRE_UPPERCASE  'true' to require A-Z
+//   PASSWORD_REQUIRE_LOWERCASE  'true' to require a-z
+//   PASSWORD_REQUIRE_DIGIT      'true' to require 0-9
+//   PASSWORD_REQUIRE_SYMBOL     'true' to require anything else
+// Enforced when a password is set (createUser / setUserPassword), never at
+// login, so tightening the policy doesn't lock out existing accounts.
+const DEFAULT_MIN_LENGTH = 8;
+
+const CHARACTER_CLASSES = [
+    { key: 'requireUppercase', pattern: /[A-Z]/, label: 'an uppercase letter' },
+    { key: 'requireLowercase', pattern: /[a-z]/, label: 'a lowercase letter' },
+    { key: 'requireDigit', pattern: /[0-9]/, label: 'a digit' },
+    { key: 'requireSymbol', pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+];
+
+function getPasswordPolicy(env = process.env) {
+    const minLength = parseInt(env.PASSWORD_MIN_LENGTH, 10);
+    return {
+        minLength: minLength > 0 ? minLength : DEFAULT_MIN_LENGTH,
+        requireUppercase: env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+        requireLowercase: env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+        requireDigit: env.PASSWORD_REQUIRE_DIGIT === 'true',
+        requireSymbol: env.PASSWORD_REQUIRE_SYMBOL === 'true'
+    };
+}
+
+// Returns null when the password is acceptable, otherwise a single
+// user-facing sentence listing everything that's missing. The message always
+// starts with "Password must" — routes key their 400 mapping off that.
+function checkPassword(password, policy = getPasswordPolicy()) {
+    const value = String(password || '');
+    const problems = [];
+    if (value.length < policy.minLength) {
+        problems.push(`be at least ${policy.minLength} characters`);
+    }
+    const missing = CHARACTER_CLASSES
+        .filter(c => policy[c.key] && !c.pattern.test(value))
+        .map(c => c.label);
+    if (missing.length > 0) {
+        problems.push(`include ${missing.join(', ')}`);
+    }
+    return problems.length > 0 ? `Password must ${problems.join(' and ')}` : null;
+}
+
+function isPasswordPolicyError(error) {
+    return Boolean(error && typeof error.message === 'string' && error.message.startsWith('Password must'));
+}
+
+module.exports = { getPasswordPolicy, checkPassword, isPasswordPolicyError };
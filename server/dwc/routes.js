@@ -2,11 +2,13 @@
 // "everything inline in server.js" convention (15+ endpoints across doctors,
 // locations, sync-runs, and user management would push server.js well past
 // 1100 lines). Mounted once from server.js defineRoutes() via
-// registerDwcRoutes(app, db, requireAuth, requireRole).
+// registerDwcRoutes(app, db, requireAuth, requireRole, requireSession).
 const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const reconciler = require('./reconciler');
 const httpClient = require('./httpClient');
+const { isPasswordPolicyError } = require('../auth/passwordPolicy');
+const { audit } = require('../audit/recorder');
 
 const ALLOWED_ROLES = ['admin', 'staff', 'viewer'];
 const ALLOWED_CLASSIFICATIONS = ['pme', 'not_pme', 'needs_review'];
@@ -23,7 +25,7 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
-function registerDwcRoutes(app, db, requireAuth, requireRole) {
+function registerDwcRoutes(app, db, requireAuth, requireRole, requireSession) {
     app.use('/api/dwc', requireAuth);
 
     // In-process lock for the fire-and-forget full-roster sync — a single
@@ -240,6 +242,11 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
                 firstName, lastName, displayName, specialtyHint, notes,
                 createdBy: req.deviceId
             });
+            audit(db, req, 'doctor.create', {
+                entityType: 'doctor',
+                entityId: doctor.id,
+                after: { firstName, lastName, displayName, specialtyHint }
+            });
             res.status(201).json(doctor);
         } catch (error) {
             console.error('Error creating doctor:', error);
@@ -261,7 +268,14 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
             for (const field of ['firstName', 'lastName', 'displayName', 'specialtyHint', 'notes']) {
                 if (req.body[field] !== undefined) updates[field] = req.body[field];
             }
+            const existing = await db.getDoctor(req.params.id);
             const doctor = await db.updateDoctor(req.params.id, updates);
+            audit(db, req, 'doctor.update', {
+                entityType: 'doctor',
+                entityId: req.params.id,
+                before: existing && Object.fromEntries(Object.keys(updates).map(field => [field, existing[field]])),
+                after: updates
+            });
             res.json(doctor);
         } catch (error) {
             console.error('Error updating doctor:', error);
@@ -281,6 +295,10 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
     ], async (req, res) => {
         try {
             const doctor = await db.setDoctorActive(req.params.id, req.body.isActive);
+            audit(db, req, doctor.isActive ? 'doctor.activate' : 'doctor.deactivate', {
+                entityType: 'doctor',
+                entityId: req.params.id
+            });
             res.json(doctor);
         } catch (error) {
             console.error('Error updating doctor active state:', error);
@@ -297,7 +315,13 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
         handleValidationErrors
     ], async (req, res) => {
         try {
+            const existing = await db.getDoctor(req.params.id);
             await db.deleteDoctor(req.params.id);
+            audit(db, req, 'doctor.delete', {
+                entityType: 'doctor',
+                entityId: req.params.id,
+                before: existing && { firstName: existing.firstName, lastName: existing.lastName, displayName: existing.displayName }
+            });
             res.status(204).send();
         } catch (error) {
             console.error('Error deleting doctor:', error);
@@ -378,7 +402,17 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
         handleValidationErrors
     ], async (req, res) => {
         try {
+            const existing = await db.getDwcLocation(req.params.id);
             await db.updateLocationClassification(req.params.id, req.body.classification, req.deviceId);
+            audit(db, req, 'dwc_location.classification_override', {
+                entityType: 'dwc_location',
+                entityId: req.params.id,
+                before: existing && {
+                    classification: existing.classification,
+                    classificationOverride: existing.classificationOverride
+                },
+                after: { classification: req.body.classification, classificationOverride: true }
+            });
             res.json({ success: true });
         } catch (error) {
             console.error('Error updating location classification:', error);
@@ -395,7 +429,17 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
         handleValidationErrors
     ], async (req, res) => {
         try {
+            const existing = await db.getDwcLocation(req.params.id);
             await db.clearLocationClassificationOverride(req.params.id);
+            audit(db, req, 'dwc_location.classification_override_clear', {
+                entityType: 'dwc_location',
+                entityId: req.params.id,
+                before: existing && {
+                    classification: existing.classification,
+                    classificationOverride: existing.classificationOverride
+                },
+                after: { classification: existing ? existing.classification : null, classificationOverride: false }
+            });
             res.json({ success: true });
         } catch (error) {
             console.error('Error clearing classification override:', error);
@@ -437,9 +481,14 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
             // Same reason as register: groups are keyed by device_id with an
             // FK to devices; auth users reuse their user id as device id.
             await db.registerDevice(user.id);
+            audit(db, req, 'user.create', {
+                entityType: 'user',
+                entityId: user.id,
+                after: { username: user.username, role: user.role }
+            });
             res.status(201).json(user);
         } catch (error) {
-            if (error.message === 'Username already exists') {
+            if (error.message === 'Username already exists' || isPasswordPolicyError(error)) {
                 return res.status(400).json({ error: error.message });
             }
             console.error('Error creating user:', error);
@@ -453,7 +502,14 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
         handleValidationErrors
     ], async (req, res) => {
         try {
+            const previousRole = await db.getUserRole(req.params.id);
             const updated = await db.updateUserRole(req.params.id, req.body.role);
+            audit(db, req, 'user.role_change', {
+                entityType: 'user',
+                entityId: req.params.id,
+                before: { role: previousRole },
+                after: { role: req.body.role }
+            });
             res.json(updated);
         } catch (error) {
             console.error('Error updating user role:', error);
@@ -464,6 +520,164 @@ function registerDwcRoutes(app, db, requireAuth, requireRole) {
             }
         }
     });
+
+    // Deactivation keeps the account and its data but blocks sign-in and
+    // kills live sessions. An Admin can't deactivate themselves, which also
+    // guarantees at least one active Admin remains. Session-only, like the
+    // other account-management routes.
+    app.patch('/api/dwc/users/:id/active', requireSession, requireRole('admin'), [
+        param('id').isUUID().withMessage('Invalid user ID'),
+        body('isActive').isBoolean().withMessage('isActive must be a boolean'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const isActive = req.body.isActive === true || req.body.isActive === 'true';
+            if (!isActive && req.params.id === req.deviceId) {
+                return res.status(400).json({ error: 'You cannot deactivate your own account' });
+            }
+            const updated = await db.setUserActive(req.params.id, isActive);
+            if (!isActive) {
+                await db.deleteUserSessions(req.params.id);
+            }
+            audit(db, req, isActive ? 'user.activate' : 'user.deactivate', {
+                entityType: 'user',
+                entityId: req.params.id
+            });
+            res.json(updated);
+        } catch (error) {
+            console.error('Error updating user status:', error);
+            if (error.message.includes('not found')) {
+                res.status(404).json({ error: 'User not found' });
+            } else {
+                res.status(500).json({ error: 'Failed to update user status' });
+            }
+        }
+    });
+
+    // Permanent delete. groupsAction decides what happens to the user's
+    // device-owned location groups and panel stock uploads: 'reassign' hands
+    // them to reassignTo, 'delete' removes them. Session-only.
+    app.delete('/api/dwc/users/:id', requireSession, requireRole('admin'), [
+        param('id').isUUID().withMessage('Invalid user ID'),
+        body('groupsAction').isIn(['reassign', 'delete']).withMessage('groupsAction must be reassign or delete'),
+        body('reassignTo')
+            .if(body('groupsAction').equals('reassign'))
+            .isUUID().withMessage('reassignTo must be a user ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            if (req.params.id === req.deviceId) {
+                return res.status(400).json({ error: 'You cannot delete your own account' });
+            }
+            const { groupsAction, reassignTo } = req.body;
+            const existing = (await db.getUsers()).find(u => u.id === req.params.id);
+            const result = await db.deleteUser(req.params.id, { groupsAction, reassignTo });
+            audit(db, req, 'user.delete', {
+                entityType: 'user',
+                entityId: req.params.id,
+                before: existing && { username: existing.username, role: existing.role },
+                after: { groupsAction, reassignTo: groupsAction === 'reassign' ? reassignTo : null, ...result }
+            });
+            res.json({ success: true, groupsAction, ...result });
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            if (error.message.startsWith('Reassignment target')) {
+                res.status(400).json({ error: error.message });
+            } else if (error.message.includes('not found')) {
+                res.status(404).json({ error: 'User not found' });
+            } else {
+                res.status(500).json({ error: 'Failed to delete user' });
+            }
+        }
+    });
+
+    // Admin password reset: the user must pick a new password at next
+    // login, and every existing session and API token is revoked so the old
+    // credentials stop working immediately. Not open to API tokens, which
+    // could otherwise take over any account.
+    app.put('/api/dwc/users/:id/password', requireSession, requireRole('admin'), [
+        param('id').isUUID().withMessage('Invalid user ID'),
+        body('password').isString().isLength({ min: 1 }),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            await db.setUserPassword(req.params.id, req.body.password, { mustChange: true });
+            const revokedSessions = await db.deleteUserSessions(req.params.id);
+            const revokedTokens = await db.deleteUserApiTokens(req.params.id);
+            audit(db, req, 'user.password_reset', {
+                entityType: 'user',
+                entityId: req.params.id,
+                after: { revokedSessions, revokedTokens }
+            });
+            res.json({ success: true, revokedSessions, revokedTokens });
+        } catch (error) {
+            console.error('Error resetting user password:', error);
+            if (isPasswordPolicyError(error)) {
+                res.status(400).json({ error: error.message });
+            } else if (error.message.includes('not found')) {
+                res.status(404).json({ error: 'User not found' });
+            } else {
+                res.status(500).json({ error: 'Failed to reset password' });
+            }
+        }
+    });
+
+    // Session management for any user — lets an Admin see who is signed in
+    // and kill a session (or all of them) for a lost device or departure.
+    // Like the /api/auth session routes, only from a signed-in session.
+    app.get('/api/dwc/users/:id/sessions', requireSession, requireRole('admin'), [
+        param('id').isUUID().withMessage('Invalid user ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const sessions = await db.getUserSessions(req.params.id);
+            res.json(sessions);
+        } catch (error) {
+            console.error('Error fetching user sessions:', error);
+            res.status(500).json({ error: 'Failed to fetch user sessions' });
+        }
+    });
+
+    app.delete('/api/dwc/users/:id/sessions', requireSession, requireRole('admin'), [
+        param('id').isUUID().withMessage('Invalid user ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const revoked = await db.deleteUserSessions(req.params.id);
+            audit(db, req, 'user.sessions_revoke', {
+                entityType: 'user',
+                entityId: req.params.id,
+                after: { revoked }
+            });
+            res.json({ revoked });
+        } catch (error) {
+            console.error('Error revoking user sessions:', error);
+            res.status(500).json({ error: 'Failed to revoke user sessions' });
+        }
+    });
+
+    app.delete('/api/dwc/users/:id/sessions/:sessionId', requireSession, requireRole('admin'), [
+        param('id').isUUID().withMessage('Invalid user ID'),
+        param('sessionId').isUUID().withMessage('Invalid session ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            await db.deleteUserSession(req.params.id, req.params.sessionId);
+            audit(db, req, 'user.session_revoke', {
+                entityType: 'user',
+                entityId: req.params.id,
+                after: { sessionId: req.params.sessionId }
+            });
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error revoking user session:', error);
+            if (error.message.includes('not found')) {
+                res.status(404).json({ error: 'Session not found' });
+            } else {
+                res.status(500).json({ error: 'Failed to revoke user session' });
+            }
+        }
+    });
 }
 
 module.exports = { registerDwcRoutes };
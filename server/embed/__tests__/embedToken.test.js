@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import embedToken from '../embedToken.js';
+
+const { EMBED_TOKEN_TTL_MS, signEmbedToken, verifyEmbedToken } = embedToken;
+
+const secret = 'x'.repeat(32);
+const embedId = '6f1c1a52-6b8e-4c8e-9f43-0e5c2b7d9a10';
+const now = Date.UTC(2026, 0, 1);
+
+describe('embed tokens', () => {
+    it('verifies a token for the embed it was issued for', () => {
+        expect(verifyEmbedToken(signEmbedToken(embedId, secret, now), embedId, secret, now + 1000)).toBe(true);
+    });
+
+    it('rejects expired tokens', () => {
+        const token = signEmbedToken(embedId, secret, now);
+        expect(verifyEmbedToken(token, embedId, secret, now + EMBED_TOKEN_TTL_MS)).toBe(false);
+    });
+
+    it('rejects tokens for another embed, another secret or with a changed expiry', () => {
+        const token = signEmbedToken(embedId, secret, now);
+        expect(verifyEmbedToken(token, '00000000-0000-4000-8000-000000000000', secret, now)).toBe(false);
+        expect(verifyEmbedToken(token, embedId, 'y'.repeat(32), now)).toBe(false);
+        const [expiresAt, signature] = token.split('.');
+        expect(verifyEmbedToken(`${Number(expiresAt) + 60000}.${signature}`, embedId, secret, now)).toBe(false);
+    });
+
+    it('rejects missing and malformed tokens', () => {
+        expect(verifyEmbedToken(undefined, embedId, secret, now)).toBe(false);
+        expect(verifyEmbedToken('', embedId, secret, now)).toBe(false);
+        expect(verifyEmbedToken('abc.def', embedId, secret, now)).toBe(false);
+        expect(verifyEmbedToken(`${now + 1000}`, embedId, secret, now)).toBe(false);
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import origins from '../origins.js';
+
+const { normalizeOrigin, isOriginAllowed, frameAncestorsPolicy } = origins;
+
+describe('normalizeOrigin', () => {
+    it('keeps scheme, host and non-default port', () => {
+        expect(normalizeOrigin('https://wiki.example.com')).toBe('https://wiki.example.com');
+        expect(normalizeOrigin('http://intranet:8080')).toBe('http://intranet:8080');
+    });
+
+    it('drops paths, trailing slashes, case and default ports', () => {
+        expect(normalizeOrigin(' HTTPS://Wiki.Example.com:443/spaces/maps?x=1 ')).toBe('https://wiki.example.com');
+    });
+
+    it('keeps a leading wildcard label', () => {
+        expect(normalizeOrigin('https://*.Example.com/')).toBe('https://*.example.com');
+    });
+
+    it('rejects non-http origins and junk', () => {
+        expect(normalizeOrigin('ftp://example.com')).toBeNull();
+        expect(normalizeOrigin('example.com')).toBeNull();
+        expect(normalizeOrigin('https://user:pw@example.com')).toBeNull();
+        expect(normalizeOrigin('https://')).toBeNull();
+        expect(normalizeOrigin(42)).toBeNull();
+    });
+});
+
+describe('isOriginAllowed', () => {
+    const allowed = ['https://wiki.example.com', 'https://*.intranet.example.com'];
+
+    it('matches exact origins', () => {
+        expect(isOriginAllowed('https://wiki.example.com', allowed)).toBe(true);
+        expect(isOriginAllowed('http://wiki.example.com', allowed)).toBe(false);
+        expect(isOriginAllowed('https://wiki.example.com:8443', allowed)).toBe(false);
+    });
+
+    it('matches subdomains of a wildcard but not the bare domain', () => {
+        expect(isOriginAllowed('https://hr.intranet.example.com', allowed)).toBe(true);
+        expect(isOriginAllowed('https://a.b.intranet.example.com', allowed)).toBe(true);
+        expect(isOriginAllowed('https://intranet.example.com', allowed)).toBe(false);
+        expect(isOriginAllowed('https://evilintranet.example.com', allowed)).toBe(false);
+        expect(isOriginAllowed('http://hr.intranet.example.com', allowed)).toBe(false);
+    });
+
+    it('rejects a missing origin', () => {
+        expect(isOriginAllowed(null, allowed)).toBe(false);
+    });
+});
+
+describe('frameAncestorsPolicy', () => {
+    it('always allows self', () => {
+        expect(frameAncestorsPolicy([])).toBe("frame-ancestors 'self'");
+        expect(frameAncestorsPolicy(['https://wiki.example.com'])).toBe("frame-ancestors 'self' https://wiki.example.com");
+    });
+});
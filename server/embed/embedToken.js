@@ -0,0 +1,35 @@
+// Short-lived tokens that tie the public embed data to the embed page.
+// /embed/:id issues one inside the page it serves when the page is loaded
+// in a frame (after its Referer / frame-ancestors checks), and
+// /api/public/embeds/:id only answers requests that present a valid one,
+// so opening the embed link or calling the API directly shows nothing.
+// The framing signals are request headers a script can forge, though: an
+// embed id should be handled like a public link. Tokens are
+// "<expiry ms>.<signature>", the signature an HMAC-SHA256 (base64url) of
+// "<embed id>.<expiry ms>"; each data response carries a fresh token so an
+// open page keeps working past the first expiry.
+const crypto = require('crypto');
+
+const EMBED_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+function sign(embedId, expiresAt, secret) {
+    return crypto.createHmac('sha256', secret).update(`${embedId}.${expiresAt}`).digest('base64url');
+}
+
+function signEmbedToken(embedId, secret, now = Date.now()) {
+    const expiresAt = now + EMBED_TOKEN_TTL_MS;
+    return `${expiresAt}.${sign(embedId, expiresAt, secret)}`;
+}
+
+// True for an unexpired token signed for this embed.
+function verifyEmbedToken(token, embedId, secret, now = Date.now()) {
+    if (typeof token !== 'string') return false;
+    const dot = token.indexOf('.');
+    const expiresAt = Number(token.slice(0, dot));
+    if (dot <= 0 || !Number.isSafeInteger(expiresAt) || expiresAt <= now) return false;
+    const given = Buffer.from(token.slice(dot + 1));
+    const expected = Buffer.from(sign(embedId, expiresAt, secret));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { EMBED_TOKEN_TTL_MS, signEmbedToken, verifyEmbedToken };
@@ -0,0 +1,21 @@
+// Served verbatim to browsers as /embed.js (not required by the server).
+// An intranet page embeds a group map with:
+//   <script src="https://maps.example.com/embed.js" data-embed-id="<id>" data-height="480" async></script>
+// Each such tag gets an iframe of /embed/<id> from the server the script
+// came from, inserted right after it.
+(function () {
+    var scripts = document.querySelectorAll('script[data-embed-id]:not([data-embed-loaded])');
+    Array.prototype.forEach.call(scripts, function (script) {
+        script.setAttribute('data-embed-loaded', '');
+        var origin = new URL(script.src, window.location.href).origin;
+        var height = script.getAttribute('data-height') || '480';
+        var iframe = document.createElement('iframe');
+        iframe.src = origin + '/embed/' + encodeURIComponent(script.getAttribute('data-embed-id'));
+        iframe.title = script.getAttribute('data-title') || 'Map';
+        iframe.loading = 'lazy';
+        iframe.style.width = script.getAttribute('data-width') || '100%';
+        iframe.style.height = /^\d+$/.test(height) ? height + 'px' : height;
+        iframe.style.border = '0';
+        script.parentNode.insertBefore(iframe, script.nextSibling);
+    });
+})();
@@ -0,0 +1,50 @@
+// Origin allowlists for embeds. Each embed lists the sites that may frame
+// it; the server turns that list into a CSP frame-ancestors directive and
+// checks the embedding page's Referer against it.
+//
+// Entries are http(s) origins, optionally with a leading "*." label
+// (https://*.intranet.example.com) matching any subdomain, as in CSP.
+
+const WILDCARD_PLACEHOLDER = 'wildcard-label';
+
+// Returns the canonical origin ("https://wiki.example.com:8443") for a
+// user-entered origin or page URL, or null when it isn't a usable http(s)
+// origin. Paths and query strings are dropped, so a pasted page URL works.
+function normalizeOrigin(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    const match = /^(https?:\/\/)(\*\.)?(.*)$/i.exec(trimmed);
+    if (!match) return null;
+    const [, scheme, wildcard, rest] = match;
+
+    let url;
+    try {
+        url = new URL(`${scheme}${wildcard ? `${WILDCARD_PLACEHOLDER}.` : ''}${rest}`);
+    } catch {
+        return null;
+    }
+    if (url.username || url.password || !url.hostname) return null;
+
+    const origin = url.origin.toLowerCase();
+    return wildcard ? origin.replace(`//${WILDCARD_PLACEHOLDER}.`, '//*.') : origin;
+}
+
+// True when `origin` (already normalized) is covered by the allowlist.
+function isOriginAllowed(origin, allowedOrigins) {
+    if (!origin) return false;
+    return allowedOrigins.some(allowed => {
+        if (allowed === origin) return true;
+        if (!allowed.includes('//*.')) return false;
+        const [scheme, pattern] = allowed.split('//*.');
+        if (!origin.startsWith(`${scheme}//`)) return false;
+        const rest = origin.slice(scheme.length + 2);
+        return rest.endsWith(`.${pattern}`) && rest.length > pattern.length + 1;
+    });
+}
+
+// The app itself may always frame an embed (previews).
+function frameAncestorsPolicy(allowedOrigins) {
+    return ["frame-ancestors 'self'", ...allowedOrigins].join(' ');
+}
+
+module.exports = { normalizeOrigin, isOriginAllowed, frameAncestorsPolicy };
@@ -0,0 +1,229 @@
+// Embeddable group maps for intranet pages. Group owners manage embeds under
+// /api/embeds; /embed/:id serves the SPA page that renders the map (only to
+// the embed's allowed origins, via CSP frame-ancestors and a Referer check),
+// /api/public/embeds/:id is the data that page polls (only with the
+// short-lived token a framed page was served with, see embedToken.js), and
+// /embed.js is a script-tag loader that inserts the iframe.
+// Mounted from server.js defineRoutes() via
+// registerEmbedRoutes(app, db, requireAuth, { indexHtmlPath }).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { body, param, validationResult } = require('express-validator');
+const { validate: isUuid } = require('uuid');
+const { normalizeOrigin, isOriginAllowed, frameAncestorsPolicy } = require('./origins');
+const { signEmbedToken, verifyEmbedToken } = require('./embedToken');
+const { groupItems } = require('../share/mapItems');
+const { audit } = require('../audit/recorder');
+
+const MAX_ORIGINS = 20;
+
+// Same validation error handler shape server.js uses inline.
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+const settingsValidators = [
+    body('allowedOrigins').isArray({ min: 1, max: MAX_ORIGINS })
+        .withMessage(`allowedOrigins must list 1 to ${MAX_ORIGINS} origins`),
+    body('allowedOrigins.*').custom(value => {
+        if (!normalizeOrigin(value)) {
+            throw new Error(`Invalid origin: ${value}`);
+        }
+        return true;
+    }),
+    body('options.showList').optional().isBoolean().withMessage('options.showList must be a boolean'),
+    body('options.zoom').optional({ nullable: true }).isInt({ min: 1, max: 20 })
+        .withMessage('options.zoom must be between 1 and 20')
+];
+
+// Validated request body -> stored shape. zoom null means "fit to items".
+function embedSettings(reqBody) {
+    const options = reqBody.options || {};
+    return {
+        allowedOrigins: [...new Set(reqBody.allowedOrigins.map(normalizeOrigin))],
+        options: {
+            showList: options.showList === true,
+            zoom: options.zoom === null || options.zoom === undefined ? null : Number(options.zoom)
+        }
+    };
+}
+
+function registerEmbedRoutes(app, db, requireAuth, { indexHtmlPath } = {}) {
+    // Embed tokens only live for an hour, so a per-process secret is enough:
+    // after a restart open embed pages get a 401 and reload themselves.
+    const tokenSecret = crypto.randomBytes(32).toString('hex');
+
+    // ---- Embed management (signed-in, group owner) ----
+
+    app.use('/api/embeds', requireAuth);
+
+    app.get('/api/embeds', async (req, res) => {
+        try {
+            res.json(await db.getUserEmbeds(req.deviceId));
+        } catch (error) {
+            console.error('Error fetching embeds:', error);
+            res.status(500).json({ error: 'Failed to fetch embeds' });
+        }
+    });
+
+    app.post('/api/embeds', [
+        body('groupType').isIn(['locations', 'zipcodes']).withMessage('groupType must be locations or zipcodes'),
+        body('groupId').isUUID().withMessage('Invalid group ID'),
+        ...settingsValidators,
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { groupType, groupId } = req.body;
+            const group = await db.getLocationGroup(groupId, req.deviceId, groupType);
+            if (!group) {
+                return res.status(404).json({ error: 'Location group not found' });
+            }
+            if (group.permission !== 'owner') {
+                return res.status(403).json({ error: 'Only the group owner can embed it' });
+            }
+            if (group.name.startsWith('__temp_')) {
+                return res.status(400).json({ error: 'Temporary groups cannot be embedded' });
+            }
+
+            const embed = await db.createEmbed({ createdBy: req.deviceId, groupId, ...embedSettings(req.body) });
+            audit(db, req, 'embed.create', {
+                entityType: 'embed',
+                entityId: embed.id,
+                after: { groupId, allowedOrigins: embed.allowedOrigins, options: embed.options }
+            });
+            res.status(201).json(embed);
+        } catch (error) {
+            console.error('Error creating embed:', error);
+            res.status(500).json({ error: 'Failed to create embed' });
+        }
+    });
+
+    app.put('/api/embeds/:id', [
+        param('id').isUUID().withMessage('Invalid embed ID'),
+        ...settingsValidators,
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const before = (await db.getUserEmbeds(req.deviceId)).find(e => e.id === req.params.id);
+            const embed = await db.updateEmbed(req.deviceId, req.params.id, embedSettings(req.body));
+            audit(db, req, 'embed.update', {
+                entityType: 'embed',
+                entityId: embed.id,
+                before: before && { allowedOrigins: before.allowedOrigins, options: before.options },
+                after: { allowedOrigins: embed.allowedOrigins, options: embed.options }
+            });
+            res.json(embed);
+        } catch (error) {
+            if (error.message === 'Embed not found') {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error('Error updating embed:', error);
+            res.status(500).json({ error: 'Failed to update embed' });
+        }
+    });
+
+    app.delete('/api/embeds/:id', [
+        param('id').isUUID().withMessage('Invalid embed ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            await db.deleteEmbed(req.deviceId, req.params.id);
+            audit(db, req, 'embed.delete', { entityType: 'embed', entityId: req.params.id });
+            res.status(204).send();
+        } catch (error) {
+            if (error.message === 'Embed not found') {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error('Error deleting embed:', error);
+            res.status(500).json({ error: 'Failed to delete embed' });
+        }
+    });
+
+    // ---- Public (no auth) ----
+
+    // The embed page polls this, so group edits show up without a reload.
+    // It sends the token /embed/:id put in the page (X-Embed-Token) and gets
+    // a fresh one back with each response.
+    app.get('/api/public/embeds/:id', async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        try {
+            const embed = isUuid(req.params.id) && await db.getActiveEmbed(req.params.id);
+            if (!embed) {
+                return res.status(404).json({ error: 'This embedded map is unavailable' });
+            }
+            if (!verifyEmbedToken(req.get('x-embed-token'), embed.id, tokenSecret)) {
+                return res.status(401).json({ error: 'This embedded map has expired. Reload the page to see it again.' });
+            }
+            const locations = await db.getLocationsForGroup(embed.groupId);
+            res.json({
+                title: embed.groupName,
+                options: embed.options,
+                googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY,
+                items: groupItems(locations),
+                token: signEmbedToken(embed.id, tokenSecret)
+            });
+        } catch (error) {
+            console.error('Error loading embed:', error);
+            res.status(500).json({ error: 'Failed to load embedded map' });
+        }
+    });
+
+    app.get('/embed.js', (req, res) => {
+        res.type('application/javascript');
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.sendFile(path.join(__dirname, 'loaderScript.js'));
+    });
+
+    // The SPA page, with helmet's X-Frame-Options swapped for a
+    // frame-ancestors list built from the embed's allowlist and, for a live
+    // embed loaded in a frame, the data token in a <meta name="embed-token">
+    // tag. Opened directly the page gets no token and says so. Without a
+    // client build (dev) there is no page to serve.
+    app.get('/embed/:id', async (req, res, next) => {
+        if (!indexHtmlPath || !fs.existsSync(indexHtmlPath)) return next();
+        try {
+            const embed = isUuid(req.params.id) ? await db.getActiveEmbed(req.params.id) : null;
+            const allowedOrigins = embed ? embed.allowedOrigins : [];
+
+            // Browsers send the embedding page's origin as the Referer of the
+            // iframe request unless the page opts out; frame-ancestors still
+            // applies when it does.
+            const referer = req.get('referer');
+            if (referer) {
+                const refererOrigin = normalizeOrigin(referer);
+                const selfOrigin = `${req.protocol}://${req.get('host')}`.toLowerCase();
+                if (refererOrigin !== selfOrigin && !isOriginAllowed(refererOrigin, allowedOrigins)) {
+                    return res.status(403).type('text/plain').send('This map cannot be embedded on this site.');
+                }
+            }
+
+            // Framed: the browser says so (Sec-Fetch-Dest), or the request
+            // came from an allowed page (a Referer that passed the check
+            // above). Both headers can be forged outside a browser.
+            const framed = ['iframe', 'frame'].includes(req.get('sec-fetch-dest')) || Boolean(referer);
+
+            res.removeHeader('X-Frame-Options');
+            res.set('Content-Security-Policy', frameAncestorsPolicy(allowedOrigins));
+            res.set('Cache-Control', 'no-store');
+            let html = await fs.promises.readFile(indexHtmlPath, 'utf8');
+            if (embed && framed) {
+                const token = signEmbedToken(embed.id, tokenSecret);
+                html = html.replace('<head>', `<head>\n    <meta name="embed-token" content="${token}">`);
+            }
+            res.type('html').send(html);
+        } catch (error) {
+            console.error('Error serving embed page:', error);
+            res.status(500).type('text/plain').send('Failed to load embedded map');
+        }
+    });
+}
+
+module.exports = { registerEmbedRoutes };
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import groupCsv from '../groupCsv.js';
+
+const { groupToCsv, unescapeHtml, polygonCentroid, csvField } = groupCsv;
+
+const square = JSON.stringify({ type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] });
+
+function lines(csv) {
+    return csv.replace(/^﻿/, '').trimEnd().split('\r\n');
+}
+
+describe('csvField', () => {
+    it('quotes only when needed', () => {
+        expect(csvField('plain')).toBe('plain');
+        expect(csvField('a,b')).toBe('"a,b"');
+        expect(csvField('say "hi"')).toBe('"say ""hi"""');
+        expect(csvField('two\nlines')).toBe('"two\nlines"');
+        expect(csvField(null)).toBe('');
+        expect(csvField(0)).toBe('0');
+    });
+});
+
+describe('unescapeHtml', () => {
+    it('reverses validator escape()', () => {
+        expect(unescapeHtml('Tom &amp; Jerry&#x27;s &lt;b&gt; &#x2F; &quot;x&quot; &#96;')).toBe('Tom & Jerry\'s <b> / "x" `');
+    });
+
+    it('does not double-unescape', () => {
+        expect(unescapeHtml('&amp;lt;')).toBe('&lt;');
+    });
+});
+
+describe('polygonCentroid', () => {
+    it('finds the center of a polygon', () => {
+        expect(polygonCentroid(square)).toEqual({ lat: 1, lng: 1 });
+    });
+
+    it('weights MultiPolygon parts by area', () => {
+        const multi = JSON.stringify({
+            type: 'MultiPolygon',
+            coordinates: [
+                [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]],
+                [[[10, 0], [12, 0], [12, 2], [10, 2], [10, 0]]]
+            ]
+        });
+        expect(polygonCentroid(multi)).toEqual({ lat: 1, lng: 6 });
+    });
+
+    it('returns null for bad geometry', () => {
+        expect(polygonCentroid('not json')).toBeNull();
+        expect(polygonCentroid(JSON.stringify({ type: 'Point', coordinates: [1, 2] }))).toBeNull();
+    });
+});
+
+describe('groupToCsv', () => {
+    const createdAt = new Date('2026-01-02T03:04:05.000Z');
+
+    it('writes every location field in order, with a BOM', () => {
+        const csv = groupToCsv({
+            name: 'G',
+            locations: [
+                { id: 'a', orderIndex: 0, title: 'Smith &amp; Co', lat: 34.0522351, lng: -118.2436849, color: '#ef4444', notes: 'Back door, ring twice', createdAt },
+                { id: 'b', orderIndex: 1, title: 'Plain', lat: 1, lng: 2, color: '#3B82F6', createdAt }
+            ]
+        }, 'locations');
+
+        expect(csv.startsWith('﻿')).toBe(true);
+        expect(lines(csv)).toEqual([
+            'id,order_index,title,lat,lng,color,notes,created_at',
+            'a,0,Smith & Co,34.0522351,-118.2436849,#ef4444,"Back door, ring twice",2026-01-02T03:04:05.000Z',
+            'b,1,Plain,1,2,#3B82F6,,2026-01-02T03:04:05.000Z'
+        ]);
+    });
+
+    it('appends one column per custom field, by name', () => {
+        const csv = groupToCsv({
+            name: 'G',
+            customFields: [
+                { id: 'f1', name: 'Contact, primary', type: 'text' },
+                { id: 'f2', name: 'Beds', type: 'number' }
+            ],
+            locations: [{ id: 'a', orderIndex: 0, title: 'A', lat: 1, lng: 2, color: '#ef4444', customValues: { f2: 12, gone: 'x' }, createdAt }]
+        }, 'locations');
+
+        expect(lines(csv)).toEqual([
+            'id,order_index,title,lat,lng,color,notes,created_at,"Contact, primary",Beds',
+            'a,0,A,1,2,#ef4444,,2026-01-02T03:04:05.000Z,,12'
+        ]);
+    });
+
+    it('adds zip code and centroid columns for ZIP groups', () => {
+        const csv = groupToCsv({
+            name: 'Z',
+            locations: [{ id: 'z', orderIndex: 0, title: 'ZIP 90210', lat: 0.9, lng: 1.1, color: '#10b981', geometry: square, createdAt }]
+        }, 'zipcodes');
+
+        expect(lines(csv)).toEqual([
+            'id,order_index,title,lat,lng,color,notes,created_at,zip_code,centroid_lat,centroid_lng',
+            'z,0,ZIP 90210,0.9,1.1,#10b981,,2026-01-02T03:04:05.000Z,90210,1,1'
+        ]);
+    });
+});
@@ -0,0 +1,116 @@
+// Full CSV export of one location/ZIP group, built so the file re-imports
+// losslessly through the CSV/XLSX importer: rows in list order, coordinates
+// at full precision, and titles un-escaped (the API stores them
+// HTML-escaped and escapes them again on import).
+// Served by GET /api/:groupType/groups/:id/export.csv and used by the
+// client's ZIP export.
+
+const COLUMNS = ['id', 'order_index', 'title', 'lat', 'lng', 'color', 'notes', 'created_at'];
+const ZIP_COLUMNS = ['zip_code', 'centroid_lat', 'centroid_lng'];
+
+// Inverse of validator's escape(), which the group/location routes apply
+// to names and titles. &amp; goes last so "&amp;lt;" stays "&lt;".
+const HTML_ENTITIES = [
+    ['&lt;', '<'],
+    ['&gt;', '>'],
+    ['&quot;', '"'],
+    ['&#x27;', "'"],
+    ['&#x2F;', '/'],
+    ['&#96;', '`'],
+    ['&amp;', '&']
+];
+
+function unescapeHtml(value) {
+    return HTML_ENTITIES.reduce((text, [entity, char]) => text.split(entity).join(char), String(value));
+}
+
+// RFC 4180: quote fields containing a comma, quote or line break.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function zipCodeOf(location) {
+    const match = /\b(\d{5})\b/.exec(location.title || '');
+    return match ? match[1] : '';
+}
+
+// Shoelace ring area and centroid in lng/lat space.
+function ringCentroid(ring) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x0, y0] = ring[i];
+        const [x1, y1] = ring[i + 1];
+        const cross = x0 * y1 - x1 * y0;
+        area += cross;
+        x += (x0 + x1) * cross;
+        y += (y0 + y1) * cross;
+    }
+    area /= 2;
+    return area === 0 ? null : { area, lng: x / (6 * area), lat: y / (6 * area) };
+}
+
+// Area-weighted centroid of a Polygon/MultiPolygon's outer rings; null when
+// the geometry is missing, unreadable or degenerate.
+function polygonCentroid(geometryJson) {
+    let geometry;
+    try {
+        geometry = JSON.parse(geometryJson);
+    } catch {
+        return null;
+    }
+    if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+    const parts = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+
+    let totalArea = 0;
+    let lat = 0;
+    let lng = 0;
+    for (const rings of parts) {
+        const centroid = Array.isArray(rings) && Array.isArray(rings[0]) ? ringCentroid(rings[0]) : null;
+        if (!centroid) continue;
+        const weight = Math.abs(centroid.area);
+        totalArea += weight;
+        lat += centroid.lat * weight;
+        lng += centroid.lng * weight;
+    }
+    return totalArea === 0 ? null : { lat: lat / totalArea, lng: lng / totalArea };
+}
+
+// group: as returned by db.getLocationGroup (locations in list order, each
+// with orderIndex and createdAt). Custom fields follow the fixed columns,
+// headed by field name. A UTF-8 BOM keeps Excel from mangling non-ASCII
+// titles.
+function groupToCsv(group, groupType) {
+    const zip = groupType === 'zipcodes';
+    const customFields = group.customFields || [];
+    const header = [...COLUMNS, ...(zip ? ZIP_COLUMNS : []), ...customFields.map(field => field.name)];
+    const lines = [header.map(csvField).join(',')];
+
+    for (const location of group.locations || []) {
+        const fields = [
+            location.id,
+            location.orderIndex,
+            unescapeHtml(location.title || ''),
+            location.lat,
+            location.lng,
+            location.color,
+            location.notes,
+            location.createdAt
+        ];
+        if (zip) {
+            const centroid = location.geometry ? polygonCentroid(location.geometry) : null;
+            fields.push(zipCodeOf(location), centroid ? centroid.lat : '', centroid ? centroid.lng : '');
+        }
+        const values = location.customValues || {};
+        customFields.forEach(field => fields.push(values[field.id]));
+        lines.push(fields.map(csvField).join(','));
+    }
+    return `﻿${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { groupToCsv, unescapeHtml, polygonCentroid, csvField, zipCodeOf };
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import retention from '../retention.js';
+
+const { getMaxVersions, getRetentionDays, purgeCutoff } = retention;
+
+describe('getMaxVersions', () => {
+    it('defaults to 200 versions', () => {
+        expect(getMaxVersions({})).toBe(200);
+    });
+
+    it('reads GROUP_HISTORY_MAX_VERSIONS from env and ignores unusable values', () => {
+        expect(getMaxVersions({ GROUP_HISTORY_MAX_VERSIONS: '50' })).toBe(50);
+        expect(getMaxVersions({ GROUP_HISTORY_MAX_VERSIONS: '0' })).toBe(200);
+        expect(getMaxVersions({ GROUP_HISTORY_MAX_VERSIONS: 'all' })).toBe(200);
+    });
+});
+
+describe('getRetentionDays', () => {
+    it('defaults to 365 days', () => {
+        expect(getRetentionDays({})).toBe(365);
+    });
+
+    it('reads GROUP_HISTORY_RETENTION_DAYS from env and ignores unusable values', () => {
+        expect(getRetentionDays({ GROUP_HISTORY_RETENTION_DAYS: '90' })).toBe(90);
+        expect(getRetentionDays({ GROUP_HISTORY_RETENTION_DAYS: '-1' })).toBe(365);
+    });
+});
+
+describe('purgeCutoff', () => {
+    it('puts the cutoff retentionDays before now', () => {
+        expect(purgeCutoff(new Date('2024-03-31T12:00:00Z'), 30).toISOString()).toBe('2024-03-01T12:00:00.000Z');
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import snapshots from '../snapshots.js';
+
+const { buildSnapshot, diffSnapshots, geometriesByHash, snapshotGeometryHashes, withGeometries } = snapshots;
+
+const location = (id, overrides = {}) => ({ id, lat: 1, lng: 2, title: `L${id}`, color: '#3B82F6', ...overrides });
+
+function snapshot(locations, overrides = {}) {
+    return buildSnapshot({ name: 'Territory', customFields: [], locations, ...overrides });
+}
+
+describe('buildSnapshot', () => {
+    it('keeps content fields in order and drops timestamps and unset values', () => {
+        const result = buildSnapshot({
+            name: 'North',
+            customFields: [{ id: 'f1', name: 'Rep', type: 'text' }],
+            locations: [
+                { ...location('b'), orderIndex: 0, createdAt: '2024-01-01', notes: 'call first', customValues: { f1: 'Ann' } },
+                { ...location('a'), orderIndex: 1, geometry: null }
+            ]
+        });
+        expect(result).toEqual({
+            name: 'North',
+            customFields: [{ id: 'f1', name: 'Rep', type: 'text' }],
+            locations: [
+                { id: 'b', lat: 1, lng: 2, title: 'Lb', color: '#3B82F6', notes: 'call first', customValues: { f1: 'Ann' } },
+                { id: 'a', lat: 1, lng: 2, title: 'La', color: '#3B82F6' }
+            ]
+        });
+    });
+
+    it('defaults missing custom fields and locations to empty lists', () => {
+        expect(buildSnapshot({ name: 'Empty' })).toEqual({ name: 'Empty', customFields: [], locations: [] });
+    });
+});
+
+describe('snapshot geometry', () => {
+    const square = JSON.stringify({ type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [0, 0]]] });
+    const line = JSON.stringify({ type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+    const locations = [location('a', { geometry: square }), location('b', { geometry: square }), location('c', { geometry: line }), location('d')];
+
+    it('references geometry by hash, storing each distinct shape once', () => {
+        const result = snapshot(locations);
+        expect(result.locations[0].geometry).toBeUndefined();
+        expect(result.locations[0].geometryHash).toBe(result.locations[1].geometryHash);
+        expect(result.locations[2].geometryHash).not.toBe(result.locations[0].geometryHash);
+        expect(result.locations[3].geometryHash).toBeUndefined();
+        expect(snapshotGeometryHashes(result)).toHaveLength(2);
+        expect([...geometriesByHash(locations).values()]).toEqual([square, line]);
+    });
+
+    it('puts the geometry back for viewing and restoring', () => {
+        const restored = withGeometries(snapshot(locations), geometriesByHash(locations));
+        expect(restored.locations.map(entry => entry.geometry)).toEqual([square, square, line, undefined]);
+        expect(restored.locations.some(entry => 'geometryHash' in entry)).toBe(false);
+    });
+
+    it('counts a reshape as an edit', () => {
+        const previous = snapshot([location('a', { geometry: square })]);
+        expect(diffSnapshots(previous, snapshot([location('a', { geometry: line })])).edited).toBe(1);
+        expect(diffSnapshots(previous, snapshot([location('a', { geometry: square })])).edited).toBe(0);
+    });
+});
+
+describe('diffSnapshots', () => {
+    it('returns null without a previous version', () => {
+        expect(diffSnapshots(null, snapshot([location('a')]))).toBeNull();
+    });
+
+    it('reports nothing for identical snapshots', () => {
+        const s = snapshot([location('a'), location('b')]);
+        expect(diffSnapshots(s, s)).toEqual({
+            renamed: false, fieldsChanged: false, added: 0, removed: 0, moved: 0, edited: 0, reordered: false
+        });
+    });
+
+    it('counts added, removed, moved and edited locations by id', () => {
+        const previous = snapshot([location('a'), location('b'), location('c')]);
+        const next = snapshot([
+            location('a', { lat: 5 }),
+            location('b', { color: '#ff0000', notes: 'new' }),
+            location('d')
+        ]);
+        expect(diffSnapshots(previous, next)).toMatchObject({ added: 1, removed: 1, moved: 1, edited: 1 });
+    });
+
+    it('detects reordering among the locations kept, ignoring additions', () => {
+        const previous = snapshot([location('a'), location('b'), location('c')]);
+        expect(diffSnapshots(previous, snapshot([location('c'), location('a'), location('b')])).reordered).toBe(true);
+        expect(diffSnapshots(previous, snapshot([location('x'), location('a'), location('c')])).reordered).toBe(false);
+    });
+
+    it('flags a rename and custom field changes', () => {
+        const previous = snapshot([], { customFields: [{ id: 'f1', name: 'Rep', type: 'text' }] });
+        const next = snapshot([], { name: 'South', customFields: [] });
+        expect(diffSnapshots(previous, next)).toMatchObject({ renamed: true, fieldsChanged: true });
+    });
+});
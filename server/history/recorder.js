@@ -0,0 +1,25 @@
+// Group version writer shared by server.js, server/trash/routes.js and the
+// history routes. Called after a group or location change has succeeded.
+// Unlike audit() it is awaited, so the next request already sees the new
+// version, but a failure is still only logged: the change itself is saved.
+// db.recordGroupVersion locks the group while it numbers the version, so
+// concurrent changes don't collide on a version number.
+//
+// action names the change the same way the audit log does (group.update,
+// location.delete, ...).
+const historyRetention = require('./retention');
+
+async function recordGroupVersion(db, req, groupId, action, { restoredFrom = null } = {}) {
+    try {
+        await db.recordGroupVersion(groupId, {
+            action,
+            actorId: req.deviceId || null,
+            restoredFrom,
+            maxVersions: historyRetention.getMaxVersions()
+        });
+    } catch (error) {
+        console.error(`Error recording group version (${action}):`, error);
+    }
+}
+
+module.exports = { recordGroupVersion };
@@ -0,0 +1,31 @@
+// How much group version history is kept. Configured through env:
+//   GROUP_HISTORY_MAX_VERSIONS    newest versions kept per group (default 200),
+//                                 enforced whenever a version is recorded
+//   GROUP_HISTORY_RETENTION_DAYS  versions older than this are removed by the
+//                                 periodic purge (default 365)
+// A group's latest version is kept however old it is, so its next change
+// still has something to diff against. The date math is kept pure here; the
+// pruning itself is db.recordGroupVersion / db.purgeGroupVersions.
+const DEFAULT_MAX_VERSIONS = 200;
+const DEFAULT_RETENTION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function positiveInt(value, fallback) {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : fallback;
+}
+
+function getMaxVersions(env = process.env) {
+    return positiveInt(env.GROUP_HISTORY_MAX_VERSIONS, DEFAULT_MAX_VERSIONS);
+}
+
+function getRetentionDays(env = process.env) {
+    return positiveInt(env.GROUP_HISTORY_RETENTION_DAYS, DEFAULT_RETENTION_DAYS);
+}
+
+// Versions recorded before this moment are due for purging.
+function purgeCutoff(now, retentionDays) {
+    return new Date(now.getTime() - retentionDays * DAY_MS);
+}
+
+module.exports = { DEFAULT_MAX_VERSIONS, DEFAULT_RETENTION_DAYS, getMaxVersions, getRetentionDays, purgeCutoff };
@@ -0,0 +1,92 @@
+// Version history for location and ZIP groups: list a group's versions,
+// fetch one (with its snapshot, for viewing on the map) and restore it.
+// Versions are written by recorder.js from the group/location routes.
+// Mounted from server.js defineRoutes() via registerHistoryRoutes(app, db),
+// behind the requireAuth already applied to /api/locations and
+// /api/zipcodes.
+const { param, query, validationResult } = require('express-validator');
+const { audit } = require('../audit/recorder');
+const { recordGroupVersion } = require('./recorder');
+
+const GROUP_PATH = '/api/:groupType(locations|zipcodes)/groups/:id/versions';
+
+// Same validation error handler shape server.js uses inline.
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Same split as the group routes: too little permission on a visible group
+// is a 403, a group (or version) the user can't see is a 404.
+function sendHistoryError(res, error, fallback) {
+    if (error.message.startsWith('Permission denied')) {
+        return res.status(403).json({ error: error.message });
+    }
+    if (error.message === 'Version not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({ error: 'Location group not found' });
+    }
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+function registerHistoryRoutes(app, db) {
+    const idParam = param('id').isUUID().withMessage('Invalid group ID');
+    const versionParam = param('version').isInt({ min: 1 }).toInt().withMessage('Invalid version');
+
+    // Newest first; ?before=<version> pages further back.
+    app.get(GROUP_PATH, [
+        idParam,
+        query('before').optional().isInt({ min: 1 }).toInt(),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { id, groupType } = req.params;
+            const versions = await db.getGroupVersions(id, req.deviceId, groupType, { before: req.query.before || null });
+            res.json(versions);
+        } catch (error) {
+            sendHistoryError(res, error, 'Failed to fetch group history');
+        }
+    });
+
+    app.get(`${GROUP_PATH}/:version`, [idParam, versionParam, handleValidationErrors], async (req, res) => {
+        try {
+            const { id, groupType, version } = req.params;
+            const found = await db.getGroupVersion(id, req.deviceId, version, groupType);
+            if (!found) {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            res.json(found);
+        } catch (error) {
+            sendHistoryError(res, error, 'Failed to fetch group version');
+        }
+    });
+
+    // Needs edit access. The restore is itself recorded as a new version,
+    // so it can be undone the same way.
+    app.post(`${GROUP_PATH}/:version/restore`, [idParam, versionParam, handleValidationErrors], async (req, res) => {
+        try {
+            const { id, groupType, version } = req.params;
+            const group = await db.restoreGroupVersion(id, req.deviceId, version, groupType);
+            await recordGroupVersion(db, req, id, 'version.restore', { restoredFrom: version });
+            audit(db, req, 'group.version_restore', {
+                entityType: 'group',
+                entityId: id,
+                after: { name: group.name, groupType, version, locationCount: group.locations.length }
+            });
+            res.json(group);
+        } catch (error) {
+            sendHistoryError(res, error, 'Failed to restore group version');
+        }
+    });
+}
+
+module.exports = { registerHistoryRoutes };
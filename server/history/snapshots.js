@@ -0,0 +1,101 @@
+// Group version history. Every change made through the group/location
+// routes stores a snapshot of the group afterwards (name, custom field
+// definitions and the ordered locations) in location_group_versions, plus a
+// small diff against the previous version for the history list.
+// Geometry (ZIP boundaries, drawn shapes) is the bulk of a group and rarely
+// changes, so snapshots only reference it by hash; each distinct shape is
+// stored once per group in location_group_version_geometries and put back
+// with withGeometries() when a version is viewed or restored.
+const crypto = require('crypto');
+
+// Location keys copied into a snapshot. Timestamps and order_index are left
+// out: order is the array order, and neither says anything about content.
+const LOCATION_KEYS = ['id', 'lat', 'lng', 'title', 'color', 'notes', 'customValues'];
+const EDIT_KEYS = ['title', 'color', 'geometryHash', 'notes', 'customValues'];
+
+function geometryHash(geometry) {
+    return crypto.createHash('sha256').update(geometry).digest('hex');
+}
+
+// { name, customFields, locations } from a group as getLocationGroup /
+// getLocationsForGroup return it. Optional keys are only present when set;
+// a location's geometry becomes its geometryHash.
+function buildSnapshot(group) {
+    return {
+        name: group.name,
+        customFields: group.customFields || [],
+        locations: (group.locations || []).map(location => {
+            const entry = {};
+            for (const key of LOCATION_KEYS) {
+                if (location[key] !== undefined && location[key] !== null) entry[key] = location[key];
+            }
+            if (location.geometry) entry.geometryHash = geometryHash(location.geometry);
+            return entry;
+        })
+    };
+}
+
+// hash -> geometry for the distinct geometries among locations.
+function geometriesByHash(locations) {
+    const byHash = new Map();
+    for (const location of locations || []) {
+        if (location.geometry) byHash.set(geometryHash(location.geometry), location.geometry);
+    }
+    return byHash;
+}
+
+// The hashes a snapshot references, each once.
+function snapshotGeometryHashes(snapshot) {
+    return [...new Set(snapshot.locations.map(location => location.geometryHash).filter(Boolean))];
+}
+
+// The snapshot with each geometryHash swapped back for its geometry
+// (byHash: Map hash -> geometry), as the history routes return it.
+function withGeometries(snapshot, byHash) {
+    return {
+        ...snapshot,
+        locations: snapshot.locations.map(({ geometryHash: hash, ...location }) => (
+            hash && byHash.has(hash) ? { ...location, geometry: byHash.get(hash) } : location
+        ))
+    };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// What changed from previous to next, both snapshots (previous may be null
+// for a group's first recorded version, which has nothing to compare with):
+// { renamed, fieldsChanged, added, removed, moved, edited, reordered }
+// where the counts are numbers of locations. Locations are matched by id.
+function diffSnapshots(previous, next) {
+    if (!previous) return null;
+
+    const before = new Map(previous.locations.map(location => [location.id, location]));
+    const after = new Map(next.locations.map(location => [location.id, location]));
+
+    let moved = 0;
+    let edited = 0;
+    for (const [id, location] of after) {
+        const old = before.get(id);
+        if (!old) continue;
+        if (old.lat !== location.lat || old.lng !== location.lng) moved++;
+        if (EDIT_KEYS.some(key => !sameValue(old[key], location[key]))) edited++;
+    }
+
+    // Order of the locations present in both, ignoring additions/removals
+    const keptBefore = previous.locations.map(l => l.id).filter(id => after.has(id));
+    const keptAfter = next.locations.map(l => l.id).filter(id => before.has(id));
+
+    return {
+        renamed: previous.name !== next.name,
+        fieldsChanged: !sameValue(previous.customFields, next.customFields),
+        added: next.locations.filter(l => !before.has(l.id)).length,
+        removed: previous.locations.filter(l => !after.has(l.id)).length,
+        moved,
+        edited,
+        reordered: keptBefore.some((id, index) => keptAfter[index] !== id)
+    };
+}
+
+module.exports = { buildSnapshot, diffSnapshots, geometriesByHash, snapshotGeometryHashes, withGeometries };
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import customFields from '../customFields.js';
+
+const { normalizeFieldDefinitions, normalizeCustomValues, isInvalidFieldError } = customFields;
+
+const fields = [
+    { id: 'contact', name: 'Contact', type: 'text' },
+    { id: 'beds', name: 'Beds', type: 'number' },
+    { id: 'visited', name: 'Last visit', type: 'date' },
+    { id: 'tier', name: 'Tier', type: 'select', options: ['Gold', 'Silver'] }
+];
+
+describe('normalizeFieldDefinitions', () => {
+    it('keeps ids, trims names and dedupes select options', () => {
+        expect(normalizeFieldDefinitions([
+            { id: 'a', name: ' Contact ', type: 'text' },
+            { id: 'b', name: 'Tier', type: 'select', options: ['Gold', ' Gold', 'Silver', ''] }
+        ])).toEqual([
+            { id: 'a', name: 'Contact', type: 'text' },
+            { id: 'b', name: 'Tier', type: 'select', options: ['Gold', 'Silver'] }
+        ]);
+    });
+
+    it('assigns ids to new fields', () => {
+        const [field] = normalizeFieldDefinitions([{ name: 'Beds', type: 'number' }]);
+        expect(field.id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('rejects bad types, duplicate names and empty selects', () => {
+        expect(() => normalizeFieldDefinitions([{ name: 'X', type: 'color' }])).toThrow(/type must be one of/);
+        expect(() => normalizeFieldDefinitions([
+            { name: 'Tier', type: 'text' },
+            { name: 'tier', type: 'text' }
+        ])).toThrow(/unique/);
+        expect(() => normalizeFieldDefinitions([{ name: 'Tier', type: 'select', options: [] }])).toThrow(/options/);
+        expect(() => normalizeFieldDefinitions('nope')).toThrow(/expected an array/);
+    });
+});
+
+describe('normalizeCustomValues', () => {
+    it('coerces values to their field type and drops empties', () => {
+        expect(normalizeCustomValues({
+            contact: ' Dr. Lee ',
+            beds: '12',
+            visited: '2026-03-01',
+            tier: 'Gold'
+        }, fields)).toEqual({ contact: 'Dr. Lee', beds: 12, visited: '2026-03-01', tier: 'Gold' });
+        expect(normalizeCustomValues({ contact: '', beds: null }, fields)).toEqual({});
+    });
+
+    it('rejects values that do not fit the field', () => {
+        expect(() => normalizeCustomValues({ beds: 'many' }, fields)).toThrow(/"Beds": must be a number/);
+        expect(() => normalizeCustomValues({ visited: '2026-02-30' }, fields)).toThrow(/date/);
+        expect(() => normalizeCustomValues({ tier: 'Bronze' }, fields)).toThrow(/one of Gold, Silver/);
+        expect(() => normalizeCustomValues({ missing: 'x' }, fields)).toThrow(/unknown field/);
+    });
+
+    it('throws errors the routes can recognize', () => {
+        let caught = null;
+        try {
+            normalizeCustomValues([], fields);
+        } catch (error) {
+            caught = error;
+        }
+        expect(caught && isInvalidFieldError(caught)).toBe(true);
+        expect(isInvalidFieldError(new Error('Location not found'))).toBe(false);
+    });
+});
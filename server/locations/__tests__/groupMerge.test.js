@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import groupMerge from '../groupMerge.js';
+
+const { dedupeKey, mergeCustomFields, mergeGroups } = groupMerge;
+
+const location = (title, lat, lng, extra = {}) => ({ id: title, title, lat, lng, color: '#3B82F6', ...extra });
+
+describe('dedupeKey', () => {
+    it('uses the ZIP code in the title, or nothing without one', () => {
+        expect(dedupeKey(location('ZIP 90210', 34, -118), 'zip')).toBe('90210');
+        expect(dedupeKey(location('Main St', 34, -118), 'zip')).toBeNull();
+    });
+
+    it('rounds coordinates to about a metre', () => {
+        expect(dedupeKey(location('A', 34.0000001, -118.0000004), 'coordinates'))
+            .toBe(dedupeKey(location('B', 34, -118), 'coordinates'));
+        expect(dedupeKey(location('A', 34.0001, -118), 'coordinates'))
+            .not.toBe(dedupeKey(location('B', 34, -118), 'coordinates'));
+    });
+
+    it('never matches without a mode', () => {
+        expect(dedupeKey(location('90210', 34, -118), 'none')).toBeNull();
+    });
+});
+
+describe('mergeCustomFields', () => {
+    it('combines same-named fields, pools select options and maps ids', () => {
+        const { customFields, idMaps } = mergeCustomFields([
+            { customFields: [{ id: 'a1', name: 'Tier', type: 'select', options: ['Gold'] }] },
+            { customFields: [
+                { id: 'b1', name: 'tier', type: 'select', options: ['Gold', 'Silver'] },
+                { id: 'b2', name: 'Rep', type: 'text' }
+            ] }
+        ]);
+        expect(customFields).toEqual([
+            { id: 'a1', name: 'Tier', type: 'select', options: ['Gold', 'Silver'] },
+            { id: 'b2', name: 'Rep', type: 'text' }
+        ]);
+        expect(idMaps).toEqual([{ a1: 'a1' }, { b1: 'a1', b2: 'b2' }]);
+    });
+
+    it('keeps same-named fields of another type apart and avoids id clashes', () => {
+        const { customFields, idMaps } = mergeCustomFields([
+            { customFields: [{ id: 'x', name: 'Beds', type: 'text' }] },
+            { customFields: [{ id: 'x', name: 'Beds', type: 'number' }] }
+        ]);
+        expect(customFields.map(field => field.name)).toEqual(['Beds', 'Beds (number)']);
+        expect(customFields[1].id).not.toBe('x');
+        expect(idMaps[1].x).toBe(customFields[1].id);
+    });
+
+    it('numbers a renamed field when its new name is taken as well', () => {
+        const { customFields } = mergeCustomFields([
+            { customFields: [
+                { id: 'a', name: 'Beds', type: 'text' },
+                { id: 'b', name: 'Beds (number)', type: 'text' }
+            ] },
+            { customFields: [{ id: 'c', name: 'beds', type: 'number' }] }
+        ]);
+        expect(customFields.map(field => field.name)).toEqual(['Beds', 'Beds (number)', 'beds (number 2)']);
+    });
+
+    it('turns a select field into a text field when the pooled options pass the limit', () => {
+        const options = (prefix) => Array.from({ length: 30 }, (_, i) => `${prefix}${i}`);
+        const { customFields } = mergeCustomFields([
+            { customFields: [{ id: 'a', name: 'Tier', type: 'select', options: options('a') }] },
+            { customFields: [{ id: 'b', name: 'Tier', type: 'select', options: [...options('a'), ' a1 '] }] }
+        ]);
+        expect(customFields[0].options).toHaveLength(30);
+
+        const { customFields: overflowing } = mergeCustomFields([
+            { customFields: [{ id: 'a', name: 'Tier', type: 'select', options: options('a') }] },
+            { customFields: [{ id: 'b', name: 'Tier', type: 'select', options: options('b') }] }
+        ]);
+        expect(overflowing).toEqual([{ id: 'a', name: 'Tier', type: 'text' }]);
+    });
+});
+
+describe('mergeGroups', () => {
+    const north = {
+        customFields: [{ id: 'n', name: 'Rep', type: 'text' }],
+        locations: [
+            location('ZIP 90210', 34, -118, { geometry: '{}', customValues: { n: 'Ann', gone: 'x' } }),
+            location('ZIP 90211', 34.1, -118)
+        ]
+    };
+    const south = {
+        customFields: [{ id: 's', name: 'Rep', type: 'text' }],
+        locations: [
+            location('ZIP 90211 again', 34.2, -118, { customValues: { s: 'Bob' } }),
+            location('ZIP 90212', 34, -118, { notes: 'same spot' })
+        ]
+    };
+
+    it('concatenates in group order without ids, remapping custom values', () => {
+        const result = mergeGroups([north, south]);
+        expect(result.duplicates).toBe(0);
+        expect(result.customFields).toEqual([{ id: 'n', name: 'Rep', type: 'text' }]);
+        expect(result.locations.map(l => l.title)).toEqual(['ZIP 90210', 'ZIP 90211', 'ZIP 90211 again', 'ZIP 90212']);
+        expect(result.locations[0]).toEqual({
+            lat: 34, lng: -118, title: 'ZIP 90210', color: '#3B82F6', geometry: '{}', customValues: { n: 'Ann' }
+        });
+        expect(result.locations[2].customValues).toEqual({ n: 'Bob' });
+    });
+
+    it('keeps the first occurrence when de-duplicating', () => {
+        const byZip = mergeGroups([north, south], { dedupeBy: 'zip' });
+        expect(byZip.duplicates).toBe(1);
+        expect(byZip.locations.map(l => l.title)).toEqual(['ZIP 90210', 'ZIP 90211', 'ZIP 90212']);
+
+        const byCoordinates = mergeGroups([north, south], { dedupeBy: 'coordinates' });
+        expect(byCoordinates.duplicates).toBe(1);
+        expect(byCoordinates.locations.map(l => l.title)).toEqual(['ZIP 90210', 'ZIP 90211', 'ZIP 90211 again']);
+    });
+
+    it('rejects unknown modes', () => {
+        expect(() => mergeGroups([north], { dedupeBy: 'title' })).toThrow(/Unknown de-duplication mode/);
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import routePlanning from '../routePlanning.js';
+
+const { straightMiles, roadMiles, planRoute } = routePlanning;
+
+const stop = (id, lat, lng) => ({ id, lat, lng });
+
+describe('distances', () => {
+    it('measures straight-line miles on the globe', () => {
+        // Los Angeles City Hall to San Francisco City Hall, ~347 miles
+        const miles = straightMiles({ lat: 34.0537, lng: -118.2428 }, { lat: 37.7793, lng: -122.4193 });
+        expect(miles).toBeGreaterThan(340);
+        expect(miles).toBeLessThan(355);
+    });
+
+    it('approximates road distance as the grid route', () => {
+        const a = { lat: 34, lng: -118 };
+        const due = { lat: 34.1, lng: -118 };
+        const diagonal = { lat: 34.1, lng: -118.1 };
+        expect(roadMiles(a, due)).toBeCloseTo(straightMiles(a, due), 1);
+        const ratio = roadMiles(a, diagonal) / straightMiles(a, diagonal);
+        expect(ratio).toBeGreaterThan(1.3);
+        expect(ratio).toBeLessThan(1.42);
+    });
+});
+
+describe('planRoute', () => {
+    // Four stops along a line, listed out of order
+    const stops = [stop('c', 34, -118.3), stop('a', 34, -118.1), stop('d', 34, -118.4), stop('b', 34, -118.2)];
+
+    it('visits stops outward from a start point', () => {
+        const plan = planRoute({ lat: 34, lng: -118 }, stops);
+        expect(plan.order).toEqual(['a', 'b', 'c', 'd']);
+        expect(plan.legs).toHaveLength(4);
+        expect(plan.totalMiles).toBeCloseTo(plan.legs.reduce((sum, leg) => sum + leg, 0), 1);
+    });
+
+    it('keeps a start location first', () => {
+        const plan = planRoute({ locationId: 'c' }, stops);
+        expect(plan.order[0]).toBe('c');
+        expect(plan.order).toHaveLength(4);
+        expect(plan.legs).toHaveLength(3);
+    });
+
+    it('adds the leg back to the start for a round trip', () => {
+        const oneWay = planRoute({ lat: 34, lng: -118 }, stops);
+        const roundTrip = planRoute({ lat: 34, lng: -118 }, stops, { returnToStart: true });
+        expect(roundTrip.legs).toHaveLength(5);
+        expect(roundTrip.totalMiles).toBeGreaterThan(oneWay.totalMiles);
+    });
+
+    it('untangles crossing legs left by nearest-neighbour', () => {
+        // Corners of a square plus a point that lures nearest-neighbour across
+        const square = [
+            stop('ne', 1, 1), stop('se', 0, 1), stop('sw', 0, 0), stop('nw', 1, 0), stop('mid', 0.5, 0.1)
+        ];
+        const plan = planRoute({ lat: 0.5, lng: 0 }, square, { returnToStart: true });
+        const perimeter = 4 * straightMiles({ lat: 0, lng: 0 }, { lat: 0, lng: 1 });
+        expect(plan.totalMiles).toBeLessThan(perimeter * 1.05);
+    });
+
+    it('handles an empty group and rejects bad input', () => {
+        expect(planRoute({ lat: 34, lng: -118 }, [])).toEqual({ order: [], legs: [], totalMiles: 0 });
+        expect(() => planRoute({ locationId: 'zz' }, stops)).toThrow('Location not found');
+        expect(() => planRoute({ lat: 34, lng: -118 }, stops, { distance: 'flight' })).toThrow(/Unknown distance mode/);
+    });
+});
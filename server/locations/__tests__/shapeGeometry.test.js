@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import shapeGeometry from '../shapeGeometry.js';
+
+const { normalizeShapeGeometry, isInvalidGeometryError } = shapeGeometry;
+
+const parse = (geometry) => JSON.parse(normalizeShapeGeometry(JSON.stringify(geometry)));
+
+describe('normalizeShapeGeometry', () => {
+    it('closes open polygon rings and drops extra members', () => {
+        expect(parse({
+            type: 'Polygon',
+            coordinates: [[[-118.3, 34], [-118.2, 34], [-118.2, 34.1]]],
+            properties: { name: 'x' }
+        })).toEqual({
+            type: 'Polygon',
+            coordinates: [[[-118.3, 34], [-118.2, 34], [-118.2, 34.1], [-118.3, 34]]]
+        });
+    });
+
+    it('keeps holes and multi-part shapes', () => {
+        const outer = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]];
+        const hole = [[1, 1], [2, 1], [2, 2], [1, 1]];
+        expect(parse({ type: 'MultiPolygon', coordinates: [[outer, hole], [outer]] }).coordinates)
+            .toEqual([[outer, hole], [outer]]);
+    });
+
+    it('accepts lines', () => {
+        expect(parse({ type: 'LineString', coordinates: [[-118.3, 34], [-118.2, 34.1]] }).type).toBe('LineString');
+        expect(parse({ type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] }).coordinates).toHaveLength(2);
+    });
+
+    it('rejects unsupported types, bad JSON and out-of-range positions', () => {
+        expect(() => parse({ type: 'Point', coordinates: [0, 0] })).toThrow(/type must be one of/);
+        expect(() => normalizeShapeGeometry('{')).toThrow(/not valid JSON/);
+        expect(() => parse({ type: 'LineString', coordinates: [[0, 0], [200, 0]] })).toThrow(/longitude/);
+        expect(() => parse({ type: 'LineString', coordinates: [[0, 0], [0, '1']] })).toThrow(/latitude/);
+    });
+
+    it('rejects shapes with too few positions', () => {
+        expect(() => parse({ type: 'LineString', coordinates: [[0, 0]] })).toThrow(/at least 2/);
+        expect(() => parse({ type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] })).toThrow(/at least 3 corners/);
+        expect(() => parse({ type: 'MultiPolygon', coordinates: [] })).toThrow(/must not be empty/);
+    });
+
+    it('flags its errors for the routes', () => {
+        let thrown = null;
+        try {
+            normalizeShapeGeometry('null');
+        } catch (error) {
+            thrown = error;
+        }
+        expect(isInvalidGeometryError(thrown)).toBe(true);
+        expect(isInvalidGeometryError(new Error('Location not found'))).toBe(false);
+    });
+});
@@ -0,0 +1,109 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Per-group custom field definitions (location_groups.custom_fields) and
+// the per-location values keyed by field id (locations.custom_values).
+// Both arrive as JSON from the client, so everything is checked here and
+// errors are thrown as "Invalid custom field..." messages the routes turn
+// into 400s.
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+const MAX_FIELDS = 20;
+const MAX_NAME_LENGTH = 50;
+const MAX_OPTIONS = 50;
+const MAX_OPTION_LENGTH = 100;
+const MAX_TEXT_LENGTH = 500;
+
+function isInvalidFieldError(error) {
+    return error.message.startsWith('Invalid custom field');
+}
+
+function fail(message) {
+    throw new Error(`Invalid custom field ${message}`);
+}
+
+// Returns clean [{ id, name, type, options? }]. Ids are kept so existing
+// values stay attached across renames; new fields get one.
+function normalizeFieldDefinitions(fields) {
+    if (!Array.isArray(fields)) fail('definitions: expected an array');
+    if (fields.length > MAX_FIELDS) fail(`definitions: at most ${MAX_FIELDS} fields`);
+
+    const ids = new Set();
+    const names = new Set();
+    return fields.map((field, index) => {
+        if (!field || typeof field !== 'object') fail(`#${index + 1}: expected an object`);
+        const name = typeof field.name === 'string' ? field.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) fail(`#${index + 1}: name must be 1-${MAX_NAME_LENGTH} characters`);
+        if (names.has(name.toLowerCase())) fail(`"${name}": names must be unique`);
+        names.add(name.toLowerCase());
+        if (!FIELD_TYPES.includes(field.type)) fail(`"${name}": type must be one of ${FIELD_TYPES.join(', ')}`);
+
+        const id = typeof field.id === 'string' && field.id.trim() ? field.id.trim().slice(0, 64) : uuidv4();
+        if (ids.has(id)) fail(`"${name}": duplicate id`);
+        ids.add(id);
+
+        const definition = { id, name, type: field.type };
+        if (field.type === 'select') {
+            const options = Array.isArray(field.options)
+                ? [...new Set(field.options.map((option) => String(option).trim()).filter(Boolean))]
+                : [];
+            if (options.length === 0 || options.length > MAX_OPTIONS) {
+                fail(`"${name}": select fields need 1-${MAX_OPTIONS} options`);
+            }
+            if (options.some((option) => option.length > MAX_OPTION_LENGTH)) {
+                fail(`"${name}": options must be ${MAX_OPTION_LENGTH} characters or fewer`);
+            }
+            definition.options = options;
+        }
+        return definition;
+    });
+}
+
+function isValidDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().slice(0, 10) === value;
+}
+
+// Checks { fieldId: value } against the group's definitions and returns the
+// cleaned object. Empty values (null, '') are dropped; unknown field ids
+// are rejected so typos don't silently vanish.
+function normalizeCustomValues(values, fields) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) fail('values: expected an object');
+    const byId = new Map(fields.map((field) => [field.id, field]));
+    const clean = {};
+
+    for (const [id, raw] of Object.entries(values)) {
+        const field = byId.get(id);
+        if (!field) fail(`value: unknown field ${id}`);
+        if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) continue;
+
+        if (field.type === 'number') {
+            const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isFinite(number)) fail(`"${field.name}": must be a number`);
+            clean[id] = number;
+        } else if (field.type === 'date') {
+            const date = String(raw).trim();
+            if (!isValidDate(date)) fail(`"${field.name}": must be a date (YYYY-MM-DD)`);
+            clean[id] = date;
+        } else if (field.type === 'select') {
+            const option = String(raw).trim();
+            if (!field.options.includes(option)) fail(`"${field.name}": must be one of ${field.options.join(', ')}`);
+            clean[id] = option;
+        } else {
+            const text = String(raw).trim();
+            if (text.length > MAX_TEXT_LENGTH) fail(`"${field.name}": must be ${MAX_TEXT_LENGTH} characters or fewer`);
+            clean[id] = text;
+        }
+    }
+    return clean;
+}
+
+module.exports = {
+    FIELD_TYPES,
+    MAX_NAME_LENGTH,
+    MAX_OPTIONS,
+    normalizeFieldDefinitions,
+    normalizeCustomValues,
+    isInvalidFieldError
+};
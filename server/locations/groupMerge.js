@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+const { zipCodeOf } = require('../export/groupCsv');
+const { MAX_NAME_LENGTH, MAX_OPTIONS } = require('./customFields');
+
+// Combines several location/ZIP groups into the content of a new one, for
+// POST /api/:groupType/groups/merge. Locations keep the order the groups
+// were given in; with de-duplication the first occurrence of a ZIP code or
+// coordinate wins. Custom fields with the same name and type become one
+// field (select options are pooled), so values carry over; the merge never
+// fails over field names or option counts. The result still
+// goes through normalizeFieldDefinitions/normalizeCustomValues in the route.
+
+const DEDUPE_MODES = ['none', 'zip', 'coordinates'];
+
+// ~1 m; the same address geocoded twice lands on the same key.
+const COORDINATE_DECIMALS = 5;
+
+// null means "never a duplicate" — e.g. a location with no ZIP in its title.
+function dedupeKey(location, mode) {
+    if (mode === 'zip') {
+        return zipCodeOf(location) || null;
+    }
+    if (mode === 'coordinates') {
+        const lat = Number(location.lat);
+        const lng = Number(location.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+        return `${lat.toFixed(COORDINATE_DECIMALS)},${lng.toFixed(COORDINATE_DECIMALS)}`;
+    }
+    return null;
+}
+
+// "Name", else "Name (type)", else "Name (type 2)", "Name (type 3)"...,
+// whichever is still free.
+function uniqueFieldName(name, type, usedNames) {
+    if (!usedNames.has(name.toLowerCase())) return name;
+    for (let n = 1; ; n++) {
+        const suffix = n === 1 ? ` (${type})` : ` (${type} ${n})`;
+        const candidate = `${name.slice(0, MAX_NAME_LENGTH - suffix.length).trimEnd()}${suffix}`;
+        if (!usedNames.has(candidate.toLowerCase())) return candidate;
+    }
+}
+
+// Returns { customFields, idMaps } where idMaps[i] maps group i's field ids
+// to the merged ones. Same-named fields of different types are kept apart,
+// the later one renamed (see uniqueFieldName). A select field whose pooled
+// options come to more than MAX_OPTIONS becomes a text field, so every
+// value still fits.
+function mergeCustomFields(groups) {
+    const customFields = [];
+    const byKey = new Map();
+    const usedIds = new Set();
+    const usedNames = new Set();
+
+    const idMaps = groups.map(group => {
+        const idMap = {};
+        for (const field of group.customFields || []) {
+            const key = `${field.name.toLowerCase()}\u0000${field.type}`;
+            let merged = byKey.get(key);
+            if (!merged) {
+                const name = uniqueFieldName(field.name, field.type, usedNames);
+                merged = {
+                    id: usedIds.has(field.id) ? uuidv4() : field.id,
+                    name,
+                    type: field.type
+                };
+                if (field.type === 'select') merged.options = [];
+                usedIds.add(merged.id);
+                usedNames.add(name.toLowerCase());
+                byKey.set(key, merged);
+                customFields.push(merged);
+            }
+            if (field.type === 'select') {
+                for (const option of field.options || []) {
+                    const trimmed = String(option).trim();
+                    if (trimmed && !merged.options.includes(trimmed)) merged.options.push(trimmed);
+                }
+            }
+            idMap[field.id] = merged.id;
+        }
+        return idMap;
+    });
+
+    for (const field of customFields) {
+        if (field.type === 'select' && field.options.length > MAX_OPTIONS) {
+            field.type = 'text';
+            delete field.options;
+        }
+    }
+
+    return { customFields, idMaps };
+}
+
+function remapCustomValues(values, idMap) {
+    if (!values) return undefined;
+    const remapped = {};
+    for (const [id, value] of Object.entries(values)) {
+        // Values of fields the group no longer defines are dropped here
+        if (idMap[id]) remapped[idMap[id]] = value;
+    }
+    return Object.keys(remapped).length > 0 ? remapped : undefined;
+}
+
+// groups: [{ customFields, locations }] as getLocationGroup returns them.
+// Returns { customFields, locations, duplicates } with locations in the
+// shape createLocationGroup takes (no ids).
+function mergeGroups(groups, { dedupeBy = 'none' } = {}) {
+    if (!DEDUPE_MODES.includes(dedupeBy)) {
+        throw new Error(`Unknown de-duplication mode: ${dedupeBy}`);
+    }
+    const { customFields, idMaps } = mergeCustomFields(groups);
+    const seen = new Set();
+    const locations = [];
+    let duplicates = 0;
+
+    groups.forEach((group, groupIndex) => {
+        for (const location of group.locations || []) {
+            const key = dedupeKey(location, dedupeBy);
+            if (key !== null) {
+                if (seen.has(key)) {
+                    duplicates++;
+                    continue;
+                }
+                seen.add(key);
+            }
+
+            const merged = { lat: location.lat, lng: location.lng, title: location.title, color: location.color };
+            if (location.geometry) merged.geometry = location.geometry;
+            if (location.notes) merged.notes = location.notes;
+            const customValues = remapCustomValues(location.customValues, idMaps[groupIndex]);
+            if (customValues) merged.customValues = customValues;
+            locations.push(merged);
+        }
+    });
+
+    return { customFields, locations, duplicates };
+}
+
+module.exports = { DEDUPE_MODES, dedupeKey, mergeCustomFields, mergeGroups };
@@ -0,0 +1,135 @@
+// Visiting order for a group's markers, for
+// POST /api/:groupType/groups/:id/route-plan. Builds a nearest-neighbour
+// tour from the start point and shortens it with 2-opt (reversing stretches
+// of the route while that makes it shorter). Not guaranteed optimal, but
+// close for the few hundred stops a rep plans at once. Distances are miles.
+
+const DISTANCE_MODES = ['straight', 'road'];
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Matches the reorder route's cap, which the result is written back through.
+const MAX_STOPS = 1000;
+
+// Each pass is O(n²); real tours stop improving long before this.
+const MAX_IMPROVEMENT_PASSES = 25;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+function straightMiles(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Streets rarely run straight from one stop to the next. On a street grid
+// the trip is the north-south plus the east-west leg (Manhattan distance),
+// measured on a flat projection around the two points: never shorter than
+// the straight line and at most ~1.41 times it.
+function roadMiles(a, b) {
+    const meanLat = toRadians((a.lat + b.lat) / 2);
+    const northSouth = toRadians(b.lat - a.lat) * EARTH_RADIUS_MILES;
+    const eastWest = toRadians(b.lng - a.lng) * EARTH_RADIUS_MILES * Math.cos(meanLat);
+    return Math.abs(northSouth) + Math.abs(eastWest);
+}
+
+function distanceFunction(mode) {
+    if (mode === 'straight') return straightMiles;
+    if (mode === 'road') return roadMiles;
+    throw new Error(`Unknown distance mode: ${mode}`);
+}
+
+const roundMiles = (miles) => Math.round(miles * 100) / 100;
+
+// Nearest unvisited node each time, starting from node 0.
+function nearestNeighbourTour(matrix) {
+    const count = matrix.length;
+    const visited = new Array(count).fill(false);
+    const tour = [0];
+    visited[0] = true;
+    for (let step = 1; step < count; step++) {
+        const from = tour[tour.length - 1];
+        let next = -1;
+        for (let candidate = 1; candidate < count; candidate++) {
+            if (!visited[candidate] && (next === -1 || matrix[from][candidate] < matrix[from][next])) {
+                next = candidate;
+            }
+        }
+        visited[next] = true;
+        tour.push(next);
+    }
+    return tour;
+}
+
+// tour[0] stays put. For an open route the last stop has no onward leg; a
+// round trip ends back at tour[0].
+function improveTour(tour, matrix, returnToStart) {
+    const last = tour.length - 1;
+    const after = (index) => (index < last ? tour[index + 1] : (returnToStart ? tour[0] : null));
+    const leg = (from, to) => (to === null ? 0 : matrix[from][to]);
+
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+        let improved = false;
+        for (let i = 1; i < last; i++) {
+            for (let k = i + 1; k <= last; k++) {
+                const next = after(k);
+                const current = leg(tour[i - 1], tour[i]) + leg(tour[k], next);
+                const reversed = leg(tour[i - 1], tour[k]) + leg(tour[i], next);
+                if (reversed < current - 1e-9) {
+                    for (let left = i, right = k; left < right; left++, right--) {
+                        [tour[left], tour[right]] = [tour[right], tour[left]];
+                    }
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+    return tour;
+}
+
+// stops: [{ id, lat, lng }]. start is { locationId } of one of the stops,
+// which then comes first, or a { lat, lng } point such as the rep's office.
+// Returns { order: [id...], legs: [miles...], totalMiles } where legs[0] is
+// start to the first stop that isn't the start (a start stop has no leg of
+// its own) and, with returnToStart, the last leg leads back to start.
+function planRoute(start, stops, { distance = 'straight', returnToStart = false } = {}) {
+    const measure = distanceFunction(distance);
+    if (stops.length > MAX_STOPS) {
+        throw new Error(`Routes are limited to ${MAX_STOPS} stops`);
+    }
+
+    let origin;
+    let others;
+    if (start.locationId !== undefined) {
+        origin = stops.find((stop) => stop.id === start.locationId);
+        if (!origin) throw new Error('Location not found');
+        others = stops.filter((stop) => stop !== origin);
+    } else {
+        origin = { lat: Number(start.lat), lng: Number(start.lng) };
+        others = stops;
+    }
+
+    const nodes = [origin, ...others];
+    const matrix = nodes.map((from) => nodes.map((to) => measure(from, to)));
+    const tour = improveTour(nearestNeighbourTour(matrix), matrix, returnToStart);
+
+    const legs = [];
+    for (let index = 1; index < tour.length; index++) {
+        legs.push(matrix[tour[index - 1]][tour[index]]);
+    }
+    if (returnToStart && tour.length > 1) {
+        legs.push(matrix[tour[tour.length - 1]][tour[0]]);
+    }
+
+    const visits = tour.slice(1).map((index) => nodes[index].id);
+    return {
+        order: start.locationId !== undefined ? [origin.id, ...visits] : visits,
+        legs: legs.map(roundMiles),
+        totalMiles: roundMiles(legs.reduce((sum, miles) => sum + miles, 0))
+    };
+}
+
+module.exports = { DISTANCE_MODES, EARTH_RADIUS_MILES, MAX_STOPS, straightMiles, roadMiles, distanceFunction, planRoute };
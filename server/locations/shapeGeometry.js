@@ -0,0 +1,107 @@
+// GeoJSON geometry stored on a location (locations.geometry): ZIP code
+// outlines, and shapes users draw on the map — polygons (rectangles and
+// circles are saved as polygons too) and lines. The client sends it as a
+// string, so it is parsed and checked here; errors are thrown as
+// "Invalid geometry..." messages the routes turn into 400s.
+
+const SHAPE_TYPES = ['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString'];
+
+// Well above the largest ZIP outline; the 10mb body limit bites first.
+const MAX_VERTICES = 250000;
+
+function invalid(reason) {
+    return new Error(`Invalid geometry: ${reason}`);
+}
+
+function isInvalidGeometryError(error) {
+    return error.message.startsWith('Invalid geometry');
+}
+
+function checkPosition(position) {
+    if (!Array.isArray(position) || position.length < 2) {
+        throw invalid('each position must be [lng, lat]');
+    }
+    const [lng, lat] = position;
+    if (typeof lng !== 'number' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+        throw invalid('longitude must be between -180 and 180');
+    }
+    if (typeof lat !== 'number' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+        throw invalid('latitude must be between -90 and 90');
+    }
+    return [lng, lat];
+}
+
+function checkLine(positions) {
+    if (!Array.isArray(positions) || positions.length < 2) {
+        throw invalid('a line needs at least 2 positions');
+    }
+    return positions.map(checkPosition);
+}
+
+// Rings are closed (first position repeated last) if the client left them
+// open, and need three distinct corners.
+function checkRing(positions) {
+    if (!Array.isArray(positions)) throw invalid('a polygon ring must be an array of positions');
+    const ring = positions.map(checkPosition);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push([...first]);
+    if (ring.length < 4) throw invalid('a polygon ring needs at least 3 corners');
+    return ring;
+}
+
+function checkPolygon(rings) {
+    if (!Array.isArray(rings) || rings.length === 0) throw invalid('a polygon needs an outer ring');
+    return rings.map(checkRing);
+}
+
+function checkParts(coordinates, checkPart) {
+    if (!Array.isArray(coordinates) || coordinates.length === 0) throw invalid('coordinates must not be empty');
+    return coordinates.map(checkPart);
+}
+
+function countVertices(coordinates) {
+    return typeof coordinates[0] === 'number'
+        ? 1
+        : coordinates.reduce((sum, child) => sum + countVertices(child), 0);
+}
+
+// GeoJSON string -> normalized GeoJSON string ({ type, coordinates } only).
+function normalizeShapeGeometry(geometryJson) {
+    let geometry;
+    try {
+        geometry = JSON.parse(geometryJson);
+    } catch {
+        throw invalid('not valid JSON');
+    }
+    if (!geometry || typeof geometry !== 'object' || !SHAPE_TYPES.includes(geometry.type)) {
+        throw invalid(`type must be one of ${SHAPE_TYPES.join(', ')}`);
+    }
+
+    let coordinates;
+    switch (geometry.type) {
+        case 'Polygon':
+            coordinates = checkPolygon(geometry.coordinates);
+            break;
+        case 'MultiPolygon':
+            coordinates = checkParts(geometry.coordinates, checkPolygon);
+            break;
+        case 'LineString':
+            coordinates = checkLine(geometry.coordinates);
+            break;
+        default:
+            coordinates = checkParts(geometry.coordinates, checkLine);
+    }
+
+    if (countVertices(coordinates) > MAX_VERTICES) {
+        throw invalid(`shapes are limited to ${MAX_VERTICES} vertices`);
+    }
+    return JSON.stringify({ type: geometry.type, coordinates });
+}
+
+module.exports = {
+    SHAPE_TYPES,
+    MAX_VERTICES,
+    normalizeShapeGeometry,
+    isInvalidGeometryError
+};
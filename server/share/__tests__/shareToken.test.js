@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import shareToken from '../shareToken.js';
+
+const { getShareSecret, signShareToken, verifyShareToken } = shareToken;
+
+const secret = 'a'.repeat(32);
+const id = '2b1f6a52-9c4e-4b9e-8f57-3f0c1d2e4a11';
+
+describe('getShareSecret', () => {
+    it('returns SHARE_LINK_SECRET when long enough', () => {
+        expect(getShareSecret({ SHARE_LINK_SECRET: secret })).toBe(secret);
+    });
+
+    it('returns null when unset or too short', () => {
+        expect(getShareSecret({})).toBeNull();
+        expect(getShareSecret({ SHARE_LINK_SECRET: 'short' })).toBeNull();
+    });
+});
+
+describe('signShareToken / verifyShareToken', () => {
+    it('round-trips the link id', () => {
+        const token = signShareToken(id, secret);
+        expect(token.startsWith(`${id}.`)).toBe(true);
+        expect(verifyShareToken(token, secret)).toBe(id);
+    });
+
+    it('is deterministic, so a link can be shown again', () => {
+        expect(signShareToken(id, secret)).toBe(signShareToken(id, secret));
+    });
+
+    it('rejects a token signed with another secret', () => {
+        expect(verifyShareToken(signShareToken(id, 'b'.repeat(32)), secret)).toBeNull();
+    });
+
+    it('rejects a tampered id or signature', () => {
+        const [, signature] = signShareToken(id, secret).split('.');
+        expect(verifyShareToken(`${id.replace('2b1f', '2b1e')}.${signature}`, secret)).toBeNull();
+        expect(verifyShareToken(`${id}.${signature.slice(0, -1)}A`, secret)).toBeNull();
+    });
+
+    it('rejects malformed input', () => {
+        expect(verifyShareToken(undefined, secret)).toBeNull();
+        expect(verifyShareToken('', secret)).toBeNull();
+        expect(verifyShareToken(id, secret)).toBeNull();
+        expect(verifyShareToken(`.${signShareToken(id, secret).split('.')[1]}`, secret)).toBeNull();
+    });
+});
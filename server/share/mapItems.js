@@ -0,0 +1,45 @@
+// Shapes stored data into the read-only map items the public views render
+// ([{ title, lat, lng, color, number, geometry? }]). Shared by share links
+// (server/share/routes.js) and embeds (server/embed/routes.js).
+
+const DEFAULT_COLOR = '#3B82F6';
+
+// Location/ZIP group -> map items. Markers are numbered in list order like
+// the Locations page; ZIP polygons and drawn shapes carry no number.
+function groupItems(locations) {
+    let markerNumber = 0;
+    return locations.map(location => {
+        const shape = Boolean(location.geometry);
+        const item = {
+            title: location.title,
+            lat: location.lat,
+            lng: location.lng,
+            color: location.color,
+            number: shape ? null : ++markerNumber
+        };
+        if (shape) item.geometry = location.geometry;
+        return item;
+    });
+}
+
+// Panel stock upload -> one item per ZIP with the shared specialty's count
+// only; other specialties' columns never leave the server.
+function panelStockItems(rows, specialtyId, boundaries, zipColors) {
+    const boundaryByZip = new Map(boundaries.map(b => [b.zip_code, b]));
+    const items = [];
+    for (const row of rows) {
+        const boundary = boundaryByZip.get(row.zipCode);
+        if (!boundary) continue;
+        items.push({
+            title: `ZIP ${row.zipCode}`,
+            lat: boundary.center_lat,
+            lng: boundary.center_lng,
+            color: zipColors[row.zipCode] || DEFAULT_COLOR,
+            number: row.counts[specialtyId] ?? 0,
+            geometry: boundary.geometry
+        });
+    }
+    return items;
+}
+
+module.exports = { groupItems, panelStockItems };
@@ -0,0 +1,183 @@
+// Public read-only share links. Signed-in users create and revoke links
+// under /api/share-links; anyone holding a link reads exactly that one view
+// through /api/public/share/:token (no session, no API token). The SPA
+// fallback serves /share/:token, which renders the payload read-only.
+// Mounted from server.js defineRoutes() via
+// registerShareRoutes(app, db, requireAuth, { getZipColors }).
+const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
+const { getShareSecret, signShareToken, verifyShareToken, MIN_SECRET_LENGTH } = require('./shareToken');
+const { groupItems, panelStockItems } = require('./mapItems');
+const { audit } = require('../audit/recorder');
+
+const TARGET_TYPES = ['group', 'panel_stock'];
+
+// Same validation error handler shape server.js uses inline.
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+function resolveSecret() {
+    const secret = getShareSecret();
+    if (secret) return secret;
+    console.warn(`⚠️  SHARE_LINK_SECRET is unset or shorter than ${MIN_SECRET_LENGTH} characters — using a random per-process secret, so share links stop working on restart.`);
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function registerShareRoutes(app, db, requireAuth, { getZipColors = () => ({}) } = {}) {
+    const secret = resolveSecret();
+
+    function withToken(link) {
+        const token = signShareToken(link.id, secret);
+        return { ...link, token, path: `/share/${token}` };
+    }
+
+    // ---- Link management (signed-in) ----
+
+    app.use('/api/share-links', requireAuth);
+
+    app.get('/api/share-links', async (req, res) => {
+        try {
+            const links = await db.getUserShareLinks(req.deviceId);
+            res.json(links.map(withToken));
+        } catch (error) {
+            console.error('Error fetching share links:', error);
+            res.status(500).json({ error: 'Failed to fetch share links' });
+        }
+    });
+
+    // Groups: owner only, like member sharing. Panel stock: the upload's
+    // owner, for one of its specialties.
+    app.post('/api/share-links', [
+        body('targetType').isIn(TARGET_TYPES).withMessage('targetType must be group or panel_stock'),
+        body('groupType').if(body('targetType').equals('group'))
+            .isIn(['locations', 'zipcodes']).withMessage('groupType must be locations or zipcodes'),
+        body('groupId').if(body('targetType').equals('group'))
+            .isUUID().withMessage('Invalid group ID'),
+        body('uploadId').if(body('targetType').equals('panel_stock'))
+            .isUUID().withMessage('Invalid upload ID'),
+        body('specialty').if(body('targetType').equals('panel_stock'))
+            .isString().isLength({ min: 1, max: 100 }).withMessage('Specialty is required'),
+        body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 3650 })
+            .withMessage('expiresInDays must be between 1 and 3650'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { targetType, groupType, groupId, uploadId, specialty, expiresInDays } = req.body;
+            const target = { createdBy: req.deviceId, targetType };
+
+            if (targetType === 'group') {
+                const group = await db.getLocationGroup(groupId, req.deviceId, groupType);
+                if (!group) {
+                    return res.status(404).json({ error: 'Location group not found' });
+                }
+                if (group.permission !== 'owner') {
+                    return res.status(403).json({ error: 'Only the group owner can create a share link' });
+                }
+                if (group.name.startsWith('__temp_')) {
+                    return res.status(400).json({ error: 'Temporary groups cannot be shared' });
+                }
+                target.groupId = groupId;
+            } else {
+                const upload = await db.getPanelStockUpload(uploadId, req.deviceId);
+                if (!upload) {
+                    return res.status(404).json({ error: 'Panel stock upload not found' });
+                }
+                if (!upload.specialties.some(s => s.id === specialty)) {
+                    return res.status(400).json({ error: 'Specialty not found in this upload' });
+                }
+                target.uploadId = uploadId;
+                target.specialty = specialty;
+            }
+
+            target.expiresAt = expiresInDays
+                ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+                : null;
+            const link = await db.createShareLink(target);
+            audit(db, req, 'share_link.create', {
+                entityType: 'share_link',
+                entityId: link.id,
+                after: {
+                    targetType,
+                    targetName: link.targetName,
+                    groupId: link.groupId,
+                    uploadId: link.uploadId,
+                    specialty: link.specialty,
+                    expiresAt: link.expiresAt
+                }
+            });
+            res.status(201).json(withToken(link));
+        } catch (error) {
+            console.error('Error creating share link:', error);
+            res.status(500).json({ error: 'Failed to create share link' });
+        }
+    });
+
+    app.delete('/api/share-links/:id', [
+        param('id').isUUID().withMessage('Invalid share link ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            await db.deleteShareLink(req.deviceId, req.params.id);
+            audit(db, req, 'share_link.revoke', { entityType: 'share_link', entityId: req.params.id });
+            res.status(204).send();
+        } catch (error) {
+            if (error.message === 'Share link not found') {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error('Error revoking share link:', error);
+            res.status(500).json({ error: 'Failed to revoke share link' });
+        }
+    });
+
+    // ---- Public read (no auth) ----
+
+    // Bad signature, unknown, revoked and expired links all look the same.
+    app.get('/api/public/share/:token', async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        try {
+            const linkId = verifyShareToken(req.params.token, secret);
+            const link = linkId && await db.getActiveShareLink(linkId);
+            if (!link) {
+                return res.status(404).json({ error: 'This share link is invalid or has expired' });
+            }
+
+            const view = {
+                kind: link.targetType,
+                expiresAt: link.expiresAt,
+                googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY
+            };
+
+            if (link.targetType === 'group') {
+                const locations = await db.getLocationsForGroup(link.groupId);
+                view.title = link.targetName;
+                view.subtitle = link.groupType === 'zipcodes' ? 'ZIP code group' : 'Location group';
+                view.items = groupItems(locations);
+            } else {
+                const content = await db.getPanelStockUploadContent(link.uploadId);
+                const specialty = content && content.specialties.find(s => s.id === link.specialty);
+                if (!specialty) {
+                    return res.status(404).json({ error: 'This share link is invalid or has expired' });
+                }
+                const boundaries = await db.getZipBoundaries(content.rows.map(r => r.zipCode));
+                view.title = `${content.title} - ${specialty.label || specialty.id}`;
+                view.subtitle = 'Panel stock analysis';
+                view.items = panelStockItems(content.rows, specialty.id, boundaries, getZipColors() || {});
+            }
+
+            res.json(view);
+        } catch (error) {
+            console.error('Error resolving share link:', error);
+            res.status(500).json({ error: 'Failed to load shared map' });
+        }
+    });
+}
+
+module.exports = { registerShareRoutes };
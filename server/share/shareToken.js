@@ -0,0 +1,39 @@
+// Public share-link tokens: "<link id>.<signature>", where the signature is
+// an HMAC-SHA256 of the id (base64url) keyed by SHARE_LINK_SECRET. The
+// signature lets the public endpoint reject guessed or tampered tokens
+// before touching the database; revocation and expiry live on the
+// share_links row, so deleting the row kills the link. Rotating the secret
+// invalidates every link at once.
+const crypto = require('crypto');
+
+// Shorter secrets are rejected rather than silently weakening every link.
+const MIN_SECRET_LENGTH = 32;
+
+function getShareSecret(env = process.env) {
+    const secret = env.SHARE_LINK_SECRET;
+    return secret && secret.length >= MIN_SECRET_LENGTH ? secret : null;
+}
+
+function sign(id, secret) {
+    return crypto.createHmac('sha256', secret).update(id).digest('base64url');
+}
+
+function signShareToken(id, secret) {
+    return `${id}.${sign(id, secret)}`;
+}
+
+// Returns the link id for a well-formed, correctly signed token, else null.
+function verifyShareToken(token, secret) {
+    if (typeof token !== 'string') return null;
+    const dot = token.lastIndexOf('.');
+    if (dot <= 0) return null;
+    const id = token.slice(0, dot);
+    const given = Buffer.from(token.slice(dot + 1));
+    const expected = Buffer.from(sign(id, secret));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return null;
+    }
+    return id;
+}
+
+module.exports = { getShareSecret, signShareToken, verifyShareToken, MIN_SECRET_LENGTH };
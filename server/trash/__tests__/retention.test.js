@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import retention from '../retention.js';
+
+const { getRetentionDays, purgeCutoff, purgeDate } = retention;
+
+const now = new Date('2024-03-31T12:00:00Z');
+
+describe('getRetentionDays', () => {
+    it('defaults to 30 days', () => {
+        expect(getRetentionDays({})).toBe(30);
+    });
+
+    it('reads TRASH_RETENTION_DAYS from env', () => {
+        expect(getRetentionDays({ TRASH_RETENTION_DAYS: '7' })).toBe(7);
+    });
+
+    it('ignores zero, negative and non-numeric values', () => {
+        expect(getRetentionDays({ TRASH_RETENTION_DAYS: '0' })).toBe(30);
+        expect(getRetentionDays({ TRASH_RETENTION_DAYS: '-5' })).toBe(30);
+        expect(getRetentionDays({ TRASH_RETENTION_DAYS: 'forever' })).toBe(30);
+    });
+});
+
+describe('purgeCutoff / purgeDate', () => {
+    it('puts the cutoff retentionDays before now', () => {
+        expect(purgeCutoff(now, 30).toISOString()).toBe('2024-03-01T12:00:00.000Z');
+    });
+
+    it('purges an item retentionDays after it was deleted', () => {
+        expect(purgeDate('2024-03-01T12:00:00Z', 30).toISOString()).toBe('2024-03-31T12:00:00.000Z');
+    });
+
+    it('agree on the boundary: an item is due exactly when its purge date is reached', () => {
+        const deletedAt = purgeCutoff(now, 14);
+        expect(purgeDate(deletedAt, 14).getTime()).toBe(now.getTime());
+    });
+});
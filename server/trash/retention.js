@@ -0,0 +1,24 @@
+// How long deleted groups, locations and panel stock uploads stay in the
+// trash before the periodic purge removes them for good. Configured through
+// env:
+//   TRASH_RETENTION_DAYS  days an item can still be restored (default 30)
+// The date math is kept pure here; the purge itself is db.purgeTrash.
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRetentionDays(env = process.env) {
+    const days = parseInt(env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// Items deleted before this moment are due for purging.
+function purgeCutoff(now, retentionDays) {
+    return new Date(now.getTime() - retentionDays * DAY_MS);
+}
+
+// When an item deleted at deletedAt will be purged.
+function purgeDate(deletedAt, retentionDays) {
+    return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+module.exports = { DEFAULT_RETENTION_DAYS, getRetentionDays, purgeCutoff, purgeDate };
@@ -0,0 +1,113 @@
+// Trash bin for deleted location/ZIP groups, locations and panel stock
+// uploads. The regular DELETE routes only stamp deleted_at; this lists what
+// the signed-in user can get back, restores it, or purges it early. The
+// scheduled purge of items older than TRASH_RETENTION_DAYS runs from
+// server.js startServer(). Mounted from server.js defineRoutes() via
+// registerTrashRoutes(app, db, requireAuth).
+const { param, validationResult } = require('express-validator');
+const { audit } = require('../audit/recorder');
+const { recordGroupVersion } = require('../history/recorder');
+const { getRetentionDays, purgeDate } = require('./retention');
+
+const KIND_PATTERN = ':kind(groups|locations|uploads)';
+
+// Audit entity types, matching what the delete routes record.
+const ENTITY_TYPES = {
+    groups: 'group',
+    locations: 'location',
+    uploads: 'panel_stock_upload'
+};
+
+// Same validation error handler shape server.js uses inline.
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Same split as the group routes: too little permission on a visible group
+// is a 403, anything the user can't see is a 404.
+function sendTrashError(res, error, fallback) {
+    if (error.message.startsWith('Permission denied')) {
+        return res.status(403).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+function registerTrashRoutes(app, db, requireAuth) {
+    app.use('/api/trash', requireAuth);
+
+    // { retentionDays, groups, locations, uploads }; every item carries the
+    // purgeAt the scheduled purge will remove it at.
+    app.get('/api/trash', async (req, res) => {
+        try {
+            const retentionDays = getRetentionDays();
+            const trash = await db.getTrash(req.deviceId);
+            const withPurgeAt = items => items.map(item => ({
+                ...item,
+                purgeAt: purgeDate(item.deletedAt, retentionDays).toISOString()
+            }));
+            res.json({
+                retentionDays,
+                groups: withPurgeAt(trash.groups),
+                locations: withPurgeAt(trash.locations),
+                uploads: withPurgeAt(trash.uploads)
+            });
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            res.status(500).json({ error: 'Failed to fetch trash' });
+        }
+    });
+
+    app.post(`/api/trash/${KIND_PATTERN}/:id/restore`, [
+        param('id').isUUID().withMessage('Invalid ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { kind, id } = req.params;
+            const item = await db.restoreFromTrash(kind, id, req.deviceId);
+            // A restored location changes its group; a restored group is
+            // back as its last version left it.
+            if (kind === 'locations') {
+                await recordGroupVersion(db, req, item.groupId, 'location.restore');
+            }
+            audit(db, req, `${ENTITY_TYPES[kind]}.restore`, {
+                entityType: ENTITY_TYPES[kind],
+                entityId: id,
+                after: item
+            });
+            res.json(item);
+        } catch (error) {
+            sendTrashError(res, error, 'Failed to restore item');
+        }
+    });
+
+    app.delete(`/api/trash/${KIND_PATTERN}/:id`, [
+        param('id').isUUID().withMessage('Invalid ID'),
+        handleValidationErrors
+    ], async (req, res) => {
+        try {
+            const { kind, id } = req.params;
+            const item = await db.purgeFromTrash(kind, id, req.deviceId);
+            audit(db, req, `${ENTITY_TYPES[kind]}.purge`, {
+                entityType: ENTITY_TYPES[kind],
+                entityId: id,
+                before: item
+            });
+            res.status(204).send();
+        } catch (error) {
+            sendTrashError(res, error, 'Failed to delete item permanently');
+        }
+    });
+}
+
+module.exports = { registerTrashRoutes };
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import lasso from '../lasso.js';
+
+const { searchBox, zipsInArea } = lasso;
+
+const square = (minLng, minLat, size) => [[
+    [minLng, minLat], [minLng + size, minLat], [minLng + size, minLat + size], [minLng, minLat + size], [minLng, minLat]
+]];
+
+// Area: the unit square at the origin
+const area = { type: 'Polygon', coordinates: square(0, 0, 1) };
+
+const zip = (zipCode, minLng, minLat, size) => ({
+    zipCode,
+    lng: minLng + size / 2,
+    lat: minLat + size / 2,
+    geometry: JSON.stringify({ type: 'Polygon', coordinates: square(minLng, minLat, size) })
+});
+
+const zips = [
+    zip('90003', 0.8, 0.2, 0.4), // center outside, half of it inside
+    zip('90001', 0.1, 0.1, 0.2), // fully inside
+    zip('90002', 0.9, 0.5, 0.4), // center outside, a quarter inside
+    zip('90004', 2, 2, 0.5) // outside
+];
+
+describe('zipsInArea', () => {
+    it('matches ZIPs by center, sorted by ZIP code', () => {
+        expect(zipsInArea(zips, area)).toEqual([{ zipCode: '90001' }]);
+    });
+
+    it('matches ZIPs by the share of their area inside', () => {
+        expect(zipsInArea(zips, area, { match: 'area', minShare: 0.5 })).toEqual([
+            { zipCode: '90001', share: 1 },
+            { zipCode: '90003', share: 0.5 }
+        ]);
+        expect(zipsInArea(zips, area, { match: 'area', minShare: 0.2 }).map((match) => match.zipCode))
+            .toEqual(['90001', '90002', '90003']);
+    });
+
+    it('settles ZIPs clear of the area edge without sampling them', () => {
+        // L shape: the unit square minus its top-right quarter
+        const ell = {
+            type: 'Polygon',
+            coordinates: [[[0, 0], [1, 0], [1, 0.5], [0.5, 0.5], [0.5, 1], [0, 1], [0, 0]]]
+        };
+        const inside = zip('90011', 0.1, 0.1, 0.2);
+        const inNotch = zip('90012', 0.7, 0.7, 0.2);
+        expect(zipsInArea([inside, inNotch], ell, { match: 'area', minShare: 0.01 })).toEqual([
+            { zipCode: '90011', share: 1 }
+        ]);
+    });
+
+    it('respects holes in the area', () => {
+        const ring = { type: 'Polygon', coordinates: [square(0, 0, 1)[0], square(0.05, 0.05, 0.3)[0]] };
+        expect(zipsInArea(zips, ring)).toEqual([]);
+    });
+
+    it('judges unreadable boundaries by their center', () => {
+        const broken = { zipCode: '90005', lat: 0.5, lng: 0.5, geometry: 'oops' };
+        expect(zipsInArea([broken], area, { match: 'area' })).toEqual([{ zipCode: '90005', share: 1 }]);
+    });
+
+    it('rejects areas that are not polygons', () => {
+        expect(() => zipsInArea(zips, { type: 'LineString', coordinates: [[0, 0], [1, 1]] })).toThrow(/Polygon/);
+        expect(() => zipsInArea(zips, area, { match: 'touching' })).toThrow(/Unknown match mode/);
+    });
+});
+
+describe('searchBox', () => {
+    it('pads the area box only when matching by area', () => {
+        expect(searchBox(area)).toEqual({ minLat: 0, maxLat: 1, minLng: 0, maxLng: 1 });
+        const padded = searchBox(area, 'area');
+        expect(padded.minLat).toBeLessThan(0);
+        expect(padded.maxLng).toBeGreaterThan(1);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import radius from '../radius.js';
+import routePlanning from '../../locations/routePlanning.js';
+
+const { boundingBox, searchBoxes, zipsWithinRadius } = radius;
+const { straightMiles } = routePlanning;
+
+const clinic = { lat: 34.05, lng: -118.25, id: 'clinic' };
+
+describe('boundingBox', () => {
+    it('covers every point the radius reaches', () => {
+        const box = boundingBox([clinic], 10);
+        const corners = [
+            { lat: box.maxLat, lng: clinic.lng },
+            { lat: box.minLat, lng: clinic.lng },
+            { lat: clinic.lat, lng: box.maxLng },
+            { lat: clinic.lat, lng: box.minLng }
+        ];
+        corners.forEach((corner) => {
+            expect(straightMiles(clinic, corner)).toBeGreaterThanOrEqual(9.99);
+        });
+    });
+
+    it('spans all centers', () => {
+        const box = boundingBox([clinic, { lat: 37.77, lng: -122.42 }], 5);
+        expect(box.minLat).toBeLessThan(34.05);
+        expect(box.maxLat).toBeGreaterThan(37.77);
+        expect(box.minLng).toBeLessThan(-122.42);
+        expect(box.maxLng).toBeGreaterThan(-118.25);
+    });
+});
+
+describe('searchBoxes', () => {
+    it('gives each center its own box instead of one spanning them all', () => {
+        const newYork = { lat: 40.71, lng: -74.01 };
+        const boxes = searchBoxes([clinic, newYork], 5);
+        expect(boxes).toEqual([boundingBox([clinic], 5), boundingBox([newYork], 5)]);
+        expect(boxes[0].maxLng).toBeLessThan(-118);
+        expect(boxes[1].minLng).toBeGreaterThan(-75);
+    });
+});
+
+describe('zipsWithinRadius', () => {
+    // Due north of the clinic, ~0.07 degrees latitude per 5 miles
+    const zips = [
+        { zipCode: '90003', lat: 34.05 + 0.2, lng: -118.25 },
+        { zipCode: '90001', lat: 34.05 + 0.01, lng: -118.25 },
+        { zipCode: '90002', lat: 34.05 + 0.1, lng: -118.25 },
+        { zipCode: '90004', lat: 34.05 + 0.1, lng: -118.25 + 0.1 }
+    ];
+
+    it('returns ZIPs whose center is in range, nearest first', () => {
+        const matches = zipsWithinRadius(zips, [clinic], 10);
+        expect(matches.map((match) => match.zipCode)).toEqual(['90001', '90002', '90004']);
+        expect(matches[0]).toEqual({ zipCode: '90001', miles: 0.69, nearestId: 'clinic' });
+    });
+
+    it('shrinks diagonally with road distance', () => {
+        const matches = zipsWithinRadius(zips, [clinic], 10, { distance: 'road' });
+        expect(matches.map((match) => match.zipCode)).toEqual(['90001', '90002']);
+    });
+
+    it('measures from the nearest of several centers', () => {
+        const north = { lat: 34.05 + 0.2, lng: -118.25, id: 'north' };
+        const matches = zipsWithinRadius(zips, [clinic, north], 1);
+        expect(matches).toEqual([
+            { zipCode: '90003', miles: 0, nearestId: 'north' },
+            { zipCode: '90001', miles: 0.69, nearestId: 'clinic' }
+        ]);
+        expect(zipsWithinRadius(zips, [{ lat: 34.05, lng: -118.25 }], 1)[0].nearestId).toBeNull();
+    });
+
+    it('finds the nearest center among many spread out ones', () => {
+        const spread = Array.from({ length: 50 }, (_, i) => ({ lat: 25 + i * 0.5, lng: -118.25 + (i % 5), id: `c${i}` }));
+        const matches = zipsWithinRadius(zips, [...spread, clinic], 10);
+        expect(matches.map((match) => [match.zipCode, match.nearestId])).toEqual([
+            ['90001', 'clinic'], ['90002', 'clinic'], ['90004', 'clinic']
+        ]);
+    });
+});
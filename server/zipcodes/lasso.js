@@ -0,0 +1,145 @@
+// Which seeded ZIP codes fall inside an area the user drew on the ZIP map
+// (POST /api/zipcodes/in-area). 'centroid' matches a ZIP when its center is
+// inside the area; 'area' when at least `minShare` of its own area is,
+// estimated on a grid of sample points over the ZIP where the area's edge
+// runs through it (ZIPs clear of the edge are wholly in or out). Geometry
+// is parsed GeoJSON (Polygon / MultiPolygon); positions are [lng, lat].
+
+const MATCH_MODES = ['centroid', 'area'];
+
+// Samples per side of the grid laid over each ZIP: 400 points puts the
+// estimate within a few percent, which is all a territory cutoff needs.
+const AREA_SAMPLES = 20;
+
+// A ZIP mostly inside the area can still have its center outside the
+// area's box; large rural ZIPs reach ~25 miles from their center.
+const AREA_SEARCH_MARGIN_DEGREES = 0.4;
+
+// Matching by share loads every candidate's boundary and samples the ones
+// on the area's edge; more than this means an area better matched by center.
+const MAX_AREA_CANDIDATES = 500;
+
+// [[ring, ...holes], ...] for a Polygon or MultiPolygon, else null
+function polygonsOf(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return null;
+}
+
+// Even-odd ray casting
+function ringContains(ring, [lng, lat]) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lngI, latI] = ring[i];
+        const [lngJ, latJ] = ring[j];
+        if ((latI > lat) !== (latJ > lat) &&
+            lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function polygonsContain(polygons, position) {
+    return polygons.some(([outer, ...holes]) =>
+        ringContains(outer, position) && !holes.some((hole) => ringContains(hole, position)));
+}
+
+function boundsOf(polygons) {
+    const box = { minLat: 90, maxLat: -90, minLng: 180, maxLng: -180 };
+    polygons.forEach(([outer]) => outer.forEach(([lng, lat]) => {
+        box.minLat = Math.min(box.minLat, lat);
+        box.maxLat = Math.max(box.maxLat, lat);
+        box.minLng = Math.min(box.minLng, lng);
+        box.maxLng = Math.max(box.maxLng, lng);
+    }));
+    return box;
+}
+
+const boxesOverlap = (a, b) =>
+    a.minLat <= b.maxLat && b.minLat <= a.maxLat && a.minLng <= b.maxLng && b.minLng <= a.maxLng;
+
+// Lat/lng box of ZIP centers worth checking against the area, for the
+// database query.
+function searchBox(areaGeometry, match = 'centroid') {
+    const box = boundsOf(polygonsOf(areaGeometry));
+    if (match !== 'area') return box;
+    return {
+        minLat: Math.max(-90, box.minLat - AREA_SEARCH_MARGIN_DEGREES),
+        maxLat: Math.min(90, box.maxLat + AREA_SEARCH_MARGIN_DEGREES),
+        minLng: Math.max(-180, box.minLng - AREA_SEARCH_MARGIN_DEGREES),
+        maxLng: Math.min(180, box.maxLng + AREA_SEARCH_MARGIN_DEGREES)
+    };
+}
+
+// Whether an edge of the polygons might cross the box (its own box
+// overlaps it). When none does, the box is wholly inside or wholly outside.
+function edgeNear(polygons, box) {
+    return polygons.some((rings) => rings.some((ring) => ring.some(([lng, lat], i) => {
+        if (i === 0) return false;
+        const [prevLng, prevLat] = ring[i - 1];
+        return boxesOverlap(box, {
+            minLat: Math.min(lat, prevLat),
+            maxLat: Math.max(lat, prevLat),
+            minLng: Math.min(lng, prevLng),
+            maxLng: Math.max(lng, prevLng)
+        });
+    })));
+}
+
+// Share (0-1) of the ZIP's sample points that are inside the area, or null
+// when the ZIP is too thin for any sample to land in it. Only ZIPs the
+// area's edge runs near are sampled; the rest are 1 or 0 from one point.
+function areaShareInside(zipPolygons, areaPolygons, areaBox) {
+    const zipBox = boundsOf(zipPolygons);
+    if (!boxesOverlap(zipBox, areaBox)) return 0;
+    if (!edgeNear(areaPolygons, zipBox)) {
+        const middle = [(zipBox.minLng + zipBox.maxLng) / 2, (zipBox.minLat + zipBox.maxLat) / 2];
+        return polygonsContain(areaPolygons, middle) ? 1 : 0;
+    }
+    const latStep = (zipBox.maxLat - zipBox.minLat) / AREA_SAMPLES;
+    const lngStep = (zipBox.maxLng - zipBox.minLng) / AREA_SAMPLES;
+    let inZip = 0;
+    let inBoth = 0;
+    for (let row = 0; row < AREA_SAMPLES; row++) {
+        for (let column = 0; column < AREA_SAMPLES; column++) {
+            const position = [zipBox.minLng + (column + 0.5) * lngStep, zipBox.minLat + (row + 0.5) * latStep];
+            if (!polygonsContain(zipPolygons, position)) continue;
+            inZip++;
+            if (polygonsContain(areaPolygons, position)) inBoth++;
+        }
+    }
+    return inZip === 0 ? null : inBoth / inZip;
+}
+
+// zips: [{ zipCode, lat, lng, geometry? }] where geometry is the stored
+// GeoJSON string (needed for 'area'). Returns the matches by ZIP code:
+// [{ zipCode }] for 'centroid', [{ zipCode, share }] for 'area' with the
+// share rounded to a percent.
+function zipsInArea(zips, areaGeometry, { match = 'centroid', minShare = 0.5 } = {}) {
+    const areaPolygons = polygonsOf(areaGeometry);
+    if (!areaPolygons) throw new Error('The area must be a Polygon or MultiPolygon');
+    if (!MATCH_MODES.includes(match)) throw new Error(`Unknown match mode: ${match}`);
+
+    const areaBox = boundsOf(areaPolygons);
+    const centerInside = (zip) => polygonsContain(areaPolygons, [zip.lng, zip.lat]);
+    const matches = [];
+    zips.forEach((zip) => {
+        if (match === 'centroid') {
+            if (centerInside(zip)) matches.push({ zipCode: zip.zipCode });
+            return;
+        }
+        let zipPolygons = null;
+        try {
+            zipPolygons = polygonsOf(JSON.parse(zip.geometry));
+        } catch {
+            // Unreadable boundary: judged by its center below
+        }
+        let share = zipPolygons ? areaShareInside(zipPolygons, areaPolygons, areaBox) : null;
+        if (share === null) share = centerInside(zip) ? 1 : 0;
+        if (share > 0 && share >= minShare) matches.push({ zipCode: zip.zipCode, share: Math.round(share * 100) / 100 });
+    });
+    return matches.sort((a, b) => a.zipCode.localeCompare(b.zipCode));
+}
+
+module.exports = { MATCH_MODES, MAX_AREA_CANDIDATES, searchBox, zipsInArea };
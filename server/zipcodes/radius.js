@@ -0,0 +1,87 @@
+const { EARTH_RADIUS_MILES, distanceFunction } = require('../locations/routePlanning');
+
+// Which seeded ZIP codes lie within a radius of one or more points, for
+// POST /api/zipcodes/within-radius. A ZIP counts when its center (the
+// centroid precomputed in zip_boundaries) is in range of any of the points.
+// 'road' distance is route planning's street-grid estimate, so its buffer
+// is a diamond rather than a circle.
+
+const MAX_RADIUS_MILES = 100;
+
+// A group search checks every location; past this many the request is
+// refused rather than turned into hundreds of box lookups.
+const MAX_RADIUS_CENTERS = 500;
+
+const MILES_PER_DEGREE = (EARTH_RADIUS_MILES * Math.PI) / 180;
+
+// Keeps cos() away from zero near the poles.
+const MAX_BOX_LATITUDE = 89;
+
+// Lat/lng box around every point within `miles` of the centers, to narrow
+// the database query before the exact check. Road distance is never shorter
+// than straight-line, so the same box covers both.
+function boundingBox(centers, miles) {
+    const latPad = miles / MILES_PER_DEGREE;
+    const box = { minLat: 90, maxLat: -90, minLng: 180, maxLng: -180 };
+    centers.forEach(({ lat, lng }) => {
+        const widestLat = Math.min(MAX_BOX_LATITUDE, Math.abs(lat) + latPad);
+        const lngPad = miles / (MILES_PER_DEGREE * Math.cos((widestLat * Math.PI) / 180));
+        box.minLat = Math.min(box.minLat, Math.max(-90, lat - latPad));
+        box.maxLat = Math.max(box.maxLat, Math.min(90, lat + latPad));
+        box.minLng = Math.min(box.minLng, Math.max(-180, lng - lngPad));
+        box.maxLng = Math.max(box.maxLng, Math.min(180, lng + lngPad));
+    });
+    return box;
+}
+
+// One box per center for the database query: a single box spanning a group
+// with locations on both coasts would cover most of the country.
+function searchBoxes(centers, miles) {
+    return centers.map(center => boundingBox([center], miles));
+}
+
+// First index in centers (sorted by lat) with lat >= value.
+function firstAtOrAbove(centers, value) {
+    let low = 0;
+    let high = centers.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (centers[middle].lat < value) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+// zips: [{ zipCode, lat, lng }]; centers: [{ lat, lng, id }] where id is a
+// location id, or absent for a bare point. Returns the ZIPs in range,
+// nearest first: [{ zipCode, miles, nearestId }] with the distance to the
+// closest center and that center's id (null without one). Only centers
+// within `miles` of a ZIP's latitude are measured, since neither distance
+// is shorter than the north-south leg.
+function zipsWithinRadius(zips, centers, miles, { distance = 'straight' } = {}) {
+    const measure = distanceFunction(distance);
+    const byLat = [...centers].sort((a, b) => a.lat - b.lat);
+    const latPad = miles / MILES_PER_DEGREE;
+    const matches = [];
+    zips.forEach((zip) => {
+        let nearest = null;
+        let nearestMiles = Infinity;
+        for (let i = firstAtOrAbove(byLat, zip.lat - latPad); i < byLat.length && byLat[i].lat <= zip.lat + latPad; i++) {
+            const away = measure(byLat[i], zip);
+            if (away < nearestMiles) {
+                nearest = byLat[i];
+                nearestMiles = away;
+            }
+        }
+        if (nearest && nearestMiles <= miles) {
+            matches.push({
+                zipCode: zip.zipCode,
+                miles: Math.round(nearestMiles * 100) / 100,
+                nearestId: nearest.id ?? null
+            });
+        }
+    });
+    return matches.sort((a, b) => a.miles - b.miles || a.zipCode.localeCompare(b.zipCode));
+}
+
+module.exports = { MAX_RADIUS_MILES, MAX_RADIUS_CENTERS, boundingBox, searchBoxes, zipsWithinRadius };